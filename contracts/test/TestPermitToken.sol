@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title TestPermitToken
+ * @dev Minimal EIP-2612 token for testing the permit helpers in test/shared/utilities.js
+ */
+contract TestPermitToken is ERC20, ERC20Permit {
+    constructor(uint256 initialSupply) ERC20("Test Permit Token", "TPT") ERC20Permit("Test Permit Token") {
+        _mint(msg.sender, initialSupply);
+    }
+}
@@ -1,6 +1,17 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@parity/hardhat-polkadot");
 require("dotenv").config();
+const {
+  loadNetworkProfiles,
+  toHardhatNetworks,
+  toDryRunNodeConfig,
+  toEtherscanConfig,
+} = require("./scripts/lib/network-profiles");
+
+// Softlaw lifecycle tasks (softlaw:deploy, softlaw:health, softlaw:verify, ...)
+require("./tasks/softlaw");
+
+const networkProfiles = loadNetworkProfiles();
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -66,8 +77,12 @@ module.exports = {
     },
   },
   networks: {
-    hardhat: {
-      polkavm: true,
+    // A --dry-run starts this node as a fork of (or stand-in for) the target
+    // network, see scripts/lib/dry-run.js
+    hardhat: toDryRunNodeConfig({
+      // SOFTLAW_BACKEND=evm runs the in-process Hardhat EVM instead of the
+      // PolkaVM node (used by the dual-backend matrix, scripts/backend-matrix.js)
+      polkavm: process.env.SOFTLAW_BACKEND !== "evm",
       // Optimized gas settings for PVM
       gas: 30000000,
       gasPrice: 1000000000,
@@ -90,58 +105,10 @@ module.exports = {
         maxRequestSize: "1mb",
         maxResponseSize: "1mb"
       },
-    },
-    localNode: {
-      polkavm: true,
-      url: `http://127.0.0.1:8545`,
-      gas: 30000000,
-      gasPrice: 1000000000,
-      timeout: 180000,
-      accounts: [
-        process.env.LOCAL_PRIV_KEY ??
-          "0x5fb92d6e98884f76de468fa3f6278f8807c48bebc13595d45af5bdc4da702133",
-        process.env.AH_PRIV_KEY ?? "",
-      ],
-      // PVM network optimizations
-      allowUnlimitedContractSize: false,
-      blockGasLimit: 30000000,
-    },
-    passetHub: {
-      polkavm: true,
-      url: "https://testnet-passet-hub-eth-rpc.polkadot.io",
-      gas: 30000000,
-      gasPrice: 1000000000,
-      timeout: 300000, // 5 minutes for testnet
-      accounts: [
-        process.env.AH_PRIV_KEY ?? "",
-        process.env.LOCAL_PRIV_KEY ??
-          "0x5fb92d6e98884f76de468fa3f6278f8807c48bebc13595d45af5bdc4da702133",
-      ],
-      // Testnet optimizations
-      allowUnlimitedContractSize: false,
-      blockGasLimit: 30000000,
-    },
-    // Production Polkadot networks
-    polkadot: {
-      polkavm: true,
-      url: process.env.POLKADOT_RPC_URL || "https://rpc.polkadot.io",
-      gas: 30000000,
-      gasPrice: 1000000000,
-      timeout: 300000,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      allowUnlimitedContractSize: false,
-      blockGasLimit: 30000000,
-    },
-    kusama: {
-      polkavm: true,
-      url: process.env.KUSAMA_RPC_URL || "https://rpc.kusama.io",
-      gas: 30000000,
-      gasPrice: 1000000000,
-      timeout: 300000,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      allowUnlimitedContractSize: false,
-      blockGasLimit: 30000000,
-    }
+    }, networkProfiles),
+    // localNode, westendHub, passetHub, polkadot and kusama come from the
+    // network profiles in scripts/config/networks.js
+    ...toHardhatNetworks(networkProfiles),
   },
   // PVM-specific compiler optimizations
   paths: {
@@ -154,6 +121,10 @@ module.exports = {
     timeout: 300000, // 5 minutes for PVM tests
     slow: 30000, // 30 seconds
     bail: false, // Continue on test failures
+    // Record every test's transactions, calls and events (scripts/backend-matrix.js)
+    ...(process.env.SOFTLAW_RECORD
+      ? { rootHooks: require("./test/shared/backend-recorder").mochaHooks }
+      : {}),
   },
   // Gas reporter configuration for PVM
   gasReporter: {
@@ -193,23 +164,8 @@ module.exports = {
     alwaysGenerateOverloads: false,
     discriminateTypes: true,
   },
-  // Deployment verification
-  etherscan: {
-    apiKey: {
-      polkadot: process.env.POLKADOT_API_KEY || "",
-      kusama: process.env.KUSAMA_API_KEY || "",
-    },
-    customChains: [
-      {
-        network: "polkadot",
-        chainId: 1000,
-        urls: {
-          apiURL: "https://api.polkadot.subscan.io/api/scan",
-          browserURL: "https://polkadot.subscan.io"
-        }
-      }
-    ]
-  },
+  // Deployment verification, on the explorers of the network profiles
+  etherscan: toEtherscanConfig(networkProfiles),
   // Additional PVM optimizations
   preprocess: {
     eachLine: (hre) => ({
@@ -229,9 +185,5 @@ module.exports = {
     etherscan: {
       apiKey: process.env.ETHERSCAN_API_KEY,
     }
-  },
-  // Custom tasks for PVM deployment
-  tasks: {
-    // Add custom deployment scripts here
   }
 };
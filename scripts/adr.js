@@ -0,0 +1,209 @@
+const path = require("path");
+const { writeJsonAtomic } = require("./lib/json-file");
+const { getADRContext, getEvidenceStorage, resolveAccount, parseAmount, formatDispute, formatCheck, formatLedger, formatBundle } = require("./lib/adr-cases");
+const { describeError } = require("./lib/receipt-decoder");
+const { createEvidence } = require("../sdk/evidence");
+
+// Print the guard for an action, then send it unless it is blocked (or forced)
+async function guarded(context, action, params, options, send) {
+    const { disputes } = context;
+    const check = await disputes.check(action, params);
+    console.log(formatCheck(check, disputes.name), "\n");
+    if (!check.allowed && !options.force) {
+        throw new Error(`❌ Not sent: ${check.blockers[0]}${check.blockers.length > 1 ? ` (and ${check.blockers.length - 1} more)` : ""}. Pass --force to send it anyway`);
+    }
+    try {
+        return await send({ force: true });
+    } catch (error) {
+        throw new Error(`❌ Transaction failed: ${await describeError(error)}`);
+    }
+}
+
+/**
+ * ADR case management for plaintiffs, defendants and arbitrators
+ *
+ * Every transition is checked first (sdk/disputes.js): a blocked one prints
+ * why and is not sent unless `force`.
+ *
+ * @param {string} command file, docket, show, escrow, arbitrate, evidence, decide, enforce or register
+ * @param {object} [options]
+ * @param {number} [options.account] Index of the signer to use (defaults to 0)
+ * @param {number} [options.id] Dispute id (show, escrow, arbitrate, evidence, decide, enforce)
+ * @param {string} [options.type] file: COPYRIGHT_INFRINGEMENT, LICENSE_BREACH, OWNERSHIP_DISPUTE or ROYALTY_DISPUTE
+ * @param {string} [options.defendant] file: address or signerN
+ * @param {string} [options.damages] file: claimed damages in SLAW
+ * @param {string} [options.description] file: description of the claim; evidence: description of the bundle
+ * @param {number} [options.ipId] file: related IP id
+ * @param {string} [options.ipContract] file: related IP contract (address or component name)
+ * @param {string} [options.of] docket: account to list (defaults to the signer)
+ * @param {string} [options.amount] escrow: amount in SLAW
+ * @param {string} [options.arbitrator] arbitrate: address or signerN
+ * @param {string} [options.hash] evidence: document hash (IPFS CID) submitted as is
+ * @param {string[]} [options.files] evidence: files to bundle, store and submit instead of --hash
+ * @param {string} [options.backend] evidence: storage backend for the bundle, local or ipfs (see scripts/config/evidence.js)
+ * @param {string} [options.winner] decide: plaintiff or defendant
+ * @param {string} [options.award] decide: award in SLAW (defaults to 0)
+ * @param {string} [options.reasoning] decide: reasoning
+ * @param {string} [options.name] register: arbitrator name
+ * @param {string} [options.fee] register: fee per case in SLAW
+ * @param {boolean} [options.force] Send even if the guard finds blockers
+ * @param {string} [options.json] docket, show: also write the result to this JSON file
+ */
+async function main(command, options = {}) {
+    const context = await getADRContext(options);
+    const { disputes } = context;
+    const name = disputes.name;
+
+    console.log(`⚖️  Softlaw ADR on ${hre.network.name} as ${name(context.signer.address)}\n`);
+
+    switch (command) {
+        case "file": {
+            const params = {
+                disputeType: options.type,
+                defendant: resolveAccount(options.defendant, context, "defendant"),
+                claimedDamages: parseAmount(options.damages, "damages"),
+                description: options.description || "",
+                relatedIPId: options.ipId || 0,
+                relatedIPContract: options.ipContract ? resolveAccount(options.ipContract, context, "IP contract") : undefined
+            };
+            const fees = await disputes.getFees();
+            console.log(`📝 ${params.disputeType} against ${name(params.defendant)}, claiming ${options.damages} SLAW (filing fee ${hre.ethers.formatEther(fees.filing)} SLAW)`);
+            const filed = await guarded(context, "file", params, options, sendOptions => disputes.file(params, sendOptions));
+            console.log(`✅ Dispute #${filed.id} filed (${filed.receipt.hash})`);
+            return filed;
+        }
+
+        case "docket": {
+            const account = options.of ? resolveAccount(options.of, context, "account") : context.signer.address;
+            const cases = await disputes.docket(account);
+            const arbitrator = await disputes.getArbitrator(account);
+            if (arbitrator) {
+                console.log(`🧑‍⚖️ ${arbitrator.name}: ${arbitrator.casesResolved} case(s) resolved, reputation ${arbitrator.reputationScore}, fee ${hre.ethers.formatEther(arbitrator.feePerCase)} SLAW per case\n`);
+            }
+            for (const dispute of cases) {
+                console.log(formatDispute(dispute, name), "\n");
+            }
+            const open = cases.filter(dispute => dispute.status !== "ENFORCED").length;
+            console.log(`📊 ${cases.length} dispute(s) for ${name(account)}, ${open} not enforced`);
+            if (options.json) {
+                writeJsonAtomic(path.resolve(options.json), cases);
+                console.log("💾 Docket saved to:", options.json);
+            }
+            return cases;
+        }
+
+        case "show": {
+            const dispute = await disputes.getDispute(options.id);
+            if (!dispute) {
+                throw new Error(`❌ Dispute #${options.id} does not exist`);
+            }
+            console.log(formatDispute(dispute, name), "\n");
+            const evidence = await disputes.getEvidence(options.id);
+            for (const item of evidence) {
+                console.log(`📎 Evidence #${item.id} by ${name(item.submittedBy)} on ${new Date(item.submissionDate * 1000).toISOString()}: ${item.documentHash}`);
+            }
+            const ledger = await disputes.getLedger(options.id);
+            console.log(formatLedger(ledger, name), "\n");
+
+            // Escrow is checked for a nominal 1 SLAW deposit
+            console.log(`🧭 Next steps for ${name(context.signer.address)}:`);
+            const steps = await disputes.nextSteps(options.id, {
+                arbitrator: dispute.arbitrator || undefined,
+                documentHash: "<document hash>",
+                amount: hre.ethers.parseEther("1")
+            });
+            for (const step of steps) {
+                console.log(formatCheck(step, name));
+            }
+            const result = { dispute, evidence, ledger, steps };
+            if (options.json) {
+                writeJsonAtomic(path.resolve(options.json), result);
+                console.log("\n💾 Dispute saved to:", options.json);
+            }
+            return result;
+        }
+
+        case "escrow": {
+            const value = parseAmount(options.amount, "amount");
+            const deposited = await guarded(context, "escrow", { id: options.id, amount: value }, options,
+                sendOptions => disputes.depositEscrow(options.id, value, sendOptions));
+            console.log(`🔒 ${options.amount} SLAW deposited in escrow for dispute #${options.id} (${deposited.receipt.hash})`);
+            return deposited;
+        }
+
+        case "arbitrate": {
+            const arbitrator = resolveAccount(options.arbitrator, context, "arbitrator");
+            const started = await guarded(context, "arbitrate", { id: options.id, arbitrator }, options,
+                sendOptions => disputes.startArbitration(options.id, arbitrator, sendOptions));
+            console.log(`✅ Dispute #${options.id} in arbitration with ${name(arbitrator)} (${started.receipt.hash})`);
+            return started;
+        }
+
+        case "evidence": {
+            const files = options.files || [];
+            if (files.length > 0 === Boolean(options.hash)) {
+                throw new Error("❌ Pass either evidence files to bundle or a --hash");
+            }
+            if (files.length === 0) {
+                const submitted = await guarded(context, "evidence", { id: options.id, documentHash: options.hash }, options,
+                    sendOptions => disputes.submitEvidence(options.id, options.hash, sendOptions));
+                console.log(`📎 Evidence #${submitted.evidenceId} submitted for dispute #${options.id} (${submitted.receipt.hash})`);
+                return submitted;
+            }
+            const evidence = createEvidence({ disputes, storage: getEvidenceStorage(options) });
+            const submitted = await guarded(context, "evidence", { id: options.id, documentHash: "<bundle CID>" }, options,
+                sendOptions => evidence.submit(options.id, files, { ...sendOptions, description: options.description }));
+            console.log(formatBundle(submitted.cid, submitted.manifest, evidence.storage));
+            console.log(`📎 Evidence #${submitted.evidenceId} submitted for dispute #${options.id} (${submitted.receipt.hash})`);
+            return submitted;
+        }
+
+        case "decide": {
+            if (!["plaintiff", "defendant"].includes(options.winner)) {
+                throw new Error(`❌ Invalid winner "${options.winner}". Use plaintiff or defendant`);
+            }
+            const decision = {
+                inFavorOfPlaintiff: options.winner === "plaintiff",
+                awardAmount: options.award ? parseAmount(options.award, "award") : 0n,
+                reasoning: options.reasoning || ""
+            };
+            const decided = await guarded(context, "decide", { id: options.id, ...decision }, options,
+                sendOptions => disputes.decide(options.id, decision, sendOptions));
+            console.log(`✅ Dispute #${options.id} resolved for ${name(decided.winner)} (${decided.receipt.hash})`);
+            return decided;
+        }
+
+        case "enforce": {
+            const enforced = await guarded(context, "enforce", { id: options.id }, options,
+                sendOptions => disputes.enforce(options.id, sendOptions));
+            for (const payment of enforced.payments) {
+                console.log(`💸 ${hre.ethers.formatEther(payment.amount)} SLAW to ${name(payment.recipient)}`);
+            }
+            console.log(`✅ Dispute #${options.id} enforced (${enforced.receipt.hash})`);
+            return enforced;
+        }
+
+        case "register": {
+            const fee = parseAmount(options.fee, "fee");
+            const registered = await guarded(context, "register", { name: options.name, feePerCase: fee }, options,
+                sendOptions => disputes.registerArbitrator(options.name, fee, sendOptions));
+            console.log(`🧑‍⚖️ ${registered.name} registered as arbitrator ${name(registered.arbitrator)} (${registered.receipt.hash})`);
+            return registered;
+        }
+
+        default:
+            throw new Error(`❌ Unknown ADR command "${command}". Use file, docket, show, escrow, arbitrate, evidence, decide, enforce or register`);
+    }
+}
+
+// Handle both direct execution and module export
+if (require.main === module) {
+    main("docket")
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
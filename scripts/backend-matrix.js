@@ -0,0 +1,66 @@
+const { runMatrix, writeReport } = require("./lib/backend-matrix");
+
+/**
+ * Run test files on the EVM and PolkaVM backends and report behavioural divergences
+ *
+ *   node scripts/backend-matrix.js [test files...] [--quiet] [--report <path>]
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.files] Test files (defaults to every file in test/)
+ * @param {string} [options.report] Report path (defaults to deployments/backend-matrix/report.json)
+ * @param {boolean} [options.quiet] Hide the mocha output of each run
+ */
+async function main(options = {}) {
+    console.log("🔀 Softlaw Dual-Backend Test Matrix");
+
+    const report = runMatrix(options.files && options.files.length > 0 ? options.files : undefined, {
+        quiet: options.quiet,
+        timeoutMs: 60 * 60 * 1000
+    });
+    const reportPath = writeReport(report, options.report);
+
+    console.log("\n📊 Results");
+    for (const entry of report.files) {
+        const status = entry.divergences.length === 0 ? "✅" : "⚠️ ";
+        console.log(`${status} ${entry.file}: ${entry.divergences.length} divergence(s)`);
+        for (const divergence of entry.divergences) {
+            console.log(`   ${divergence.type}: ${divergence.test ? `${divergence.test}: ` : ""}${divergence.detail}`);
+        }
+        for (const { test, evm, pvm, ratio } of entry.gas.filter(gas => gas.ratio !== null)) {
+            console.log(`   ⛽ ${test}: evm ${evm}, pvm ${pvm} (x${ratio})`);
+        }
+    }
+    console.log("\n💾 Report saved to:", reportPath);
+
+    if (!report.success) {
+        throw new Error("❌ The EVM and PolkaVM backends diverged");
+    }
+    console.log("\n🎉 Both backends behaved identically");
+    return report;
+}
+
+function parseArgs(argv) {
+    const options = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--quiet") {
+            options.quiet = true;
+        } else if (argv[i] === "--report") {
+            options.report = argv[++i];
+        } else {
+            options.files.push(argv[i]);
+        }
+    }
+    return options;
+}
+
+// Handle both direct execution and module export
+if (require.main === module) {
+    main(parseArgs(process.argv.slice(2)))
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,38 @@
+/**
+ * Size and memory budgets checked after every `compile` (see scripts/lib/contract-size.js)
+ *
+ * All values are bytes. `defaults` applies to every gated contract, entries in
+ * `contracts` (by contract name or fully qualified name) override single limits.
+ * A limit set to null is reported but never fails the build.
+ * Override with SOFTLAW_BUDGETS=<file> exporting the same shape.
+ */
+const KiB = 1024;
+
+module.exports = {
+    defaults: {
+        // PolkaVM blob produced by resolc, as uploaded to pallet-revive
+        blobBytes: 96 * KiB,
+        // EVM deployed bytecode, EIP-170 limit
+        evmBytes: 24576,
+        // ro data + rw data (resolc heap) + stack from the blob's memory config,
+        // see docs/PVM_OPTIMIZATION_GUIDE.md
+        memoryBytes: 160 * KiB
+    },
+
+    // The largest contracts get explicit budgets so growth is a deliberate change
+    contracts: {
+        MarketplaceCore: { blobBytes: 120 * KiB },
+        WrappedIPManager: { blobBytes: 120 * KiB },
+        LiquidityManager: { blobBytes: 96 * KiB },
+        // Deployed separately by scripts/deploy.js, never used on EVM networks
+        UniswapV2Pair: { blobBytes: 64 * KiB, evmBytes: null }
+    },
+
+    // Only artifacts whose source starts with one of these prefixes are gated.
+    // Everything else (OpenZeppelin, test mocks) is only reported.
+    include: ["contracts/"],
+    exclude: ["contracts/test/"],
+
+    // One snapshot per commit, shown by `softlaw:size --history`
+    historyPath: "deployments/contract-sizes.json"
+};
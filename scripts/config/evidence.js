@@ -0,0 +1,23 @@
+/**
+ * Storage for ADR evidence bundles (sdk/evidence.js)
+ *
+ * `local` keeps bundles in a content-addressed directory, a stand-in for
+ * IPFS during development (defaults to deployments/evidence-store). `ipfs`
+ * talks to an IPFS-compatible HTTP API such as a Kubo node or a pinning
+ * service exposing /api/v0/add and /api/v0/cat.
+ * Override with --backend, or with --config <file> exporting the same shape.
+ */
+module.exports = {
+    backend: process.env.SOFTLAW_EVIDENCE_BACKEND || (process.env.SOFTLAW_IPFS_API ? "ipfs" : "local"),
+
+    local: {
+        dir: process.env.SOFTLAW_EVIDENCE_DIR
+    },
+
+    ipfs: {
+        api: process.env.SOFTLAW_IPFS_API || "http://127.0.0.1:5001",
+        // Pinning services usually want "Basic <base64 key:secret>" or "Bearer <token>"
+        headers: process.env.SOFTLAW_IPFS_AUTH ? { Authorization: process.env.SOFTLAW_IPFS_AUTH } : {},
+        timeoutMs: 60000
+    }
+};
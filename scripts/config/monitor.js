@@ -0,0 +1,37 @@
+/**
+ * Default configuration for `softlaw:monitor`
+ *
+ * Metric names are "<Component>.<probe id>" from scripts/lib/health-probes.js,
+ * scaled to whole units (SLAW amounts in SLAW, not wei).
+ * Override with --monitor-config <file> exporting the same shape.
+ */
+module.exports = {
+    // Seconds between health checks
+    intervalSeconds: 30,
+
+    // Prometheus endpoint, served on http://<host>:<port>/metrics
+    metrics: {
+        host: "127.0.0.1",
+        port: 9464
+    },
+
+    // Re-notify alerts that are still firing after this many minutes (0 disables)
+    repeatMinutes: 60,
+
+    sinks: [
+        { type: "stdout" },
+        { type: "file", path: "deployments/alerts.jsonl" },
+        ...(process.env.SOFTLAW_ALERT_WEBHOOK
+            ? [{ type: "webhook", url: process.env.SOFTLAW_ALERT_WEBHOOK, minSeverity: "warning" }]
+            : [])
+    ],
+
+    rules: [
+        { id: "system-unhealthy", type: "status", status: "unhealthy", severity: "critical" },
+        // Covers missing roles such as MARKETPLACE_CONTRACT on TreasuryCore
+        { id: "probe-failed", type: "probe", minSeverity: "warning" },
+        { id: "tvl-drop", type: "drop", metric: "WrappedIPManager.valueLocked", percent: 20, windowMinutes: 60, severity: "critical" },
+        { id: "treasury-balance-low", type: "threshold", metric: "TreasuryCore.treasuryBalance", below: 1000, severity: "warning" },
+        { id: "slaw-reserve-low", type: "threshold", metric: "SLAWToken.treasuryBalance", below: 100000, severity: "warning" }
+    ]
+};
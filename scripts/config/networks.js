@@ -0,0 +1,126 @@
+/**
+ * Network profiles, the single source of the remote networks in hardhat.config.js
+ *
+ * Each profile declares where the network is (url, chainId), where its signing
+ * keys come from (external signer, keystore, mnemonic or environment
+ * variables, plus well-known dev keys on local nodes), its block explorer and how many confirmations a deployment waits for.
+ * `forkUrl` is the substrate RPC that --dry-run forks (scripts/lib/dry-run.js).
+ * scripts/lib/network-profiles.js checks the selected profile before any
+ * network-bound task or script runs.
+ * Override with SOFTLAW_NETWORKS=<file> exporting the same shape.
+ */
+
+function envNumber(name) {
+    return process.env[name] ? Number(process.env[name]) : undefined;
+}
+
+// Production explorers are configured per deployment, e.g. POLKADOT_EXPLORER_URL
+function envExplorer(prefix) {
+    if (!process.env[`${prefix}_EXPLORER_URL`]) {
+        return undefined;
+    }
+    return {
+        name: process.env[`${prefix}_EXPLORER_NAME`] || "Explorer",
+        url: process.env[`${prefix}_EXPLORER_URL`],
+        apiUrl: process.env[`${prefix}_EXPLORER_API_URL`] || `${process.env[`${prefix}_EXPLORER_URL`]}/api`,
+        apiKey: process.env[`${prefix}_API_KEY`]
+    };
+}
+
+// Key sources every profile accepts besides raw keys, see scripts/lib/signer-provider.js
+const KEY_SOURCES = {
+    external: { env: "SOFTLAW_SIGNER_URL" },
+    keystore: { env: "SOFTLAW_KEYSTORE", passwordEnv: "SOFTLAW_KEYSTORE_PASSWORD" },
+    mnemonic: { env: "SOFTLAW_MNEMONIC", path: "m/44'/60'/0'/0", count: 5 }
+};
+
+module.exports = {
+    // Hardhat settings shared by every profile, overridden by a profile's `hardhat` entry
+    defaults: {
+        polkavm: true,
+        gas: 30000000,
+        gasPrice: 1000000000,
+        blockGasLimit: 30000000,
+        timeout: 300000,
+        allowUnlimitedContractSize: false
+    },
+
+    networks: {
+        localNode: {
+            description: "Local substrate-node behind the eth-rpc adapter (npx hardhat node)",
+            tier: "local",
+            url: process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545",
+            chainId: 420420420,
+            currency: "UNIT",
+            keys: {
+                ...KEY_SOURCES,
+                env: ["LOCAL_PRIV_KEY", "AH_PRIV_KEY"],
+                // Funded dev account of the substrate-node dev chain, used when nothing is configured
+                dev: ["0x5fb92d6e98884f76de468fa3f6278f8807c48bebc13595d45af5bdc4da702133"]
+            },
+            explorer: null,
+            confirmations: 1,
+            hardhat: { timeout: 180000 }
+        },
+
+        westendHub: {
+            description: "Westend Asset Hub testnet",
+            tier: "testnet",
+            url: process.env.WESTEND_RPC_URL || "https://westend-asset-hub-eth-rpc.polkadot.io",
+            chainId: 420420421,
+            currency: "WND",
+            forkUrl: process.env.WESTEND_FORK_URL || "wss://westend-asset-hub-rpc.polkadot.io",
+            keys: { ...KEY_SOURCES, env: ["AH_PRIV_KEY"] },
+            explorer: {
+                name: "Blockscout",
+                url: "https://blockscout-asset-hub.parity-chains-scw.parity.io",
+                apiUrl: "https://blockscout-asset-hub.parity-chains-scw.parity.io/api",
+                // Blockscout ignores the key, hardhat-verify requires one
+                apiKey: "blockscout"
+            },
+            confirmations: 2
+        },
+
+        passetHub: {
+            description: "Paseo Asset Hub testnet",
+            tier: "testnet",
+            url: process.env.PASSET_RPC_URL || "https://testnet-passet-hub-eth-rpc.polkadot.io",
+            chainId: 420420422,
+            currency: "PAS",
+            forkUrl: process.env.PASSET_FORK_URL || "wss://testnet-passet-hub.polkadot.io",
+            keys: { ...KEY_SOURCES, env: ["AH_PRIV_KEY", "LOCAL_PRIV_KEY"] },
+            explorer: {
+                name: "Blockscout",
+                url: "https://blockscout-passet-hub.parity-testnet.parity.io",
+                apiUrl: "https://blockscout-passet-hub.parity-testnet.parity.io/api",
+                apiKey: "blockscout"
+            },
+            confirmations: 2
+        },
+
+        // Production Asset Hubs: no defaults, every value must be set explicitly
+        polkadot: {
+            description: "Polkadot Asset Hub",
+            tier: "production",
+            url: process.env.POLKADOT_RPC_URL,
+            chainId: envNumber("POLKADOT_CHAIN_ID"),
+            currency: "DOT",
+            forkUrl: process.env.POLKADOT_FORK_URL,
+            keys: { ...KEY_SOURCES, env: ["PRIVATE_KEY"] },
+            explorer: envExplorer("POLKADOT"),
+            confirmations: 6
+        },
+
+        kusama: {
+            description: "Kusama Asset Hub",
+            tier: "production",
+            url: process.env.KUSAMA_RPC_URL,
+            chainId: envNumber("KUSAMA_CHAIN_ID"),
+            currency: "KSM",
+            forkUrl: process.env.KUSAMA_FORK_URL,
+            keys: { ...KEY_SOURCES, env: ["PRIVATE_KEY"] },
+            explorer: envExplorer("KUSAMA"),
+            confirmations: 6
+        }
+    }
+};
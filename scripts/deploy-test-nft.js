@@ -1,6 +1,8 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
 const path = require("path");
+const registry = require("./lib/deployment-registry");
+const resolver = require("./lib/contract-resolver");
+const { writeJsonAtomic } = require("./lib/json-file");
 
 async function main() {
     console.log("🎨 Deploying Test Copyright NFT for PVM Testing...\n");
@@ -12,7 +14,7 @@ async function main() {
     try {
         // ===== Deploy TestCopyrightNFT =====
         console.log("📦 Deploying TestCopyrightNFT...");
-        const TestCopyrightNFT = await ethers.getContractFactory("TestCopyrightNFT");
+        const TestCopyrightNFT = await resolver.getContractFactory("TestCopyrightNFT");
         
         const testNFT = await TestCopyrightNFT.deploy(deployer.address);
         await testNFT.waitForDeployment();
@@ -42,11 +44,10 @@ async function main() {
         console.log(`✅ Total NFTs minted: ${ownedTokens.length}`);
 
         // ===== Load Existing Deployment Data =====
-        const addressPath = path.join(__dirname, "../deployments", `contract-addresses-${hre.network.name}.json`);
-        let addresses = {};
+        const hasWrappedIPManager = registry.hasDeployment("WrappedIPManager");
+        const hasMarketplaceCore = registry.hasDeployment("MarketplaceCore");
         
-        if (fs.existsSync(addressPath)) {
-            addresses = JSON.parse(fs.readFileSync(addressPath, "utf8"));
+        if (hasWrappedIPManager || hasMarketplaceCore) {
             console.log("\n📋 Loaded existing contract addresses");
         } else {
             console.log("\n⚠️  No existing deployment found. Deploy main contracts first with:");
@@ -54,11 +55,10 @@ async function main() {
         }
 
         // ===== Configure WrappedIPManager (if deployed) =====
-        if (addresses.WrappedIPManager) {
+        if (hasWrappedIPManager) {
             console.log("\n🔧 Configuring WrappedIPManager...");
             
-            const WrappedIPManager = await ethers.getContractFactory("WrappedIPManager");
-            const wrappedIPManager = WrappedIPManager.attach(addresses.WrappedIPManager);
+            const wrappedIPManager = await registry.getContract("WrappedIPManager", deployer);
             
             // Add TestCopyrightNFT as supported contract
             await wrappedIPManager.setSupportedNFTContract(testNFTAddress, true);
@@ -66,11 +66,10 @@ async function main() {
         }
 
         // ===== Configure MarketplaceCore (if deployed) =====
-        if (addresses.MarketplaceCore) {
+        if (hasMarketplaceCore) {
             console.log("\n🏪 Configuring MarketplaceCore...");
             
-            const MarketplaceCore = await ethers.getContractFactory("MarketplaceCore");
-            const marketplaceCore = MarketplaceCore.attach(addresses.MarketplaceCore);
+            const marketplaceCore = await registry.getContract("MarketplaceCore", deployer);
             
             // Add TestCopyrightNFT as supported contract
             await marketplaceCore.setSupportedNFTContract(testNFTAddress, true);
@@ -80,15 +79,13 @@ async function main() {
         // ===== Save Test NFT Data =====
         console.log("\n💾 Saving test NFT data...");
         
-        const deploymentsDir = path.join(__dirname, "../deployments");
-        if (!fs.existsSync(deploymentsDir)) {
-            fs.mkdirSync(deploymentsDir, { recursive: true });
-        }
-        
-        // Update contract addresses
-        addresses.TestCopyrightNFT = testNFTAddress;
-        const addressPath2 = path.join(deploymentsDir, `contract-addresses-${hre.network.name}.json`);
-        fs.writeFileSync(addressPath2, JSON.stringify(addresses, null, 2));
+        const deployReceipt = await testNFT.deploymentTransaction().wait();
+        await registry.recordDeployment("TestCopyrightNFT", {
+            address: testNFTAddress,
+            txHash: deployReceipt.hash,
+            blockNumber: deployReceipt.blockNumber,
+            deployer: deployer.address
+        });
         
         // Save test NFT deployment data
         const testNFTData = {
@@ -100,13 +97,8 @@ async function main() {
             totalSupply: (await testNFT.totalSupply()).toString()
         };
         
-        const testDataPath = path.join(deploymentsDir, `test-nft-${hre.network.name}.json`);
-        fs.writeFileSync(testDataPath, JSON.stringify(testNFTData, null, 2));
-        
-        // Save ABI
-        const artifact = await hre.artifacts.readArtifact("TestCopyrightNFT");
-        const abiPath = path.join(deploymentsDir, "TestCopyrightNFT-abi.json");
-        fs.writeFileSync(abiPath, JSON.stringify(artifact.abi, null, 2));
+        const testDataPath = path.join(path.dirname(registry.getRegistryPath()), `test-nft-${hre.network.name}.json`);
+        writeJsonAtomic(testDataPath, testNFTData);
         
         console.log("✅ Test NFT data saved");
 
@@ -132,7 +124,7 @@ async function main() {
         }
 
         // ===== Integration Examples =====
-        if (addresses.WrappedIPManager && addresses.SLAWToken) {
+        if (hasWrappedIPManager && registry.hasDeployment("SLAWToken")) {
             console.log("\n🔗 === INTEGRATION EXAMPLES ===");
             console.log("\n1. Wrap NFT to tokens:");
             console.log("const ipId = await wrappedIPManager.getIPId(testNFTAddress, tokenId);");
@@ -172,14 +164,14 @@ async function main() {
         console.error("❌ Test NFT deployment failed:", error);
         
         // Save error log
-        const errorPath = path.join(__dirname, "../deployments", `test-nft-error-${Date.now()}.json`);
-        fs.writeFileSync(errorPath, JSON.stringify({
+        const errorPath = path.join(registry.DEPLOYMENTS_DIR, `test-nft-error-${Date.now()}.json`);
+        writeJsonAtomic(errorPath, {
             error: error.message,
             stack: error.stack,
             network: hre.network.name,
             deployer: deployer.address,
             timestamp: new Date().toISOString()
-        }, null, 2));
+        });
         
         throw error;
     }
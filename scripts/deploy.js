@@ -1,10 +1,12 @@
 const { ethers } = require("hardhat");
 const hre = require("hardhat");
-const { JsonRpcProvider } = require("ethers");
+const { BrowserProvider } = require("ethers");
+const { getNetworkProfile } = require("./lib/network-profiles");
+const { getSigners } = require("./lib/signer-provider");
 
-async function deploy() {
-  [account] = await ethers.getSigners();
-  deployerAddress = account.address;
+async function main() {
+  const [account] = await ethers.getSigners();
+  const deployerAddress = account.address;
   console.log(`Deploying contracts using ${deployerAddress}`);
   
   // Deploy ERC20
@@ -21,26 +23,30 @@ async function deploy() {
   await factoryInstance.waitForDeployment();
   console.log(`Factory deployed to : ${await factoryInstance.getAddress()}`);
   
-  // Deploy Pair using JsonRpcProvider to bypass size limits
+  await deployPair();
+}
+
+/**
+ * Deploy UniswapV2Pair with a plain ethers provider to bypass size limits
+ *
+ * The provider wraps hre.network.provider rather than dialing the network's
+ * url, so a --dry-run redirects and journals the deployment like any other
+ * transaction (scripts/lib/dry-run.js).
+ */
+async function deployPair() {
   console.log("Deploying UniswapV2Pair...");
   
   const networkName = hre.network.name;
-  const networkConfig = hre.config.networks[networkName];
-  const rpcUrl = networkConfig.url || "http://localhost:8545";
-  
-  const provider = new JsonRpcProvider(rpcUrl);
+  const profile = getNetworkProfile(networkName);
+
+  const provider = new BrowserProvider(hre.network.provider);
   
   const pairArtifact = await hre.artifacts.readArtifact("UniswapV2Pair");
 
-  let privateKey;
-  if (networkName === "localNode") {
-    privateKey = process.env.LOCAL_PRIV_KEY;
-  }
-  if (networkName === "westendHub") {
-    privateKey = process.env.AH_PRIV_KEY;
-  }
-  
-  const wallet = new ethers.Wallet(privateKey, provider);
+  // First signer of the profile's key source (keystore, mnemonic, external
+  // signer or env key). hardhat and localhost have no profile: the node's
+  // first account signs
+  const wallet = profile ? (await getSigners(profile, provider))[0] : await provider.getSigner();
   
   const pairFactory = new ethers.ContractFactory(
     pairArtifact.abi,
@@ -49,12 +55,18 @@ async function deploy() {
   );
   // Deploy directly using the provider
   const pairInstance = await pairFactory.deploy();
+  await pairInstance.waitForDeployment();
   console.log(`Pair deployed to : ${await pairInstance.getAddress()}`);
+  return pairInstance;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-deploy()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = { main, deployPair };
\ No newline at end of file
@@ -0,0 +1,74 @@
+const path = require("path");
+const { writeJsonAtomic } = require("./lib/json-file");
+const { getADRContext, getEvidenceStorage, formatBundle, formatVerification } = require("./lib/adr-cases");
+const { createEvidence, storeBundle } = require("../sdk/evidence");
+
+/**
+ * Bundle evidence files into storage, and verify submitted evidence against it
+ *
+ * Submitting a bundle goes through the ADR case commands
+ * (softlaw:dispute-evidence with files, see scripts/adr.js).
+ *
+ * @param {string} command bundle or verify
+ * @param {object} [options]
+ * @param {string[]} [options.files] bundle: files to store; verify: local copies to compare
+ * @param {number} [options.id] bundle: dispute the bundle is meant for; verify: dispute id
+ * @param {string} [options.description] bundle: description of the bundle
+ * @param {number} [options.evidence] verify: only this evidence id (defaults to all)
+ * @param {string} [options.backend] local or ipfs (defaults to scripts/config/evidence.js)
+ * @param {string} [options.config] Evidence config module
+ * @param {number} [options.account] verify: index of the signer (defaults to 0)
+ * @param {string} [options.json] Also write the result to this JSON file
+ * @param {boolean} [options.strict] verify: fail unless every record is verified
+ */
+async function main(command, options = {}) {
+    const storage = getEvidenceStorage(options);
+    console.log(`📎 Softlaw Evidence in ${storage.name}\n`);
+
+    switch (command) {
+        case "bundle": {
+            const stored = await storeBundle(options.files || [], storage, { disputeId: options.id, description: options.description });
+            console.log(formatBundle(stored.cid, stored.manifest, storage));
+            console.log(`\n✅ Submit it with: npx hardhat softlaw:dispute-evidence --id ${options.id ?? "<id>"} --hash ${stored.cid}`);
+            if (options.json) {
+                writeJsonAtomic(path.resolve(options.json), { cid: stored.cid, manifest: stored.manifest });
+                console.log("💾 Bundle saved to:", options.json);
+            }
+            return stored;
+        }
+
+        case "verify": {
+            const context = await getADRContext(options);
+            const evidence = createEvidence({ disputes: context.disputes, storage });
+            const results = await evidence.verify(options.id, { evidenceId: options.evidence, files: options.files });
+            for (const result of results) {
+                console.log(formatVerification(result, context.disputes.name), "\n");
+            }
+            const counts = results.reduce((all, result) => ({ ...all, [result.status]: (all[result.status] || 0) + 1 }), {});
+            console.log(`📊 ${results.length} evidence record(s) on dispute #${options.id}: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(", ") || "none"}`);
+            if (options.json) {
+                writeJsonAtomic(path.resolve(options.json), results);
+                console.log("💾 Verification saved to:", options.json);
+            }
+            if (options.strict && results.some(result => result.status !== "verified")) {
+                throw new Error(`❌ ${results.filter(result => result.status !== "verified").length} evidence record(s) on dispute #${options.id} did not verify`);
+            }
+            return results;
+        }
+
+        default:
+            throw new Error(`❌ Unknown evidence command "${command}". Use bundle or verify`);
+    }
+}
+
+// Handle both direct execution and module export
+if (require.main === module) {
+    main("bundle", { files: process.argv.slice(2) })
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
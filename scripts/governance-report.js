@@ -0,0 +1,60 @@
+const path = require("path");
+const { getGovernanceContext } = require("./lib/proposals");
+const { collectGovernanceData, analyseGovernance, writeGovernanceReport } = require("./lib/governance-analytics");
+
+function percent(value) {
+    return value === null ? "—" : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Governance analytics report: turnout against the quorum, member
+ * participation, time to execution and failed executions
+ *
+ * @param {object} [options]
+ * @param {string} [options.out] Output directory (defaults to deployments/governance-report-<network>)
+ * @param {string} [options.format] Comma-separated formats: json, csv, html (defaults to all)
+ * @param {number} [options.from] First block to read (defaults to the governor's deployment block)
+ * @param {boolean} [options.skipFailures] Do not scan blocks for failed executions
+ */
+async function main(options = {}) {
+    console.log("📈 Softlaw Governance Report\n");
+    console.log("🌐 Network:", hre.network.name);
+
+    const context = await getGovernanceContext();
+    const data = await collectGovernanceData(context, options);
+    const report = analyseGovernance(data, context.governance.builder.name);
+    const { summary } = report;
+
+    console.log(`📋 ${summary.proposals} proposal(s), ${report.members.count} member(s) (${report.members.lawyers} lawyer(s), ${report.members.creators} creator(s))`);
+    console.log(`🗳️  Turnout: median ${percent(summary.turnout.median)}, quorum met by ${percent(summary.quorumMetRate)} of proposals`);
+    console.log(`⚖️  Quorum ${report.settings.votingQuorum}, locking period ${report.settings.lockingPeriod}s, ${report.settings.history.length} setting change(s)`);
+    if (!report.settings.historyComplete) {
+        console.log("⚠️  Setting history incomplete: a quorum or locking period change could not be decoded");
+    }
+    if (summary.timeToExecution.count > 0) {
+        console.log(`⏱️  Time to execution: median ${summary.timeToExecution.median}s, max ${summary.timeToExecution.max}s`);
+    }
+    if (summary.failedExecutions.scanned) {
+        console.log(`💥 ${summary.failedExecutions.count} failed execution(s) on ${summary.failedExecutions.proposals} proposal(s)`);
+    }
+
+    const formats = options.format ? options.format.split(",").map(format => format.trim()) : undefined;
+    const files = writeGovernanceReport(report, { out: options.out, formats });
+    console.log("\n💾 Report written to:");
+    for (const file of files) {
+        console.log(`   ${path.relative(process.cwd(), file)}`);
+    }
+    return report;
+}
+
+// Handle both direct execution and module export
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,154 @@
+const path = require("path");
+const { writeJsonAtomic } = require("./lib/json-file");
+const { loadDraft, getGovernanceContext, formatProposal } = require("./lib/proposals");
+const { describeError } = require("./lib/receipt-decoder");
+const { simulateProposal, formatSimulation } = require("./lib/proposal-simulator");
+
+async function simulate(context, options) {
+    const report = await simulateProposal(context, options);
+    console.log(formatSimulation(report, context.governance.builder.name));
+    return report;
+}
+
+/**
+ * Create, list, simulate, vote on and execute SoftLawGovernance proposals
+ *
+ * vote and execute simulate the proposal first (scripts/lib/proposal-simulator.js);
+ * execute stops when the simulated call reverts.
+ *
+ * @param {string} command create, list, simulate, vote or execute
+ * @param {object} [options]
+ * @param {number} [options.account] Index of the signer to use (defaults to 0)
+ * @param {string} [options.name] create: proposal name
+ * @param {string} [options.description] create: proposal description
+ * @param {string} [options.file] create: JSON or YAML draft (see scripts/lib/proposals.js)
+ * @param {string[]} [options.actions] create: actions such as "DAOTreasury.spend(5000, signer1)"
+ * @param {boolean} [options.preview] create: print the preview without sending anything
+ * @param {boolean} [options.simulate] create: simulate the draft before sending it
+ * @param {number} [options.id] list, simulate, vote, execute: proposal id
+ * @param {string} [options.callData] simulate: raw proposal calldata, instead of an id or draft
+ * @param {string} [options.proposalType] simulate: Treasury or Membership, for callData
+ * @param {boolean} [options.skipSimulation] vote, execute: do not simulate first
+ * @param {string} [options.vote] vote: aye, nay or abstain
+ * @param {string} [options.json] list, simulate: also write the result to this JSON file
+ */
+async function main(command, options = {}) {
+    const context = await getGovernanceContext(options);
+    const { governance } = context;
+    const name = governance.builder.name;
+
+    console.log(`🏛️  Softlaw Governance on ${hre.network.name} as ${name(context.signer.address)}\n`);
+
+    switch (command) {
+        case "create": {
+            const draft = governance.build(loadDraft(options, context));
+            console.log(governance.preview(draft));
+            if (options.simulate) {
+                console.log();
+                await simulate(context, { draft });
+            }
+            if (options.preview) {
+                return draft;
+            }
+            const created = await governance.propose(draft);
+            for (const proposal of created) {
+                console.log(`\n✅ Proposal #${proposal.id} created: ${proposal.name} (${proposal.receipt.hash})`);
+            }
+            return created;
+        }
+
+        case "list": {
+            const proposals = options.id !== undefined
+                ? [await governance.getProposal(options.id)]
+                : await governance.listProposals();
+            for (const proposal of proposals) {
+                console.log(formatProposal(proposal, name), "\n");
+            }
+            const settings = await governance.getSettings();
+            console.log(`📊 ${proposals.length} proposal(s), quorum ${settings.votingQuorum}, locking period ${settings.lockingPeriod}s`);
+            if (options.json) {
+                writeJsonAtomic(path.resolve(options.json), proposals);
+                console.log("💾 Proposals saved to:", options.json);
+            }
+            return proposals;
+        }
+
+        case "simulate": {
+            const fromDraft = options.id === undefined && !options.callData;
+            const report = await simulate(context, {
+                id: options.id,
+                callData: options.callData,
+                proposalType: options.proposalType,
+                draft: fromDraft ? loadDraft(options, context) : undefined
+            });
+            if (options.json) {
+                writeJsonAtomic(path.resolve(options.json), report);
+                console.log("💾 Simulation saved to:", options.json);
+            }
+            return report;
+        }
+
+        case "vote": {
+            const proposal = await governance.getProposal(options.id);
+            console.log(formatProposal(proposal, name), "\n");
+            if (await governance.governor.hasVoted(options.id, context.signer.address)) {
+                throw new Error(`❌ ${name(context.signer.address)} already voted on proposal #${options.id}`);
+            }
+            if (!options.skipSimulation) {
+                await simulate(context, { id: options.id });
+                console.log();
+            }
+            try {
+                const result = await governance.vote(options.id, options.vote);
+                console.log(`🗳️  Voted ${result.vote} on proposal #${result.id} (${result.receipt.hash})`);
+                return result;
+            } catch (error) {
+                throw new Error(`❌ Vote failed: ${await describeError(error)}`);
+            }
+        }
+
+        case "execute": {
+            const proposal = await governance.getProposal(options.id);
+            console.log(formatProposal(proposal, name), "\n");
+            if (proposal.status === "executed") {
+                throw new Error(`❌ Proposal #${options.id} is already executed`);
+            }
+            if (proposal.status === "open") {
+                throw new Error(`❌ Proposal #${options.id} has not passed: ${proposal.votes.total} of ${proposal.quorum} vote(s) needed, ${proposal.votes.aye} aye against ${proposal.votes.nay} nay`);
+            }
+            if (proposal.status === "locked") {
+                throw new Error(`❌ Proposal #${options.id} is locked until ${new Date(proposal.unlocksAt * 1000).toISOString()}`);
+            }
+            if (!options.skipSimulation) {
+                const report = await simulate(context, { id: options.id });
+                if (report.wouldRevert) {
+                    const failed = report.results.find(result => result.success === false);
+                    throw new Error(`❌ Proposal #${options.id} would revert: ${failed.reason}. Pass --skip-simulation to send it anyway`);
+                }
+                console.log();
+            }
+            try {
+                const result = await governance.execute(options.id);
+                console.log(`✅ Proposal #${result.id} executed (${result.receipt.hash})`);
+                return result;
+            } catch (error) {
+                throw new Error(`❌ Execution failed: ${await describeError(error)}`);
+            }
+        }
+
+        default:
+            throw new Error(`❌ Unknown governance command "${command}". Use create, list, simulate, vote or execute`);
+    }
+}
+
+// Handle both direct execution and module export
+if (require.main === module) {
+    main("list")
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
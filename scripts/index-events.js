@@ -0,0 +1,68 @@
+const { createIndexer, sourcesFromRegistry, getDefaultDbPath } = require("./lib/event-indexer");
+
+/**
+ * Index events of every contract in the deployment registry into SQLite
+ *
+ * @param {object} [options]
+ * @param {string} [options.db] Database file (defaults to deployments/indexer-<network>.sqlite)
+ * @param {number} [options.from] Start block for a new database (defaults to the earliest deployment block)
+ * @param {boolean} [options.follow] Keep following new blocks (defaults to SOFTLAW_INDEX_FOLLOW=1)
+ * @param {number} [options.pollSeconds] Delay between polls when following
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @param {number} [options.confirmations] Stay this many blocks behind the head
+ */
+async function main(options = {}) {
+    console.log("🗂️  Softlaw Event Indexer\n");
+
+    const dbPath = options.db || getDefaultDbPath();
+    const sources = sourcesFromRegistry();
+    if (sources.length === 0) {
+        throw new Error(`❌ No contracts with ABIs in the deployment registry for network: ${hre.network.name}`);
+    }
+
+    console.log("🌐 Network:", hre.network.name);
+    console.log("💾 Database:", dbPath);
+    console.log("📋 Sources:", sources.map(s => s.name).join(", "), "\n");
+
+    const indexer = createIndexer({
+        sources,
+        dbPath,
+        startBlock: options.from,
+        batchSize: options.batchSize,
+        confirmations: options.confirmations
+    });
+
+    const follow = options.follow ?? process.env.SOFTLAW_INDEX_FOLLOW === "1";
+
+    try {
+        if (follow) {
+            const stop = () => indexer.stop();
+            process.once("SIGINT", stop);
+            process.once("SIGTERM", stop);
+            console.log("👀 Following new blocks, press Ctrl+C to stop");
+            await indexer.follow({ pollMs: (options.pollSeconds || 5) * 1000 });
+        } else {
+            const result = await indexer.sync();
+            console.log(`\n✅ Indexed up to block ${result.toBlock}: ${result.events} new events, ${result.reorgs.length} reorgs`);
+        }
+
+        console.log("\n📊 === EVENTS IN DATABASE ===");
+        for (const { contract, event, count } of indexer.store.countEvents()) {
+            console.log(`${contract}.${event}: ${count}`);
+        }
+    } finally {
+        indexer.close();
+    }
+}
+
+// Handle both direct execution and module export
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
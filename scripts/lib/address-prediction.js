@@ -0,0 +1,153 @@
+const hre = require("hardhat");
+const resolver = require("./contract-resolver");
+
+const { ethers } = hre;
+
+/**
+ * Address prediction for contracts created by Softlaw contracts
+ *
+ *   UniswapV2Factory.createPair         CREATE2, salt keccak256(token0, token1)
+ *   WrappedIPManager.wrapIP             CREATE (new PersonalizedWrappedIPToken)
+ *   WrappedIPFactory.createWrappedIPToken  CREATE (new WrappedIPToken)
+ *
+ * EVM and pallet-revive derive addresses with the same formulas, but from
+ * different inputs:
+ *
+ *   CREATE   keccak256(rlp([creator, nonce])). Both use the creator's account
+ *            nonce, so it is read from the chain rather than assumed.
+ *   CREATE2  keccak256(0xff ++ creator ++ salt ++ keccak256(code ++ args)).
+ *            On the EVM `code` is the EVM init code; pallet-revive hashes the
+ *            PolkaVM blob of the child contract instead, which only exists on
+ *            chain once it has been uploaded (deployed at least once).
+ *
+ * The child bytecode must therefore come from artifacts compiled for the same
+ * backend, which is checked against the PolkaVM blob header.
+ */
+
+const SEMANTICS = ["evm", "pvm"];
+
+// PolkaVM program blobs start with "PVM\0"
+const PVM_MAGIC = "0x50564d00";
+
+/**
+ * Address semantics of a network: "pvm" for networks with `polkavm: true`
+ */
+function getSemantics(network = hre.network) {
+    return network.config.polkavm ? "pvm" : "evm";
+}
+
+// Artifacts written by the hardhat-polkadot compile store bytecode without the 0x prefix
+function toHexBytecode(bytecode) {
+    return bytecode.startsWith("0x") ? bytecode : `0x${bytecode}`;
+}
+
+/**
+ * Backend a compiled bytecode targets
+ */
+function bytecodeSemantics(bytecode) {
+    return toHexBytecode(bytecode).toLowerCase().startsWith(PVM_MAGIC) ? "pvm" : "evm";
+}
+
+function checkSemantics(semantics) {
+    if (!SEMANTICS.includes(semantics)) {
+        throw new Error(`❌ Unknown address semantics "${semantics}". Use one of: ${SEMANTICS.join(", ")}`);
+    }
+}
+
+/**
+ * Creation code of a component, checked against the target semantics
+ */
+async function getCreationCode(component, semantics = getSemantics()) {
+    checkSemantics(semantics);
+    const fqn = await resolver.resolveArtifact(component);
+    const { bytecode } = await hre.artifacts.readArtifact(fqn);
+    const compiled = bytecodeSemantics(bytecode);
+    if (compiled !== semantics) {
+        throw new Error(
+            `❌ ${component} is compiled as ${compiled.toUpperCase()} bytecode, cannot predict ${semantics.toUpperCase()} addresses. ` +
+            "Recompile for the target network"
+        );
+    }
+    return toHexBytecode(bytecode);
+}
+
+function createAddress(creator, nonce) {
+    return ethers.getCreateAddress({ from: creator, nonce });
+}
+
+/**
+ * CREATE2 address. `code` is the EVM creation code or the PolkaVM blob, and
+ * `constructorData` the ABI-encoded constructor arguments (none for pairs).
+ */
+function create2Address(creator, salt, code, constructorData = "0x") {
+    return ethers.getCreate2Address(creator, salt, ethers.keccak256(ethers.concat([code, constructorData])));
+}
+
+/**
+ * Sorted token pair and the CREATE2 salt UniswapV2Factory uses for it
+ */
+function pairSalt(tokenA, tokenB) {
+    const [token0, token1] = BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+    return {
+        token0: ethers.getAddress(token0),
+        token1: ethers.getAddress(token1),
+        salt: ethers.keccak256(ethers.solidityPacked(["address", "address"], [token0, token1]))
+    };
+}
+
+/**
+ * Address UniswapV2Factory.createPair(tokenA, tokenB) deploys the pair at
+ *
+ * @param {object} [options]
+ * @param {"evm"|"pvm"} [options.semantics] Defaults to the current network's
+ * @param {string} [options.pairCode] UniswapV2Pair creation code (defaults to the compiled artifact)
+ */
+async function predictPairAddress(factoryAddress, tokenA, tokenB, options = {}) {
+    const semantics = options.semantics || getSemantics();
+    const code = options.pairCode || (await getCreationCode("UniswapV2Pair", semantics));
+    const { salt } = pairSalt(tokenA, tokenB);
+    return create2Address(factoryAddress, salt, code);
+}
+
+/**
+ * Address of the contract a creator deploys with CREATE, `offset` creations from now
+ *
+ * @param {object} [options]
+ * @param {number} [options.offset] Contracts created before the one predicted (defaults to 0, the next one)
+ * @param {number} [options.nonce] Creator nonce to use instead of reading it from the chain
+ * @param {object} [options.provider] Defaults to the Hardhat provider
+ */
+async function predictCreateAddress(creator, options = {}) {
+    const provider = options.provider || ethers.provider;
+    const nonce = options.nonce ?? (await provider.getTransactionCount(creator, "latest"));
+    return createAddress(creator, nonce + (options.offset || 0));
+}
+
+/**
+ * Address of the PersonalizedWrappedIPToken the next WrappedIPManager.wrapIP deploys
+ */
+function predictWrappedIPTokenAddress(managerAddress, options) {
+    return predictCreateAddress(managerAddress, options);
+}
+
+/**
+ * Address of the WrappedIPToken the next WrappedIPFactory.createWrappedIPToken deploys
+ */
+function predictFactoryTokenAddress(factoryAddress, options) {
+    return predictCreateAddress(factoryAddress, options);
+}
+
+module.exports = {
+    SEMANTICS,
+    getSemantics,
+    toHexBytecode,
+    bytecodeSemantics,
+    getCreationCode,
+    createAddress,
+    create2Address,
+    pairSalt,
+    predictPairAddress,
+    predictCreateAddress,
+    predictWrappedIPTokenAddress,
+    predictFactoryTokenAddress
+};
@@ -0,0 +1,165 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const path = require("path");
+const registry = require("./deployment-registry");
+const { resolveValue } = require("./proposals");
+const { DISPUTE_STATUSES, TRANSITIONS, createDisputes } = require("../../sdk/disputes");
+const { createStorage } = require("../../sdk/evidence");
+
+/**
+ * ADR case management from the command line: the disputes client for the
+ * current network and the docket, guard and ledger printouts
+ *
+ * Accounts can be given as addresses or signerN (Hardhat signer N), amounts
+ * in SLAW ("250" or "250 tokens").
+ */
+
+/**
+ * Disputes client, signer labels and name context for the current network
+ *
+ * @param {object} [options]
+ * @param {number} [options.account] Index of the signer sending transactions (defaults to 0)
+ */
+async function getADRContext(options = {}) {
+    const signers = await ethers.getSigners();
+    const signer = signers[options.account || 0];
+    if (!signer) {
+        throw new Error(`❌ No signer at index ${options.account} on network ${hre.network.name}`);
+    }
+    const contracts = registry.loadRegistry().contracts;
+    const addresses = signers.map(item => item.address);
+    const names = Object.fromEntries(addresses.map((address, i) => [address, `signer${i}`]));
+    const disputes = createDisputes({ signer, contracts, names });
+    return { signer, contracts, signers: addresses, disputes };
+}
+
+/**
+ * Evidence storage backend (scripts/config/evidence.js)
+ *
+ * @param {object} [options]
+ * @param {string} [options.backend] local or ipfs (overrides the config)
+ * @param {string} [options.config] Evidence config module
+ */
+function getEvidenceStorage(options = {}) {
+    const config = options.config ? require(path.resolve(options.config)) : require("../config/evidence");
+    const type = options.backend || config.backend;
+    if (type === "local") {
+        return createStorage({ type, dir: (config.local && config.local.dir) || path.join(registry.DEPLOYMENTS_DIR, "evidence-store") });
+    }
+    return createStorage({ type, ...config[type] });
+}
+
+/**
+ * An address from an address, a component name or signerN
+ */
+function resolveAccount(value, context, label) {
+    const resolved = value === undefined ? undefined : resolveValue(String(value), context);
+    if (!resolved || !ethers.isAddress(resolved)) {
+        throw new Error(`❌ Invalid ${label} "${value}". Use an address or signerN`);
+    }
+    return resolved;
+}
+
+function parseAmount(value, label) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(?:\s*(?:tokens?|slaw))?$/i);
+    if (!match) {
+        throw new Error(`❌ Invalid ${label} "${value}". Use a SLAW amount such as 250 or 12.5`);
+    }
+    return ethers.parseEther(match[1]);
+}
+
+function slaw(value) {
+    return `${ethers.formatEther(value)} SLAW`;
+}
+
+function date(timestamp) {
+    return timestamp ? new Date(timestamp * 1000).toISOString() : "—";
+}
+
+// FILED → MEDIATION → ARBITRATION → ..., the current status in brackets.
+// MEDIATION is shown in parentheses: no function leads there.
+function statusPath(status) {
+    return DISPUTE_STATUSES
+        .map(item => (item === status ? `[${item}]` : item === "MEDIATION" ? `(${item})` : item))
+        .join(" → ");
+}
+
+function formatDispute(dispute, name) {
+    const lines = [
+        `⚖️  Dispute #${dispute.id} ${dispute.disputeType}${dispute.role ? ` (${dispute.role})` : ""}`,
+        `   ${statusPath(dispute.status)}`,
+        `   plaintiff ${name(dispute.plaintiff)} vs defendant ${name(dispute.defendant)}, filed ${date(dispute.filingDate)}`,
+        `   claimed ${slaw(dispute.claimedDamages)}, escrow ${slaw(dispute.escrowAmount)}, ${dispute.evidenceCount} evidence item(s)`
+    ];
+    if (dispute.relatedIPContract !== ethers.ZeroAddress) {
+        lines.push(`   about IP #${dispute.relatedIPId} on ${name(dispute.relatedIPContract)}`);
+    }
+    if (dispute.arbitrator) {
+        lines.push(`   arbitrator ${name(dispute.arbitrator)}`);
+    }
+    if (dispute.winner) {
+        lines.push(`   resolved ${date(dispute.resolutionDate)} for ${name(dispute.winner)}, award ${slaw(dispute.awardAmount)}`);
+    }
+    return lines.join("\n");
+}
+
+function formatCheck(check, name) {
+    const label = TRANSITIONS[check.action].label;
+    const lines = [`${check.allowed ? "🟢" : "⛔"} ${label}${check.to ? ` → ${check.to}` : ""}`];
+    for (const blocker of check.blockers) {
+        lines.push(`   ✗ ${blocker}`);
+    }
+    for (const warning of check.warnings) {
+        lines.push(`   ⚠️  ${warning}`);
+    }
+    if (check.allowed) {
+        for (const payment of check.payments.filter(item => item.amount > 0n)) {
+            lines.push(`   💸 ${payment.kind}: ${slaw(payment.amount)} to ${name(payment.recipient)}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+function formatLedger(ledger, name) {
+    const { fees, escrow } = ledger;
+    const lines = [
+        `💰 Fees paid: filing ${slaw(fees.filing)}, arbitration ${slaw(fees.arbitration)} (arbitrator ${slaw(fees.arbitrator)}), evidence ${slaw(fees.evidence)}`,
+        `🔒 Escrow: ${slaw(escrow.deposited)} deposited, ${slaw(escrow.awarded)} awarded, ${slaw(escrow.refunded)} refunded, ${slaw(escrow.held)} held`
+    ];
+    for (const payment of ledger.payments) {
+        lines.push(`   block ${payment.blockNumber}: ${payment.kind} ${slaw(payment.amount)} to ${name(payment.recipient)} (${payment.transactionHash})`);
+    }
+    return lines.join("\n");
+}
+
+function formatBundle(cid, manifest, storage) {
+    const lines = [`📦 Bundle ${cid} in ${storage.name}`];
+    for (const file of manifest.files) {
+        lines.push(`   ${file.name} (${file.mediaType}, ${file.size} bytes) ${file.cid}`);
+    }
+    return lines.join("\n");
+}
+
+function formatVerification(result, name) {
+    const icon = { verified: "✅", tampered: "🚨", missing: "❓", unverifiable: "➖" }[result.status];
+    const lines = [`${icon} Evidence #${result.evidenceId} by ${name(result.submittedBy)}: ${result.status} (${result.documentHash})`];
+    for (const file of result.files) {
+        lines.push(`   ${file.status === "verified" ? "✓" : "✗"} ${file.name} ${file.status}`);
+    }
+    for (const issue of result.issues) {
+        lines.push(`   ⚠️  ${issue}`);
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    getADRContext,
+    getEvidenceStorage,
+    resolveAccount,
+    parseAmount,
+    formatDispute,
+    formatCheck,
+    formatLedger,
+    formatBundle,
+    formatVerification
+};
@@ -0,0 +1,300 @@
+const fs = require("fs");
+const path = require("path");
+const { SEVERITIES } = require("./health-checks");
+const { extractMetrics } = require("./metrics-exporter");
+
+/**
+ * Alert rules and sinks for the monitor
+ *
+ * Rules are evaluated against every health report. An alert is identified by
+ * its key, so a condition that stays true is notified once and then only every
+ * `repeatMinutes`, and a "resolved" notification is sent when it clears.
+ *
+ * Rule types:
+ *   status    - overall health is at least `status` (degraded or unhealthy)
+ *   probe     - one alert per failing probe at or above `minSeverity`,
+ *               optionally limited to `components` and `kinds`
+ *   threshold - metric "<Component>.<probe>" is `below` and/or `above` a value
+ *   drop      - metric fell by at least `percent` from its peak over `windowMinutes`
+ */
+
+// ===== SINKS =====
+
+function stdoutSink() {
+    return {
+        name: "stdout",
+        send: async notification => {
+            process.stdout.write(JSON.stringify(notification) + "\n");
+        }
+    };
+}
+
+function fileSink({ path: filePath }) {
+    if (!filePath) {
+        throw new Error("❌ File alert sink requires a path");
+    }
+    const resolved = path.resolve(filePath);
+    return {
+        name: `file:${resolved}`,
+        send: async notification => {
+            fs.mkdirSync(path.dirname(resolved), { recursive: true });
+            fs.appendFileSync(resolved, JSON.stringify(notification) + "\n");
+        }
+    };
+}
+
+function webhookSink({ url, headers = {}, timeoutMs = 10000 }) {
+    if (!url) {
+        throw new Error("❌ Webhook alert sink requires a url");
+    }
+    return {
+        name: `webhook:${new URL(url).host}`,
+        send: async notification => {
+            const response = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", ...headers },
+                body: JSON.stringify(notification),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`Webhook responded with ${response.status} ${response.statusText}`);
+            }
+        }
+    };
+}
+
+const SINK_TYPES = {
+    stdout: stdoutSink,
+    file: fileSink,
+    webhook: webhookSink
+};
+
+/**
+ * Build a sink from its config
+ *
+ * Accepts { type: "stdout" | "file" | "webhook", ... } or any object with a
+ * send(notification) function for custom sinks. Sinks with a `minSeverity`
+ * only receive alerts at or above it.
+ */
+function createSink(config) {
+    let sink;
+    if (typeof config.send === "function") {
+        sink = { name: config.name || "custom", send: config.send };
+    } else {
+        const factory = SINK_TYPES[config.type];
+        if (!factory) {
+            throw new Error(`❌ Unknown alert sink type "${config.type}". Available: ${Object.keys(SINK_TYPES).join(", ")}`);
+        }
+        sink = factory(config);
+    }
+    sink.minSeverity = config.minSeverity || "info";
+    return sink;
+}
+
+// ===== RULES =====
+
+function atLeast(severity, minimum) {
+    return SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(minimum);
+}
+
+function validateRule(rule) {
+    if (!rule.id) {
+        throw new Error("❌ Alert rule without id");
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+        throw new Error(`❌ Alert rule ${rule.id}: unknown severity "${rule.severity}"`);
+    }
+    switch (rule.type) {
+        case "status":
+        case "probe":
+            break;
+        case "threshold":
+            if (!rule.metric || (rule.below === undefined && rule.above === undefined)) {
+                throw new Error(`❌ Alert rule ${rule.id}: threshold rules need a metric and below and/or above`);
+            }
+            break;
+        case "drop":
+            if (!rule.metric || !rule.percent) {
+                throw new Error(`❌ Alert rule ${rule.id}: drop rules need a metric and percent`);
+            }
+            break;
+        default:
+            throw new Error(`❌ Alert rule ${rule.id}: unknown type "${rule.type}"`);
+    }
+}
+
+function evaluateRule(rule, report, metrics, history) {
+    const severity = rule.severity || "warning";
+    const alerts = [];
+
+    if (rule.type === "status") {
+        const minimum = rule.status || "unhealthy";
+        const order = ["healthy", "degraded", "unhealthy"];
+        if (order.indexOf(report.status) >= order.indexOf(minimum)) {
+            alerts.push({
+                key: rule.id,
+                severity,
+                summary: `System is ${report.status}`,
+                details: { status: report.status, summary: report.summary }
+            });
+        }
+    } else if (rule.type === "probe") {
+        const minSeverity = rule.minSeverity || "critical";
+        for (const [name, component] of Object.entries(report.components)) {
+            if (rule.components && !rule.components.includes(name)) {
+                continue;
+            }
+            for (const probe of component.probes) {
+                if (probe.status !== "fail" && probe.status !== "error") {
+                    continue;
+                }
+                if (!atLeast(probe.severity, minSeverity) || (rule.kinds && !rule.kinds.includes(probe.kind))) {
+                    continue;
+                }
+                alerts.push({
+                    key: `${rule.id}:${name}:${probe.id}`,
+                    severity: rule.severity || probe.severity,
+                    summary: `${name} ${probe.kind} ${probe.id} ${probe.status === "error" ? "errored" : "failed"}`,
+                    details: { component: name, address: component.address, probe }
+                });
+            }
+        }
+    } else if (rule.type === "threshold") {
+        const value = metrics[rule.metric];
+        if (value !== undefined) {
+            if (rule.below !== undefined && value < rule.below) {
+                alerts.push({ key: rule.id, severity, summary: `${rule.metric} is ${value}, below ${rule.below}`, details: { metric: rule.metric, value, below: rule.below } });
+            } else if (rule.above !== undefined && value > rule.above) {
+                alerts.push({ key: rule.id, severity, summary: `${rule.metric} is ${value}, above ${rule.above}`, details: { metric: rule.metric, value, above: rule.above } });
+            }
+        }
+    } else if (rule.type === "drop") {
+        const value = metrics[rule.metric];
+        const windowStart = Date.now() - (rule.windowMinutes || 60) * 60 * 1000;
+        const samples = (history[rule.metric] || []).filter(sample => sample.at >= windowStart);
+        if (value !== undefined && samples.length > 0) {
+            const peak = Math.max(...samples.map(sample => sample.value));
+            const dropPercent = peak > 0 ? ((peak - value) / peak) * 100 : 0;
+            if (dropPercent >= rule.percent) {
+                alerts.push({
+                    key: rule.id,
+                    severity,
+                    summary: `${rule.metric} dropped ${dropPercent.toFixed(1)}% (from ${peak} to ${value})`,
+                    details: { metric: rule.metric, value, peak, dropPercent, windowMinutes: rule.windowMinutes || 60 }
+                });
+            }
+        }
+    }
+
+    return alerts.map(alert => ({ rule: rule.id, ...alert }));
+}
+
+/**
+ * Stateful alert evaluation with deduplication
+ *
+ * @param {object} config
+ * @param {object[]} config.rules Alert rules
+ * @param {object[]} config.sinks Sink configs (see createSink)
+ * @param {number} [config.repeatMinutes] Re-notify a firing alert after this long (0 disables)
+ * @param {string} [config.network] Network name added to every notification
+ */
+function createAlertManager({ rules = [], sinks = [], repeatMinutes = 60, network } = {}) {
+    rules.forEach(validateRule);
+    const sinkInstances = sinks.map(createSink);
+    const active = new Map();
+    const history = {};
+    const maxWindowMs = Math.max(60, ...rules.map(rule => rule.windowMinutes || 0)) * 60 * 1000;
+
+    async function notify(notification) {
+        const failures = [];
+        for (const sink of sinkInstances) {
+            if (!atLeast(notification.severity, sink.minSeverity)) {
+                continue;
+            }
+            try {
+                await sink.send(notification);
+            } catch (error) {
+                failures.push(`${sink.name}: ${error.message}`);
+            }
+        }
+        if (failures.length > 0) {
+            console.error(`⚠️  Alert delivery failed for ${notification.key}: ${failures.join("; ")}`);
+        }
+    }
+
+    /**
+     * Evaluate all rules against a report and send new, repeated and resolved notifications
+     *
+     * @returns {Promise<object[]>} Notifications sent
+     */
+    async function evaluate(report) {
+        const now = Date.now();
+        const metrics = extractMetrics(report);
+        const current = new Map();
+
+        for (const rule of rules) {
+            for (const alert of evaluateRule(rule, report, metrics, history)) {
+                current.set(alert.key, alert);
+            }
+        }
+
+        // Drop rules compare against earlier samples, so record after evaluating
+        for (const [metric, value] of Object.entries(metrics)) {
+            history[metric] = (history[metric] || []).filter(sample => sample.at >= now - maxWindowMs);
+            history[metric].push({ at: now, value });
+        }
+
+        const sent = [];
+        for (const [key, alert] of current) {
+            const previous = active.get(key);
+            const repeatDue = previous && repeatMinutes > 0 && now - previous.lastNotifiedAt >= repeatMinutes * 60 * 1000;
+            if (!previous || repeatDue) {
+                const notification = {
+                    state: "firing",
+                    network: network || report.network,
+                    firstSeenAt: new Date(previous ? previous.firstSeenAt : now).toISOString(),
+                    timestamp: new Date(now).toISOString(),
+                    repeat: Boolean(previous),
+                    ...alert
+                };
+                await notify(notification);
+                sent.push(notification);
+            }
+            active.set(key, {
+                alert,
+                firstSeenAt: previous ? previous.firstSeenAt : now,
+                lastNotifiedAt: !previous || repeatDue ? now : previous.lastNotifiedAt
+            });
+        }
+
+        for (const [key, entry] of active) {
+            if (current.has(key)) {
+                continue;
+            }
+            active.delete(key);
+            const notification = {
+                state: "resolved",
+                network: network || report.network,
+                firstSeenAt: new Date(entry.firstSeenAt).toISOString(),
+                timestamp: new Date(now).toISOString(),
+                ...entry.alert
+            };
+            await notify(notification);
+            sent.push(notification);
+        }
+
+        return sent;
+    }
+
+    return {
+        evaluate,
+        notify,
+        getActive: () => [...active.values()].map(entry => entry.alert)
+    };
+}
+
+module.exports = {
+    SINK_TYPES,
+    createSink,
+    createAlertManager
+};
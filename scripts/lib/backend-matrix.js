@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { writeJsonAtomic } = require("./json-file");
+
+/**
+ * Dual-backend test matrix
+ *
+ * Runs each test file once per backend, with test/shared/backend-recorder.js
+ * recording every test's transactions, calls, events and reverts, then diffs
+ * the two recordings:
+ *
+ *   evm  the in-process Hardhat EVM (hardhat network with SOFTLAW_BACKEND=evm)
+ *   pvm  the PolkaVM substrate node (hardhat network, or SOFTLAW_PVM_NETWORK)
+ *
+ * Gas is reported side by side but never counted as a divergence: PolkaVM
+ * gas is derived from weight and is not expected to match.
+ *
+ * Runs in a plain node process and spawns `npx hardhat test` per file and
+ * backend, so it does not require hardhat itself.
+ */
+
+const ROOT = path.join(__dirname, "..", "..");
+const OUTPUT_DIR = path.join(ROOT, "deployments", "backend-matrix");
+
+const BACKENDS = {
+    evm: { network: "hardhat", env: { SOFTLAW_BACKEND: "evm" } },
+    pvm: { network: process.env.SOFTLAW_PVM_NETWORK || "hardhat", env: { SOFTLAW_BACKEND: "pvm" } }
+};
+
+// Operation fields that must match between backends, per kind
+const COMPARED_FIELDS = {
+    tx: ["contract", "method", "status", "events"],
+    call: ["contract", "method", "result"],
+    revert: ["contract", "method", "reason"]
+};
+
+// Divergent operations reported per test; later ones are usually knock-on effects
+const MAX_OPERATION_DIFFS = 3;
+
+function listTestFiles(dir = path.join(ROOT, "test")) {
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith(".js"))
+        .sort()
+        .map(name => path.join("test", name));
+}
+
+function recordingPath(file, backend) {
+    return path.join(OUTPUT_DIR, `${path.basename(file, ".js")}.${backend}.json`);
+}
+
+/**
+ * Run one test file on one backend and load its recording
+ *
+ * @returns {object} { backend, network, exitCode, recording } (recording is null if none was written)
+ */
+function runBackend(file, backend, options = {}) {
+    const { network, env } = BACKENDS[backend];
+    const output = recordingPath(file, backend);
+    fs.rmSync(output, { force: true });
+
+    console.log(`\n🧪 ${file} on ${backend} (network ${network})`);
+    const result = spawnSync("npx", ["hardhat", "test", file, "--network", network], {
+        cwd: ROOT,
+        env: { ...process.env, ...env, SOFTLAW_RECORD: output },
+        stdio: options.quiet ? "ignore" : "inherit",
+        timeout: options.timeoutMs
+    });
+
+    return {
+        backend,
+        network,
+        exitCode: result.status,
+        recording: fs.existsSync(output) ? JSON.parse(fs.readFileSync(output, "utf8")) : null
+    };
+}
+
+function pick(operation) {
+    const fields = COMPARED_FIELDS[operation.kind] || Object.keys(operation);
+    return JSON.stringify({ kind: operation.kind, ...Object.fromEntries(fields.map(field => [field, operation[field]])) });
+}
+
+/**
+ * Behavioural differences of one test between the two backends
+ */
+function diffTest(title, evm, pvm) {
+    if (!evm || !pvm) {
+        return [{ test: title, type: "missing", detail: `only ran on ${evm ? "evm" : "pvm"}` }];
+    }
+
+    const divergences = [];
+    if (evm.state !== pvm.state) {
+        divergences.push({
+            test: title,
+            type: "outcome",
+            detail: `${evm.state} on evm, ${pvm.state} on pvm`,
+            evm: evm.error,
+            pvm: pvm.error
+        });
+    }
+
+    const length = Math.max(evm.operations.length, pvm.operations.length);
+    let reported = 0;
+    for (let i = 0; i < length && reported < MAX_OPERATION_DIFFS; i++) {
+        const left = evm.operations[i];
+        const right = pvm.operations[i];
+        if (left && right && pick(left) === pick(right)) {
+            continue;
+        }
+        const operation = left || right;
+        divergences.push({
+            test: title,
+            type: "operation",
+            index: i,
+            detail: `#${i} ${operation.contract || "deploy"}.${operation.method}`,
+            evm: left || null,
+            pvm: right || null
+        });
+        reported++;
+    }
+    if (evm.operations.length !== pvm.operations.length) {
+        divergences.push({
+            test: title,
+            type: "operation-count",
+            detail: `${evm.operations.length} operations on evm, ${pvm.operations.length} on pvm`
+        });
+    }
+    return divergences;
+}
+
+/**
+ * Compare the recordings of one test file
+ *
+ * @returns {object} { divergences, gas } where gas lists per-test totals and the pvm/evm ratio
+ */
+function diffRecordings(evmRecording, pvmRecording) {
+    const titles = [...new Set([...Object.keys(evmRecording.tests), ...Object.keys(pvmRecording.tests)])];
+    const divergences = [];
+    const gas = [];
+
+    for (const title of titles) {
+        const evm = evmRecording.tests[title];
+        const pvm = pvmRecording.tests[title];
+        divergences.push(...diffTest(title, evm, pvm));
+        if (evm && pvm) {
+            const evmGas = BigInt(evm.gasUsed);
+            const pvmGas = BigInt(pvm.gasUsed);
+            gas.push({
+                test: title,
+                evm: evmGas.toString(),
+                pvm: pvmGas.toString(),
+                ratio: evmGas > 0n ? Number((pvmGas * 1000n) / evmGas) / 1000 : null
+            });
+        }
+    }
+    return { divergences, gas };
+}
+
+/**
+ * Run the matrix over the given test files
+ *
+ * @param {string[]} [files] Test files (defaults to every file in test/)
+ * @param {object} [options]
+ * @param {boolean} [options.quiet] Hide the mocha output of each run
+ * @param {number} [options.timeoutMs] Time limit per run
+ * @returns {object} Report: { files: [{ file, runs, divergences, gas }], success }
+ */
+function runMatrix(files = listTestFiles(), options = {}) {
+    const report = { startedAt: new Date().toISOString(), backends: BACKENDS, files: [], success: true };
+
+    for (const file of files) {
+        const runs = Object.keys(BACKENDS).map(backend => runBackend(file, backend, options));
+        const [evm, pvm] = runs;
+        const entry = {
+            file,
+            runs: runs.map(({ backend, network, exitCode, recording }) => ({
+                backend,
+                network,
+                exitCode,
+                recorded: Boolean(recording)
+            })),
+            divergences: [],
+            gas: []
+        };
+
+        if (!evm.recording || !pvm.recording) {
+            const failed = runs.filter(run => !run.recording).map(run => run.backend);
+            entry.divergences.push({ test: null, type: "no-recording", detail: `no recording from ${failed.join(" and ")}` });
+        } else {
+            Object.assign(entry, diffRecordings(evm.recording, pvm.recording));
+        }
+
+        if (entry.divergences.length > 0) {
+            report.success = false;
+        }
+        report.files.push(entry);
+    }
+
+    report.finishedAt = new Date().toISOString();
+    return report;
+}
+
+function writeReport(report, outputPath = path.join(OUTPUT_DIR, "report.json")) {
+    return writeJsonAtomic(outputPath, report);
+}
+
+module.exports = {
+    BACKENDS,
+    OUTPUT_DIR,
+    listTestFiles,
+    recordingPath,
+    runBackend,
+    diffTest,
+    diffRecordings,
+    runMatrix,
+    writeReport
+};
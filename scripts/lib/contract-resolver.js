@@ -0,0 +1,162 @@
+const hre = require("hardhat");
+
+/**
+ * Contract resolution for deployment profiles
+ *
+ * Several contract names exist more than once in the tree (two SLAWToken
+ * contracts, TreasuryCore vs OptimizedTreasuryCore, MarketplaceCore vs
+ * OptimizedMarketplaceCore), so bare names passed to getContractFactory are
+ * ambiguous. Scripts refer to logical component names instead, and each
+ * profile maps them to fully qualified artifact names.
+ */
+
+// Components that are the same in every profile
+const SHARED_COMPONENTS = {
+    WrappedIPManager: "contracts/IP-liquidity/WrappedIPManager.sol:WrappedIPManager",
+    PersonalizedWrappedIPToken: "contracts/IP-liquidity/WrappedIPManager.sol:PersonalizedWrappedIPToken",
+    LiquidityManager: "contracts/IP-liquidity/LiquidityManager.sol:OptimizedLiquidityManager",
+    WrappedIPFactory: "contracts/IP-liquidity/WrappedIPFactory.sol:WrappedIPFactory",
+    WrappedIPToken: "contracts/IP-liquidity/WrappedIPFactory.sol:WrappedIPToken",
+    UniswapV2Factory: "contracts/IP-liquidity/UniswapV2Factory.sol:UniswapV2Factory",
+    UniswapV2Pair: "contracts/IP-liquidity/UniswapV2Pair.sol:UniswapV2Pair",
+    ADRSystem: "contracts/ADR/ADRSystem.sol:OptimizedADRSystem",
+    CopyrightsRegistry: "contracts/Registries/RCopyright.sol:CopyrightsRegistry",
+    CopyrightLicensing: "contracts/Licenses/LCopyrights.sol:CopyrightLicensing",
+    DAOGovernor: "contracts/Governance/DAOGovernor.sol:SoftLawGovernance",
+    DaoMembership: "contracts/memberships/DAOMembership.sol:DaoMembership",
+    DAOTreasury: "contracts/treasury/DAOTreasury.sol:DAOTreasury",
+    SoftlawTreasury: "contracts/treasury/SoftlawTreasury.sol:SoftlawTreasury",
+    TestCopyrightNFT: "contracts/test/TestCopyrightNFT.sol:TestCopyrightNFT"
+};
+
+const PROFILES = {
+    // Treasury stack used by deploy-integration.js
+    classic: {
+        description: "SLAWToken + TreasuryCore + MarketplaceCore from contracts/treasury and contracts/Marketplace",
+        components: {
+            ...SHARED_COMPONENTS,
+            SLAWToken: "contracts/treasury/SLAWToken.sol:SLAWToken",
+            TreasuryCore: "contracts/treasury/TreasuryCore.sol:TreasuryCore",
+            MarketplaceCore: "contracts/Marketplace/MarketplaceCore.sol:MarketplaceCore"
+        }
+    },
+
+    // Optimized stack from contracts/integrations
+    integrations: {
+        description: "SLAWToken + OptimizedTreasuryCore + OptimizedMarketplaceCore from contracts/integrations",
+        components: {
+            ...SHARED_COMPONENTS,
+            SLAWToken: "contracts/integrations/SLAWToken.sol:SLAWToken",
+            TreasuryCore: "contracts/integrations/TreasuryCore.sol:OptimizedTreasuryCore",
+            MarketplaceCore: "contracts/integrations/MarketplaceCore.sol:OptimizedMarketplaceCore"
+        }
+    }
+};
+
+const DEFAULT_PROFILE = "classic";
+
+function getProfileName(profileName) {
+    return profileName || process.env.SOFTLAW_PROFILE || DEFAULT_PROFILE;
+}
+
+function getProfile(profileName) {
+    const name = getProfileName(profileName);
+    const profile = PROFILES[name];
+    if (!profile) {
+        throw new Error(
+            `❌ Unknown deployment profile "${name}". Available profiles: ${Object.keys(PROFILES).join(", ")}`
+        );
+    }
+    return { name, ...profile };
+}
+
+/**
+ * All fully qualified names whose contract name matches a bare name
+ */
+async function findArtifacts(contractName) {
+    const names = await hre.artifacts.getAllFullyQualifiedNames();
+    return names.filter(fqn => fqn.split(":").pop() === contractName);
+}
+
+async function diagnoseMissing(component, profile) {
+    const lines = [`❌ Cannot resolve "${component}" in deployment profile "${profile.name}".`];
+
+    const candidates = await findArtifacts(component);
+    if (candidates.length > 1) {
+        lines.push(`   "${component}" is ambiguous, it matches ${candidates.length} artifacts:`);
+        candidates.forEach(fqn => lines.push(`     - ${fqn}`));
+        lines.push("   Add the intended one to the profile in scripts/lib/contract-resolver.js");
+    } else if (candidates.length === 1) {
+        lines.push(`   An artifact exists (${candidates[0]}) but the profile does not declare it`);
+    } else {
+        lines.push("   No compiled artifact has this name. Check the contract name or run `npx hardhat compile`");
+    }
+
+    lines.push(`   Known components: ${Object.keys(profile.components).sort().join(", ")}`);
+    return lines.join("\n");
+}
+
+/**
+ * Resolve a logical component name to its fully qualified artifact name
+ *
+ * Fully qualified names ("path/File.sol:Contract") are accepted as-is.
+ */
+async function resolveArtifact(component, profileName) {
+    if (component.includes(":")) {
+        if (!(await hre.artifacts.artifactExists(component))) {
+            throw new Error(`❌ Artifact not found: ${component}`);
+        }
+        return component;
+    }
+
+    const profile = getProfile(profileName);
+    const fqn = profile.components[component];
+
+    if (!fqn || !(await hre.artifacts.artifactExists(fqn))) {
+        throw new Error(await diagnoseMissing(component, profile));
+    }
+    return fqn;
+}
+
+/**
+ * Resolve a list of components up front so scripts fail before sending any
+ * transaction instead of halfway through a workflow
+ */
+async function assertComponents(components, profileName) {
+    const errors = [];
+    const resolved = {};
+
+    for (const component of components) {
+        try {
+            resolved[component] = await resolveArtifact(component, profileName);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(errors.join("\n\n"));
+    }
+    return resolved;
+}
+
+async function getContractFactory(component, signer, profileName) {
+    const fqn = await resolveArtifact(component, profileName);
+    return hre.ethers.getContractFactory(fqn, signer);
+}
+
+async function getContractAt(component, address, signer, profileName) {
+    const fqn = await resolveArtifact(component, profileName);
+    return hre.ethers.getContractAt(fqn, address, signer);
+}
+
+module.exports = {
+    PROFILES,
+    DEFAULT_PROFILE,
+    getProfile,
+    findArtifacts,
+    resolveArtifact,
+    assertComponents,
+    getContractFactory,
+    getContractAt
+};
@@ -0,0 +1,489 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const hre = require("hardhat");
+const { writeJsonAtomic } = require("./json-file");
+const { toHexBytecode, bytecodeSemantics, getSemantics } = require("./address-prediction");
+
+/**
+ * Contract size and memory budgets
+ *
+ * Measures every compiled artifact in the PolkaVM (resolc) and EVM (solc)
+ * artifact directories:
+ *
+ *   blobBytes    PolkaVM blob size, what pallet-revive stores and executes
+ *   evmBytes     EVM deployed bytecode size (EIP-170)
+ *   memoryBytes  ro data + rw data + stack, read from the blob's memory
+ *                config section. resolc places its heap in the rw data, so
+ *                this is the memory a call reserves before touching storage.
+ *
+ * and checks them against scripts/config/contract-budgets.js. The compile task
+ * runs the check after every build. `softlaw:size --record` stores one snapshot
+ * per git commit, so `softlaw:size --history` shows how each contract grew over time.
+ */
+
+const DEFAULT_BUDGETS = path.join(__dirname, "..", "config", "contract-budgets.js");
+const METRICS = ["blobBytes", "evmBytes", "memoryBytes"];
+
+// PolkaVM program blob layout: "PVM\0", version byte, and (since the blob
+// length was added to the header) a u64 blob length, then sections of
+// <id byte><varint length><payload> until the end-of-file section 0
+const PVM_HEADER_OFFSETS = [13, 5];
+const SECTION_END_OF_FILE = 0;
+const SECTION_MEMORY_CONFIG = 1;
+const SECTION_CODE_AND_JUMP_TABLE = 6;
+
+/**
+ * PolkaVM varint: the number of leading one bits in the first byte is the
+ * number of extra little-endian bytes, the remaining bits are the high part
+ */
+function readVarint(bytes, offset) {
+    if (offset >= bytes.length) {
+        return null;
+    }
+    const first = bytes[offset];
+    let extra = 0;
+    while (extra < 8 && (first & (0x80 >> extra))) {
+        extra++;
+    }
+    if (offset + 1 + extra > bytes.length) {
+        return null;
+    }
+    let value = 0;
+    for (let i = 0; i < extra; i++) {
+        value += bytes[offset + 1 + i] * 2 ** (8 * i);
+    }
+    if (extra < 8) {
+        value += (first & (0xff >> (extra + 1))) * 2 ** (8 * extra);
+    }
+    return { value, next: offset + 1 + extra };
+}
+
+function readSections(bytes, start) {
+    const sections = new Map();
+    let offset = start;
+    let lastId = -1;
+    while (offset < bytes.length) {
+        const id = bytes[offset];
+        if (id === SECTION_END_OF_FILE) {
+            return sections;
+        }
+        // Sections are stored in ascending id order, anything else means we
+        // are reading at the wrong header offset
+        if (id <= lastId) {
+            return null;
+        }
+        const length = readVarint(bytes, offset + 1);
+        if (!length || length.next + length.value > bytes.length) {
+            return null;
+        }
+        sections.set(id, { start: length.next, length: length.value });
+        offset = length.next + length.value;
+        lastId = id;
+    }
+    return offset === bytes.length ? sections : null;
+}
+
+/**
+ * Sizes of a PolkaVM blob. Memory fields are null when the blob layout is
+ * not recognised (newer polkavm versions), the blob size is always known.
+ */
+function parsePvmBlob(bytecode) {
+    const bytes = hre.ethers.getBytes(toHexBytecode(bytecode));
+    const result = {
+        blobBytes: bytes.length,
+        codeBytes: null,
+        roDataBytes: null,
+        rwDataBytes: null,
+        stackBytes: null,
+        memoryBytes: null
+    };
+
+    for (const start of PVM_HEADER_OFFSETS) {
+        const sections = readSections(bytes, start);
+        if (!sections) {
+            continue;
+        }
+        const code = sections.get(SECTION_CODE_AND_JUMP_TABLE);
+        if (code) {
+            result.codeBytes = code.length;
+        }
+        const memory = sections.get(SECTION_MEMORY_CONFIG);
+        if (memory) {
+            let offset = memory.start;
+            const values = [];
+            for (let i = 0; i < 3 && offset !== null; i++) {
+                const varint = readVarint(bytes, offset);
+                values.push(varint ? varint.value : null);
+                offset = varint ? varint.next : null;
+            }
+            if (!values.includes(null)) {
+                [result.roDataBytes, result.rwDataBytes, result.stackBytes] = values;
+                result.memoryBytes = values.reduce((sum, value) => sum + value, 0);
+            }
+        }
+        return result;
+    }
+    return result;
+}
+
+function byteLength(bytecode) {
+    return bytecode ? (toHexBytecode(bytecode).length - 2) / 2 : 0;
+}
+
+/**
+ * Artifact directories to measure: the configured one plus the PolkaVM and
+ * EVM directories next to it, whichever exist
+ */
+function getArtifactDirs() {
+    const { root, artifacts } = hre.config.paths;
+    const candidates = [artifacts, path.join(root, "artifacts-pvm"), path.join(root, "artifacts")];
+    return [...new Set(candidates.map(dir => path.resolve(dir)))].filter(dir => fs.existsSync(dir));
+}
+
+function findArtifactFiles(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            // build-info holds compiler input/output, not artifacts
+            if (entry.name !== "build-info") {
+                files.push(...findArtifactFiles(full));
+            }
+        } else if (entry.name.endsWith(".json") && !entry.name.endsWith(".dbg.json")) {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+/**
+ * Measure every deployable artifact, merging the PolkaVM and EVM builds of
+ * the same contract into one entry keyed by fully qualified name
+ *
+ * @returns {object[]} { name, sourceName, fqn, pvm, evm } sorted by name
+ */
+function measureContracts(dirs = getArtifactDirs()) {
+    const contracts = new Map();
+
+    for (const dir of dirs) {
+        for (const file of findArtifactFiles(dir)) {
+            const artifact = JSON.parse(fs.readFileSync(file, "utf8"));
+            if (!artifact.contractName || byteLength(artifact.bytecode) === 0) {
+                continue;
+            }
+            const fqn = `${artifact.sourceName}:${artifact.contractName}`;
+            const entry = contracts.get(fqn) || {
+                name: artifact.contractName,
+                sourceName: artifact.sourceName,
+                fqn,
+                pvm: null,
+                evm: null
+            };
+
+            if (bytecodeSemantics(artifact.bytecode) === "pvm") {
+                entry.pvm = { ...parsePvmBlob(artifact.bytecode), artifact: path.relative(hre.config.paths.root, file) };
+            } else {
+                entry.evm = {
+                    evmBytes: byteLength(artifact.deployedBytecode),
+                    initcodeBytes: byteLength(artifact.bytecode),
+                    artifact: path.relative(hre.config.paths.root, file)
+                };
+            }
+            contracts.set(fqn, entry);
+        }
+    }
+
+    return [...contracts.values()].sort((a, b) => a.name.localeCompare(b.name) || a.fqn.localeCompare(b.fqn));
+}
+
+/**
+ * Load the budgets module (defaults to scripts/config/contract-budgets.js)
+ */
+function loadBudgets(file = process.env.SOFTLAW_BUDGETS) {
+    const resolved = file ? path.resolve(file) : DEFAULT_BUDGETS;
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`❌ Budget file not found: ${resolved}`);
+    }
+    const budgets = require(resolved);
+    return {
+        defaults: {},
+        contracts: {},
+        include: ["contracts/"],
+        exclude: [],
+        historyPath: "deployments/contract-sizes.json",
+        ...budgets
+    };
+}
+
+/**
+ * Limits that apply to a contract, or null if it is only reported
+ */
+function getBudget(budgets, contract) {
+    const gated = budgets.include.some(prefix => contract.sourceName.startsWith(prefix))
+        && !budgets.exclude.some(prefix => contract.sourceName.startsWith(prefix));
+    if (!gated) {
+        return null;
+    }
+    return {
+        ...budgets.defaults,
+        ...budgets.contracts[contract.name],
+        ...budgets.contracts[contract.fqn]
+    };
+}
+
+function metricValue(contract, metric) {
+    if (metric === "evmBytes") {
+        return contract.evm ? contract.evm.evmBytes : null;
+    }
+    return contract.pvm ? contract.pvm[metric] : null;
+}
+
+/**
+ * Check measurements against the budgets
+ *
+ * @param {object[]} contracts From measureContracts
+ * @param {object} budgets From loadBudgets
+ * @param {object} [options]
+ * @param {string[]} [options.metrics] Metrics to gate (defaults to all)
+ * @returns {object[]} Violations: { contract, fqn, metric, size, budget }
+ */
+function checkBudgets(contracts, budgets, options = {}) {
+    const metrics = options.metrics || METRICS;
+    const violations = [];
+
+    for (const contract of contracts) {
+        const budget = getBudget(budgets, contract);
+        contract.budget = budget;
+        contract.over = [];
+        if (!budget) {
+            continue;
+        }
+        for (const metric of metrics) {
+            const size = metricValue(contract, metric);
+            const limit = budget[metric];
+            if (size !== null && limit !== null && limit !== undefined && size > limit) {
+                contract.over.push(metric);
+                violations.push({ contract: contract.name, fqn: contract.fqn, metric, size, budget: limit });
+            }
+        }
+    }
+    return violations;
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) {
+        return "—";
+    }
+    return `${(bytes / 1024).toFixed(1)} KiB`;
+}
+
+function formatDelta(bytes) {
+    if (!bytes) {
+        return "";
+    }
+    return ` (${bytes > 0 ? "+" : "-"}${formatBytes(Math.abs(bytes))})`;
+}
+
+function formatCell(contract, metric) {
+    const size = metricValue(contract, metric);
+    const limit = contract.budget ? contract.budget[metric] : null;
+    const text = formatBytes(size);
+    if (size === null || limit === null || limit === undefined) {
+        return text;
+    }
+    const percent = Math.round((size / limit) * 100);
+    return `${text} ${percent}%${contract.over.includes(metric) ? " ❌" : ""}`;
+}
+
+/**
+ * Report table, one line per contract (only gated contracts unless `all`)
+ */
+function formatReport(contracts, options = {}) {
+    const rows = contracts
+        .filter(contract => options.all || contract.budget)
+        .map(contract => [contract.name, ...METRICS.map(metric => formatCell(contract, metric))]);
+    const header = ["Contract", "PVM blob", "EVM bytecode", "Memory"];
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const line = row => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+    return [line(header), line(widths.map(width => "-".repeat(width))), ...rows.map(line)].join("\n");
+}
+
+function git(command) {
+    try {
+        return execSync(`git ${command}`, { cwd: hre.config.paths.root, stdio: ["ignore", "pipe", "ignore"] })
+            .toString()
+            .trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Current commit, flagged dirty when tracked files have uncommitted changes
+ */
+function getCommit() {
+    const commit = git("rev-parse --short HEAD");
+    if (!commit) {
+        return { commit: "unknown", dirty: false, date: new Date().toISOString(), subject: null };
+    }
+    return {
+        commit,
+        dirty: git("status --porcelain --untracked-files=no") !== "",
+        date: git("log -1 --format=%cI HEAD"),
+        subject: git("log -1 --format=%s HEAD")
+    };
+}
+
+function loadHistory(historyPath) {
+    const resolved = path.resolve(hre.config.paths.root, historyPath);
+    return fs.existsSync(resolved) ? JSON.parse(fs.readFileSync(resolved, "utf8")) : { snapshots: [] };
+}
+
+/**
+ * Record the measurements as the snapshot of the current commit. A commit
+ * keeps one snapshot (plus one for uncommitted changes on top of it); PolkaVM
+ * and EVM builds of the same commit are merged into it, each recording only
+ * the `metrics` it produced.
+ */
+function recordHistory(contracts, historyPath, metrics = METRICS) {
+    const resolved = path.resolve(hre.config.paths.root, historyPath);
+    const history = loadHistory(historyPath);
+    const head = getCommit();
+
+    let snapshot = history.snapshots.find(entry => entry.commit === head.commit && entry.dirty === head.dirty);
+    if (!snapshot) {
+        snapshot = { ...head, contracts: {} };
+        history.snapshots.push(snapshot);
+    }
+    snapshot.recordedAt = new Date().toISOString();
+
+    for (const contract of contracts) {
+        const sizes = { ...snapshot.contracts[contract.fqn] };
+        for (const metric of metrics) {
+            const size = metricValue(contract, metric);
+            if (size !== null) {
+                sizes[metric] = size;
+            }
+        }
+        snapshot.contracts[contract.fqn] = sizes;
+    }
+
+    history.snapshots.sort((a, b) => (a.date || "").localeCompare(b.date || "") || Number(a.dirty) - Number(b.dirty));
+    writeJsonAtomic(resolved, history);
+    return snapshot;
+}
+
+/**
+ * Size changes per contract across the recorded commits
+ *
+ * @param {object} history From loadHistory
+ * @param {object} [options]
+ * @param {string} [options.contract] Only this contract (name or fully qualified name)
+ */
+function formatHistory(history, options = {}) {
+    const fqns = new Set(history.snapshots.flatMap(snapshot => Object.keys(snapshot.contracts)));
+    const selected = [...fqns]
+        .filter(fqn => !options.contract || fqn === options.contract || fqn.endsWith(`:${options.contract}`))
+        .sort();
+
+    const lines = [];
+    for (const fqn of selected) {
+        const changes = [];
+        let previous = {};
+        for (const snapshot of history.snapshots) {
+            const sizes = snapshot.contracts[fqn];
+            if (!sizes) {
+                continue;
+            }
+            const changed = METRICS.filter(metric => sizes[metric] !== undefined && sizes[metric] !== previous[metric]);
+            if (changed.length > 0) {
+                const label = `${snapshot.commit}${snapshot.dirty ? "+" : ""}`;
+                const cells = METRICS.map(metric => {
+                    const delta = previous[metric] !== undefined ? sizes[metric] - previous[metric] : 0;
+                    return `${metric.replace("Bytes", "")} ${formatBytes(sizes[metric])}${formatDelta(delta)}`;
+                });
+                changes.push(`  ${label.padEnd(9)} ${(snapshot.date || "").slice(0, 10)}  ${cells.join("  ")}`);
+            }
+            previous = { ...previous, ...sizes };
+        }
+        if (changes.length > 0) {
+            lines.push(fqn, ...changes);
+        }
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Measure, report and gate. Throws when a gated contract is over budget.
+ *
+ * @param {object} [options]
+ * @param {string} [options.budgets] Budget module path
+ * @param {string[]} [options.metrics] Metrics to gate (defaults to all)
+ * @param {boolean} [options.record] Record the snapshot of the current commit
+ * @param {boolean} [options.all] Also list contracts that are not gated
+ * @param {boolean} [options.quiet] Only print violations
+ */
+function runSizeGate(options = {}) {
+    const budgets = loadBudgets(options.budgets);
+    const contracts = measureContracts();
+    if (contracts.length === 0) {
+        console.log("⚠️  No compiled artifacts found, skipping the size check");
+        return { contracts, violations: [] };
+    }
+
+    const violations = checkBudgets(contracts, budgets, { metrics: options.metrics });
+
+    if (!options.quiet) {
+        console.log("\n📏 Contract sizes (% of budget)\n");
+        console.log(formatReport(contracts, { all: options.all }));
+        const unparsed = contracts.filter(contract => contract.budget && contract.pvm && contract.pvm.memoryBytes === null);
+        if (unparsed.length > 0) {
+            console.log(`\n⚠️  Unrecognised PolkaVM blob layout, memory unknown for: ${unparsed.map(c => c.name).join(", ")}`);
+        }
+    }
+
+    if (options.record) {
+        const snapshot = recordHistory(contracts, budgets.historyPath, options.metrics);
+        if (!options.quiet) {
+            console.log(`\n💾 Sizes recorded for ${snapshot.commit}${snapshot.dirty ? " (uncommitted changes)" : ""} in ${budgets.historyPath}`);
+        }
+    }
+
+    if (violations.length > 0) {
+        const details = violations
+            .map(v => `   ${v.contract} ${v.metric}: ${formatBytes(v.size)} > ${formatBytes(v.budget)} (${v.size} > ${v.budget} bytes)`)
+            .join("\n");
+        throw new Error(`❌ ${violations.length} contract budget(s) exceeded:\n${details}\nRaise the budget in scripts/config/contract-budgets.js if the growth is intended`);
+    }
+    if (!options.quiet) {
+        console.log("\n✅ All contracts within budget");
+    }
+    return { contracts, violations };
+}
+
+/**
+ * Metrics the current network's compile produces: PolkaVM blob and memory
+ * for `polkavm: true` networks, EVM bytecode otherwise
+ */
+function getCompiledMetrics(network = hre.network) {
+    return getSemantics(network) === "pvm" ? ["blobBytes", "memoryBytes"] : ["evmBytes"];
+}
+
+module.exports = {
+    METRICS,
+    readVarint,
+    parsePvmBlob,
+    getArtifactDirs,
+    measureContracts,
+    loadBudgets,
+    getBudget,
+    checkBudgets,
+    formatReport,
+    getCommit,
+    loadHistory,
+    recordHistory,
+    formatHistory,
+    runSizeGate,
+    getCompiledMetrics
+};
@@ -0,0 +1,391 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const path = require("path");
+const registry = require("./deployment-registry");
+const resolver = require("./contract-resolver");
+const { toJson, writeJsonAtomic } = require("./json-file");
+const { getConfirmations } = require("./network-profiles");
+
+const DEPLOYMENTS_DIR = registry.DEPLOYMENTS_DIR;
+const MANIFESTS_DIR = path.join(__dirname, "../manifests");
+
+// How long to wait for a transaction left pending by a previous run
+const PENDING_TX_TIMEOUT = 120000;
+
+/**
+ * Load a deployment manifest by name (scripts/manifests/<name>.js) or path
+ */
+function loadManifest(nameOrPath) {
+    const manifestPath = fs.existsSync(nameOrPath)
+        ? path.resolve(nameOrPath)
+        : path.join(MANIFESTS_DIR, `${nameOrPath}.js`);
+
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`Deployment manifest not found: ${nameOrPath}`);
+    }
+
+    const manifest = require(manifestPath);
+    validateManifest(manifest);
+    return manifest;
+}
+
+function validateManifest(manifest) {
+    if (!manifest.name || !Array.isArray(manifest.steps)) {
+        throw new Error("Deployment manifest needs a name and a steps array");
+    }
+
+    const ids = new Set();
+    const deployed = new Set();
+
+    for (const step of manifest.steps) {
+        if (!step.id) {
+            throw new Error("Every manifest step needs an id");
+        }
+        if (ids.has(step.id)) {
+            throw new Error(`Duplicate manifest step id: ${step.id}`);
+        }
+        ids.add(step.id);
+
+        if (!!step.deploy === !!step.call) {
+            throw new Error(`Step ${step.id} must have exactly one of "deploy" or "call"`);
+        }
+
+        // Contracts can only be referenced after the step that deploys them
+        for (const ref of collectReferences(step.args || [])) {
+            if (!deployed.has(ref)) {
+                throw new Error(`Step ${step.id} references ${ref} before it is deployed`);
+            }
+        }
+
+        if (step.call) {
+            const [target] = step.call.split(".");
+            if (!deployed.has(target)) {
+                throw new Error(`Step ${step.id} calls ${target} before it is deployed`);
+            }
+        } else {
+            deployed.add(step.as || step.deploy);
+        }
+    }
+}
+
+function collectReferences(args) {
+    const refs = [];
+    for (const arg of args) {
+        if (Array.isArray(arg)) {
+            refs.push(...collectReferences(arg));
+        } else if (typeof arg === "string") {
+            const match = arg.match(/^\{([A-Za-z0-9_]+)\}$/);
+            if (match && match[1] !== "deployer") {
+                refs.push(match[1]);
+            }
+        }
+    }
+    return refs;
+}
+
+/**
+ * Resolve manifest placeholders against the current deployment context
+ */
+function resolveArg(arg, context) {
+    if (Array.isArray(arg)) {
+        return arg.map(item => resolveArg(item, context));
+    }
+    if (typeof arg !== "string") {
+        return arg;
+    }
+
+    const match = arg.match(/^\{(?:([a-z]+):)?([^}]+)\}$/);
+    if (!match) {
+        return arg;
+    }
+
+    const [, kind, value] = match;
+    switch (kind) {
+        case "role":
+            return ethers.keccak256(ethers.toUtf8Bytes(value));
+        case "ether":
+            return ethers.parseEther(value);
+        case undefined:
+            if (value === "deployer") {
+                return context.deployer;
+            }
+            if (!context.addresses[value]) {
+                throw new Error(`Unresolved contract reference: ${value}`);
+            }
+            return context.addresses[value];
+        default:
+            throw new Error(`Unknown placeholder type: ${kind}`);
+    }
+}
+
+function getStatePath(network, manifestName) {
+    return path.join(DEPLOYMENTS_DIR, `deployment-state-${manifestName}-${network}.json`);
+}
+
+function loadState(statePath) {
+    if (!fs.existsSync(statePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(statePath, "utf8"));
+}
+
+function saveState(statePath, state) {
+    state.updatedAt = new Date().toISOString();
+    writeJsonAtomic(statePath, state);
+}
+
+/**
+ * Check whether a transaction sent by a previous run made it on-chain
+ */
+async function recoverPendingStep(record, provider, log) {
+    log(`⏳ Checking pending transaction ${record.txHash}...`);
+
+    let receipt = await provider.getTransactionReceipt(record.txHash);
+    if (!receipt) {
+        receipt = await provider
+            .waitForTransaction(record.txHash, getConfirmations(hre.network.name), PENDING_TX_TIMEOUT)
+            .catch(() => null);
+    }
+
+    if (!receipt) {
+        throw new Error(
+            `Transaction ${record.txHash} is still unconfirmed. ` +
+            "Wait for it to be mined or dropped before rerunning"
+        );
+    }
+
+    return receipt.status === 1 ? receipt : null;
+}
+
+async function executeStep(step, context, record, save) {
+    const { signer } = context;
+    const args = (step.args || []).map(arg => resolveArg(arg, context));
+
+    let tx;
+    if (step.deploy) {
+        const factory = await ethers.getContractFactory(context.artifacts[step.deploy], signer);
+        const contract = await factory.deploy(...args);
+        tx = contract.deploymentTransaction();
+    } else {
+        const [target, method] = step.call.split(".");
+        const contract = context.contracts[target];
+        if (typeof contract[method] !== "function") {
+            throw new Error(`${target} has no method ${method}`);
+        }
+        tx = await contract[method](...args);
+    }
+
+    // Persist the hash before waiting so a dropped RPC connection can be recovered
+    Object.assign(record, { status: "pending", txHash: tx.hash, args: JSON.parse(toJson(args)) });
+    save();
+
+    // Wait for the confirmation depth of the network profile
+    const receipt = await tx.wait(getConfirmations(hre.network.name));
+    if (!receipt || receipt.status !== 1) {
+        throw new Error(`Transaction ${tx.hash} reverted`);
+    }
+    return receipt;
+}
+
+async function completeStep(step, receipt, context, record) {
+    Object.assign(record, {
+        status: "done",
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        completedAt: new Date().toISOString()
+    });
+    delete record.error;
+
+    if (step.deploy) {
+        record.address = receipt.contractAddress;
+        await attachContract(step, record.address, context);
+        await registry.recordDeployment(step.as || step.deploy, {
+            artifact: context.artifacts[step.deploy],
+            address: record.address,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            deployer: context.deployer
+        });
+    }
+}
+
+async function attachContract(step, address, context) {
+    const name = step.as || step.deploy;
+    context.addresses[name] = address;
+    context.contracts[name] = await ethers.getContractAt(context.artifacts[step.deploy], address, context.signer);
+}
+
+/**
+ * Resolve every artifact the manifest touches and check each call against
+ * the resolved ABI before anything is sent
+ */
+async function preflight(manifest, profileName) {
+    const components = new Set(manifest.steps.filter(step => step.deploy).map(step => step.deploy));
+    (manifest.abis || []).forEach(name => components.add(name));
+    const artifacts = await resolver.assertComponents([...components], profileName);
+
+    const deployedAs = {};
+    const errors = [];
+    for (const step of manifest.steps) {
+        const argCount = (step.args || []).length;
+
+        if (step.deploy) {
+            deployedAs[step.as || step.deploy] = step.deploy;
+            const artifact = await hre.artifacts.readArtifact(artifacts[step.deploy]);
+            const constructor = artifact.abi.find(item => item.type === "constructor");
+            const expected = constructor ? constructor.inputs.length : 0;
+            if (expected !== argCount) {
+                errors.push(`Step ${step.id}: ${artifacts[step.deploy]} constructor takes ${expected} argument(s), manifest passes ${argCount}`);
+            }
+            continue;
+        }
+
+        const [target, method] = step.call.split(".");
+        const artifact = await hre.artifacts.readArtifact(artifacts[deployedAs[target]]);
+        const candidates = artifact.abi.filter(item => item.type === "function" && item.name === method);
+
+        if (candidates.length === 0) {
+            errors.push(`Step ${step.id}: ${artifacts[deployedAs[target]]} has no function ${method}`);
+        } else if (!candidates.some(fn => fn.inputs.length === argCount)) {
+            const arities = candidates.map(fn => fn.inputs.length).join(" or ");
+            errors.push(`Step ${step.id}: ${method} takes ${arities} argument(s), manifest passes ${argCount}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`❌ Manifest ${manifest.name} does not match the compiled contracts:\n  ${errors.join("\n  ")}`);
+    }
+    return artifacts;
+}
+
+/**
+ * Run a deployment manifest, resuming from the last completed step
+ * recorded in deployments/deployment-state-<manifest>-<network>.json
+ *
+ * @param {object|string} manifestOrName Manifest object or manifest name
+ * @param {object} [options]
+ * @param {object} [options.signer] Signer to deploy with (defaults to the first account)
+ * @param {boolean} [options.fresh] Ignore any previous state and start over
+ * @param {string} [options.profile] Contract resolution profile (defaults to manifest.profile)
+ * @param {Function} [options.log] Logger (defaults to console.log)
+ */
+async function runManifest(manifestOrName, options = {}) {
+    const manifest = typeof manifestOrName === "string" ? loadManifest(manifestOrName) : manifestOrName;
+    if (typeof manifestOrName !== "string") {
+        validateManifest(manifest);
+    }
+
+    const log = options.log || console.log;
+    const signer = options.signer || (await ethers.getSigners())[0];
+    const network = hre.network.name;
+    const statePath = options.statePath || getStatePath(network, manifest.name);
+    const profile = options.profile || manifest.profile;
+    const artifacts = await preflight(manifest, profile);
+
+    let state = options.fresh ? null : loadState(statePath);
+    if (state && state.deployer !== signer.address) {
+        throw new Error(
+            `Existing ${manifest.name} deployment on ${network} was made by ${state.deployer}. ` +
+            "Use the same account or start a fresh deployment"
+        );
+    }
+
+    if (state && state.profile && state.profile !== resolver.getProfile(profile).name) {
+        throw new Error(
+            `Existing ${manifest.name} deployment on ${network} uses profile "${state.profile}". ` +
+            "Use the same profile or start a fresh deployment"
+        );
+    }
+
+    if (state) {
+        const done = Object.values(state.steps).filter(s => s.status === "done").length;
+        log(`♻️  Resuming ${manifest.name} deployment (${done}/${manifest.steps.length} steps done)`);
+    } else {
+        state = {
+            manifest: manifest.name,
+            network,
+            deployer: signer.address,
+            profile: resolver.getProfile(profile).name,
+            startedAt: new Date().toISOString(),
+            steps: {}
+        };
+    }
+
+    const save = () => saveState(statePath, state);
+    const context = {
+        signer,
+        deployer: signer.address,
+        artifacts,
+        addresses: {},
+        contracts: {}
+    };
+
+    for (const [index, step] of manifest.steps.entries()) {
+        const label = `${index + 1}/${manifest.steps.length} ${step.id}`;
+        const record = state.steps[step.id] || (state.steps[step.id] = {});
+
+        if (record.status === "pending") {
+            const receipt = await recoverPendingStep(record, signer.provider, log);
+            if (receipt) {
+                await completeStep(step, receipt, context, record);
+                save();
+                log(`✅ ${label} (confirmed from previous run)`);
+                continue;
+            }
+            record.status = "failed";
+            log(`⚠️  ${label} reverted in previous run, retrying`);
+        }
+
+        if (record.status === "done") {
+            if (step.deploy) {
+                const code = await signer.provider.getCode(record.address);
+                if (code === "0x") {
+                    throw new Error(
+                        `${step.deploy} recorded at ${record.address} has no code on ${network}. ` +
+                        "The state file is stale; start a fresh deployment"
+                    );
+                }
+                await attachContract(step, record.address, context);
+            }
+            log(`⏭️  ${label} (already done)`);
+            continue;
+        }
+
+        log(`📦 ${label}...`);
+        try {
+            const receipt = await executeStep(step, context, record, save);
+            await completeStep(step, receipt, context, record);
+            save();
+            log(`✅ ${label}${record.address ? `: ${record.address}` : ""}`);
+        } catch (error) {
+            if (record.status !== "pending") {
+                record.status = "failed";
+            }
+            record.error = error.message;
+            save();
+            throw new Error(`Step ${step.id} failed: ${error.message}`);
+        }
+    }
+
+    state.completedAt = new Date().toISOString();
+    save();
+
+    return {
+        manifest,
+        state,
+        statePath,
+        addresses: context.addresses,
+        contracts: context.contracts
+    };
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    loadManifest,
+    validateManifest,
+    resolveArg,
+    getStatePath,
+    loadState,
+    runManifest
+};
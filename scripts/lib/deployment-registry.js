@@ -0,0 +1,207 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const resolver = require("./contract-resolver");
+const { writeJsonAtomic } = require("./json-file");
+
+// A dry run (scripts/lib/dry-run.js) points this at a scratch copy
+const DEPLOYMENTS_DIR = process.env.SOFTLAW_DEPLOYMENTS_DIR
+    ? path.resolve(process.env.SOFTLAW_DEPLOYMENTS_DIR)
+    : path.join(__dirname, "../../deployments");
+const REGISTRY_VERSION = 1;
+
+/**
+ * Network-aware registry of deployed Softlaw contracts
+ *
+ * One file per network (deployments/registry-<network>.json) holding, for
+ * every contract name, the current address, ABI, deployment tx hash, block
+ * number, compiler versions and deployer, plus the history of previous
+ * deployments under the same name.
+ */
+
+function getRegistryPath(network = hre.network.name) {
+    return path.join(DEPLOYMENTS_DIR, `registry-${network}.json`);
+}
+
+function getLegacyAddressPath(network) {
+    return path.join(DEPLOYMENTS_DIR, `contract-addresses-${network}.json`);
+}
+
+function emptyRegistry(network) {
+    return {
+        version: REGISTRY_VERSION,
+        network,
+        contracts: {},
+        abis: {},
+        history: {}
+    };
+}
+
+function loadRegistry(network = hre.network.name) {
+    const registryPath = getRegistryPath(network);
+    if (fs.existsSync(registryPath)) {
+        return JSON.parse(fs.readFileSync(registryPath, "utf8"));
+    }
+
+    // Import address files written by older scripts
+    const registry = emptyRegistry(network);
+    const legacyPath = getLegacyAddressPath(network);
+    if (fs.existsSync(legacyPath)) {
+        const addresses = JSON.parse(fs.readFileSync(legacyPath, "utf8"));
+        for (const [name, address] of Object.entries(addresses)) {
+            registry.contracts[name] = { name, address, version: 1, importedFrom: path.basename(legacyPath) };
+        }
+    }
+    return registry;
+}
+
+function saveRegistry(registry) {
+    registry.updatedAt = new Date().toISOString();
+    writeJsonAtomic(getRegistryPath(registry.network), registry);
+}
+
+async function getCompilerInfo(artifactName) {
+    const compiler = { solc: null, resolc: null };
+
+    try {
+        const artifact = await hre.artifacts.readArtifact(artifactName);
+        const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+        if (buildInfo) {
+            compiler.solc = buildInfo.solcLongVersion || buildInfo.solcVersion;
+        }
+    } catch {
+        // Artifact or build info missing, fall back to the configured version
+    }
+
+    if (!compiler.solc && hre.config.solidity && hre.config.solidity.compilers) {
+        compiler.solc = hre.config.solidity.compilers[0].version;
+    }
+    if (hre.config.resolc) {
+        compiler.resolc = hre.config.resolc.version || null;
+    }
+    return compiler;
+}
+
+/**
+ * Record a deployment, moving any previous entry under the same name into history
+ *
+ * @param {string} name Logical contract name (e.g. "SLAWToken")
+ * @param {object} deployment
+ * @param {string} deployment.address Deployed address
+ * @param {string} [deployment.artifact] Component or fully qualified artifact name (defaults to name)
+ * @param {string} [deployment.txHash] Deployment transaction hash
+ * @param {number} [deployment.blockNumber] Block the deployment was mined in
+ * @param {string} [deployment.deployer] Deploying account
+ * @param {string} [network] Network name (defaults to the current Hardhat network)
+ */
+async function recordDeployment(name, deployment, network = hre.network.name) {
+    const artifactName = await resolver.resolveArtifact(deployment.artifact || name);
+    const artifact = await hre.artifacts.readArtifact(artifactName);
+    const compiler = await getCompilerInfo(artifactName);
+
+    const registry = loadRegistry(network);
+    const previous = registry.contracts[name];
+
+    if (previous && previous.address === deployment.address) {
+        return previous;
+    }
+
+    if (previous) {
+        registry.history[name] = registry.history[name] || [];
+        registry.history[name].push({ ...previous, abi: undefined, replacedAt: new Date().toISOString() });
+    }
+
+    const entry = {
+        name,
+        artifact: `${artifact.sourceName}:${artifact.contractName}`,
+        address: deployment.address,
+        abi: artifact.abi,
+        txHash: deployment.txHash || null,
+        blockNumber: deployment.blockNumber ?? null,
+        deployer: deployment.deployer || null,
+        compiler,
+        deployedAt: new Date().toISOString(),
+        version: previous ? (previous.version || 1) + 1 : 1
+    };
+
+    registry.contracts[name] = entry;
+    saveRegistry(registry);
+    return entry;
+}
+
+/**
+ * Store the ABI of a contract that is created at runtime rather than
+ * deployed directly (e.g. PersonalizedWrappedIPToken)
+ */
+async function recordAbi(name, artifactName = name, network = hre.network.name) {
+    const artifact = await hre.artifacts.readArtifact(await resolver.resolveArtifact(artifactName));
+    const registry = loadRegistry(network);
+    registry.abis[name] = artifact.abi;
+    saveRegistry(registry);
+}
+
+function getDeployment(name, network = hre.network.name) {
+    const entry = loadRegistry(network).contracts[name];
+    if (!entry) {
+        throw new Error(`❌ ${name} not found in deployment registry for network: ${network}`);
+    }
+    return entry;
+}
+
+function hasDeployment(name, network = hre.network.name) {
+    return Boolean(loadRegistry(network).contracts[name]);
+}
+
+/**
+ * Map of contract name to current address, the shape scripts used to read
+ * from contract-addresses-<network>.json
+ */
+function getAddresses(network = hre.network.name) {
+    const registry = loadRegistry(network);
+    const addresses = {};
+    for (const [name, entry] of Object.entries(registry.contracts)) {
+        addresses[name] = entry.address;
+    }
+    if (Object.keys(addresses).length === 0) {
+        throw new Error(`❌ No deployments recorded for network: ${network}. Run deploy-integration.js first`);
+    }
+    return addresses;
+}
+
+function getAbi(name, network = hre.network.name) {
+    const registry = loadRegistry(network);
+    const abi = registry.contracts[name] ? registry.contracts[name].abi : registry.abis[name];
+    if (!abi) {
+        throw new Error(`❌ No ABI recorded for ${name} on network: ${network}`);
+    }
+    return abi;
+}
+
+function getHistory(name, network = hre.network.name) {
+    const registry = loadRegistry(network);
+    const history = registry.history[name] || [];
+    return registry.contracts[name] ? [...history, registry.contracts[name]] : history;
+}
+
+/**
+ * Attach an ethers contract to a registered deployment
+ */
+async function getContract(name, signer, network = hre.network.name) {
+    const entry = getDeployment(name, network);
+    const artifact = entry.artifact || (await resolver.resolveArtifact(name));
+    return hre.ethers.getContractAt(artifact, entry.address, signer);
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    getRegistryPath,
+    loadRegistry,
+    recordDeployment,
+    recordAbi,
+    getDeployment,
+    hasDeployment,
+    getAddresses,
+    getAbi,
+    getHistory,
+    getContract
+};
@@ -0,0 +1,672 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const {
+    AbiCoder,
+    Contract,
+    FetchRequest,
+    Interface,
+    JsonRpcProvider,
+    Transaction,
+    Wallet,
+    ZeroAddress,
+    ZeroHash,
+    formatUnits,
+    id,
+    parseEther
+} = require("ethers");
+const { createDecoder } = require("../../sdk/decoder");
+const { assertNetworkReady, getNetworkProfile } = require("./network-profiles");
+const signerProvider = require("./signer-provider");
+const { writeJsonAtomic } = require("./json-file");
+
+/**
+ * Dry runs: run a script or task against a local copy of a network and
+ * report what it would have done, without broadcasting anything
+ *
+ * `--dry-run` on `hardhat run` and the transaction-sending softlaw tasks
+ * calls runDryRun(hre) instead of the task, which:
+ *
+ *   1. checks the target profile without contacting its RPC
+ *   2. starts `hardhat node` as a fork of the profile's `forkUrl`, or as a
+ *      fresh dev chain (SOFTLAW_DRY_RUN_MODE=ephemeral, or no forkUrl) with
+ *      the target's signers funded by the dev account. SOFTLAW_DRY_RUN_URL
+ *      uses an already running node instead.
+ *   3. re-runs the same command with the target network pointed at that node
+ *      (SOFTLAW_DRY_RUN, see toHardhatNetworks) and deployments/ redirected
+ *      to a scratch copy, so registries and resume state stay untouched
+ *   4. reports every transaction the command sent: decoded calldata, estimated
+ *      and actual fees, roles granted or revoked, ownership and balance moves
+ *
+ * The command runs in other processes (`hardhat run` even forks the script),
+ * so they journal their transactions to a file (journalRequests) and the
+ * report is built here, from the node, before it is stopped.
+ *
+ * Does not require("hardhat"): it is loaded while the runtime is being
+ * extended, the runtime is passed in where needed.
+ */
+
+const ROOT = path.join(__dirname, "..", "..");
+const DEPLOYMENTS_DIR = path.join(ROOT, "deployments");
+
+const JOURNALED_SENDS = ["eth_sendTransaction", "eth_sendRawTransaction"];
+const NODE_START_TIMEOUT = 180000;
+const NODE_STOP_TIMEOUT = 15000;
+// Given to each target signer on an ephemeral node
+const DEV_FUNDING = parseEther("1000");
+
+const TOKEN_ABI = [
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)"
+];
+
+function quantity(value) {
+    return value === null || value === undefined ? null : BigInt(value).toString();
+}
+
+function journalKey(tx) {
+    return `${(tx.to || "").toLowerCase()}:${(tx.data || tx.input || "0x").toLowerCase()}`;
+}
+
+/**
+ * Append every transaction sent through `provider` to a JSON-lines journal,
+ * with the gas estimate requested for it. Writes are synchronous: scripts
+ * end with process.exit().
+ */
+function journalRequests(provider, file) {
+    const originalRequest = provider.request.bind(provider);
+    const originalSend = typeof provider.send === "function" ? provider.send.bind(provider) : null;
+    const estimates = new Map();
+
+    function capture(method, params, result, error) {
+        if (method === "eth_estimateGas" && !error) {
+            estimates.set(journalKey(params[0]), quantity(result));
+            return;
+        }
+        if (!JOURNALED_SENDS.includes(method)) {
+            return;
+        }
+        let tx;
+        if (method === "eth_sendRawTransaction") {
+            const signed = Transaction.from(params[0]);
+            tx = {
+                from: signed.from,
+                to: signed.to,
+                data: signed.data,
+                value: quantity(signed.value),
+                gasLimit: quantity(signed.gasLimit),
+                gasPrice: quantity(signed.gasPrice ?? signed.maxFeePerGas)
+            };
+        } else {
+            const request = params[0];
+            tx = {
+                from: request.from,
+                to: request.to || null,
+                data: request.data || request.input || "0x",
+                value: quantity(request.value || 0),
+                gasLimit: quantity(request.gas),
+                gasPrice: quantity(request.gasPrice ?? request.maxFeePerGas)
+            };
+        }
+        const entry = {
+            hash: result || null,
+            tx,
+            estimate: estimates.get(journalKey(tx)) || null,
+            error: error ? error.shortMessage || error.message : null
+        };
+        fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    }
+
+    async function journal(method, params, forward) {
+        try {
+            const result = await forward();
+            capture(method, params, result, null);
+            return result;
+        } catch (error) {
+            capture(method, params, null, error);
+            throw error;
+        }
+    }
+
+    provider.request = (args) => journal(args.method, args.params || [], () => originalRequest(args));
+    if (originalSend) {
+        provider.send = (method, params = []) => journal(method, params, () => originalSend(method, params));
+    }
+}
+
+function readJournal(file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(line => JSON.parse(line));
+}
+
+async function rpcReady(url) {
+    const request = new FetchRequest(url);
+    request.method = "POST";
+    request.setHeader("content-type", "application/json");
+    request.body = JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] });
+    request.timeout = 5000;
+    try {
+        const response = await request.send();
+        return response.statusCode === 200 && response.bodyJson.result !== undefined;
+    } catch {
+        return false;
+    }
+}
+
+function tail(file, lines = 20) {
+    return fs.existsSync(file) ? fs.readFileSync(file, "utf8").trimEnd().split("\n").slice(-lines).join("\n") : "";
+}
+
+/**
+ * Start `hardhat node` for a dry run of `target` (see toDryRunNodeConfig)
+ *
+ * @returns {Promise<object>} { url, stop() }
+ */
+async function startNode(target, mode, sandbox) {
+    const port = Number(process.env.SOFTLAW_DRY_RUN_PORT || 8546);
+    const url = `http://127.0.0.1:${port}`;
+    if (await rpcReady(url)) {
+        throw new Error(`❌ Port ${port} is already serving an RPC, set SOFTLAW_DRY_RUN_PORT or SOFTLAW_DRY_RUN_URL`);
+    }
+
+    const logFile = path.join(sandbox, "node.log");
+    const log = fs.openSync(logFile, "a");
+    const env = { ...process.env, SOFTLAW_DRY_RUN_NODE: target, SOFTLAW_DRY_RUN_MODE: mode };
+    delete env.HARDHAT_NETWORK;
+
+    // Own process group, so the substrate node and eth-rpc adapter it spawns stop with it
+    const node = spawn(process.execPath, [process.argv[1], "node"], {
+        cwd: ROOT,
+        env,
+        stdio: ["ignore", log, log],
+        detached: true
+    });
+    let exited = false;
+    const exit = new Promise(resolve => node.once("exit", () => {
+        exited = true;
+        resolve();
+    }));
+
+    async function stop() {
+        if (exited) {
+            fs.closeSync(log);
+            return;
+        }
+        const signal = name => {
+            try {
+                process.kill(-node.pid, name);
+            } catch {
+                // Already gone
+            }
+        };
+        signal("SIGINT");
+        const stopped = await Promise.race([exit.then(() => true), new Promise(resolve => setTimeout(resolve, NODE_STOP_TIMEOUT, false))]);
+        if (!stopped) {
+            signal("SIGKILL");
+            await exit;
+        }
+        fs.closeSync(log);
+    }
+
+    const deadline = Date.now() + NODE_START_TIMEOUT;
+    while (!(await rpcReady(url))) {
+        if (exited || Date.now() > deadline) {
+            await stop();
+            const reason = exited ? "exited" : `did not answer within ${NODE_START_TIMEOUT / 1000}s`;
+            throw new Error(`❌ Dry-run node for ${target} ${reason}:\n${tail(logFile)}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    return { url, stop };
+}
+
+/**
+ * Copy of deployments/ the dry run may write to (indexes and matrix recordings are left out)
+ */
+function createSandbox() {
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-dry-run-"));
+    const deployments = path.join(sandbox, "deployments");
+    if (fs.existsSync(DEPLOYMENTS_DIR)) {
+        fs.cpSync(DEPLOYMENTS_DIR, deployments, {
+            recursive: true,
+            filter: source => !/\.sqlite/.test(source) && path.basename(source) !== "backend-matrix"
+        });
+    } else {
+        fs.mkdirSync(deployments);
+    }
+    return sandbox;
+}
+
+async function fundAccounts(provider, addresses) {
+    const funder = new Wallet(signerProvider.DEV_KEYS[0], provider);
+    for (const address of addresses) {
+        if (address.toLowerCase() === funder.address.toLowerCase() || (await provider.getBalance(address)) > 0n) {
+            continue;
+        }
+        await (await funder.sendTransaction({ to: address, value: DEV_FUNDING })).wait();
+    }
+}
+
+/**
+ * Re-run the current command against the dry-run node
+ *
+ * @returns {Promise<number>} Exit code
+ */
+function runCommand(target, url, mode, sandbox, journal) {
+    const args = process.argv.slice(2).filter(arg => arg !== "--dry-run");
+    const child = spawn(process.execPath, [process.argv[1], ...args], {
+        cwd: process.cwd(),
+        stdio: "inherit",
+        env: {
+            ...process.env,
+            SOFTLAW_DRY_RUN: target,
+            SOFTLAW_DRY_RUN_URL: url,
+            SOFTLAW_DRY_RUN_MODE: mode,
+            SOFTLAW_DRY_RUN_JOURNAL: journal,
+            SOFTLAW_DEPLOYMENTS_DIR: path.join(sandbox, "deployments")
+        }
+    });
+    return new Promise((resolve, reject) => {
+        child.once("error", reject);
+        child.once("exit", code => resolve(code ?? 1));
+    });
+}
+
+/**
+ * Names of role constants (MINTER_ROLE, MARKETPLACE_CONTRACT, ...) by role id
+ */
+function collectRoleNames(abis) {
+    const roles = new Map([[ZeroHash, "DEFAULT_ADMIN_ROLE"]]);
+    for (const abi of Object.values(abis)) {
+        for (const item of abi) {
+            const constant = item.type === "function" && item.inputs.length === 0 && /^[A-Z][A-Z0-9_]*$/.test(item.name);
+            if (constant && item.outputs.length === 1 && item.outputs[0].type === "bytes32" && item.name !== "DEFAULT_ADMIN_ROLE") {
+                roles.set(id(item.name), item.name);
+            }
+        }
+    }
+    return roles;
+}
+
+/**
+ * Build the dry-run report from the journal and the node's receipts
+ *
+ * @param {object} hre Hardhat runtime (for the compiled artifacts)
+ * @param {object} options
+ * @param {object} options.provider Provider connected to the dry-run node
+ * @param {object[]} options.journal Journal entries (journalRequests)
+ * @param {object} options.profile Target network profile
+ * @param {string} options.mode fork or ephemeral
+ * @param {number} options.startBlock Block before the command ran
+ * @param {string[]} options.signers Target signer addresses
+ * @param {object} options.registry Registry written by the command (or null)
+ */
+async function buildReport(hre, { provider, journal, profile, mode, startBlock, signers, registry }) {
+    const abis = {};
+    const functions = new Map();
+    const creations = [];
+    for (const fqn of await hre.artifacts.getAllFullyQualifiedNames()) {
+        const { contractName, abi, bytecode } = await hre.artifacts.readArtifact(fqn);
+        abis[abis[contractName] ? fqn : contractName] = abi;
+        if (bytecode && bytecode !== "0x") {
+            // hardhat-polkadot writes the bytecode without the 0x prefix
+            const hex = bytecode.startsWith("0x") ? bytecode : `0x${bytecode}`;
+            creations.push({ name: contractName, bytecode: hex.toLowerCase(), iface: new Interface(abi) });
+        }
+    }
+    creations.sort((a, b) => b.bytecode.length - a.bytecode.length);
+
+    // Registry entries carry their ABI under the component name
+    const known = {};
+    for (const [name, entry] of Object.entries((registry && registry.contracts) || {})) {
+        abis[name] = entry.abi;
+        known[name] = entry.address;
+    }
+    for (const abi of Object.values(abis)) {
+        new Interface(abi).forEachFunction(fragment => {
+            if (!functions.has(fragment.selector)) {
+                functions.set(fragment.selector, fragment);
+            }
+        });
+    }
+
+    const decoder = createDecoder({ abis, addresses: known });
+    const roleNames = collectRoleNames(abis);
+    const labels = new Map([[ZeroAddress, "address(0)"]]);
+    signers.forEach((address, i) => labels.set(address.toLowerCase(), `signer${i}`));
+
+    const label = address => {
+        if (!address) {
+            return null;
+        }
+        return labels.get(address.toLowerCase()) || decoder.contractAt(address) || address;
+    };
+    const decodeArgs = (inputs, values) =>
+        Object.fromEntries(inputs.map((input, i) => [input.name || `arg${i}`, format(values[i])]));
+    const format = value => {
+        if (typeof value === "bigint") {
+            return value.toString();
+        }
+        if (typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value)) {
+            return label(value);
+        }
+        if (typeof value === "string" && roleNames.has(value.toLowerCase())) {
+            return roleNames.get(value.toLowerCase());
+        }
+        if (Array.isArray(value)) {
+            return Array.from(value, format);
+        }
+        return value;
+    };
+
+    const tokens = new Map();
+    async function tokenInfo(address) {
+        const key = address.toLowerCase();
+        if (!tokens.has(key)) {
+            const token = new Contract(address, TOKEN_ABI, provider);
+            const [decimals, symbol] = await Promise.all([
+                token.decimals().then(Number).catch(() => 18),
+                token.symbol().catch(() => label(address))
+            ]);
+            tokens.set(key, { decimals, symbol });
+        }
+        return tokens.get(key);
+    }
+
+    const tokenDeltas = new Map();
+    function move(asset, account, amount) {
+        const key = `${asset}|${account}`;
+        tokenDeltas.set(key, (tokenDeltas.get(key) || 0n) + amount);
+    }
+
+    const touched = new Set(signers.map(address => address.toLowerCase()));
+    const transactions = [];
+    for (const [index, entry] of journal.entries()) {
+        const { tx } = entry;
+        touched.add(tx.from.toLowerCase());
+
+        let contract = label(tx.to);
+        let method = "transfer";
+        let args = {};
+        if (!tx.to) {
+            const match = creations.find(creation => (tx.data || "").toLowerCase().startsWith(creation.bytecode));
+            contract = match ? match.name : "unknown contract";
+            method = "deploy";
+            if (match && match.iface.deploy.inputs.length > 0) {
+                try {
+                    const encoded = `0x${tx.data.slice(match.bytecode.length)}`;
+                    args = decodeArgs(match.iface.deploy.inputs, AbiCoder.defaultAbiCoder().decode(match.iface.deploy.inputs, encoded));
+                } catch {
+                    args = { constructorArgs: `0x${tx.data.slice(match.bytecode.length)}` };
+                }
+            }
+        } else if (tx.data && tx.data.length >= 10) {
+            const fragment = functions.get(tx.data.slice(0, 10).toLowerCase());
+            if (fragment) {
+                method = fragment.name;
+                try {
+                    args = decodeArgs(fragment.inputs, new Interface([fragment]).decodeFunctionData(fragment, tx.data));
+                } catch {
+                    args = { calldata: tx.data };
+                }
+            } else {
+                method = tx.data.slice(0, 10);
+            }
+        }
+        if (tx.to) {
+            touched.add(tx.to.toLowerCase());
+        }
+
+        const gasPrice = tx.gasPrice ? BigInt(tx.gasPrice) : null;
+        const record = {
+            index: index + 1,
+            hash: entry.hash,
+            from: label(tx.from),
+            to: tx.to,
+            contract,
+            method,
+            args,
+            value: tx.value || "0",
+            status: "failed",
+            error: entry.error,
+            gasEstimate: entry.estimate,
+            gasLimit: tx.gasLimit,
+            gasUsed: null,
+            estimatedFee: gasPrice !== null && (entry.estimate || tx.gasLimit)
+                ? (BigInt(entry.estimate || tx.gasLimit) * gasPrice).toString()
+                : null,
+            fee: null,
+            deployed: null,
+            changes: []
+        };
+        transactions.push(record);
+        if (!entry.hash) {
+            continue;
+        }
+
+        const receipt = await provider.getTransactionReceipt(entry.hash);
+        if (!receipt) {
+            record.status = "pending";
+            continue;
+        }
+        record.status = receipt.status === 1 ? "success" : "reverted";
+        record.error = record.status === "reverted" ? "reverted on chain" : null;
+        record.gasUsed = receipt.gasUsed.toString();
+        record.fee = (receipt.gasUsed * (receipt.gasPrice ?? gasPrice ?? 0n)).toString();
+        if (record.estimatedFee === null) {
+            record.estimatedFee = record.fee;
+        }
+
+        if (receipt.contractAddress) {
+            record.deployed = receipt.contractAddress;
+            touched.add(receipt.contractAddress.toLowerCase());
+            if (abis[contract]) {
+                decoder.register(contract, receipt.contractAddress);
+            }
+        }
+        if (BigInt(record.value) > 0n) {
+            record.changes.push({ type: "native", from: label(tx.from), to: label(tx.to || receipt.contractAddress), amount: record.value });
+        }
+
+        for (const event of decoder.decodeReceipt(receipt)) {
+            const values = event.args.toObject();
+            const emitter = label(event.address);
+            if (event.name === "RoleGranted" || event.name === "RoleRevoked") {
+                record.changes.push({
+                    type: "role",
+                    action: event.name === "RoleGranted" ? "granted" : "revoked",
+                    contract: emitter,
+                    role: roleNames.get(values.role.toLowerCase()) || values.role,
+                    account: label(values.account)
+                });
+            } else if (event.name === "OwnershipTransferred") {
+                record.changes.push({ type: "owner", contract: emitter, from: label(values.previousOwner), to: label(values.newOwner) });
+            } else if (event.signature === "Transfer(address,address,uint256)" && values.tokenId !== undefined) {
+                record.changes.push({ type: "nft", contract: emitter, tokenId: values.tokenId.toString(), from: label(values.from), to: label(values.to) });
+            } else if (event.signature === "Transfer(address,address,uint256)") {
+                const amount = values.value ?? event.args[2];
+                const { decimals, symbol } = await tokenInfo(event.address);
+                record.changes.push({
+                    type: "token",
+                    contract: emitter,
+                    symbol,
+                    from: label(values.from),
+                    to: label(values.to),
+                    amount: formatUnits(amount, decimals)
+                });
+                move(event.address, values.from, -amount);
+                move(event.address, values.to, amount);
+            }
+        }
+    }
+
+    const balances = [];
+    for (const address of touched) {
+        const before = await provider.getBalance(address, startBlock);
+        const after = await provider.getBalance(address, "latest");
+        if (before !== after) {
+            balances.push({ account: label(address), asset: profile.currency || "native", delta: formatUnits(after - before, 18) });
+        }
+    }
+    for (const [key, delta] of tokenDeltas) {
+        const [token, account] = key.split("|");
+        if (delta !== 0n && !/^0x0{40}$/.test(account)) {
+            const { decimals, symbol } = await tokenInfo(token);
+            balances.push({ account: label(account), asset: symbol, delta: formatUnits(delta, decimals) });
+        }
+    }
+
+    const sum = field => transactions.reduce((total, tx) => total + BigInt(tx[field] || 0), 0n).toString();
+    return {
+        network: profile.name,
+        mode,
+        forkUrl: mode === "fork" ? profile.forkUrl : null,
+        currency: profile.currency || "native",
+        createdAt: new Date().toISOString(),
+        totals: {
+            transactions: transactions.length,
+            failed: transactions.filter(tx => tx.status !== "success").length,
+            gasUsed: sum("gasUsed"),
+            estimatedFee: sum("estimatedFee"),
+            fee: sum("fee")
+        },
+        transactions,
+        balances
+    };
+}
+
+function describeChange(change, currency) {
+    switch (change.type) {
+        case "role":
+            return `🔑 ${change.contract}: ${change.role} ${change.action} ${change.action === "granted" ? "to" : "from"} ${change.account}`;
+        case "owner":
+            return `👑 ${change.contract}: ownership ${change.from} → ${change.to}`;
+        case "nft":
+            return `🖼️  ${change.contract} #${change.tokenId}: ${change.from} → ${change.to}`;
+        case "token":
+            return `💸 ${change.amount} ${change.symbol}: ${change.from} → ${change.to}`;
+        default:
+            return `💸 ${formatUnits(change.amount, 18)} ${currency}: ${change.from} → ${change.to}`;
+    }
+}
+
+function formatReport(report) {
+    const currency = report.currency;
+    const fee = value => (value === null ? "?" : `${formatUnits(value, 18)} ${currency}`);
+    const lines = [
+        `\n🧪 Dry run on ${report.network} (${report.mode === "fork" ? `fork of ${report.forkUrl}` : "ephemeral node"}), nothing was broadcast`
+    ];
+
+    for (const tx of report.transactions) {
+        const icon = tx.status === "success" ? "✅" : "❌";
+        const args = Object.entries(tx.args).map(([name, value]) => `${name}=${JSON.stringify(value)}`).join(", ");
+        const target = tx.method === "deploy" ? tx.contract : `${tx.contract}.${tx.method}`;
+        lines.push(`\n${icon} #${tx.index} ${target}(${args}) from ${tx.from}`);
+        if (tx.deployed) {
+            lines.push(`   📍 deployed at ${tx.deployed}`);
+        }
+        if (tx.error) {
+            lines.push(`   ${tx.error}`);
+        }
+        const estimate = tx.gasEstimate ? `estimated ${tx.gasEstimate}` : tx.gasLimit ? `limit ${tx.gasLimit}` : "no estimate";
+        lines.push(`   ⛽ gas ${tx.gasUsed ?? "-"} (${estimate}), fee ${fee(tx.fee)} (estimated ${fee(tx.estimatedFee)})`);
+        for (const change of tx.changes) {
+            lines.push(`   ${describeChange(change, currency)}`);
+        }
+    }
+
+    const { totals } = report;
+    lines.push(`\n📊 ${totals.transactions} transaction(s), ${totals.failed} failed, gas ${totals.gasUsed}, fees ${fee(totals.fee)} (estimated ${fee(totals.estimatedFee)})`);
+    if (report.balances.length > 0) {
+        lines.push("   Balance changes:");
+        for (const balance of report.balances) {
+            const delta = balance.delta.startsWith("-") ? balance.delta : `+${balance.delta}`;
+            lines.push(`     ${balance.account}: ${delta} ${balance.asset}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+function writeReport(report, outputPath = path.join(DEPLOYMENTS_DIR, `dry-run-${report.network}.json`)) {
+    return writeJsonAtomic(outputPath, report);
+}
+
+/**
+ * Dry-run the current command on hre.network, see the module comment
+ *
+ * @returns {Promise<object>} The report; throws after reporting if the command failed
+ */
+async function runDryRun(hre) {
+    const target = hre.network.name;
+    const profile = getNetworkProfile(target);
+    if (!profile) {
+        throw new Error(`❌ --dry-run needs a network with a profile in scripts/config/networks.js, not ${target}`);
+    }
+    // Static checks only: nothing is sent to the target network
+    await assertNetworkReady(hre, { checkChainId: false });
+
+    const attached = process.env.SOFTLAW_DRY_RUN_URL;
+    let mode = process.env.SOFTLAW_DRY_RUN_MODE || (profile.forkUrl ? "fork" : "ephemeral");
+    if (mode === "fork" && !profile.forkUrl && !attached) {
+        console.warn(`⚠️  ${target} has no forkUrl, dry-running on an ephemeral node`);
+        mode = "ephemeral";
+    }
+
+    const sandbox = createSandbox();
+    const journalFile = path.join(sandbox, "journal.jsonl");
+    let node = null;
+    let provider = null;
+    try {
+        console.log(`🧪 Starting ${mode === "fork" ? `a fork of ${profile.forkUrl}` : "an ephemeral node"} for ${target}...`);
+        node = attached ? null : await startNode(target, mode, sandbox);
+        const url = attached || node.url;
+        provider = new JsonRpcProvider(url);
+
+        const signers = await Promise.all((await signerProvider.getSigners(profile, provider)).map(signer => signer.getAddress()));
+        if (mode === "ephemeral") {
+            await fundAccounts(provider, signers);
+        }
+        const startBlock = await provider.getBlockNumber();
+
+        const exitCode = await runCommand(target, url, mode, sandbox, journalFile);
+
+        const registryFile = path.join(sandbox, "deployments", `registry-${target}.json`);
+        const report = await buildReport(hre, {
+            provider,
+            journal: readJournal(journalFile),
+            profile,
+            mode,
+            startBlock,
+            signers,
+            registry: fs.existsSync(registryFile) ? JSON.parse(fs.readFileSync(registryFile, "utf8")) : null
+        });
+        console.log(formatReport(report));
+        console.log(`\n📄 Report written to ${path.relative(process.cwd(), writeReport(report))}`);
+
+        if (exitCode !== 0) {
+            throw new Error(`❌ Dry run on ${target} failed (exit code ${exitCode})`);
+        }
+        return report;
+    } finally {
+        if (provider) {
+            provider.destroy();
+        }
+        if (node) {
+            await node.stop();
+        }
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    journalRequests,
+    readJournal,
+    buildReport,
+    formatReport,
+    writeReport,
+    startNode,
+    runDryRun
+};
@@ -0,0 +1,368 @@
+const hre = require("hardhat");
+const path = require("path");
+const registry = require("./deployment-registry");
+const { openStore } = require("./indexer-store");
+
+const { ethers } = hre;
+
+/**
+ * Event indexer for the deployed Softlaw contracts
+ *
+ * Follows blocks from a start height, decodes every event emitted by the
+ * indexed components and stores it in SQLite (see indexer-store.js). The
+ * cursor is committed with each batch, so an interrupted run resumes from the
+ * last committed block. Before each batch the newest stored block hash is
+ * compared with the chain, and on a mismatch the store is rolled back to the
+ * last common block and re-indexed from there.
+ *
+ * A source added to an existing database after the cursor has passed its
+ * start block is backfilled from its start block up to the cursor before the
+ * next batch.
+ */
+
+const DEFAULT_BATCH_SIZE = 500;
+const DEFAULT_MAX_REORG_DEPTH = 64;
+
+function getDefaultDbPath(network = hre.network.name) {
+    return path.join(registry.DEPLOYMENTS_DIR, `indexer-${network}.sqlite`);
+}
+
+/**
+ * Indexer sources for every registered contract with an ABI, starting at its
+ * deployment block
+ */
+function sourcesFromRegistry(network = hre.network.name) {
+    return Object.values(registry.loadRegistry(network).contracts)
+        .filter(entry => entry.abi && entry.address)
+        .map(entry => ({
+            name: entry.name,
+            address: entry.address,
+            abi: entry.abi,
+            startBlock: entry.blockNumber ?? 0
+        }));
+}
+
+function plainValue(param, value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (param.baseType === "array") {
+        return Array.from(value, item => plainValue(param.arrayChildren, item));
+    }
+    if (param.baseType === "tuple") {
+        return plainArgs(param.components, value);
+    }
+    return value;
+}
+
+// Event args as a plain object keyed by parameter name (or position when unnamed)
+function plainArgs(params, values) {
+    const args = {};
+    params.forEach((param, i) => {
+        args[param.name || String(i)] = plainValue(param, values[i]);
+    });
+    return args;
+}
+
+/**
+ * @param {object} options
+ * @param {object[]} options.sources { name, address, abi, startBlock } per contract
+ * @param {string} [options.dbPath] SQLite file (defaults to deployments/indexer-<network>.sqlite)
+ * @param {object} [options.store] Already opened store, instead of dbPath
+ * @param {object} [options.provider] Defaults to the Hardhat provider
+ * @param {number} [options.startBlock] First block to index (defaults to the earliest source start block)
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @param {number} [options.confirmations] Stay this many blocks behind the head
+ * @param {number} [options.maxReorgDepth] Stored blocks inspected when looking for the common ancestor
+ * @param {function} [options.log] Progress logger
+ */
+function createIndexer(options) {
+    const {
+        sources,
+        provider = ethers.provider,
+        batchSize = DEFAULT_BATCH_SIZE,
+        confirmations = 0,
+        maxReorgDepth = DEFAULT_MAX_REORG_DEPTH,
+        log = console.log
+    } = options;
+
+    if (!sources || sources.length === 0) {
+        throw new Error("❌ Event indexer needs at least one source contract");
+    }
+
+    const store = options.store || openStore(options.dbPath || getDefaultDbPath());
+    const startBlock = options.startBlock ?? Math.min(...sources.map(source => source.startBlock ?? 0));
+
+    const byAddress = new Map();
+    const known = new Map(store.getSources().map(source => [source.name, source.address.toLowerCase()]));
+    const openedAt = store.getCursor();
+    const backfills = [];
+    for (const source of sources) {
+        byAddress.set(source.address.toLowerCase(), {
+            name: source.name,
+            iface: new ethers.Interface(source.abi)
+        });
+        const sourceStart = source.startBlock ?? startBlock;
+        const isNew = known.get(source.name) !== source.address.toLowerCase();
+        if (isNew && openedAt !== null && sourceStart <= openedAt) {
+            // Recorded once its history is indexed, so an interrupted backfill is redone
+            backfills.push({ name: source.name, address: source.address, startBlock: sourceStart });
+        } else {
+            store.upsertSource(source.name, source.address, sourceStart);
+        }
+    }
+    const addresses = sources.map(source => source.address);
+
+    let initialized = false;
+    let stopped = false;
+
+    async function init() {
+        if (initialized) {
+            return;
+        }
+        const { chainId } = await provider.getNetwork();
+        const storedChainId = store.getMeta("chainId");
+        if (storedChainId === null) {
+            store.setMeta("chainId", chainId);
+            store.setMeta("startBlock", startBlock);
+        } else if (storedChainId !== chainId.toString()) {
+            throw new Error(`❌ Indexer database belongs to chain ${storedChainId}, connected to chain ${chainId}`);
+        }
+        initialized = true;
+    }
+
+    function decode(rawLog, block) {
+        const source = byAddress.get(rawLog.address.toLowerCase());
+        if (!source) {
+            return null;
+        }
+        let parsed;
+        try {
+            parsed = source.iface.parseLog(rawLog);
+        } catch {
+            parsed = null;
+        }
+        if (!parsed) {
+            return null;
+        }
+        return {
+            blockNumber: rawLog.blockNumber,
+            blockHash: rawLog.blockHash,
+            logIndex: rawLog.index,
+            txHash: rawLog.transactionHash,
+            txIndex: rawLog.transactionIndex,
+            contract: source.name,
+            address: rawLog.address,
+            event: parsed.name,
+            signature: parsed.signature,
+            args: plainArgs(parsed.fragment.inputs, parsed.args),
+            timestamp: block ? block.timestamp : null
+        };
+    }
+
+    async function getBlocks(numbers) {
+        const blocks = new Map();
+        for (const number of new Set(numbers)) {
+            const block = await provider.getBlock(number);
+            if (!block) {
+                throw new Error(`❌ Block ${number} not available from the provider`);
+            }
+            blocks.set(number, block);
+        }
+        return blocks;
+    }
+
+    function blockRows(blocks) {
+        return [...blocks.values()].map(block => ({
+            number: block.number,
+            hash: block.hash,
+            parentHash: block.parentHash,
+            timestamp: block.timestamp
+        }));
+    }
+
+    /**
+     * Index the events of a source added after the cursor passed its start
+     * block, from that block up to the cursor
+     *
+     * @returns {Promise<object>} { name, fromBlock, toBlock, events }
+     */
+    async function backfill(source) {
+        const cursor = store.getCursor();
+        let count = 0;
+
+        for (let from = source.startBlock; from <= cursor; from += batchSize) {
+            const to = Math.min(from + batchSize - 1, cursor);
+            const logs = await provider.getLogs({ address: source.address, fromBlock: from, toBlock: to });
+            const blocks = await getBlocks(logs.map(l => l.blockNumber));
+
+            if (logs.some(l => blocks.get(l.blockNumber).hash !== l.blockHash)) {
+                throw new Error(`❌ Blocks ${from}-${to} changed while backfilling ${source.name}, run the indexer again`);
+            }
+
+            const events = logs
+                .map(l => decode(l, blocks.get(l.blockNumber)))
+                .filter(Boolean);
+            store.commitBatch({ events, blocks: blockRows(blocks), cursor });
+            count += events.length;
+        }
+
+        store.upsertSource(source.name, source.address, source.startBlock);
+        log(`📥 Backfilled ${source.name} from block ${source.startBlock} to ${cursor}: ${count} events`);
+        return { name: source.name, fromBlock: source.startBlock, toBlock: cursor, events: count };
+    }
+
+    /**
+     * Roll back to the last block whose stored hash still matches the chain
+     *
+     * @returns {Promise<object|null>} { ancestor, removedEvents } or null when no reorg happened
+     */
+    async function handleReorg() {
+        const cursor = store.getCursor();
+        if (cursor === null) {
+            return null;
+        }
+
+        const stored = store.getBlocksBelow(cursor, maxReorgDepth);
+        if (stored.length === 0) {
+            return null;
+        }
+
+        const latest = await provider.getBlock(stored[0].number);
+        if (latest && latest.hash === stored[0].hash) {
+            return null;
+        }
+
+        let ancestor = null;
+        for (const block of stored.slice(1)) {
+            const onChain = await provider.getBlock(block.number);
+            if (onChain && onChain.hash === block.hash) {
+                ancestor = block.number;
+                break;
+            }
+        }
+
+        if (ancestor === null) {
+            if (stored.length >= maxReorgDepth) {
+                throw new Error(
+                    `❌ Reorg deeper than ${maxReorgDepth} stored blocks below ${cursor}. Re-index with a fresh database`
+                );
+            }
+            // Every stored block diverged, start over
+            ancestor = Number(store.getMeta("startBlock") ?? startBlock) - 1;
+        }
+
+        const removedEvents = store.rollback(ancestor);
+        log(`🔀 Reorg detected at block ${stored[0].number}, rolled back to ${ancestor} (${removedEvents} events removed)`);
+        return { ancestor, removedEvents };
+    }
+
+    /**
+     * Index from the cursor up to the current head (minus confirmations)
+     *
+     * @param {object} [options]
+     * @param {number} [options.toBlock] Stop at this block instead of the head
+     * @returns {Promise<object>} { fromBlock, toBlock, events, reorgs, backfills }
+     */
+    async function sync({ toBlock } = {}) {
+        await init();
+
+        const head = (await provider.getBlockNumber()) - confirmations;
+        const target = toBlock !== undefined ? Math.min(toBlock, head) : head;
+        const result = { fromBlock: null, toBlock: target, events: 0, reorgs: [], backfills: [] };
+        let retries = 0;
+
+        if (backfills.length > 0) {
+            const reorg = await handleReorg();
+            if (reorg) {
+                result.reorgs.push(reorg);
+            }
+            while (backfills.length > 0) {
+                const done = await backfill(backfills[0]);
+                backfills.shift();
+                result.backfills.push(done);
+                result.events += done.events;
+            }
+        }
+
+        for (;;) {
+            const reorg = await handleReorg();
+            if (reorg) {
+                result.reorgs.push(reorg);
+            }
+
+            const cursor = store.getCursor();
+            const from = cursor === null ? startBlock : cursor + 1;
+            if (from > target) {
+                break;
+            }
+            if (result.fromBlock === null) {
+                result.fromBlock = from;
+            }
+
+            const to = Math.min(from + batchSize - 1, target);
+            const logs = await provider.getLogs({ address: addresses, fromBlock: from, toBlock: to });
+
+            const blocks = await getBlocks([...logs.map(l => l.blockNumber), to]);
+
+            // The chain moved under us between getLogs and getBlock, retry after the reorg check
+            if (logs.some(l => blocks.get(l.blockNumber).hash !== l.blockHash)) {
+                if (++retries > 5) {
+                    throw new Error(`❌ Blocks ${from}-${to} keep changing while indexing, giving up`);
+                }
+                continue;
+            }
+            retries = 0;
+
+            const events = logs
+                .map(l => decode(l, blocks.get(l.blockNumber)))
+                .filter(Boolean);
+
+            store.commitBatch({ events, blocks: blockRows(blocks), cursor: to });
+
+            result.events += events.length;
+            log(`📥 Indexed blocks ${from}-${to}: ${events.length} events`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Keep syncing until stop() is called or `until` returns true
+     *
+     * @param {object} [options]
+     * @param {number} [options.pollMs] Delay between syncs once caught up
+     * @param {function(): boolean} [options.until] Checked after every sync
+     */
+    async function follow({ pollMs = 5000, until } = {}) {
+        stopped = false;
+        while (!stopped) {
+            try {
+                await sync();
+            } catch (error) {
+                log(`❌ Indexer error: ${error.message}`);
+            }
+            if (until && until()) {
+                break;
+            }
+            await new Promise(resolve => setTimeout(resolve, pollMs));
+        }
+    }
+
+    return {
+        store,
+        sync,
+        follow,
+        stop: () => {
+            stopped = true;
+        },
+        queryEvents: filter => store.queryEvents(filter),
+        close: () => store.close()
+    };
+}
+
+module.exports = {
+    getDefaultDbPath,
+    sourcesFromRegistry,
+    createIndexer
+};
@@ -0,0 +1,187 @@
+const http = require("http");
+const { AbstractSigner, FetchRequest, Transaction, Wallet, getAddress, hexlify, toQuantity, toUtf8Bytes } = require("ethers");
+
+/**
+ * External signer over JSON-RPC
+ *
+ * Keys stay in a separate process (a hardware wallet bridge, a KMS proxy,
+ * clef-style daemons) that answers:
+ *
+ *   eth_accounts                       addresses it can sign for
+ *   eth_signTransaction [tx]           raw signed transaction
+ *   personal_sign [data, address]      EIP-191 signature
+ *   eth_signTypedData_v4 [address, json]  EIP-712 signature
+ *
+ * Signed transactions are broadcast through our own provider, the signer
+ * never needs network access. startLocalSigner() serves the same protocol from
+ * in-memory keys, as a stand-in for tests and local development.
+ *
+ * Loaded by hardhat.config.js (through the signer provider), so it must not
+ * require("hardhat").
+ */
+
+let nextRequestId = 1;
+
+async function rpc(url, method, params = []) {
+    const request = new FetchRequest(url);
+    request.method = "POST";
+    request.setHeader("content-type", "application/json");
+    request.body = JSON.stringify({ jsonrpc: "2.0", id: nextRequestId++, method, params });
+
+    let response;
+    try {
+        response = await request.send();
+    } catch (error) {
+        throw new Error(`❌ External signer at ${url} is unreachable: ${error.message}`);
+    }
+    const body = response.bodyJson;
+    if (body.error) {
+        throw new Error(`❌ External signer refused ${method}: ${body.error.message}`);
+    }
+    return body.result;
+}
+
+function toRpcTransaction(tx, from) {
+    const quantity = value => (value === null || value === undefined ? undefined : toQuantity(value));
+    const fields = {
+        from,
+        to: tx.to || undefined,
+        data: tx.data || "0x",
+        value: quantity(tx.value ?? 0),
+        nonce: quantity(tx.nonce),
+        gas: quantity(tx.gasLimit),
+        chainId: quantity(tx.chainId),
+        type: quantity(tx.type),
+        gasPrice: quantity(tx.gasPrice),
+        maxFeePerGas: quantity(tx.maxFeePerGas),
+        maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas)
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+class ExternalSigner extends AbstractSigner {
+    /**
+     * @param {string} url JSON-RPC endpoint of the signer
+     * @param {string} address Account to sign with
+     * @param {object} [provider] Provider used to fill and broadcast transactions
+     */
+    constructor(url, address, provider) {
+        super(provider);
+        this.url = url;
+        this.address = getAddress(address);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new ExternalSigner(this.url, this.address, provider);
+    }
+
+    async signTransaction(tx) {
+        const raw = await rpc(this.url, "eth_signTransaction", [toRpcTransaction(tx, this.address)]);
+        // Never broadcast what the signer returned for another account
+        const signed = Transaction.from(raw);
+        if (signed.from !== this.address) {
+            throw new Error(`❌ External signer signed as ${signed.from}, expected ${this.address}`);
+        }
+        return raw;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === "string" ? hexlify(toUtf8Bytes(message)) : hexlify(message);
+        return rpc(this.url, "personal_sign", [data, this.address]);
+    }
+
+    async signTypedData(domain, types, value) {
+        const typedData = { domain, types, message: value };
+        return rpc(this.url, "eth_signTypedData_v4", [
+            this.address,
+            JSON.stringify(typedData, (key, item) => (typeof item === "bigint" ? item.toString() : item))
+        ]);
+    }
+}
+
+/**
+ * Signers for every account the external signer offers
+ */
+async function getExternalSigners(url, provider) {
+    const accounts = await rpc(url, "eth_accounts");
+    return accounts.map(address => new ExternalSigner(url, address, provider));
+}
+
+/**
+ * Local stand-in for an external signer, serving the protocol from in-memory keys
+ *
+ * @param {object} options
+ * @param {string[]} options.privateKeys Keys to sign with
+ * @param {number} [options.port] Port to listen on (defaults to a free port)
+ * @returns {Promise<object>} { url, accounts, requests, close() }; `requests` logs every method called
+ */
+async function startLocalSigner({ privateKeys, port = 0 }) {
+    const wallets = new Map(privateKeys.map(key => {
+        const wallet = new Wallet(key);
+        return [wallet.address.toLowerCase(), wallet];
+    }));
+    const requests = [];
+
+    function walletFor(address) {
+        const wallet = wallets.get(String(address).toLowerCase());
+        if (!wallet) {
+            throw new Error(`unknown account ${address}`);
+        }
+        return wallet;
+    }
+
+    const handlers = {
+        eth_accounts: () => [...wallets.values()].map(wallet => wallet.address),
+        eth_signTransaction: ([tx]) => {
+            const { from, gas, ...fields } = tx;
+            return walletFor(from).signTransaction({ ...fields, gasLimit: gas });
+        },
+        personal_sign: ([data, address]) => walletFor(address).signMessage(Buffer.from(data.slice(2), "hex")),
+        eth_signTypedData_v4: ([address, json]) => {
+            const { domain, types, message } = JSON.parse(json);
+            const { EIP712Domain, ...rest } = types;
+            return walletFor(address).signTypedData(domain, rest, message);
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", async () => {
+            let id = null;
+            let reply;
+            try {
+                const payload = JSON.parse(body);
+                id = payload.id;
+                requests.push(payload.method);
+                const handler = handlers[payload.method];
+                if (!handler) {
+                    throw new Error(`method ${payload.method} not supported`);
+                }
+                reply = { jsonrpc: "2.0", id, result: await handler(payload.params || []) };
+            } catch (error) {
+                reply = { jsonrpc: "2.0", id, error: { code: -32000, message: error.message } };
+            }
+            res.setHeader("content-type", "application/json");
+            res.end(JSON.stringify(reply));
+        });
+    });
+
+    await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        accounts: [...wallets.values()].map(wallet => wallet.address),
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    ExternalSigner,
+    getExternalSigners,
+    startLocalSigner
+};
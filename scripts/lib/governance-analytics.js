@@ -0,0 +1,586 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const path = require("path");
+const registry = require("./deployment-registry");
+const { writeJsonAtomic } = require("./json-file");
+const { getDecoder } = require("./receipt-decoder");
+const { VOTE_TYPES } = require("../../sdk/governance");
+
+/**
+ * Governance analytics: turnout, quorum tracking and member activity
+ *
+ * collectGovernanceData() walks every proposal and member through the governor
+ * and DaoMembership views (getProposalCore, getProposalVotes, hasVoted,
+ * getMemberList, getMemberInfo, ...) and the governor's ProposalCreated,
+ * VoteCast and ProposalExecuted logs. analyseGovernance() turns that into the
+ * report, which is written as JSON, CSV (proposals and members) and a static
+ * HTML page.
+ *
+ * Quorum and locking period history is rebuilt from the constructor defaults
+ * and the executed changeVotingQuorum / changeLockingPeriod proposals, so each
+ * proposal is measured against the quorum in force when it was created and
+ * when it was executed.
+ *
+ * Failed executions leave no log: executeProposal emits ExecutionFailed and
+ * then reverts, which discards the event. They are found by scanning blocks
+ * for reverted executeProposal transactions, and the reason is recovered by
+ * replaying the call on the parent block (when the node still has that state).
+ *
+ * Turnout and participation are measured against the current member list:
+ * the contracts keep no membership history.
+ */
+
+// DAOGovernor constructor defaults
+const INITIAL_SETTINGS = { votingQuorum: 1n, lockingPeriod: 30n };
+// Setting changed by each Membership action, and the argument holding the new value
+const SETTING_ACTIONS = {
+    changeVotingQuorum: { setting: "votingQuorum", arg: "newQuorum" },
+    changeLockingPeriod: { setting: "lockingPeriod", arg: "newPeriod" }
+};
+const LOG_BATCH_SIZE = 5000;
+const FORMATS = ["json", "csv", "html"];
+
+const MEMBERSHIP_ABI = [
+    "function getMemberList() view returns (address[])",
+    "function getMemberCount() view returns (uint256)",
+    "function getLawyerCount() view returns (uint256)",
+    "function getCreatorCount() view returns (uint256)",
+    "function getMemberInfo(address) view returns (tuple(address memberAddress, string name, string description, bool isLawyer, bool isCreator, bool isArbitrator))"
+];
+
+async function queryLogs(contract, event, fromBlock, toBlock) {
+    const logs = [];
+    for (let from = fromBlock; from <= toBlock; from += LOG_BATCH_SIZE) {
+        logs.push(...(await contract.queryFilter(contract.filters[event](), from, Math.min(from + LOG_BATCH_SIZE - 1, toBlock))));
+    }
+    return logs;
+}
+
+/**
+ * Reverted executeProposal transactions sent to the governor in [fromBlock, toBlock]
+ */
+async function scanFailedExecutions(governor, fromBlock, toBlock) {
+    const provider = governor.runner.provider;
+    const address = (await governor.getAddress()).toLowerCase();
+    const selector = governor.interface.getFunction("executeProposal").selector;
+    const decoder = await getDecoder();
+    const failures = [];
+
+    for (let number = fromBlock; number <= toBlock; number++) {
+        if ((number - fromBlock) % 1000 === 0 && toBlock - fromBlock >= 1000) {
+            console.log(`🔎 Scanning blocks ${number}-${Math.min(number + 999, toBlock)} of ${toBlock} for failed executions...`);
+        }
+        const block = await provider.getBlock(number, true);
+        for (const tx of block ? block.prefetchedTransactions : []) {
+            if (!tx.to || tx.to.toLowerCase() !== address || !tx.data.startsWith(selector)) {
+                continue;
+            }
+            const receipt = await provider.getTransactionReceipt(tx.hash);
+            if (!receipt || receipt.status !== 0) {
+                continue;
+            }
+            let reason = "unknown (parent block state not available)";
+            try {
+                await provider.call({ from: tx.from, to: tx.to, data: tx.data, blockTag: number - 1 });
+                reason = "succeeds when replayed on the parent block (state changed earlier in the same block)";
+            } catch (error) {
+                if (decoder.decodeError(error) || ethers.isCallException(error)) {
+                    reason = decoder.formatError(error);
+                }
+            }
+            failures.push({
+                id: governor.interface.decodeFunctionData("executeProposal", tx.data)[0],
+                executor: tx.from,
+                block: number,
+                timestamp: block.timestamp,
+                hash: tx.hash,
+                reason
+            });
+        }
+    }
+    return failures;
+}
+
+/**
+ * Read everything the report is built from
+ *
+ * @param {object} context From getGovernanceContext (scripts/lib/proposals.js)
+ * @param {object} [options]
+ * @param {number} [options.from] First block to read logs and scan from (defaults to the governor's deployment block)
+ * @param {boolean} [options.skipFailures] Do not scan blocks for failed executions
+ */
+async function collectGovernanceData(context, options = {}) {
+    const { governance, contracts } = context;
+    const { governor } = governance;
+    const provider = governor.runner.provider;
+    const toBlock = await provider.getBlockNumber();
+    const fromBlock = options.from ?? (contracts.DAOGovernor.blockNumber || 0);
+
+    const settings = await governance.getSettings();
+    const proposals = await governance.listProposals();
+
+    const membership = new ethers.Contract(await governor.membershipContract(), MEMBERSHIP_ABI, provider);
+    const memberList = await membership.getMemberList();
+    const members = [];
+    for (const address of memberList) {
+        const info = await membership.getMemberInfo(address);
+        members.push({ address, name: info.name, isLawyer: info.isLawyer, isCreator: info.isCreator, isArbitrator: info.isArbitrator });
+    }
+    const counts = {
+        members: Number(await membership.getMemberCount()),
+        lawyers: Number(await membership.getLawyerCount()),
+        creators: Number(await membership.getCreatorCount())
+    };
+
+    const voted = {};
+    for (const proposal of proposals) {
+        voted[proposal.id] = [];
+        for (const member of memberList) {
+            if (await governor.hasVoted(proposal.id, member)) {
+                voted[proposal.id].push(member);
+            }
+        }
+    }
+
+    const timestamps = new Map();
+    const timestampOf = async blockNumber => {
+        if (!timestamps.has(blockNumber)) {
+            timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+        }
+        return timestamps.get(blockNumber);
+    };
+    const position = log => ({ block: log.blockNumber, logIndex: log.index });
+
+    const created = (await queryLogs(governor, "ProposalCreated", fromBlock, toBlock))
+        .map(log => ({ id: log.args.id, ...position(log) }));
+    const votes = [];
+    for (const log of await queryLogs(governor, "VoteCast", fromBlock, toBlock)) {
+        votes.push({ id: log.args.id, voter: log.args.voter, vote: VOTE_TYPES[Number(log.args.vote)], ...position(log), timestamp: await timestampOf(log.blockNumber) });
+    }
+    const executions = [];
+    for (const log of await queryLogs(governor, "ProposalExecuted", fromBlock, toBlock)) {
+        executions.push({ id: log.args.id, hash: log.transactionHash, ...position(log), timestamp: await timestampOf(log.blockNumber) });
+    }
+
+    const failures = options.skipFailures ? null : await scanFailedExecutions(governor, fromBlock, toBlock);
+
+    return {
+        network: hre.network.name,
+        generatedAt: new Date().toISOString(),
+        governor: await governor.getAddress(),
+        fromBlock,
+        toBlock,
+        settings: { votingQuorum: settings.votingQuorum, lockingPeriod: settings.lockingPeriod },
+        proposals,
+        members,
+        counts,
+        voted,
+        created,
+        votes,
+        executions,
+        failures
+    };
+}
+
+function before(a, b) {
+    return a.block < b.block || (a.block === b.block && a.logIndex < b.logIndex);
+}
+
+function stats(values) {
+    if (values.length === 0) {
+        return { count: 0, min: null, median: null, mean: null, max: null };
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+        mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+        max: sorted[sorted.length - 1]
+    };
+}
+
+function ratio(part, whole) {
+    return whole > 0 ? Number(part) / Number(whole) : null;
+}
+
+/**
+ * Build the report from collectGovernanceData() output
+ *
+ * @param {object} data
+ * @param {function} [name] Address labels (governance.builder.name)
+ */
+function analyseGovernance(data, name = address => address) {
+    const key = id => String(id);
+    const byId = new Map(data.proposals.map(proposal => [key(proposal.id), proposal]));
+    const createdAt = new Map(data.created.map(entry => [key(entry.id), entry]));
+    const executedAt = new Map(data.executions.map(entry => [key(entry.id), entry]));
+
+    // Settings timeline from the executed setting changes
+    const changes = [];
+    for (const execution of [...data.executions].sort((a, b) => (before(a, b) ? -1 : 1))) {
+        const proposal = byId.get(key(execution.id));
+        const change = proposal && proposal.action && SETTING_ACTIONS[proposal.action.method];
+        if (change) {
+            changes.push({
+                setting: change.setting,
+                value: BigInt(proposal.action.args[change.arg]),
+                proposalId: proposal.id,
+                block: execution.block,
+                logIndex: execution.logIndex,
+                timestamp: execution.timestamp
+            });
+        }
+    }
+    const settingsAt = point => {
+        const settings = { ...INITIAL_SETTINGS };
+        for (const change of changes) {
+            if (point && !before(change, point)) {
+                break;
+            }
+            settings[change.setting] = change.value;
+        }
+        return settings;
+    };
+    const final = settingsAt(null);
+    const historyComplete = final.votingQuorum === BigInt(data.settings.votingQuorum) && final.lockingPeriod === BigInt(data.settings.lockingPeriod);
+
+    const failuresById = new Map();
+    for (const failure of data.failures || []) {
+        failuresById.set(key(failure.id), [...(failuresById.get(key(failure.id)) || []), failure]);
+    }
+
+    const memberCount = data.counts.members;
+    const proposals = data.proposals.map(proposal => {
+        const creation = createdAt.get(key(proposal.id));
+        const execution = executedAt.get(key(proposal.id));
+        // Quorum checked by executeProposal: in force just before the execution, or now.
+        // Unknown from an incomplete history, but an executed proposal met it.
+        const quorumAtCreation = creation && historyComplete ? settingsAt(creation).votingQuorum : null;
+        let quorumApplied = BigInt(data.settings.votingQuorum);
+        if (proposal.executed) {
+            quorumApplied = execution && historyComplete ? settingsAt(execution).votingQuorum : null;
+        }
+        const total = Number(proposal.votes.total);
+        return {
+            id: proposal.id,
+            name: proposal.name,
+            type: proposal.proposalType,
+            status: proposal.status,
+            proponent: proposal.proponent,
+            createdAt: proposal.createdAt,
+            aye: Number(proposal.votes.aye),
+            nay: Number(proposal.votes.nay),
+            abstain: Number(proposal.votes.abstain),
+            total,
+            turnout: ratio(total, memberCount),
+            quorumAtCreation,
+            quorumApplied,
+            quorumMet: quorumApplied === null ? true : total >= Number(quorumApplied),
+            quorumMargin: quorumApplied === null ? null : total - Number(quorumApplied),
+            executedAt: execution ? execution.timestamp : null,
+            timeToExecution: execution ? execution.timestamp - proposal.createdAt : null,
+            failedExecutions: (failuresById.get(key(proposal.id)) || []).length,
+            action: proposal.action ? proposal.action.description : null
+        };
+    });
+
+    const votesByVoter = new Map();
+    for (const vote of data.votes) {
+        const voter = vote.voter.toLowerCase();
+        votesByVoter.set(voter, [...(votesByVoter.get(voter) || []), vote]);
+    }
+    const votedCount = address => Object.values(data.voted).filter(voters => voters.some(voter => voter.toLowerCase() === address.toLowerCase())).length;
+    const activity = (address, info) => {
+        const cast = votesByVoter.get(address.toLowerCase()) || [];
+        const count = info.member ? votedCount(address) : cast.length;
+        return {
+            address,
+            label: name(address),
+            name: info.name || "",
+            member: info.member,
+            isLawyer: Boolean(info.isLawyer),
+            isCreator: Boolean(info.isCreator),
+            isArbitrator: Boolean(info.isArbitrator),
+            voted: count,
+            participation: ratio(count, proposals.length),
+            aye: cast.filter(vote => vote.vote === "Aye").length,
+            nay: cast.filter(vote => vote.vote === "Nay").length,
+            abstain: cast.filter(vote => vote.vote === "Abstain").length,
+            proposed: proposals.filter(proposal => proposal.proponent.toLowerCase() === address.toLowerCase()).length,
+            lastVoteAt: cast.length > 0 ? Math.max(...cast.map(vote => vote.timestamp)) : null
+        };
+    };
+    const members = data.members.map(member => activity(member.address, { ...member, member: true }));
+    const known = new Set(data.members.map(member => member.address.toLowerCase()));
+    // Voters who have left the DAO since
+    for (const voter of votesByVoter.keys()) {
+        if (!known.has(voter)) {
+            members.push(activity(votesByVoter.get(voter)[0].voter, { member: false }));
+        }
+    }
+
+    const turnouts = proposals.map(proposal => proposal.turnout).filter(value => value !== null);
+    const failureReasons = {};
+    for (const failure of data.failures || []) {
+        failureReasons[failure.reason] = (failureReasons[failure.reason] || 0) + 1;
+    }
+    const statuses = {};
+    const types = {};
+    for (const proposal of proposals) {
+        statuses[proposal.status] = (statuses[proposal.status] || 0) + 1;
+        types[proposal.type] = (types[proposal.type] || 0) + 1;
+    }
+
+    return {
+        network: data.network,
+        generatedAt: data.generatedAt,
+        governor: data.governor,
+        blocks: { from: data.fromBlock, to: data.toBlock },
+        settings: {
+            votingQuorum: BigInt(data.settings.votingQuorum),
+            lockingPeriod: BigInt(data.settings.lockingPeriod),
+            initial: INITIAL_SETTINGS,
+            history: changes.map(({ logIndex, ...change }) => change),
+            historyComplete
+        },
+        members: { count: memberCount, lawyers: data.counts.lawyers, creators: data.counts.creators, activity: members },
+        proposals,
+        failures: data.failures,
+        summary: {
+            proposals: proposals.length,
+            byStatus: statuses,
+            byType: types,
+            turnout: stats(turnouts),
+            quorumMetRate: ratio(proposals.filter(proposal => proposal.quorumMet).length, proposals.length),
+            participation: stats(members.filter(member => member.member && member.participation !== null).map(member => member.participation)),
+            timeToExecution: stats(proposals.map(proposal => proposal.timeToExecution).filter(value => value !== null)),
+            failedExecutions: data.failures
+                ? {
+                    scanned: true,
+                    count: data.failures.length,
+                    proposals: new Set(data.failures.map(failure => key(failure.id))).size,
+                    executedAfterFailing: proposals.filter(proposal => proposal.failedExecutions > 0 && proposal.status === "executed").length,
+                    byReason: failureReasons
+                }
+                : { scanned: false }
+        }
+    };
+}
+
+function date(timestamp) {
+    return timestamp === null || timestamp === undefined ? "" : new Date(timestamp * 1000).toISOString();
+}
+
+function percent(value) {
+    return value === null || value === undefined ? "—" : `${(value * 100).toFixed(1)}%`;
+}
+
+function duration(seconds) {
+    if (seconds === null || seconds === undefined) {
+        return "—";
+    }
+    const units = [["d", 86400], ["h", 3600], ["m", 60]];
+    for (const [unit, size] of units) {
+        if (seconds >= size) {
+            return `${(seconds / size).toFixed(1)}${unit}`;
+        }
+    }
+    return `${Math.round(seconds)}s`;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function toCsv(columns, rows) {
+    return [columns.map(([header]) => header), ...rows.map(row => columns.map(([, value]) => value(row)))]
+        .map(line => line.map(csvCell).join(","))
+        .join("\n") + "\n";
+}
+
+const PROPOSAL_COLUMNS = [
+    ["id", p => p.id],
+    ["name", p => p.name],
+    ["type", p => p.type],
+    ["status", p => p.status],
+    ["proponent", p => p.proponent],
+    ["created_at", p => date(p.createdAt)],
+    ["aye", p => p.aye],
+    ["nay", p => p.nay],
+    ["abstain", p => p.abstain],
+    ["total_votes", p => p.total],
+    ["turnout", p => p.turnout],
+    ["quorum_at_creation", p => p.quorumAtCreation],
+    ["quorum_applied", p => p.quorumApplied],
+    ["quorum_met", p => p.quorumMet],
+    ["executed_at", p => date(p.executedAt)],
+    ["time_to_execution_s", p => p.timeToExecution],
+    ["failed_executions", p => p.failedExecutions],
+    ["action", p => p.action]
+];
+
+const MEMBER_COLUMNS = [
+    ["address", m => m.address],
+    ["name", m => m.name],
+    ["member", m => m.member],
+    ["lawyer", m => m.isLawyer],
+    ["creator", m => m.isCreator],
+    ["arbitrator", m => m.isArbitrator],
+    ["voted", m => m.voted],
+    ["participation", m => m.participation],
+    ["aye", m => m.aye],
+    ["nay", m => m.nay],
+    ["abstain", m => m.abstain],
+    ["proposed", m => m.proposed],
+    ["last_vote_at", m => date(m.lastVoteAt)]
+];
+
+function escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[char]);
+}
+
+function table(headers, rows) {
+    const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join("");
+    const body = rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join("")}</tr>`).join("\n");
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function bar(value) {
+    const width = Math.max(0, Math.min(100, (value || 0) * 100));
+    return `<div class="bar"><span style="width:${width.toFixed(1)}%"></span></div> ${percent(value)}`;
+}
+
+/**
+ * Static HTML page of the report (no scripts or external assets)
+ */
+function toHtml(report) {
+    const { summary, settings } = report;
+    const label = address => {
+        const member = report.members.activity.find(item => item.address.toLowerCase() === String(address).toLowerCase());
+        return escapeHtml(member ? member.label : address);
+    };
+    const cards = [
+        ["Proposals", summary.proposals],
+        ["Members", report.members.count],
+        ["Median turnout", percent(summary.turnout.median)],
+        ["Quorum met", percent(summary.quorumMetRate)],
+        ["Median time to execution", duration(summary.timeToExecution.median)],
+        ["Failed executions", summary.failedExecutions.scanned ? summary.failedExecutions.count : "not scanned"]
+    ];
+
+    const sections = [
+        `<div class="cards">${cards.map(([title, value]) => `<div class="card"><b>${escapeHtml(value)}</b>${escapeHtml(title)}</div>`).join("")}</div>`,
+        "<h2>Settings</h2>",
+        `<p>Voting quorum ${settings.votingQuorum} vote(s), locking period ${settings.lockingPeriod}s.` +
+            (settings.historyComplete ? "" : " <em>History incomplete: some setting changes could not be decoded, quorum at creation is not shown.</em>") + "</p>",
+        table(["Proposal", "Setting", "New value", "Executed"], settings.history.map(change => [
+            `#${change.proposalId}`, escapeHtml(change.setting), escapeHtml(change.value), escapeHtml(date(change.timestamp))
+        ])),
+        "<h2>Proposals</h2>",
+        table(["#", "Name", "Type", "Status", "Votes (aye/nay/abstain)", "Turnout", "Quorum (creation → applied)", "Time to execution", "Failed executions", "Action"],
+            report.proposals.map(p => [
+                escapeHtml(p.id),
+                escapeHtml(p.name),
+                escapeHtml(p.type),
+                `<span class="status ${escapeHtml(p.status)}">${escapeHtml(p.status)}</span>`,
+                `${p.aye} / ${p.nay} / ${p.abstain}`,
+                bar(p.turnout),
+                `${p.quorumAtCreation ?? "?"} → ${p.quorumApplied ?? "?"} ${p.quorumMet ? "✅" : "❌"}`,
+                escapeHtml(duration(p.timeToExecution)),
+                escapeHtml(p.failedExecutions),
+                escapeHtml(p.action || "")
+            ])),
+        "<h2>Members</h2>",
+        table(["Member", "Name", "Roles", "Participation", "Aye / Nay / Abstain", "Proposed", "Last vote"],
+            report.members.activity.map(m => [
+                escapeHtml(m.label) + (m.member ? "" : " <em>(former)</em>"),
+                escapeHtml(m.name),
+                escapeHtml([m.isLawyer && "lawyer", m.isCreator && "creator", m.isArbitrator && "arbitrator"].filter(Boolean).join(", ")),
+                bar(m.participation),
+                `${m.aye} / ${m.nay} / ${m.abstain}`,
+                escapeHtml(m.proposed),
+                escapeHtml(date(m.lastVoteAt))
+            ]))
+    ];
+    if (report.failures && report.failures.length > 0) {
+        sections.push("<h2>Failed executions</h2>", table(["Proposal", "Executor", "Block", "Reason", "Transaction"],
+            report.failures.map(f => [`#${escapeHtml(f.id)}`, label(f.executor), escapeHtml(f.block), escapeHtml(f.reason), `<code>${escapeHtml(f.hash)}</code>`])));
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Softlaw governance report: ${escapeHtml(report.network)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.9rem; }
+th, td { border-bottom: 1px solid #ddd; padding: 0.4rem; text-align: left; vertical-align: top; }
+.cards { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1rem 0 2rem; }
+.card { border: 1px solid #ddd; border-radius: 6px; padding: 0.8rem 1.2rem; min-width: 9rem; }
+.card b { display: block; font-size: 1.6rem; }
+.bar { display: inline-block; width: 6rem; height: 0.6rem; background: #eee; }
+.bar span { display: block; height: 100%; background: #4a7; }
+.status.executed { color: #2a7; } .status.ready { color: #27a; } .status.locked { color: #a72; } .status.open { color: #777; }
+</style>
+</head>
+<body>
+<h1>Softlaw governance report</h1>
+<p>Network ${escapeHtml(report.network)}, governor <code>${escapeHtml(report.governor)}</code>, blocks ${report.blocks.from}-${report.blocks.to}, generated ${escapeHtml(report.generatedAt)}.
+Turnout and participation are measured against the current ${report.members.count} member(s).</p>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the report in the requested formats
+ *
+ * @param {object} report From analyseGovernance
+ * @param {object} [options]
+ * @param {string} [options.out] Directory (defaults to deployments/governance-report-<network>)
+ * @param {string[]} [options.formats] Any of json, csv, html (defaults to all)
+ * @returns {string[]} Written files
+ */
+function writeGovernanceReport(report, { out, formats = FORMATS } = {}) {
+    const unknown = formats.filter(format => !FORMATS.includes(format));
+    if (unknown.length > 0) {
+        throw new Error(`❌ Unknown report format ${unknown.join(", ")}. Use ${FORMATS.join(", ")}`);
+    }
+    const dir = out || path.join(registry.DEPLOYMENTS_DIR, `governance-report-${report.network}`);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const written = [];
+    if (formats.includes("json")) {
+        written.push(writeJsonAtomic(path.join(dir, "report.json"), report));
+    }
+    const files = {};
+    if (formats.includes("csv")) {
+        files["proposals.csv"] = toCsv(PROPOSAL_COLUMNS, report.proposals);
+        files["members.csv"] = toCsv(MEMBER_COLUMNS, report.members.activity);
+    }
+    if (formats.includes("html")) {
+        files["report.html"] = toHtml(report);
+    }
+    for (const [file, content] of Object.entries(files)) {
+        const target = path.join(dir, file);
+        fs.writeFileSync(target, content);
+        written.push(target);
+    }
+    return written;
+}
+
+module.exports = {
+    collectGovernanceData,
+    analyseGovernance,
+    writeGovernanceReport,
+    toCsv,
+    toHtml,
+    PROPOSAL_COLUMNS,
+    MEMBER_COLUMNS
+};
@@ -0,0 +1,463 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const registry = require("./deployment-registry");
+const { writeJsonAtomic } = require("./json-file");
+
+const { ethers } = hre;
+
+/**
+ * Pluggable health checks for deployed Softlaw contracts
+ *
+ * Each component registers a list of typed probes:
+ *   invariant - a condition over the contract state that must hold
+ *   role      - an AccessControl role an expected account must hold
+ *   reference - an address getter that must point at another deployed component
+ *   metric    - a value reported with its unit, fails only if it cannot be read
+ *
+ * Every probe carries a severity (critical, warning, info). A failed critical
+ * probe makes the system unhealthy, a failed warning probe makes it degraded.
+ */
+
+const SEVERITIES = ["critical", "warning", "info"];
+const KINDS = ["code", "invariant", "role", "reference", "metric"];
+const UNITS = {
+    SLAW: { decimals: 18, symbol: "SLAW" },
+    native: { decimals: 18, symbol: "native" },
+    token: { decimals: 18, symbol: "tokens" },
+    bps: { symbol: "bps" },
+    count: { symbol: "" },
+    seconds: { symbol: "s" },
+    address: { symbol: "" },
+    bool: { symbol: "" }
+};
+
+const components = {};
+
+/**
+ * Register (or replace) the probes of a component
+ *
+ * @param {string} name Component name as used in the deployment registry
+ * @param {object[]} probes Probes built with metric(), invariant(), role() and reference()
+ */
+function registerComponent(name, probes) {
+    for (const probe of probes) {
+        if (!KINDS.includes(probe.kind)) {
+            throw new Error(`❌ ${name}: unknown probe kind "${probe.kind}" for ${probe.id}`);
+        }
+        if (!SEVERITIES.includes(probe.severity)) {
+            throw new Error(`❌ ${name}: unknown severity "${probe.severity}" for ${probe.id}`);
+        }
+        if (probe.unit && !UNITS[probe.unit]) {
+            throw new Error(`❌ ${name}: unknown unit "${probe.unit}" for ${probe.id}`);
+        }
+    }
+    components[name] = probes;
+}
+
+function getComponentProbes(name) {
+    return components[name] || [];
+}
+
+function getRegisteredComponents() {
+    return Object.keys(components);
+}
+
+// ===== PROBE BUILDERS =====
+
+/**
+ * Read a view function and report its value
+ *
+ * @param {string} id Probe id
+ * @param {string} method View function to call
+ * @param {object} [options]
+ * @param {string} [options.unit] Unit used to format the value (see UNITS)
+ * @param {number|string} [options.field] Index or name of the output to report for multi-value returns
+ * @param {Array} [options.args] Call arguments
+ */
+function metric(id, method, { unit = "count", field, args = [], severity = "info" } = {}) {
+    return {
+        id,
+        kind: "metric",
+        severity,
+        unit,
+        requires: [method],
+        description: `${method}()${field !== undefined ? `.${field}` : ""}`,
+        run: async contract => {
+            const result = await contract[method](...args);
+            return { ok: true, value: field !== undefined ? result[field] : result };
+        }
+    };
+}
+
+/**
+ * Assert a condition over the contract state
+ *
+ * The check returns a boolean or { ok, value, expected }.
+ */
+function invariant(id, description, check, { severity = "critical", unit, requires = [] } = {}) {
+    return {
+        id,
+        kind: "invariant",
+        severity,
+        unit,
+        requires,
+        description,
+        run: async (contract, ctx) => {
+            const result = await check(contract, ctx);
+            return typeof result === "boolean" ? { ok: result } : result;
+        }
+    };
+}
+
+/**
+ * Assert that an account holds an AccessControl role
+ *
+ * @param {string} roleName Role constant name (DEFAULT_ADMIN_ROLE is the zero hash)
+ * @param {string} holder Component name, or "deployer" for the account that deployed this component
+ */
+function role(roleName, holder, { severity = "critical" } = {}) {
+    return {
+        id: `${roleName}:${holder}`,
+        kind: "role",
+        severity,
+        unit: "bool",
+        requires: ["hasRole"],
+        description: `${holder} holds ${roleName}`,
+        run: async (contract, ctx) => {
+            const account = holder === "deployer" ? ctx.deployer : ctx.addresses[holder];
+            if (!account) {
+                return { skip: `${holder} address unknown` };
+            }
+            const roleHash = roleName === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(roleName);
+            const granted = await contract.hasRole(roleHash, account);
+            return { ok: granted, value: granted, expected: true };
+        }
+    };
+}
+
+/**
+ * Assert that an address getter points at another deployed component
+ *
+ * @param {string} getter View function returning an address
+ * @param {string|string[]} targets Component name(s) the address may belong to
+ */
+function reference(getter, targets, { severity = "critical" } = {}) {
+    const names = Array.isArray(targets) ? targets : [targets];
+    return {
+        id: `${getter}->${names.join("|")}`,
+        kind: "reference",
+        severity,
+        unit: "address",
+        requires: [getter],
+        description: `${getter}() points at ${names.join(" or ")}`,
+        run: async (contract, ctx) => {
+            const actual = await contract[getter]();
+            const deployed = names.filter(name => ctx.addresses[name]);
+            if (actual === ethers.ZeroAddress) {
+                return { ok: false, value: actual, expected: deployed.map(name => ctx.addresses[name]).join(" | ") || "non-zero" };
+            }
+            if (deployed.length === 0) {
+                return { skip: `${names.join(", ")} not deployed`, value: actual };
+            }
+            const ok = deployed.some(name => ctx.addresses[name].toLowerCase() === actual.toLowerCase());
+            return { ok, value: actual, expected: deployed.map(name => ctx.addresses[name]).join(" | ") };
+        }
+    };
+}
+
+// ===== FORMATTING =====
+
+function formatValue(value, unit) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const spec = UNITS[unit];
+    if (typeof value === "bigint" && spec && spec.decimals !== undefined) {
+        return `${ethers.formatUnits(value, spec.decimals)} ${spec.symbol}`;
+    }
+    if (unit === "bps" && typeof value === "bigint") {
+        return `${value} bps (${Number(value) / 100}%)`;
+    }
+    if (unit === "seconds") {
+        return `${value}s`;
+    }
+    return String(value);
+}
+
+function toPlain(value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    return value === undefined ? null : value;
+}
+
+// ===== RUNNER =====
+
+function supports(contract, method) {
+    try {
+        return Boolean(contract.interface.getFunction(method));
+    } catch {
+        return false;
+    }
+}
+
+async function runProbe(probe, contract, ctx) {
+    const base = {
+        id: probe.id,
+        kind: probe.kind,
+        severity: probe.severity,
+        unit: probe.unit || null,
+        description: probe.description
+    };
+
+    const missing = (probe.requires || []).filter(method => !supports(contract, method));
+    if (missing.length > 0) {
+        return { ...base, status: "skip", message: `ABI has no ${missing.join(", ")}` };
+    }
+
+    const started = Date.now();
+    try {
+        const result = await probe.run(contract, ctx);
+        const outcome = {
+            ...base,
+            status: result.skip ? "skip" : result.ok ? "pass" : "fail",
+            value: toPlain(result.value),
+            formatted: formatValue(result.value, probe.unit),
+            expected: toPlain(result.expected),
+            durationMs: Date.now() - started
+        };
+        if (result.skip) {
+            outcome.message = result.skip;
+        } else if (!result.ok) {
+            outcome.message = result.message ||
+                `${probe.description}: got ${outcome.formatted ?? "nothing"}${outcome.expected !== null ? `, expected ${outcome.expected}` : ""}`;
+        }
+        return outcome;
+    } catch (error) {
+        return {
+            ...base,
+            status: "error",
+            message: error.shortMessage || error.message,
+            durationMs: Date.now() - started
+        };
+    }
+}
+
+function componentStatus(probes) {
+    const failing = probes.filter(p => p.status === "fail" || p.status === "error");
+    if (failing.some(p => p.severity === "critical")) {
+        return "unhealthy";
+    }
+    if (failing.some(p => p.severity === "warning")) {
+        return "degraded";
+    }
+    return "healthy";
+}
+
+/**
+ * Run the registered probes against every deployed component
+ *
+ * @param {Object<string, string>} addresses Component name to address
+ * @param {object} [options]
+ * @param {object} [options.signer] Signer used to attach contracts
+ * @param {string[]} [options.only] Limit the run to these components
+ * @returns {Promise<object>} Health report (see README "Health Checks")
+ */
+async function runHealthChecks(addresses, { signer, only } = {}) {
+    const provider = signer ? signer.provider : ethers.provider;
+    const deployments = registry.loadRegistry().contracts;
+    const started = Date.now();
+    const report = {
+        network: hre.network.name,
+        blockNumber: await provider.getBlockNumber(),
+        generatedAt: new Date().toISOString(),
+        status: "healthy",
+        healthy: true,
+        summary: { total: 0, pass: 0, fail: 0, error: 0, skip: 0, critical: 0, warning: 0, info: 0 },
+        components: {}
+    };
+
+    for (const [name, address] of Object.entries(addresses)) {
+        if (only && !only.includes(name)) {
+            continue;
+        }
+
+        const ctx = {
+            name,
+            address,
+            addresses,
+            provider,
+            deployer: deployments[name] && deployments[name].deployer,
+            attach: component => registry.getContract(component, signer)
+        };
+        const probes = [];
+
+        const code = await provider.getCode(address);
+        probes.push({
+            id: "code",
+            kind: "code",
+            severity: "critical",
+            unit: null,
+            description: "contract code is deployed",
+            status: code === "0x" ? "fail" : "pass",
+            value: (code.length - 2) / 2,
+            formatted: `${(code.length - 2) / 2} bytes`,
+            message: code === "0x" ? `No contract code found at ${address}` : undefined
+        });
+
+        if (code !== "0x") {
+            let contract;
+            try {
+                contract = await registry.getContract(name, signer);
+            } catch (error) {
+                probes.push({
+                    id: "attach",
+                    kind: "code",
+                    severity: "critical",
+                    unit: null,
+                    description: "contract ABI can be resolved",
+                    status: "error",
+                    message: error.message
+                });
+            }
+            if (contract) {
+                for (const probe of getComponentProbes(name)) {
+                    probes.push(await runProbe(probe, contract, ctx));
+                }
+            }
+        }
+
+        report.components[name] = { address, status: componentStatus(probes), probes };
+
+        for (const probe of probes) {
+            report.summary.total++;
+            report.summary[probe.status]++;
+            if (probe.status === "fail" || probe.status === "error") {
+                report.summary[probe.severity]++;
+            }
+        }
+    }
+
+    report.status = componentStatus(Object.values(report.components).flatMap(c => c.probes));
+    report.healthy = report.status !== "unhealthy";
+    report.durationMs = Date.now() - started;
+    return report;
+}
+
+// ===== REPORTS =====
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Render a report as JUnit XML: one testsuite per component, one testcase per probe
+ *
+ * Failed probes become <failure> elements whose type is the probe severity,
+ * probes that threw become <error> elements.
+ */
+function toJUnit(report) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    const s = report.summary;
+    lines.push(
+        `<testsuites name="softlaw-health-${escapeXml(report.network)}" tests="${s.total}" failures="${s.fail}" errors="${s.error}" skipped="${s.skip}" time="${(report.durationMs || 0) / 1000}" timestamp="${report.generatedAt}">`
+    );
+
+    for (const [name, component] of Object.entries(report.components)) {
+        const count = status => component.probes.filter(p => p.status === status).length;
+        lines.push(
+            `  <testsuite name="${escapeXml(name)}" tests="${component.probes.length}" failures="${count("fail")}" errors="${count("error")}" skipped="${count("skip")}">`
+        );
+        lines.push("    <properties>");
+        lines.push(`      <property name="address" value="${escapeXml(component.address)}"/>`);
+        lines.push(`      <property name="status" value="${component.status}"/>`);
+        lines.push("    </properties>");
+
+        for (const probe of component.probes) {
+            const attrs = `classname="softlaw.${escapeXml(name)}.${probe.kind}" name="${escapeXml(probe.id)}" time="${(probe.durationMs || 0) / 1000}"`;
+            const message = escapeXml(probe.message || "");
+            if (probe.status === "pass") {
+                lines.push(`    <testcase ${attrs}>`);
+                lines.push(`      <system-out>${escapeXml(probe.formatted ?? "")}</system-out>`);
+                lines.push("    </testcase>");
+            } else if (probe.status === "fail") {
+                lines.push(`    <testcase ${attrs}>`);
+                lines.push(`      <failure type="${probe.severity}" message="${message}">${escapeXml(probe.description)}</failure>`);
+                lines.push("    </testcase>");
+            } else if (probe.status === "error") {
+                lines.push(`    <testcase ${attrs}>`);
+                lines.push(`      <error type="${probe.severity}" message="${message}">${escapeXml(probe.description)}</error>`);
+                lines.push("    </testcase>");
+            } else {
+                lines.push(`    <testcase ${attrs}>`);
+                lines.push(`      <skipped message="${message}"/>`);
+                lines.push("    </testcase>");
+            }
+        }
+        lines.push("  </testsuite>");
+    }
+
+    lines.push("</testsuites>");
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Write the JSON and/or JUnit XML report
+ *
+ * @param {object} report Report returned by runHealthChecks()
+ * @param {object} outputs
+ * @param {string} [outputs.json] Path of the JSON report
+ * @param {string} [outputs.junit] Path of the JUnit XML report
+ */
+function writeReports(report, { json, junit } = {}) {
+    const written = [];
+    if (json) {
+        writeJsonAtomic(path.resolve(json), report);
+        written.push(path.resolve(json));
+    }
+    if (junit) {
+        const junitPath = path.resolve(junit);
+        fs.mkdirSync(path.dirname(junitPath), { recursive: true });
+        fs.writeFileSync(junitPath, toJUnit(report));
+        written.push(junitPath);
+    }
+    return written;
+}
+
+/**
+ * Whether a report has failing probes at or above a severity
+ */
+function hasFailures(report, severity = "critical") {
+    const threshold = SEVERITIES.indexOf(severity);
+    if (threshold === -1) {
+        throw new Error(`❌ Unknown severity "${severity}". Use one of: ${SEVERITIES.join(", ")}`);
+    }
+    return Object.values(report.components).some(component =>
+        component.probes.some(p =>
+            (p.status === "fail" || p.status === "error") && SEVERITIES.indexOf(p.severity) <= threshold
+        )
+    );
+}
+
+module.exports = {
+    SEVERITIES,
+    UNITS,
+    registerComponent,
+    getComponentProbes,
+    getRegisteredComponents,
+    metric,
+    invariant,
+    role,
+    reference,
+    formatValue,
+    runHealthChecks,
+    toJUnit,
+    writeReports,
+    hasFailures
+};
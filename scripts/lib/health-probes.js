@@ -0,0 +1,200 @@
+const { ethers } = require("hardhat");
+const { registerComponent, metric, invariant, role, reference } = require("./health-checks");
+
+/**
+ * Health probes for the Softlaw components
+ *
+ * Probes whose function is missing from a component's ABI (for example when
+ * the integrations profile is deployed) are reported as skipped.
+ */
+
+registerComponent("SLAWToken", [
+    reference("treasuryCore", "TreasuryCore"),
+    role("TREASURY_ROLE", "TreasuryCore"),
+    role("DEFAULT_ADMIN_ROLE", "deployer", { severity: "warning" }),
+    invariant(
+        "supply-within-max",
+        "totalSupply() does not exceed MAX_SUPPLY",
+        async token => {
+            const [supply, max] = await Promise.all([token.totalSupply(), token.MAX_SUPPLY()]);
+            return { ok: supply <= max, value: supply, expected: `<= ${max}` };
+        },
+        { unit: "SLAW", requires: ["totalSupply", "MAX_SUPPLY"] }
+    ),
+    invariant(
+        "decimals",
+        "token uses 18 decimals",
+        async token => {
+            const decimals = await token.decimals();
+            return { ok: decimals === 18n, value: decimals, expected: 18 };
+        },
+        { severity: "warning", requires: ["decimals"] }
+    ),
+    metric("totalSupply", "totalSupply", { unit: "SLAW" }),
+    metric("treasuryBalance", "getTreasuryBalance", { unit: "SLAW" }),
+    metric("circulatingSupply", "getCirculatingSupply", { unit: "SLAW" })
+]);
+
+registerComponent("TreasuryCore", [
+    reference("slawToken", "SLAWToken"),
+    reference("wrappedIPManager", "WrappedIPManager", { severity: "warning" }),
+    reference("liquidityManager", "LiquidityManager", { severity: "warning" }),
+    role("MARKETPLACE_CONTRACT", "MarketplaceCore"),
+    role("TREASURY_ADMIN", "deployer", { severity: "warning" }),
+    invariant(
+        "fee-rates-bounded",
+        "marketplace and liquidity fee rates are below 100%",
+        async treasury => {
+            const config = await treasury.getFeeConfig();
+            const ok = config.marketplaceFeeRate <= 10000n && config.liquidityFeeRate <= 10000n;
+            return { ok, value: `${config.marketplaceFeeRate}/${config.liquidityFeeRate}`, expected: "<= 10000 bps" };
+        },
+        { requires: ["getFeeConfig"] }
+    ),
+    invariant(
+        "fees-active",
+        "fee collection is active",
+        async treasury => (await treasury.getFeeConfig()).isActive,
+        { severity: "warning", requires: ["getFeeConfig"] }
+    ),
+    metric("feesCollected", "getSystemMetrics", { field: "feesCollected", unit: "SLAW" }),
+    metric("registrations", "getSystemMetrics", { field: "registrations" }),
+    metric("licenses", "getSystemMetrics", { field: "licenses" }),
+    metric("treasuryBalance", "getSystemMetrics", { field: "treasuryBalance", unit: "SLAW" }),
+    metric("marketplaceFeeRate", "getFeeConfig", { field: "marketplaceFeeRate", unit: "bps" })
+]);
+
+registerComponent("WrappedIPManager", [
+    reference("slawToken", "SLAWToken"),
+    reference("treasuryCore", "TreasuryCore"),
+    role("TREASURY_ROLE", "TreasuryCore"),
+    role("IP_MANAGER_ROLE", "deployer", { severity: "warning" }),
+    metric("totalWrapped", "getSystemMetrics", { field: "totalWrapped" }),
+    metric("valueLocked", "getSystemMetrics", { field: "valueLockedSLAW", unit: "SLAW" }),
+    metric("totalCreators", "getSystemMetrics", { field: "totalCreators" })
+]);
+
+registerComponent("LiquidityManager", [
+    reference("slawToken", "SLAWToken"),
+    reference("treasuryCore", "TreasuryCore"),
+    role("TREASURY_ROLE", "TreasuryCore"),
+    role("LIQUIDITY_ADMIN", "deployer", { severity: "warning" }),
+    invariant(
+        "rewards-funded",
+        "holds SLAW for liquidity rewards",
+        async (manager, ctx) => {
+            if (!ctx.addresses.SLAWToken) {
+                return { skip: "SLAWToken not deployed" };
+            }
+            const token = await ctx.attach("SLAWToken");
+            const balance = await token.balanceOf(ctx.address);
+            return { ok: balance > 0n, value: balance, expected: "> 0" };
+        },
+        { severity: "warning", unit: "SLAW" }
+    ),
+    metric("tradingFee", "TRADING_FEE", { unit: "bps" }),
+    metric("protocolFee", "PROTOCOL_FEE", { unit: "bps" })
+]);
+
+registerComponent("MarketplaceCore", [
+    reference("slawToken", "SLAWToken"),
+    reference("treasuryCore", "TreasuryCore"),
+    role("TREASURY_ROLE", "TreasuryCore"),
+    role("MARKETPLACE_ADMIN", "deployer", { severity: "warning" }),
+    invariant(
+        "sales-within-listings",
+        "totalSales does not exceed totalListings",
+        async marketplace => {
+            const metrics = await marketplace.getSystemMetrics();
+            return { ok: metrics._totalSales <= metrics._totalListings, value: metrics._totalSales, expected: `<= ${metrics._totalListings}` };
+        },
+        { requires: ["getSystemMetrics"] }
+    ),
+    metric("totalListings", "getSystemMetrics", { field: "_totalListings" }),
+    metric("totalSales", "getSystemMetrics", { field: "_totalSales" }),
+    metric("totalVolume", "getSystemMetrics", { field: "_totalVolume", unit: "SLAW" }),
+    metric("activeListings", "getSystemMetrics", { field: "activeListings" })
+]);
+
+registerComponent("ADRSystem", [
+    reference("treasuryCore", "TreasuryCore"),
+    role("DISPUTE_ADMIN", "deployer", { severity: "warning" }),
+    invariant(
+        "resolved-within-total",
+        "resolved disputes do not exceed total disputes",
+        async adr => {
+            const stats = await adr.getDisputeStats();
+            return { ok: stats.resolvedDisputes <= stats.totalDisputes, value: stats.resolvedDisputes, expected: `<= ${stats.totalDisputes}` };
+        },
+        { requires: ["getDisputeStats"] }
+    ),
+    metric("totalDisputes", "getDisputeStats", { field: "totalDisputes" }),
+    metric("resolvedDisputes", "getDisputeStats", { field: "resolvedDisputes" }),
+    metric("filingFee", "FILING_FEE", { unit: "SLAW" }),
+    metric("arbitrationFee", "ARBITRATION_FEE", { unit: "SLAW" })
+]);
+
+registerComponent("CopyrightLicensing", [
+    reference("governanceContract", "DAOGovernor", { severity: "warning" }),
+    invariant(
+        "fee-recipient-set",
+        "fee recipient is set",
+        async licensing => {
+            const recipient = await licensing.feeRecipient();
+            return { ok: recipient !== ethers.ZeroAddress, value: recipient };
+        },
+        { requires: ["feeRecipient"] }
+    ),
+    metric("licenseFee", "LICENSE_FEE", { unit: "native" }),
+    metric("registryFee", "REGISTRY_FEE", { unit: "native" })
+]);
+
+registerComponent("DAOGovernor", [
+    reference("registryContract", ["CopyrightsRegistry", "CopyrightLicensing"]),
+    reference("membershipContract", "DaoMembership"),
+    reference("getTreasuryContract", "DAOTreasury"),
+    invariant(
+        "quorum-set",
+        "voting quorum is greater than zero",
+        async governor => {
+            const quorum = await governor.votingQuorum();
+            return { ok: quorum > 0n, value: quorum, expected: "> 0" };
+        },
+        { requires: ["votingQuorum"] }
+    ),
+    invariant(
+        "quorum-reachable",
+        "membership is large enough to reach quorum",
+        async governor => {
+            const [quorum, members] = await Promise.all([governor.votingQuorum(), governor.getMemberCount()]);
+            return { ok: members >= quorum, value: members, expected: `>= ${quorum}` };
+        },
+        { severity: "warning", requires: ["votingQuorum", "getMemberCount"] }
+    ),
+    metric("totalProposals", "getTotalProposals"),
+    metric("memberCount", "getMemberCount"),
+    metric("votingQuorum", "votingQuorum"),
+    metric("lockingPeriod", "lockingPeriod", { unit: "seconds" }),
+    metric("treasuryBalance", "getTreasuryBalance", { unit: "token" })
+]);
+
+registerComponent("DaoMembership", [
+    role("GOVERNOR_ROLE", "DAOGovernor", { severity: "warning" }),
+    role("DEFAULT_ADMIN_ROLE", "deployer", { severity: "warning" }),
+    invariant(
+        "has-members",
+        "at least one member is registered",
+        async membership => {
+            const members = await membership.getMemberCount();
+            return { ok: members > 0n, value: members, expected: "> 0" };
+        },
+        { requires: ["getMemberCount"] }
+    ),
+    metric("memberCount", "getMemberCount"),
+    metric("lawyerCount", "getLawyerCount"),
+    metric("creatorCount", "getCreatorCount")
+]);
+
+registerComponent("UniswapV2Factory", [
+    metric("pairCount", "allPairsLength")
+]);
@@ -0,0 +1,260 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite store for the event indexer
+ *
+ * Tables:
+ *   meta    - key/value pairs (schema version, chain id, cursor)
+ *   sources - contracts being indexed
+ *   blocks  - hash of every indexed block that had events, plus the last
+ *             block of each batch, used to detect reorgs
+ *   events  - decoded events, args stored as JSON
+ */
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS sources (
+    name TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    start_block INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    parent_hash TEXT,
+    timestamp INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    tx_index INTEGER,
+    contract TEXT NOT NULL,
+    address TEXT NOT NULL,
+    event TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    args TEXT NOT NULL,
+    timestamp INTEGER,
+    UNIQUE (block_number, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS events_by_event ON events (event, block_number);
+CREATE INDEX IF NOT EXISTS events_by_contract ON events (contract, block_number);
+CREATE INDEX IF NOT EXISTS events_by_tx ON events (tx_hash);
+`;
+
+function toJson(value) {
+    return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+function rowToEvent(row) {
+    return {
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        logIndex: row.log_index,
+        txHash: row.tx_hash,
+        txIndex: row.tx_index,
+        contract: row.contract,
+        address: row.address,
+        event: row.event,
+        signature: row.signature,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp
+    };
+}
+
+/**
+ * Open (and create if needed) an indexer database
+ *
+ * @param {string} dbPath File path, or ":memory:"
+ */
+function openStore(dbPath) {
+    if (dbPath !== ":memory:") {
+        fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+    }
+
+    const db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+
+    const getMetaStmt = db.prepare("SELECT value FROM meta WHERE key = ?");
+    const setMetaStmt = db.prepare(
+        "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+    );
+
+    const version = getMetaStmt.get("schemaVersion");
+    if (!version) {
+        setMetaStmt.run("schemaVersion", String(SCHEMA_VERSION));
+    } else if (Number(version.value) !== SCHEMA_VERSION) {
+        db.close();
+        throw new Error(`❌ Indexer database ${dbPath} has schema version ${version.value}, expected ${SCHEMA_VERSION}`);
+    }
+
+    const statements = {
+        upsertSource: db.prepare(
+            "INSERT INTO sources (name, address, start_block) VALUES (?, ?, ?) " +
+            "ON CONFLICT(name) DO UPDATE SET address = excluded.address, start_block = excluded.start_block"
+        ),
+        sources: db.prepare("SELECT name, address, start_block AS startBlock FROM sources ORDER BY name"),
+        upsertBlock: db.prepare(
+            "INSERT INTO blocks (number, hash, parent_hash, timestamp) VALUES (?, ?, ?, ?) " +
+            "ON CONFLICT(number) DO UPDATE SET hash = excluded.hash, parent_hash = excluded.parent_hash, timestamp = excluded.timestamp"
+        ),
+        getBlock: db.prepare("SELECT number, hash, parent_hash AS parentHash, timestamp FROM blocks WHERE number = ?"),
+        blocksFrom: db.prepare(
+            "SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?"
+        ),
+        insertEvent: db.prepare(
+            "INSERT OR REPLACE INTO events " +
+            "(block_number, block_hash, log_index, tx_hash, tx_index, contract, address, event, signature, args, timestamp) " +
+            "VALUES (@blockNumber, @blockHash, @logIndex, @txHash, @txIndex, @contract, @address, @event, @signature, @args, @timestamp)"
+        ),
+        deleteEventsAfter: db.prepare("DELETE FROM events WHERE block_number > ?"),
+        deleteBlocksAfter: db.prepare("DELETE FROM blocks WHERE number > ?")
+    };
+
+    function getMeta(key) {
+        const row = getMetaStmt.get(key);
+        return row ? row.value : null;
+    }
+
+    function setMeta(key, value) {
+        setMetaStmt.run(key, String(value));
+    }
+
+    /**
+     * Last fully indexed block, or null if nothing was indexed yet
+     */
+    function getCursor() {
+        const value = getMeta("cursor");
+        return value === null ? null : Number(value);
+    }
+
+    /**
+     * Store a batch of events and block hashes and move the cursor, atomically
+     */
+    const commitBatch = db.transaction(({ events, blocks, cursor }) => {
+        for (const block of blocks) {
+            statements.upsertBlock.run(block.number, block.hash, block.parentHash || null, block.timestamp ?? null);
+        }
+        for (const event of events) {
+            statements.insertEvent.run({
+                ...event,
+                txIndex: event.txIndex ?? null,
+                timestamp: event.timestamp ?? null,
+                args: toJson(event.args)
+            });
+        }
+        setMeta("cursor", cursor);
+    });
+
+    /**
+     * Remove everything above a block and move the cursor back to it
+     *
+     * @returns {number} Number of events removed
+     */
+    const rollback = db.transaction(blockNumber => {
+        const { changes } = statements.deleteEventsAfter.run(blockNumber);
+        statements.deleteBlocksAfter.run(blockNumber);
+        setMeta("cursor", blockNumber);
+        return changes;
+    });
+
+    /**
+     * Query decoded events
+     *
+     * @param {object} [filter]
+     * @param {string|string[]} [filter.event] Event name(s)
+     * @param {string|string[]} [filter.contract] Component name(s)
+     * @param {string} [filter.txHash] Transaction hash
+     * @param {number} [filter.fromBlock] Inclusive lower block bound
+     * @param {number} [filter.toBlock] Inclusive upper block bound
+     * @param {object} [filter.args] Exact matches on decoded args, e.g. { creator: "0x..." }
+     * @param {number} [filter.limit] Maximum rows
+     * @param {"asc"|"desc"} [filter.order] Block order (defaults to asc)
+     */
+    function queryEvents(filter = {}) {
+        const where = [];
+        const params = [];
+        const list = (column, value) => {
+            const values = Array.isArray(value) ? value : [value];
+            where.push(`${column} IN (${values.map(() => "?").join(", ")})`);
+            params.push(...values);
+        };
+
+        if (filter.event) list("event", filter.event);
+        if (filter.contract) list("contract", filter.contract);
+        if (filter.txHash) list("tx_hash", filter.txHash);
+        if (filter.fromBlock !== undefined) {
+            where.push("block_number >= ?");
+            params.push(filter.fromBlock);
+        }
+        if (filter.toBlock !== undefined) {
+            where.push("block_number <= ?");
+            params.push(filter.toBlock);
+        }
+        for (const [key, value] of Object.entries(filter.args || {})) {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+                throw new Error(`❌ Invalid event argument name: ${key}`);
+            }
+            where.push(`json_extract(args, '$.${key}') = ?`);
+            params.push(typeof value === "bigint" ? value.toString() : value);
+        }
+
+        const order = filter.order === "desc" ? "DESC" : "ASC";
+        let sql = "SELECT * FROM events";
+        if (where.length > 0) {
+            sql += ` WHERE ${where.join(" AND ")}`;
+        }
+        sql += ` ORDER BY block_number ${order}, log_index ${order}`;
+        if (filter.limit) {
+            sql += " LIMIT ?";
+            params.push(filter.limit);
+        }
+
+        return db.prepare(sql).all(...params).map(rowToEvent);
+    }
+
+    /**
+     * Event counts grouped by contract and event name
+     */
+    function countEvents() {
+        return db
+            .prepare("SELECT contract, event, COUNT(*) AS count FROM events GROUP BY contract, event ORDER BY contract, event")
+            .all();
+    }
+
+    return {
+        db,
+        getMeta,
+        setMeta,
+        getCursor,
+        commitBatch,
+        rollback,
+        upsertSource: (name, address, startBlock) => statements.upsertSource.run(name, address, startBlock),
+        getSources: () => statements.sources.all(),
+        getBlock: number => statements.getBlock.get(number) || null,
+        // Stored blocks at or below a height, newest first
+        getBlocksBelow: (number, limit) => statements.blocksFrom.all(number, limit),
+        queryEvents,
+        countEvents,
+        close: () => db.close()
+    };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    openStore
+};
@@ -0,0 +1,36 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * JSON files written by the Softlaw scripts: registries, deployment state,
+ * reports and --json output
+ *
+ * Does not require("hardhat"), so it can be used while the runtime is being
+ * configured and outside of it.
+ */
+
+/**
+ * JSON text of `data`, bigints written as decimal strings
+ */
+function toJson(data) {
+    return JSON.stringify(data, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * Write JSON through a temporary file and rename, so readers never see a
+ * partially written file and a crash never truncates the previous one
+ *
+ * @returns {string} filePath
+ */
+function writeJsonAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, toJson(data) + "\n");
+    fs.renameSync(tmpPath, filePath);
+    return filePath;
+}
+
+module.exports = {
+    toJson,
+    writeJsonAtomic
+};
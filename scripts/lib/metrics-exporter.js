@@ -0,0 +1,175 @@
+const http = require("http");
+const { ethers } = require("hardhat");
+const { UNITS } = require("./health-checks");
+
+/**
+ * Prometheus metrics for the health reports produced by the monitor
+ *
+ * Exposes the latest report on http://<host>:<port>/metrics in the Prometheus
+ * text format (version 0.0.4).
+ */
+
+const STATUS_VALUES = { healthy: 0, degraded: 1, unhealthy: 2 };
+const PROBE_STATUS_VALUES = { pass: 1, fail: 0, error: 0, skip: -1 };
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labels(values) {
+    const entries = Object.entries(values).filter(([, v]) => v !== undefined && v !== null);
+    if (entries.length === 0) {
+        return "";
+    }
+    return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+/**
+ * Numeric value of a probe for export, scaled by the unit's decimals
+ *
+ * Returns null for values that are not numbers (addresses, strings).
+ */
+function probeNumber(probe) {
+    const { value, unit } = probe;
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === "boolean") {
+        return value ? 1 : 0;
+    }
+    if (typeof value === "number") {
+        return value;
+    }
+    if (typeof value !== "string" || !/^-?\d+$/.test(value)) {
+        return null;
+    }
+    const spec = UNITS[unit];
+    if (spec && spec.decimals !== undefined) {
+        return Number(ethers.formatUnits(BigInt(value), spec.decimals));
+    }
+    return Number(value);
+}
+
+/**
+ * Flat map of "<Component>.<probe>" to numeric metric value, used by alert
+ * rules and the exporter
+ */
+function extractMetrics(report) {
+    const metrics = {};
+    for (const [name, component] of Object.entries(report.components)) {
+        for (const probe of component.probes) {
+            if (probe.kind !== "metric" || probe.status !== "pass") {
+                continue;
+            }
+            const number = probeNumber(probe);
+            if (number !== null && Number.isFinite(number)) {
+                metrics[`${name}.${probe.id}`] = number;
+            }
+        }
+    }
+    return metrics;
+}
+
+/**
+ * Render a health report as Prometheus text
+ *
+ * @param {object} report Report returned by runHealthChecks()
+ * @param {object} [monitor] Monitor counters ({ iterations, errors, alertsFiring })
+ */
+function renderMetrics(report, monitor = {}) {
+    const lines = [];
+    const network = report ? report.network : undefined;
+    const gauge = (name, help, type = "gauge") => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+    };
+
+    gauge("softlaw_monitor_iterations_total", "Health checks run by the monitor", "counter");
+    lines.push(`softlaw_monitor_iterations_total${labels({ network })} ${monitor.iterations || 0}`);
+    gauge("softlaw_monitor_errors_total", "Health check runs that failed to complete", "counter");
+    lines.push(`softlaw_monitor_errors_total${labels({ network })} ${monitor.errors || 0}`);
+    gauge("softlaw_alerts_firing", "Alerts currently firing");
+    lines.push(`softlaw_alerts_firing${labels({ network })} ${monitor.alertsFiring || 0}`);
+
+    if (!report) {
+        return lines.join("\n") + "\n";
+    }
+
+    gauge("softlaw_health_status", "Overall health (0 healthy, 1 degraded, 2 unhealthy)");
+    lines.push(`softlaw_health_status${labels({ network })} ${STATUS_VALUES[report.status]}`);
+    gauge("softlaw_health_last_check_timestamp_seconds", "Unix time of the last completed health check");
+    lines.push(`softlaw_health_last_check_timestamp_seconds${labels({ network })} ${Math.floor(Date.parse(report.generatedAt) / 1000)}`);
+    gauge("softlaw_health_check_duration_seconds", "Duration of the last health check");
+    lines.push(`softlaw_health_check_duration_seconds${labels({ network })} ${(report.durationMs || 0) / 1000}`);
+    gauge("softlaw_health_block_number", "Block number the last health check ran against");
+    lines.push(`softlaw_health_block_number${labels({ network })} ${report.blockNumber}`);
+
+    gauge("softlaw_component_health_status", "Component health (0 healthy, 1 degraded, 2 unhealthy)");
+    for (const [name, component] of Object.entries(report.components)) {
+        lines.push(`softlaw_component_health_status${labels({ network, component: name, address: component.address })} ${STATUS_VALUES[component.status]}`);
+    }
+
+    gauge("softlaw_probe_status", "Probe result (1 pass, 0 fail or error, -1 skipped)");
+    for (const [name, component] of Object.entries(report.components)) {
+        for (const probe of component.probes) {
+            const probeLabels = labels({ network, component: name, probe: probe.id, kind: probe.kind, severity: probe.severity });
+            lines.push(`softlaw_probe_status${probeLabels} ${PROBE_STATUS_VALUES[probe.status]}`);
+        }
+    }
+
+    gauge("softlaw_metric", "Contract metric read by a health probe, scaled to whole units");
+    for (const [name, component] of Object.entries(report.components)) {
+        for (const probe of component.probes) {
+            if (probe.kind !== "metric" || probe.status !== "pass") {
+                continue;
+            }
+            const number = probeNumber(probe);
+            if (number !== null && Number.isFinite(number)) {
+                lines.push(`softlaw_metric${labels({ network, component: name, metric: probe.id, unit: probe.unit })} ${number}`);
+            }
+        }
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Serve metrics on localhost
+ *
+ * @param {object} options
+ * @param {number} options.port Port to listen on (0 picks a free port)
+ * @param {string} [options.host] Interface to bind (defaults to 127.0.0.1)
+ * @param {function(): string} render Returns the current metrics text
+ * @returns {Promise<http.Server>}
+ */
+function startMetricsServer({ port, host = "127.0.0.1" }, render) {
+    const server = http.createServer((req, res) => {
+        if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+            res.writeHead(404, { "Content-Type": "text/plain" });
+            res.end("Not found. Metrics are served on /metrics\n");
+            return;
+        }
+        try {
+            const body = render();
+            res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+            res.end(body);
+        } catch (error) {
+            res.writeHead(500, { "Content-Type": "text/plain" });
+            res.end(`${error.message}\n`);
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+            server.off("error", reject);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    extractMetrics,
+    renderMetrics,
+    startMetricsServer
+};
@@ -0,0 +1,208 @@
+const path = require("path");
+const { checkKeySource, toHardhatAccounts } = require("./signer-provider");
+
+/**
+ * Network profiles (scripts/config/networks.js)
+ *
+ * hardhat.config.js builds its remote networks and the hardhat-verify chains
+ * from the profiles, so this module is loaded before the Hardhat runtime
+ * exists and must not require("hardhat"). Tasks and scripts call
+ * assertNetworkReady(hre) before touching the network: it fails with every
+ * missing setting at once instead of on the first transaction.
+ */
+
+const DEFAULT_PROFILES = path.join(__dirname, "..", "config", "networks.js");
+const TIERS = ["local", "testnet", "production"];
+
+// In-process network started by Hardhat itself, nothing to configure
+const IN_PROCESS_NETWORK = "hardhat";
+
+/**
+ * Load the profiles module (defaults to scripts/config/networks.js)
+ */
+function loadNetworkProfiles(file = process.env.SOFTLAW_NETWORKS) {
+    const resolved = file ? path.resolve(file) : DEFAULT_PROFILES;
+    const { defaults = {}, networks = {} } = require(resolved);
+    const profiles = {};
+    for (const [name, profile] of Object.entries(networks)) {
+        profiles[name] = { name, ...profile, hardhat: { ...defaults, ...profile.hardhat } };
+    }
+    return profiles;
+}
+
+/**
+ * Profile of a network, or null for networks without one (the in-process hardhat network)
+ */
+function getNetworkProfile(name, profiles = loadNetworkProfiles()) {
+    return profiles[name] || null;
+}
+
+/**
+ * Every configuration problem of a profile
+ *
+ * @returns {object} { errors, warnings } as lists of messages
+ */
+function validateNetworkProfile(profile, env = process.env) {
+    const errors = [];
+    const warnings = [];
+
+    if (!TIERS.includes(profile.tier)) {
+        errors.push(`tier must be one of ${TIERS.join(", ")}, got ${profile.tier}`);
+    }
+    if (!profile.url) {
+        errors.push("no RPC url");
+    } else if (!/^(https?|wss?):\/\//.test(profile.url)) {
+        errors.push(`RPC url ${profile.url} is not an http(s) or ws(s) url`);
+    }
+    if (!Number.isInteger(profile.chainId) || profile.chainId <= 0) {
+        errors.push(`chain id ${profile.chainId === undefined ? "not set" : `${profile.chainId} is invalid`}`);
+    }
+
+    errors.push(...checkKeySource(profile, env));
+
+    if (profile.tier !== "local") {
+        if (!profile.explorer || !profile.explorer.url) {
+            errors.push("no block explorer");
+        } else if (!profile.explorer.apiUrl) {
+            warnings.push("explorer has no apiUrl, contracts cannot be verified");
+        }
+    }
+    if (profile.forkUrl && !/^(https?|wss?):\/\//.test(profile.forkUrl)) {
+        errors.push(`fork url ${profile.forkUrl} is not an http(s) or ws(s) url`);
+    }
+    if (!Number.isInteger(profile.confirmations) || profile.confirmations < 1) {
+        errors.push("confirmations must be a positive integer");
+    }
+    if (profile.tier === "production" && profile.confirmations < 2) {
+        warnings.push(`only ${profile.confirmations} confirmation on a production network`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Hardhat `networks` entries for every profile. Incomplete profiles are still
+ * declared (with whatever keys are set) so selecting them reaches
+ * assertNetworkReady and its error message.
+ *
+ * Inside a dry run (SOFTLAW_DRY_RUN=<network>) that network points at the
+ * local fork or ephemeral node instead, without a chain id: an ephemeral
+ * node serves the local chain id.
+ */
+function toHardhatNetworks(profiles = loadNetworkProfiles(), env = process.env) {
+    const networks = {};
+    for (const [name, profile] of Object.entries(profiles)) {
+        const simulated = env.SOFTLAW_DRY_RUN === name && env.SOFTLAW_DRY_RUN_URL;
+        networks[name] = {
+            ...profile.hardhat,
+            url: simulated ? env.SOFTLAW_DRY_RUN_URL : profile.url || "http://unconfigured.invalid",
+            ...(profile.chainId && !simulated ? { chainId: profile.chainId } : {}),
+            accounts: toHardhatAccounts(profile, env)
+        };
+    }
+    return networks;
+}
+
+/**
+ * Overrides of the `hardhat` network for the node a dry run starts
+ * (SOFTLAW_DRY_RUN_NODE=<network>): a fork of the network's `forkUrl`, or a
+ * fresh dev chain, on ports that do not clash with a running localNode
+ */
+function toDryRunNodeConfig(hardhatNetwork, profiles = loadNetworkProfiles(), env = process.env) {
+    const profile = getNetworkProfile(env.SOFTLAW_DRY_RUN_NODE, profiles);
+    if (!profile) {
+        return hardhatNetwork;
+    }
+    const fork = env.SOFTLAW_DRY_RUN_MODE !== "ephemeral" && profile.forkUrl;
+    return {
+        ...hardhatNetwork,
+        polkavm: true,
+        ...(fork ? { forking: { url: profile.forkUrl } } : {}),
+        nodeConfig: { ...hardhatNetwork.nodeConfig, rpcPort: Number(env.SOFTLAW_DRY_RUN_NODE_PORT || 8001) },
+        adapterConfig: { ...hardhatNetwork.adapterConfig, adapterPort: Number(env.SOFTLAW_DRY_RUN_PORT || 8546) }
+    };
+}
+
+/**
+ * hardhat-verify settings for every profile with an explorer API
+ */
+function toEtherscanConfig(profiles = loadNetworkProfiles()) {
+    const apiKey = {};
+    const customChains = [];
+    for (const [name, profile] of Object.entries(profiles)) {
+        if (!profile.explorer || !profile.explorer.apiUrl || !profile.chainId) {
+            continue;
+        }
+        apiKey[name] = profile.explorer.apiKey || "";
+        customChains.push({
+            network: name,
+            chainId: profile.chainId,
+            urls: { apiURL: profile.explorer.apiUrl, browserURL: profile.explorer.url }
+        });
+    }
+    return { apiKey, customChains };
+}
+
+/**
+ * Blocks a deployment waits for on a network (1 without a profile, and in a
+ * dry run: the local node seals a block per transaction)
+ */
+function getConfirmations(name, profiles = loadNetworkProfiles()) {
+    const profile = getNetworkProfile(name, profiles);
+    return profile && !process.env.SOFTLAW_DRY_RUN ? profile.confirmations : 1;
+}
+
+/**
+ * Check that the selected network is fully configured and that its RPC
+ * serves the declared chain. Throws with every problem found.
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {boolean} [options.checkChainId] Ask the RPC for its chain id (default true)
+ * @returns {Promise<object|null>} The profile, or null for the in-process hardhat network
+ */
+async function assertNetworkReady(hre, options = {}) {
+    const name = hre.network.name;
+    if (name === IN_PROCESS_NETWORK) {
+        return null;
+    }
+
+    const profile = getNetworkProfile(name);
+    if (!profile) {
+        const declared = Object.keys(loadNetworkProfiles()).join(", ");
+        throw new Error(`❌ Network ${name} has no profile in scripts/config/networks.js (declared: ${declared})`);
+    }
+
+    const { errors, warnings } = validateNetworkProfile(profile);
+    for (const warning of warnings) {
+        console.warn(`⚠️  ${name}: ${warning}`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`❌ Network ${name} is not fully configured:\n${errors.map(error => `   - ${error}`).join("\n")}`);
+    }
+
+    if (options.checkChainId !== false) {
+        let remote;
+        try {
+            remote = Number(await hre.network.provider.request({ method: "eth_chainId", params: [] }));
+        } catch (error) {
+            throw new Error(`❌ Network ${name}: RPC ${profile.url} is unreachable (${error.message})`);
+        }
+        if (remote !== profile.chainId) {
+            throw new Error(`❌ Network ${name}: RPC ${profile.url} serves chain ${remote}, the profile declares ${profile.chainId}`);
+        }
+    }
+    return profile;
+}
+
+module.exports = {
+    TIERS,
+    loadNetworkProfiles,
+    getNetworkProfile,
+    validateNetworkProfile,
+    toHardhatNetworks,
+    toDryRunNodeConfig,
+    toEtherscanConfig,
+    getConfirmations,
+    assertNetworkReady
+};
@@ -0,0 +1,563 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getDecoder } = require("./receipt-decoder");
+const { createTimeControl } = require("./time-control");
+const { getNetworkProfile } = require("./network-profiles");
+const { startNode } = require("./dry-run");
+const { findRevertData } = require("../../sdk/decoder");
+
+/**
+ * Proposal execution simulator
+ *
+ * executeProposal() only reports a failing target call (ExecutionFailed) once
+ * members have voted and the locking period is over. Its _getRevertMsg only
+ * understands Error(string), so a DAOTreasury custom error arrives as
+ * "Transaction reverted silently". This runs the call a proposal would make,
+ * as the governor, on a local copy of the network before anyone votes:
+ *
+ *   node     a fork of the profile's forkUrl, started like a dry run
+ *            (scripts/lib/dry-run.js). The Hardhat network, networks without
+ *            a forkUrl and dry runs are simulated in place.
+ *   call     eth_call from the governor to DAOTreasury (Treasury proposals) or
+ *            to the governor itself (Membership): success or the decoded revert
+ *   changes  views of DAOTreasury, DAOGovernor, DaoMembership, CopyrightsRegistry
+ *            and CopyrightLicensing, read before and after. "measured" when the
+ *            node can impersonate the governor and the call is really sent (on
+ *            the fork, or in place inside a snapshot), otherwise "predicted"
+ *            from the decoded action.
+ *
+ * The governor's own checks (votes, quorum, locking period, executed) are
+ * reported separately as blockers: they decide when a proposal can run, not
+ * what it does.
+ */
+
+const WATCHED = ["DAOTreasury", "DAOGovernor", "DaoMembership", "CopyrightsRegistry", "CopyrightLicensing"];
+
+// Views holding SLaw amounts (18 decimals) on DAOTreasury and DAOGovernor
+const AMOUNT_VIEWS = ["balanceOf", "totalSupply", "getTreasuryBalance", "getAccountBalance", "getSpenderLimit"];
+
+// [impersonate, set balance, stop impersonating], Hardhat then Anvil
+const IMPERSONATION = [
+    ["hardhat_impersonateAccount", "hardhat_setBalance", "hardhat_stopImpersonatingAccount"],
+    ["anvil_impersonateAccount", "anvil_setBalance", "anvil_stopImpersonatingAccount"]
+];
+// Native balance given to the impersonated governor for gas
+const GAS_FUNDING = ethers.parseEther("1000");
+const RECEIPT_TIMEOUT = 60000;
+
+// Larger uint arguments are amounts, not copyright or license ids
+const MAX_ID = 2n ** 32n;
+
+function plain(value) {
+    if (value && typeof value.toArray === "function") {
+        return value.toArray().map(plain);
+    }
+    return value;
+}
+
+function serialise(value) {
+    return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+}
+
+function stateKey(contract, fn, args) {
+    return `${contract}.${fn}(${args.map(String).join(",")})`.toLowerCase();
+}
+
+function isRoleConstant(fragment) {
+    return /^[A-Z][A-Z0-9_]*$/.test(fragment.name) && fragment.outputs.length === 1 && fragment.outputs[0].type === "bytes32";
+}
+
+/**
+ * Read the watched views of every component for the involved addresses and ids
+ *
+ * @returns {Promise<Map<string, {contract: string, fn: string, args: Array, value: *}>>}
+ */
+async function readState(provider, watched, { addresses, ids }) {
+    const state = new Map();
+    const put = (contract, fn, args, value) => state.set(stateKey(contract, fn, args), { contract, fn, args, value });
+
+    for (const { component, address, abi } of watched) {
+        const contract = new ethers.Contract(address, abi, provider);
+        const views = contract.interface.fragments.filter(
+            fragment => fragment.type === "function" && ["view", "pure"].includes(fragment.stateMutability)
+        );
+        const call = (fragment, args) => contract.getFunction(fragment.format())(...args);
+        const read = async (fragment, args, keyArgs = args) => {
+            try {
+                put(component, fragment.name, keyArgs, plain(await call(fragment, args)));
+            } catch {
+                // Reverts for these arguments (unknown id, ...)
+            }
+        };
+
+        const roles = [];
+        for (const fragment of views) {
+            const inputs = fragment.inputs.map(input => input.type).join(",");
+            if (inputs === "" && isRoleConstant(fragment)) {
+                roles.push({ name: fragment.name, id: await call(fragment, []).catch(() => null) });
+            } else if (inputs === "") {
+                await read(fragment, []);
+            } else if (inputs === "address") {
+                for (const account of addresses) {
+                    await read(fragment, [account]);
+                }
+            } else if (inputs === "uint256") {
+                for (const id of ids) {
+                    await read(fragment, [id]);
+                }
+            }
+        }
+
+        const hasRole = views.find(fragment => fragment.format() === "hasRole(bytes32,address)");
+        for (const role of hasRole ? roles.filter(item => item.id !== null) : []) {
+            for (const account of addresses) {
+                await read(hasRole, [role.id, account], [role.name, account]);
+            }
+        }
+    }
+
+    for (const account of addresses) {
+        put("native", "balance", [account], await provider.getBalance(account));
+    }
+    return state;
+}
+
+function diffState(before, after) {
+    const changes = [];
+    for (const [key, entry] of after) {
+        const previous = before.get(key);
+        if (!previous || serialise(previous.value) !== serialise(entry.value)) {
+            changes.push({ contract: entry.contract, fn: entry.fn, args: entry.args, before: previous ? previous.value : null, after: entry.value });
+        }
+    }
+    return changes;
+}
+
+// Expected effect of each known action on the watched views, for nodes that
+// cannot impersonate the governor
+const EFFECTS = {
+    DAOTreasury: {
+        spend: (a, s) => s.moveTokens(s.treasury, a.beneficiary, a.amount),
+        batchSpend: (a, s) => a.recipients.forEach((recipient, i) => s.moveTokens(s.treasury, recipient, a.amounts[i])),
+        printBrrrr: (a, s) => s.mint(a.amount),
+        updateSpenderLimit: (a, s) => s.set("DAOTreasury", "getSpenderLimit", [], a.newLimit),
+        emergencyWithdraw: (a, s) => s.moveTokens(s.treasury, a.recipient, s.get("DAOTreasury", "balanceOf", [s.treasury]) || 0n),
+        transferOwnership: (a, s) => s.set("DAOTreasury", "owner", [], a.newOwner),
+        renounceOwnership: (a, s) => s.set("DAOTreasury", "owner", [], ethers.ZeroAddress)
+    },
+    DAOGovernor: {
+        addMember: (a, s) => s.membership(a.newMember, true),
+        removeMember: (a, s) => s.membership(a.member, false),
+        changeVotingQuorum: (a, s) => s.set("DAOGovernor", "votingQuorum", [], a.newQuorum),
+        changeLockingPeriod: (a, s) => s.set("DAOGovernor", "lockingPeriod", [], a.newPeriod),
+        emergencyWithdrawFunds: (a, s) => s.mint(a.amount)
+    }
+};
+
+/**
+ * State after `action` as EFFECTS predicts it, or null for actions it does not know
+ */
+function predictState(before, action, treasury) {
+    const effect = action && EFFECTS[action.contract] && EFFECTS[action.contract][action.method];
+    if (!effect) {
+        return null;
+    }
+    const after = new Map([...before].map(([key, entry]) => [key, { ...entry }]));
+    const get = (contract, fn, args) => {
+        const entry = after.get(stateKey(contract, fn, args));
+        return entry ? entry.value : undefined;
+    };
+    // Only views that were read are updated
+    const set = (contract, fn, args, value) => {
+        const entry = after.get(stateKey(contract, fn, args));
+        if (entry) {
+            entry.value = value;
+        }
+    };
+    const add = (contract, fn, args, delta) => {
+        const value = get(contract, fn, args);
+        if (typeof value === "bigint") {
+            set(contract, fn, args, value + delta);
+        }
+    };
+    const addBalance = (account, delta) => {
+        add("DAOTreasury", "balanceOf", [account], delta);
+        add("DAOTreasury", "getAccountBalance", [account], delta);
+        if (account.toLowerCase() === treasury.toLowerCase()) {
+            add("DAOTreasury", "getTreasuryBalance", [], delta);
+            add("DAOGovernor", "getTreasuryBalance", [], delta);
+        }
+    };
+
+    effect(action.args, {
+        treasury,
+        get,
+        set,
+        moveTokens: (from, to, amount) => {
+            addBalance(from, -amount);
+            addBalance(to, amount);
+        },
+        mint: amount => {
+            addBalance(treasury, amount);
+            add("DAOTreasury", "totalSupply", [], amount);
+        },
+        membership: (member, joined) => {
+            if (get("DaoMembership", "isMember", [member]) === joined) {
+                return;
+            }
+            set("DaoMembership", "isMember", [member], joined);
+            add("DaoMembership", "getMemberCount", [], joined ? 1n : -1n);
+            add("DAOGovernor", "getMemberCount", [], joined ? 1n : -1n);
+            const list = get("DaoMembership", "getMemberList", []);
+            if (list) {
+                set("DaoMembership", "getMemberList", [], joined ? [...list, member] : list.filter(item => item.toLowerCase() !== member.toLowerCase()));
+            }
+        }
+    });
+    return after;
+}
+
+// Mirror of DAOGovernor._getRevertMsg: the reason ExecutionFailed would carry
+function governorRevertMsg(data) {
+    if (!data || ethers.dataLength(data) < 68) {
+        return "Transaction reverted silently";
+    }
+    try {
+        return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+    } catch {
+        return "undecodable revert data";
+    }
+}
+
+/**
+ * Let the governor send transactions on the simulation node
+ *
+ * @returns {Promise<function|null>} Stops impersonating, null when the node cannot impersonate
+ */
+async function impersonate(provider, address) {
+    for (const [method, setBalance, stop] of IMPERSONATION) {
+        try {
+            await provider.send(method, [address]);
+        } catch {
+            continue;
+        }
+        if ((await provider.getBalance(address)) < GAS_FUNDING) {
+            await provider.send(setBalance, [address, ethers.toQuantity(GAS_FUNDING)]);
+        }
+        return () => provider.send(stop, [address]);
+    }
+    return null;
+}
+
+async function waitForReceipt(provider, hash) {
+    const deadline = Date.now() + RECEIPT_TIMEOUT;
+    for (;;) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+            return receipt;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`❌ Simulated transaction ${hash} was not mined within ${RECEIPT_TIMEOUT / 1000}s`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+}
+
+/**
+ * Run `simulate(provider, { node, measurable })` on the simulation node, see the module comment
+ */
+async function withSimulationNode(simulate) {
+    const target = hre.network.name;
+    const profile = getNetworkProfile(target);
+    const inPlace = target === "hardhat" || process.env.SOFTLAW_DRY_RUN === target || !profile || !profile.forkUrl;
+
+    if (inPlace) {
+        const provider = ethers.provider;
+        let snapshot = null;
+        try {
+            snapshot = await createTimeControl({ provider }).snapshot();
+        } catch {
+            // Without a snapshot nothing may be sent: changes are predicted
+        }
+        try {
+            return await simulate(provider, { node: `${target} (in place)`, measurable: snapshot !== null });
+        } finally {
+            if (snapshot !== null) {
+                await createTimeControl({ provider }).revert(snapshot);
+            }
+        }
+    }
+
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-simulation-"));
+    let node = null;
+    let provider = null;
+    try {
+        console.log(`🧪 Starting a fork of ${profile.forkUrl} to simulate on...`);
+        node = await startNode(target, "fork", sandbox);
+        provider = new ethers.JsonRpcProvider(node.url);
+        return await simulate(provider, { node: `fork of ${profile.forkUrl}`, measurable: true });
+    } finally {
+        if (provider) {
+            provider.destroy();
+        }
+        if (node) {
+            await node.stop();
+        }
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Why executeProposal() cannot run yet, from the governor's own checks
+ */
+async function getBlockers(governance, proposal, executor) {
+    const blockers = [];
+    if (proposal.status === "executed") {
+        blockers.push("already executed");
+    }
+    if (!proposal.passed) {
+        const { votes } = proposal;
+        blockers.push(`not passed: ${votes.total} of ${proposal.quorum} vote(s) needed, ${votes.aye} aye against ${votes.nay} nay`);
+    }
+    if (proposal.status === "locked") {
+        blockers.push(`locking period runs until ${new Date(proposal.unlocksAt * 1000).toISOString()}`);
+    }
+    const membership = new ethers.Contract(
+        await governance.governor.membershipContract(),
+        ["function isMember(address) view returns (bool)"],
+        governance.governor.runner.provider
+    );
+    if (!(await membership.isMember(executor))) {
+        blockers.push(`${governance.builder.name(executor)} is not a DAO member and cannot execute`);
+    }
+    return blockers;
+}
+
+/**
+ * Actions to simulate, from a proposal id, a draft or raw calldata
+ */
+async function resolveActions(governance, options) {
+    const { builder } = governance;
+    if (options.id !== undefined) {
+        const proposal = await governance.getProposal(options.id);
+        if (!proposal.callData) {
+            throw new Error(`❌ Calldata of proposal #${options.id} cannot be recovered (created through another contract), pass it with --calldata`);
+        }
+        return { proposal, actions: [proposal.action || rawAction(proposal.callData, proposal.proposalType)] };
+    }
+    if (options.callData) {
+        const proposalType = options.proposalType || "Treasury";
+        return { proposal: null, actions: [builder.decodeAction(options.callData, proposalType) || rawAction(options.callData, proposalType)] };
+    }
+    if (options.draft) {
+        if (!Array.isArray(options.draft.actions) || options.draft.actions.length === 0) {
+            throw new Error("❌ Nothing to simulate: the draft has no actions");
+        }
+        return { proposal: null, name: options.draft.name, actions: options.draft.actions.map(builder.encodeAction) };
+    }
+    throw new Error("❌ Nothing to simulate: pass a proposal id, a draft or calldata");
+}
+
+function rawAction(callData, proposalType) {
+    const executable = proposalType === "Treasury" || proposalType === "Membership";
+    return {
+        contract: proposalType === "Treasury" ? "DAOTreasury" : "DAOGovernor",
+        method: null,
+        signature: ethers.dataSlice(callData, 0, 4),
+        args: {},
+        callData,
+        proposalType,
+        executable,
+        description: `Undecoded ${proposalType} calldata ${ethers.dataSlice(callData, 0, 4)}`
+    };
+}
+
+function involved(action, governor, treasury, executor) {
+    const addresses = new Map();
+    const ids = new Set();
+    const visit = value => {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (typeof value === "string" && ethers.isAddress(value)) {
+            addresses.set(value.toLowerCase(), ethers.getAddress(value));
+        } else if (typeof value === "bigint" && value < MAX_ID) {
+            ids.add(value);
+        }
+    };
+    [governor, treasury, executor, ...Object.values(action.args)].forEach(visit);
+    return { addresses: [...addresses.values()], ids: [...ids] };
+}
+
+/**
+ * Simulate what executing a proposal (or a draft) would do, see the module comment
+ *
+ * @param {object} context From getGovernanceContext (scripts/lib/proposals.js)
+ * @param {object} options
+ * @param {number} [options.id] Existing proposal
+ * @param {object} [options.draft] Draft as accepted by the proposal builder ({ name, actions })
+ * @param {string} [options.callData] Raw proposal calldata
+ * @param {string} [options.proposalType] Treasury or Membership, for callData (defaults to Treasury)
+ * @returns {Promise<object>} { network, node, proposal, blockers, results, wouldRevert }
+ */
+async function simulateProposal(context, options = {}) {
+    const { governance, contracts, signer } = context;
+    const { proposal, name, actions } = await resolveActions(governance, options);
+    const blockers = proposal ? await getBlockers(governance, proposal, signer.address) : [];
+
+    const watched = WATCHED.filter(component => contracts[component] && contracts[component].address && contracts[component].abi)
+        .map(component => ({ component, address: contracts[component].address, abi: contracts[component].abi }));
+    const decoder = await getDecoder({
+        addresses: Object.fromEntries(watched.map(({ component, address }) => [component, address]))
+    });
+    const governorAddress = await governance.governor.getAddress();
+    const treasury = await governance.governor.treasury();
+
+    let simulatedOn = hre.network.name;
+    const results = await withSimulationNode(async (provider, { node, measurable }) => {
+        simulatedOn = node;
+        const stopImpersonating = measurable ? await impersonate(provider, governorAddress) : null;
+        const source = stopImpersonating ? "measured" : "predicted";
+        const simulated = [];
+        let predicted = null;
+        try {
+            for (const action of actions) {
+                if (!action.executable) {
+                    simulated.push({ action, skipped: "not executable by SoftLawGovernance: Registry proposals are not executed by the contract yet" });
+                    continue;
+                }
+                const to = action.proposalType === "Treasury" ? treasury : governorAddress;
+                const scope = involved(action, governorAddress, treasury, signer.address);
+                const before = await readState(provider, watched, scope);
+                // Predictions build on the previous action's predicted state
+                if (predicted) {
+                    for (const [key, entry] of predicted) {
+                        if (before.has(key)) {
+                            before.set(key, entry);
+                        }
+                    }
+                }
+                const result = { action, target: governance.builder.name(to), source, events: [], changes: [] };
+
+                try {
+                    result.returnData = await provider.call({ from: governorAddress, to, data: action.callData });
+                    result.success = true;
+                } catch (error) {
+                    const data = findRevertData(error);
+                    result.success = false;
+                    result.reason = decoder.formatError(error);
+                    result.onChainReason = `${action.proposalType} execution failed: ${governorRevertMsg(data)}`;
+                    simulated.push(result);
+                    continue;
+                }
+
+                if (stopImpersonating) {
+                    const hash = await provider.send("eth_sendTransaction", [{ from: governorAddress, to, data: action.callData }]);
+                    const receipt = await waitForReceipt(provider, hash);
+                    result.gasUsed = receipt.gasUsed;
+                    result.events = decoder.decodeReceipt(receipt).map(({ contract, name: event, args }) => ({ contract, name: event, args }));
+                    result.changes = diffState(before, await readState(provider, watched, scope));
+                } else {
+                    predicted = predictState(before, action, treasury);
+                    result.changes = predicted ? diffState(before, predicted) : null;
+                }
+                simulated.push(result);
+            }
+        } finally {
+            if (stopImpersonating) {
+                await stopImpersonating();
+            }
+        }
+        return simulated;
+    });
+
+    return {
+        network: hre.network.name,
+        node: simulatedOn,
+        proposal: proposal
+            ? { id: proposal.id, name: proposal.name, status: proposal.status }
+            : { id: null, name: name || (options.callData ? "calldata" : "draft"), status: "draft" },
+        blockers,
+        results,
+        wouldRevert: results.some(result => result.success === false)
+    };
+}
+
+function display(value, name) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => display(item, name)).join(", ")}]`;
+    }
+    if (typeof value === "string" && ethers.isAddress(value)) {
+        return name(value);
+    }
+    return value === null || value === undefined ? "—" : String(value);
+}
+
+function describeChange(change, name) {
+    const label = change.contract === "native"
+        ? `native balance of ${name(change.args[0])}`
+        : `${change.contract}.${change.fn}(${change.args.map(arg => display(arg, name)).join(", ")})`;
+    const amounts = change.contract === "native" || (["DAOTreasury", "DAOGovernor"].includes(change.contract) && AMOUNT_VIEWS.includes(change.fn));
+    if (amounts && typeof change.before === "bigint" && typeof change.after === "bigint") {
+        const delta = change.after - change.before;
+        const unit = change.contract === "native" ? "native" : "SLaw";
+        return `${label}: ${ethers.formatUnits(change.before, 18)} → ${ethers.formatUnits(change.after, 18)} ${unit} (${delta > 0n ? "+" : ""}${ethers.formatUnits(delta, 18)})`;
+    }
+    return `${label}: ${display(change.before, name)} → ${display(change.after, name)}`;
+}
+
+/**
+ * Human-readable simulation report
+ *
+ * @param {object} report From simulateProposal
+ * @param {function} name Address labels (governance.builder.name)
+ */
+function formatSimulation(report, name) {
+    const { proposal } = report;
+    const title = proposal.id !== null ? `proposal #${proposal.id} "${proposal.name}"` : `"${proposal.name}"`;
+    const lines = [`🔮 Simulated execution of ${title} on ${report.node}`];
+    for (const blocker of report.blockers) {
+        lines.push(`   ⛔ executeProposal would revert now: ${blocker}`);
+    }
+
+    report.results.forEach((result, i) => {
+        lines.push(`   ${i + 1}. ${result.action.description}`);
+        if (result.skipped) {
+            lines.push(`      ⏭️  Skipped, ${result.skipped}`);
+            return;
+        }
+        lines.push(`      ${result.action.contract}.${result.action.signature} called by DAOGovernor on ${result.target}`);
+        if (!result.success) {
+            lines.push(`      ❌ Would revert: ${result.reason}`);
+            lines.push(`         ExecutionFailed would report "${result.onChainReason}"`);
+            return;
+        }
+        lines.push(`      ✅ Would succeed${result.gasUsed !== undefined ? `, gas ${result.gasUsed}` : ""}`);
+        if (result.changes === null) {
+            lines.push("      ❔ No prediction for this action: run on a node that can impersonate the governor to see its changes");
+        } else if (result.changes.length === 0) {
+            lines.push("      No watched state changes");
+        } else {
+            lines.push(`      Changes (${result.source}):`);
+            for (const change of result.changes) {
+                lines.push(`        📊 ${describeChange(change, name)}`);
+            }
+        }
+        for (const event of result.events) {
+            lines.push(`        📣 ${event.contract}.${event.name}`);
+        }
+    });
+
+    lines.push(report.wouldRevert ? "   ⚠️  Executing this proposal would revert as it stands" : "   Executing this proposal would not revert");
+    return lines.join("\n");
+}
+
+module.exports = {
+    readState,
+    diffState,
+    predictState,
+    simulateProposal,
+    formatSimulation
+};
@@ -0,0 +1,203 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const registry = require("./deployment-registry");
+const { createGovernance } = require("../../sdk/governance");
+
+/**
+ * Governance proposals from the command line
+ *
+ * Actions are written as calls on a deployment component:
+ *
+ *   DAOTreasury.spend(5000, signer2)
+ *   DAOTreasury.batchSpend([signer1, signer2], [1000, 2000])
+ *   DAOGovernor.changeVotingQuorum(3)
+ *
+ * or listed in a JSON/YAML draft file:
+ *
+ *   name: Design grant
+ *   description: Pay the design team and raise the quorum
+ *   actions:
+ *     - { contract: DAOTreasury, method: spend, args: { amount: 5000, beneficiary: signer2 } }
+ *     - { contract: DAOGovernor, method: changeVotingQuorum, args: [3] }
+ *
+ * Argument values: addresses, registry component names (MarketplaceCore),
+ * signerN (Hardhat signer N), "<n> tokens" (18 decimals), integers, true/false,
+ * [lists] and "quoted strings". DAOTreasury amounts are checked against
+ * spenderLimit in base units (10000 after deployment).
+ */
+
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = "";
+    for (const char of text) {
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === "\"" || char === "'") {
+            quote = char;
+        } else if (char === "[") {
+            depth++;
+        } else if (char === "]") {
+            depth--;
+        } else if (char === "," && depth === 0) {
+            parts.push(current.trim());
+            current = "";
+            continue;
+        }
+        current += char;
+    }
+    if (current.trim()) {
+        parts.push(current.trim());
+    }
+    return parts;
+}
+
+/**
+ * Resolve one argument value (see the module comment)
+ *
+ * @param {*} value Value from an action string or a draft file
+ * @param {object} context { contracts, signers } used for names
+ */
+function resolveValue(value, context) {
+    if (Array.isArray(value)) {
+        return value.map(item => resolveValue(item, context));
+    }
+    if (typeof value !== "string") {
+        return value;
+    }
+    const text = value.trim();
+    if (/^".*"$|^'.*'$/.test(text)) {
+        return text.slice(1, -1);
+    }
+    if (text.startsWith("[") && text.endsWith("]")) {
+        return splitTopLevel(text.slice(1, -1)).map(item => resolveValue(item, context));
+    }
+    if (ethers.isHexString(text)) {
+        return text;
+    }
+    if (context.contracts[text] && context.contracts[text].address) {
+        return context.contracts[text].address;
+    }
+    const signer = text.match(/^signer(\d+)$/);
+    if (signer) {
+        const address = context.signers[Number(signer[1])];
+        if (!address) {
+            throw new Error(`❌ No ${text} on network ${hre.network.name}`);
+        }
+        return address;
+    }
+    const tokens = text.match(/^(\d+(?:\.\d+)?)\s*(tokens?|slaw)$/i);
+    if (tokens) {
+        return ethers.parseEther(tokens[1]);
+    }
+    if (/^\d+$/.test(text)) {
+        return BigInt(text);
+    }
+    if (text === "true" || text === "false") {
+        return text === "true";
+    }
+    return text;
+}
+
+/**
+ * Parse "Component.method(arg, ...)" into an action for the proposal builder
+ */
+function parseAction(text, context) {
+    const match = text.trim().match(/^(\w+)\.(\w+)\(([\s\S]*)\)$/);
+    if (!match) {
+        throw new Error(`❌ Cannot parse action "${text}". Write it as Component.method(arg, ...), e.g. DAOTreasury.spend(5000, signer1)`);
+    }
+    return {
+        contract: match[1],
+        method: match[2],
+        args: splitTopLevel(match[3]).map(arg => resolveValue(arg, context))
+    };
+}
+
+function readDraftFile(file) {
+    const resolved = path.resolve(file);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`❌ Proposal file not found: ${file}`);
+    }
+    const text = fs.readFileSync(resolved, "utf8");
+    if (resolved.endsWith(".json")) {
+        return JSON.parse(text);
+    }
+    return yaml.load(text);
+}
+
+/**
+ * Governance client, signer labels and name context for the current network
+ *
+ * @param {object} [options]
+ * @param {number} [options.account] Index of the signer sending transactions (defaults to 0)
+ */
+async function getGovernanceContext(options = {}) {
+    const signers = await ethers.getSigners();
+    const signer = signers[options.account || 0];
+    if (!signer) {
+        throw new Error(`❌ No signer at index ${options.account} on network ${hre.network.name}`);
+    }
+    const contracts = registry.loadRegistry().contracts;
+    const addresses = signers.map(item => item.address);
+    const names = Object.fromEntries(addresses.map((address, i) => [address, `signer${i}`]));
+    const governance = createGovernance({ signer, contracts, names });
+    return { signer, contracts, signers: addresses, governance };
+}
+
+/**
+ * Load a draft from a file and/or action strings
+ *
+ * @param {object} options
+ * @param {string} [options.file] JSON or YAML draft
+ * @param {string} [options.name] Proposal name (overrides the file's)
+ * @param {string} [options.description] Proposal description (overrides the file's)
+ * @param {string[]} [options.actions] Action strings, appended to the file's actions
+ * @param {object} context From getGovernanceContext
+ */
+function loadDraft(options, context) {
+    const file = options.file ? readDraftFile(options.file) : {};
+    const fileActions = (file.actions || []).map(action => ({
+        contract: action.contract,
+        method: action.method,
+        args: Array.isArray(action.args)
+            ? resolveValue(action.args, context)
+            : Object.fromEntries(Object.entries(action.args || {}).map(([key, value]) => [key, resolveValue(value, context)]))
+    }));
+    return {
+        name: options.name || file.name,
+        description: options.description ?? file.description ?? "",
+        actions: [...fileActions, ...(options.actions || []).map(action => parseAction(action, context))]
+    };
+}
+
+const STATUS_ICONS = { executed: "✅", ready: "🟢", locked: "⏳", open: "🗳️ " };
+
+function formatProposal(proposal, name) {
+    const { votes } = proposal;
+    const lines = [
+        `${STATUS_ICONS[proposal.status]} #${proposal.id} [${proposal.proposalType}] ${proposal.name} (${proposal.status})`,
+        `   by ${name(proposal.proponent)} on ${new Date(proposal.createdAt * 1000).toISOString()}, unlocks ${new Date(proposal.unlocksAt * 1000).toISOString()}`,
+        `   votes: ${votes.aye} aye, ${votes.nay} nay, ${votes.abstain} abstain (quorum ${proposal.quorum})`
+    ];
+    if (proposal.action) {
+        lines.push(`   → ${proposal.action.description}`);
+    } else if (proposal.callData) {
+        lines.push(`   → undecoded calldata ${proposal.callData}`);
+    } else {
+        lines.push("   → calldata not recoverable (created through another contract)");
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    resolveValue,
+    parseAction,
+    loadDraft,
+    getGovernanceContext,
+    formatProposal
+};
@@ -0,0 +1,85 @@
+const hre = require("hardhat");
+const { Interface } = require("ethers");
+const registry = require("./deployment-registry");
+const resolver = require("./contract-resolver");
+const { createDecoder } = require("../../sdk/decoder");
+
+/**
+ * Receipt decoder built from the compiled artifacts
+ *
+ * Every artifact with events or errors is loaded, so logs and reverts from any
+ * Softlaw contract (and the OpenZeppelin bases they inherit) are recognised.
+ * Components of the deployment profile are named by their component name
+ * (LiquidityManager rather than OptimizedLiquidityManager); other artifacts by
+ * their contract name, or fully qualified name when the contract name is
+ * already taken. Addresses come from the deployment registry.
+ */
+
+const abiCache = new Map();
+
+async function loadAbis(profileName) {
+    const profile = resolver.getProfile(profileName);
+    const abis = {};
+    const seen = new Set();
+
+    // Profile components first, so they win the topic lookup for shared events
+    for (const [component, fqn] of Object.entries(profile.components)) {
+        if (await hre.artifacts.artifactExists(fqn)) {
+            abis[component] = new Interface((await hre.artifacts.readArtifact(fqn)).abi);
+            seen.add(fqn);
+        }
+    }
+
+    for (const fqn of await hre.artifacts.getAllFullyQualifiedNames()) {
+        if (seen.has(fqn)) {
+            continue;
+        }
+        const { contractName, abi } = await hre.artifacts.readArtifact(fqn);
+        if (!abi.some(item => item.type === "event" || item.type === "error")) {
+            continue;
+        }
+        abis[abis[contractName] ? fqn : contractName] = new Interface(abi);
+    }
+    return abis;
+}
+
+/**
+ * Decoder for the current network. The ABIs are loaded once per profile,
+ * addresses are read from the registry on every call so new deployments are
+ * picked up.
+ *
+ * @param {object} [options]
+ * @param {string} [options.network] Registry to take addresses from (defaults to the Hardhat network)
+ * @param {string} [options.profile] Deployment profile (defaults to SOFTLAW_PROFILE or classic)
+ * @param {Object<string, string>} [options.addresses] Extra addresses by component name
+ */
+async function getDecoder({ network = hre.network.name, profile, addresses = {} } = {}) {
+    const profileName = resolver.getProfile(profile).name;
+    if (!abiCache.has(profileName)) {
+        abiCache.set(profileName, await loadAbis(profileName));
+    }
+
+    const known = {};
+    for (const [name, entry] of Object.entries(registry.loadRegistry(network).contracts)) {
+        known[name] = entry.address;
+    }
+    return createDecoder({ abis: abiCache.get(profileName), addresses: { ...known, ...addresses } });
+}
+
+/**
+ * Readable reason for a failed transaction, e.g.
+ * "reverted with DAOTreasury.AmountMustBeGreaterThanZero()". Falls back to the
+ * error message when the artifacts cannot be loaded.
+ */
+async function describeError(error, options) {
+    try {
+        return (await getDecoder(options)).formatError(error);
+    } catch {
+        return error && error.message ? error.message : String(error);
+    }
+}
+
+module.exports = {
+    getDecoder,
+    describeError
+};
@@ -0,0 +1,647 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const registry = require("./deployment-registry");
+const { writeJsonAtomic } = require("./json-file");
+const { fromRegistry } = require("../../sdk");
+const { ERC20_ABI, ERC721_ABI } = require("../../sdk/approvals");
+const { describeError } = require("./receipt-decoder");
+
+const DEPLOYMENTS_DIR = registry.DEPLOYMENTS_DIR;
+const SCENARIOS_DIR = path.join(__dirname, "../scenarios");
+const SCENARIO_EXTENSIONS = [".yml", ".yaml", ".json"];
+
+// Native tokens sent to actors that get a fresh wallet because the network
+// has fewer configured accounts than the scenario has actors
+const DEFAULT_WALLET_FUNDING = "10";
+
+const ERC20_TRANSFER_ABI = [...ERC20_ABI, "function transfer(address to, uint256 amount) returns (bool)"];
+
+/**
+ * Scenario engine
+ *
+ * Runs YAML or JSON scenario files (scripts/scenarios/<name>.yml) against the
+ * deployment in the registry:
+ *
+ *   name: creator-economy
+ *   actors:
+ *     alice: { slaw: 50000 }
+ *   steps:
+ *     - { action: mint, actor: alice, title: "Ethereal Dreams", as: dreams }
+ *     - { action: wrap, actor: alice, nft: dreams, supply: 10000, price: 5, as: dreamsToken }
+ *   expect:
+ *     - { balance: { actor: alice, token: dreamsToken, equals: 10000 } }
+ *
+ * Actors get signers 1..n in declaration order (signer 0 is the "deployer"
+ * actor) and fresh funded wallets when the network has too few accounts.
+ * Token amounts are whole tokens (18 decimals), durations are seconds or
+ * "30m", "24h", "7d". A step saves its result under `as`; later steps refer to
+ * it by name in fields like `nft`, `token` or `pool`, and to any field with
+ * "{name.field}". "{alice}" and "{SLAWToken}" are addresses.
+ */
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+function amount(value, label) {
+    if (value === undefined || value === null || value === "") {
+        throw new Error(`❌ Missing ${label}`);
+    }
+    return ethers.parseEther(String(value));
+}
+
+function duration(value) {
+    if (typeof value === "number") {
+        return value;
+    }
+    const match = String(value).match(/^(\d+)\s*([smhd]?)$/);
+    if (!match) {
+        throw new Error(`❌ Invalid duration "${value}". Use seconds or a number with s, m, h or d`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+/**
+ * Actions a step can run. `refs` maps fields that name an earlier result to
+ * the kind of result they need; `saves` is the kind of result the action
+ * produces for `as`.
+ */
+const ACTIONS = {
+    transfer: {
+        required: ["to", "amount"],
+        refs: { token: "token" },
+        async run(ctx, actor, step) {
+            const token = new ethers.Contract(ctx.token(step.token), ERC20_TRANSFER_ABI, actor.signer);
+            const receipt = await (await token.transfer(ctx.address(step.to), amount(step.amount, "amount"))).wait();
+            return { receipt };
+        }
+    },
+    profile: {
+        required: ["name"],
+        async run(ctx, actor, step) {
+            const manager = actor.sdk.contract("WrappedIPManager");
+            const receipt = await (await manager.createCreatorProfile(step.name)).wait();
+            if (step.verified) {
+                await (await ctx.deployer.sdk.contract("WrappedIPManager").verifyCreator(actor.address, true)).wait();
+            }
+            return { receipt, result: { creator: actor.address, name: step.name } };
+        }
+    },
+    mint: {
+        required: ["title"],
+        saves: "nft",
+        async run(ctx, actor, step) {
+            const nft = actor.sdk.contract("TestCopyrightNFT");
+            const receipt = await (
+                await nft.mintCopyright(ctx.address(step.to || actor.name), step.title, step.description || "", step.category || "art", step.uri || "")
+            ).wait();
+            const event = actor.sdk.events(receipt, "TestCopyrightNFT").find(parsed => parsed.name === "CopyrightMinted");
+            if (!event) {
+                throw new Error(`❌ CopyrightMinted event not found in transaction ${receipt.hash}`);
+            }
+            return { receipt, result: { nftContract: actor.sdk.addressOf("TestCopyrightNFT"), tokenId: event.args.tokenId } };
+        }
+    },
+    registerCopyright: {
+        required: ["nft"],
+        refs: { nft: "nft" },
+        saves: "copyright",
+        async run(ctx, actor, step) {
+            const nft = ctx.result(step.nft, "nft");
+            const { receipt, ...result } = await actor.sdk.registerCopyright({
+                nftContract: nft.nftContract,
+                tokenId: nft.tokenId,
+                name: step.name || step.nft,
+                description: step.description
+            });
+            return { receipt, result };
+        }
+    },
+    wrap: {
+        required: ["nft", "supply", "price"],
+        refs: { nft: "nft" },
+        saves: "token",
+        async run(ctx, actor, step) {
+            const nft = ctx.result(step.nft, "nft");
+            const { receipt, token, ...result } = await actor.sdk.wrapIP({
+                nftContract: nft.nftContract,
+                tokenId: nft.tokenId,
+                totalSupply: amount(step.supply, "supply"),
+                pricePerToken: amount(step.price, "price"),
+                title: step.title || step.nft
+            });
+            return { receipt, result };
+        }
+    },
+    createPool: {
+        required: ["token"],
+        refs: { token: "token", pairToken: "token" },
+        saves: "pool",
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.createPool({
+                token: ctx.token(step.token),
+                pairToken: step.pairToken && ctx.token(step.pairToken)
+            });
+            return { receipt, result };
+        }
+    },
+    addLiquidity: {
+        required: ["pool", "amountA", "amountB"],
+        refs: { pool: "pool" },
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.addLiquidity({
+                poolId: ctx.result(step.pool, "pool").poolId,
+                amountA: amount(step.amountA, "amountA"),
+                amountB: amount(step.amountB, "amountB")
+            });
+            return { receipt, result };
+        }
+    },
+    swap: {
+        required: ["pool", "tokenIn", "amount"],
+        refs: { pool: "pool", tokenIn: "token" },
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.swap({
+                poolId: ctx.result(step.pool, "pool").poolId,
+                tokenIn: ctx.token(step.tokenIn),
+                amountIn: amount(step.amount, "amount"),
+                minAmountOut: step.minAmountOut === undefined ? 0n : amount(step.minAmountOut, "minAmountOut")
+            });
+            return { receipt, result };
+        }
+    },
+    list: {
+        required: ["nft", "price"],
+        refs: { nft: "nft" },
+        saves: "listing",
+        async run(ctx, actor, step) {
+            const nft = ctx.result(step.nft, "nft");
+            const { receipt, ...result } = await actor.sdk.listNFT({
+                nftContract: nft.nftContract,
+                tokenId: nft.tokenId,
+                price: amount(step.price, "price"),
+                duration: duration(step.duration ?? "7d"),
+                allowOffers: step.allowOffers ?? true
+            });
+            return { receipt, result };
+        }
+    },
+    offer: {
+        required: ["listing", "amount"],
+        refs: { listing: "listing" },
+        saves: "offer",
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.makeOffer({
+                listingId: ctx.result(step.listing, "listing").listingId,
+                amount: amount(step.amount, "amount"),
+                duration: duration(step.duration ?? "1d")
+            });
+            return { receipt, result };
+        }
+    },
+    acceptOffer: {
+        required: ["offer"],
+        refs: { offer: "offer" },
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.acceptOffer({ offerId: ctx.result(step.offer, "offer").offerId });
+            return { receipt, result };
+        }
+    },
+    buy: {
+        required: ["listing"],
+        refs: { listing: "listing" },
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.buyItem({ listingId: ctx.result(step.listing, "listing").listingId });
+            return { receipt, result };
+        }
+    },
+    dispute: {
+        required: ["defendant", "type", "damages"],
+        refs: { copyright: "copyright" },
+        saves: "dispute",
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.fileDispute({
+                disputeType: step.type,
+                defendant: ctx.address(step.defendant),
+                relatedIPId: step.copyright ? ctx.result(step.copyright, "copyright").copyrightId : 0,
+                description: step.description || "",
+                claimedDamages: amount(step.damages, "damages")
+            });
+            return { receipt, result };
+        }
+    },
+    offerLicense: {
+        required: ["copyright", "licensee", "type"],
+        refs: { copyright: "copyright" },
+        saves: "license",
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.offerLicense({
+                copyrightId: ctx.result(step.copyright, "copyright").copyrightId,
+                licensee: ctx.address(step.licensee),
+                licenseType: step.type,
+                fee: amount(step.fee ?? 0, "fee"),
+                duration: duration(step.duration ?? 0),
+                terms: step.terms || "",
+                rights: step.rights || [],
+                exclusive: Boolean(step.exclusive),
+                territory: step.territory
+            });
+            return { receipt, result };
+        }
+    },
+    acceptLicense: {
+        required: ["license"],
+        refs: { license: "license" },
+        async run(ctx, actor, step) {
+            const { receipt, ...result } = await actor.sdk.acceptLicense({ licenseId: ctx.result(step.license, "license").licenseId });
+            return { receipt, result };
+        }
+    }
+};
+
+const EXPECTATIONS = ["balance", "owner", "call"];
+const COMPARISONS = ["equals", "atLeast", "atMost"];
+
+/**
+ * Find a scenario by name (scripts/scenarios/<name>.yml, .yaml or .json) or path
+ */
+function resolveScenarioPath(nameOrPath) {
+    if (fs.existsSync(nameOrPath) && fs.statSync(nameOrPath).isFile()) {
+        return path.resolve(nameOrPath);
+    }
+    for (const extension of SCENARIO_EXTENSIONS) {
+        const candidate = path.join(SCENARIOS_DIR, `${nameOrPath}${extension}`);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+    throw new Error(`❌ Scenario not found: ${nameOrPath}`);
+}
+
+function parseScenario(source, file) {
+    if (path.extname(file) === ".json") {
+        return JSON.parse(source);
+    }
+    return yaml.load(source);
+}
+
+/**
+ * Load and validate a scenario
+ */
+function loadScenario(nameOrPath) {
+    const file = resolveScenarioPath(nameOrPath);
+    const scenario = parseScenario(fs.readFileSync(file, "utf8"), file);
+    validateScenario(scenario);
+    return { ...scenario, file };
+}
+
+function isAddress(value) {
+    return typeof value === "string" && ethers.isAddress(value);
+}
+
+/**
+ * Check the structure of a scenario before anything is sent: known actions
+ * and actors, required fields, and references to results saved by earlier steps
+ */
+function validateScenario(scenario) {
+    if (!scenario || !scenario.name || !Array.isArray(scenario.steps)) {
+        throw new Error("❌ Scenario needs a name and a steps array");
+    }
+
+    const actors = new Set(["deployer", ...Object.keys(scenario.actors || {})]);
+    const saved = new Map();
+
+    scenario.steps.forEach((step, index) => {
+        const label = `Step ${index + 1}${step && step.action ? ` (${step.action})` : ""}`;
+        const action = step && ACTIONS[step.action];
+        if (!action) {
+            throw new Error(`❌ ${label}: unknown action. Use one of: ${Object.keys(ACTIONS).join(", ")}`);
+        }
+        if (step.actor && !actors.has(step.actor)) {
+            throw new Error(`❌ ${label}: unknown actor "${step.actor}"`);
+        }
+        for (const field of action.required) {
+            if (step[field] === undefined) {
+                throw new Error(`❌ ${label}: missing "${field}"`);
+            }
+        }
+        for (const [field, kind] of Object.entries(action.refs || {})) {
+            const value = step[field];
+            // Tokens can also be given as SLAW, a registry contract or an address
+            if (value === undefined || isAddress(value) || (kind === "token" && !saved.has(value))) {
+                continue;
+            }
+            if (saved.get(value) !== kind) {
+                throw new Error(`❌ ${label}: "${field}" refers to "${value}", but no earlier step saved a ${kind} under that name`);
+            }
+        }
+        if (step.as) {
+            if (!action.saves) {
+                throw new Error(`❌ ${label}: ${step.action} has no result to save as "${step.as}"`);
+            }
+            if (saved.has(step.as) || actors.has(step.as)) {
+                throw new Error(`❌ ${label}: the name "${step.as}" is already taken`);
+            }
+            saved.set(step.as, action.saves);
+        }
+    });
+
+    for (const [index, expectation] of (scenario.expect || []).entries()) {
+        const type = Object.keys(expectation || {}).find(key => EXPECTATIONS.includes(key));
+        if (!type) {
+            throw new Error(`❌ Expectation ${index + 1}: use one of ${EXPECTATIONS.join(", ")}`);
+        }
+        // call expectations keep their options next to the call
+        const check = type === "call" ? expectation : expectation[type];
+        if (type !== "owner" && !COMPARISONS.some(comparison => check[comparison] !== undefined)) {
+            throw new Error(`❌ Expectation ${index + 1}: needs one of ${COMPARISONS.join(", ")}`);
+        }
+    }
+}
+
+/**
+ * Signers for the scenario actors. Actors beyond the configured accounts get
+ * a fresh wallet funded by the deployer.
+ */
+async function assignActors(scenario) {
+    const signers = await ethers.getSigners();
+    const deployer = signers[0];
+    const actors = { deployer: { name: "deployer", signer: deployer, address: deployer.address, config: {} } };
+
+    let next = 1;
+    for (const [name, config] of Object.entries(scenario.actors || {})) {
+        let signer = config.account !== undefined ? signers[config.account] : signers[next++];
+        let fresh = false;
+        if (!signer) {
+            signer = ethers.Wallet.createRandom().connect(ethers.provider);
+            fresh = true;
+        }
+        actors[name] = { name, signer, address: await signer.getAddress(), config, fresh };
+    }
+    return actors;
+}
+
+/**
+ * Run a scenario against the deployment in the registry
+ *
+ * @param {object} scenario Loaded scenario (see loadScenario)
+ * @param {object} [options]
+ * @param {string} [options.network] Registry to run against (defaults to the Hardhat network)
+ * @param {boolean} [options.quiet] Do not log progress
+ * @returns {Promise<object>} Report with the outcome of every step and expectation
+ */
+async function runScenario(scenario, options = {}) {
+    const network = options.network || hre.network.name;
+    const log = options.quiet ? () => {} : console.log;
+    const deployment = registry.loadRegistry(network);
+    if (Object.keys(deployment.contracts).length === 0) {
+        throw new Error(`❌ No contracts in the deployment registry for network: ${network}`);
+    }
+
+    const report = {
+        scenario: scenario.name,
+        description: scenario.description,
+        network,
+        startedAt: new Date().toISOString(),
+        actors: {},
+        steps: [],
+        expectations: [],
+        success: false
+    };
+
+    const actors = await assignActors(scenario);
+    for (const actor of Object.values(actors)) {
+        actor.sdk = fromRegistry(deployment, actor.signer);
+        report.actors[actor.name] = actor.address;
+    }
+
+    const results = {};
+    const ctx = {
+        deployer: actors.deployer,
+        address(name) {
+            if (isAddress(name)) {
+                return name;
+            }
+            if (actors[name]) {
+                return actors[name].address;
+            }
+            throw new Error(`❌ Unknown actor "${name}"`);
+        },
+        result(name, kind) {
+            const saved = results[name];
+            if (!saved || saved.kind !== kind) {
+                throw new Error(`❌ No ${kind} saved as "${name}"`);
+            }
+            return saved.value;
+        },
+        token(value) {
+            if (value === undefined || value === "SLAW") {
+                return actors.deployer.sdk.addressOf("SLAWToken");
+            }
+            if (isAddress(value)) {
+                return value;
+            }
+            if (results[value] && results[value].kind === "token") {
+                return results[value].value.tokenAddress;
+            }
+            return actors.deployer.sdk.addressOf(value);
+        },
+        placeholder(value) {
+            if (typeof value !== "string") {
+                return value;
+            }
+            const match = value.match(/^\{([A-Za-z0-9_]+)(?:\.([A-Za-z0-9_]+))?\}$/);
+            if (!match) {
+                return value;
+            }
+            const [, name, field] = match;
+            if (field) {
+                if (!results[name] || results[name].value[field] === undefined) {
+                    throw new Error(`❌ Unknown placeholder ${value}`);
+                }
+                return results[name].value[field];
+            }
+            return actors[name] ? actors[name].address : ctx.token(name);
+        }
+    };
+
+    // ===== Setup: fund the actors =====
+    log("💰 === SETUP: Fund Actors ===");
+    const slaw = new ethers.Contract(ctx.token("SLAW"), ERC20_TRANSFER_ABI, actors.deployer.signer);
+    for (const actor of Object.values(actors)) {
+        if (actor.name === "deployer") {
+            continue;
+        }
+        const native = actor.config.native ?? (actor.fresh ? DEFAULT_WALLET_FUNDING : undefined);
+        if (native !== undefined) {
+            await (await actors.deployer.signer.sendTransaction({ to: actor.address, value: amount(native, `native funding of ${actor.name}`) })).wait();
+        }
+        if (actor.config.slaw !== undefined) {
+            await (await slaw.transfer(actor.address, amount(actor.config.slaw, `SLAW funding of ${actor.name}`))).wait();
+        }
+        log(`👤 ${actor.name}: ${actor.address}${actor.fresh ? " (fresh wallet)" : ""}`);
+    }
+
+    // ===== Steps =====
+    log(`\n🎬 === SCENARIO: ${scenario.name} ===`);
+    let failed = false;
+    for (const [index, rawStep] of scenario.steps.entries()) {
+        const step = Object.fromEntries(Object.entries(rawStep).map(([key, value]) => [key, ctx.placeholder(value)]));
+        const actor = actors[step.actor || "deployer"];
+        const entry = { index: index + 1, action: step.action, actor: actor.name, status: "skipped" };
+        report.steps.push(entry);
+        if (failed) {
+            continue;
+        }
+
+        const started = Date.now();
+        let outcome;
+        try {
+            outcome = await ACTIONS[step.action].run(ctx, actor, step);
+        } catch (error) {
+            entry.error = await describeError(error, { network });
+        }
+
+        // Steps with expectRevert pass when they fail, with the given reason if any
+        let passed = !entry.error;
+        if (step.expectRevert) {
+            const reason = typeof step.expectRevert === "string" ? step.expectRevert : null;
+            passed = Boolean(entry.error) && (!reason || entry.error.includes(reason));
+            if (!entry.error) {
+                entry.error = `❌ Expected a revert${reason ? ` with "${reason}"` : ""}, but the step succeeded`;
+            }
+        }
+        entry.status = passed ? "passed" : "failed";
+        failed = !passed;
+
+        if (outcome && outcome.receipt) {
+            entry.txHash = outcome.receipt.hash;
+            entry.gasUsed = outcome.receipt.gasUsed.toString();
+        }
+        if (outcome && outcome.result) {
+            entry.result = serialize(outcome.result);
+            if (step.as) {
+                results[step.as] = { kind: ACTIONS[step.action].saves, value: outcome.result };
+            }
+        }
+        entry.durationMs = Date.now() - started;
+        log(`${entry.status === "passed" ? "✅" : "❌"} ${entry.index}. ${step.action} (${actor.name})${entry.error ? `: ${entry.error}` : ""}`);
+    }
+
+    // ===== Expectations =====
+    if (!failed) {
+        log("\n🔍 === EXPECTATIONS ===");
+        for (const expectation of scenario.expect || []) {
+            const outcome = await checkExpectation(ctx, actors.deployer.signer, expectation);
+            report.expectations.push(outcome);
+            log(`${outcome.passed ? "✅" : "❌"} ${outcome.description} (actual: ${outcome.actual})`);
+        }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    report.success = !failed && report.expectations.every(outcome => outcome.passed);
+    return report;
+}
+
+function compare(actual, check, parse) {
+    for (const comparison of COMPARISONS) {
+        if (check[comparison] === undefined) {
+            continue;
+        }
+        const expected = parse(check[comparison]);
+        if (comparison === "equals" && actual !== expected) {
+            return { passed: false, comparison, expected };
+        }
+        if (comparison === "atLeast" && actual < expected) {
+            return { passed: false, comparison, expected };
+        }
+        if (comparison === "atMost" && actual > expected) {
+            return { passed: false, comparison, expected };
+        }
+    }
+    return { passed: true };
+}
+
+async function checkExpectation(ctx, runner, expectation) {
+    try {
+        if (expectation.balance) {
+            const check = expectation.balance;
+            const token = new ethers.Contract(ctx.token(ctx.placeholder(check.token)), ERC20_ABI, runner);
+            const actual = await token.balanceOf(ctx.address(ctx.placeholder(check.actor)));
+            const outcome = compare(actual, check, value => amount(value, "balance"));
+            return {
+                description: `${check.actor} holds ${describeComparison(check)} ${check.token || "SLAW"}`,
+                actual: ethers.formatEther(actual),
+                passed: outcome.passed
+            };
+        }
+
+        if (expectation.owner) {
+            const check = expectation.owner;
+            const nft = ctx.result(check.nft, "nft");
+            const holder = await new ethers.Contract(nft.nftContract, ERC721_ABI, runner).ownerOf(nft.tokenId);
+            return {
+                description: `${check.nft} is owned by ${check.actor}`,
+                actual: holder,
+                passed: holder.toLowerCase() === ctx.address(check.actor).toLowerCase()
+            };
+        }
+
+        // { call: "LiquidityManager.getPool", args: ["{dreamsPool.poolId}"], field: "reserveA", atLeast: "1000" }
+        const check = expectation;
+        const [component, method] = check.call.split(".");
+        const contract = ctx.deployer.sdk.contract(component);
+        let actual = await contract[method](...(check.args || []).map(ctx.placeholder));
+        if (check.field !== undefined) {
+            actual = actual[check.field];
+        }
+        const parse = value => {
+            value = ctx.placeholder(value);
+            if (typeof actual === "bigint") {
+                return check.units === "ether" ? amount(value, check.call) : BigInt(value);
+            }
+            return typeof actual === "string" && isAddress(actual) ? ethers.getAddress(value) : value;
+        };
+        const outcome = compare(typeof actual === "string" && isAddress(actual) ? ethers.getAddress(actual) : actual, check, parse);
+        return {
+            description: `${check.call}${check.field !== undefined ? `.${check.field}` : ""} ${describeComparison(check)}`,
+            actual: typeof actual === "bigint" && check.units === "ether" ? ethers.formatEther(actual) : String(actual),
+            passed: outcome.passed
+        };
+    } catch (error) {
+        return {
+            description: JSON.stringify(expectation),
+            actual: `error: ${await describeError(error)}`,
+            passed: false
+        };
+    }
+}
+
+function describeComparison(check) {
+    const words = { equals: "exactly", atLeast: "at least", atMost: "at most" };
+    return COMPARISONS.filter(comparison => check[comparison] !== undefined)
+        .map(comparison => `${words[comparison]} ${check[comparison]}`)
+        .join(" and ");
+}
+
+// Step results as JSON: bigints as strings, contracts and receipts dropped
+function serialize(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item)));
+}
+
+/**
+ * Write a scenario report (defaults to deployments/scenario-<name>-<network>.json)
+ */
+function writeReport(report, outputPath) {
+    return writeJsonAtomic(outputPath || path.join(DEPLOYMENTS_DIR, `scenario-${report.scenario}-${report.network}.json`), report);
+}
+
+module.exports = {
+    ACTIONS,
+    SCENARIOS_DIR,
+    loadScenario,
+    validateScenario,
+    runScenario,
+    writeReport
+};
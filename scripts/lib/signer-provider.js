@@ -0,0 +1,267 @@
+const fs = require("fs");
+const path = require("path");
+const { Wallet, HDNodeWallet, Mnemonic, computeAddress } = require("ethers");
+const { getExternalSigners } = require("./external-signer");
+
+/**
+ * Signer provider: where the signing keys of a network profile come from
+ *
+ * A profile's `keys` (scripts/config/networks.js) lists the sources it allows.
+ * The first one that is configured wins:
+ *
+ *   external  JSON-RPC signer, keys never enter this process (scripts/lib/external-signer.js)
+ *   keystore  encrypted JSON keystore file and its password
+ *   mnemonic  BIP-39 phrase, accounts derived at `path`/0..count-1
+ *   env       raw private keys in environment variables
+ *   dev       well-known keys of local dev chains, local networks only
+ *
+ * Env keys and mnemonics become Hardhat `accounts`; keystore and external
+ * signers are handed out by getSigners(), which tasks/softlaw.js installs as
+ * ethers.getSigners() for networks that use them. The well-known dev keys
+ * and the Hardhat test mnemonic are refused on every non-local network,
+ * whichever source they come from.
+ *
+ * Loaded by hardhat.config.js, so it must not require("hardhat").
+ */
+
+const KEY_SOURCES = ["external", "keystore", "mnemonic", "env", "dev"];
+
+// Publicly known keys: anyone can sign with them
+const DEV_KEYS = [
+    // substrate-node / eth-rpc dev account
+    "0x5fb92d6e98884f76de468fa3f6278f8807c48bebc13595d45af5bdc4da702133"
+];
+const DEV_MNEMONIC = "test test test test test test test test test test test junk";
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+
+const PRIVATE_KEY_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+let devAddresses = null;
+
+function withPrefix(key) {
+    return key.startsWith("0x") ? key : `0x${key}`;
+}
+
+function deriveAccounts(phrase, hdPath, count) {
+    const root = HDNodeWallet.fromPhrase(phrase, undefined, hdPath);
+    return Array.from({ length: count }, (_, i) => root.deriveChild(i));
+}
+
+function isDevAddress(address) {
+    // Derived on first use, config loading should not pay for it
+    if (!devAddresses) {
+        devAddresses = new Set([
+            ...DEV_KEYS.map(key => computeAddress(key).toLowerCase()),
+            ...deriveAccounts(DEV_MNEMONIC, DEFAULT_HD_PATH, 20).map(wallet => wallet.address.toLowerCase())
+        ]);
+    }
+    return devAddresses.has(address.toLowerCase());
+}
+
+/**
+ * The key source a profile uses with the given environment, without
+ * decrypting or contacting anything
+ *
+ * @returns {object} { type, ... } with type "none" when no source is configured
+ */
+function resolveKeySource(profile, env = process.env) {
+    const keys = profile.keys || {};
+
+    if (keys.external && env[keys.external.env]) {
+        return { type: "external", url: env[keys.external.env], variable: keys.external.env };
+    }
+    if (keys.keystore && env[keys.keystore.env]) {
+        return {
+            type: "keystore",
+            file: path.resolve(env[keys.keystore.env]),
+            password: env[keys.keystore.passwordEnv],
+            variable: keys.keystore.env,
+            passwordVariable: keys.keystore.passwordEnv
+        };
+    }
+    if (keys.mnemonic && env[keys.mnemonic.env]) {
+        return {
+            type: "mnemonic",
+            phrase: env[keys.mnemonic.env].trim(),
+            path: keys.mnemonic.path || DEFAULT_HD_PATH,
+            count: keys.mnemonic.count || 5,
+            variable: keys.mnemonic.env
+        };
+    }
+    const variables = (keys.env || []).filter(name => env[name]);
+    if (variables.length > 0) {
+        return { type: "env", keys: [...new Set(variables.map(name => withPrefix(env[name])))], variables };
+    }
+    if (keys.dev && keys.dev.length > 0) {
+        return { type: "dev", keys: keys.dev.map(withPrefix) };
+    }
+    return { type: "none" };
+}
+
+/**
+ * Names of the settings that would configure a key source, for error messages
+ */
+function describeKeySettings(profile) {
+    const keys = profile.keys || {};
+    return [
+        keys.external && keys.external.env,
+        keys.keystore && `${keys.keystore.env} + ${keys.keystore.passwordEnv}`,
+        keys.mnemonic && keys.mnemonic.env,
+        ...(keys.env || [])
+    ].filter(Boolean).join(", ");
+}
+
+/**
+ * Problems with a profile's key source. Everything that can be known without
+ * decrypting a keystore or asking an external signer.
+ */
+function checkKeySource(profile, env = process.env) {
+    const errors = [];
+    const source = resolveKeySource(profile, env);
+    const local = profile.tier === "local";
+
+    switch (source.type) {
+        case "none":
+            errors.push(`no signing key, set ${describeKeySettings(profile) || "a key source"}`);
+            break;
+        case "external":
+            if (!/^https?:\/\//.test(source.url)) {
+                errors.push(`${source.variable} is not an http(s) url`);
+            }
+            break;
+        case "keystore":
+            if (!fs.existsSync(source.file)) {
+                errors.push(`keystore ${source.file} not found (${source.variable})`);
+            } else {
+                let keystore = null;
+                try {
+                    keystore = JSON.parse(fs.readFileSync(source.file, "utf8"));
+                } catch {
+                    errors.push(`keystore ${source.file} is not JSON`);
+                }
+                // The address is stored unencrypted next to the ciphertext
+                if (keystore && keystore.address && !local && isDevAddress(withPrefix(keystore.address))) {
+                    errors.push(`keystore ${source.file} holds a well-known dev key`);
+                }
+            }
+            if (!source.password) {
+                errors.push(`keystore password not set (${source.passwordVariable})`);
+            }
+            break;
+        case "mnemonic":
+            if (!Mnemonic.isValidMnemonic(source.phrase)) {
+                errors.push(`${source.variable} is not a valid BIP-39 mnemonic`);
+            } else if (!local && source.phrase === DEV_MNEMONIC) {
+                errors.push(`${source.variable} is the well-known Hardhat test mnemonic`);
+            }
+            break;
+        case "env":
+            for (const name of source.variables) {
+                if (!PRIVATE_KEY_PATTERN.test(env[name])) {
+                    errors.push(`${name} is not a 32-byte hex private key`);
+                } else if (!local && isDevAddress(computeAddress(withPrefix(env[name])))) {
+                    errors.push(`${name} is a well-known dev key`);
+                }
+            }
+            break;
+        case "dev":
+            if (!local) {
+                errors.push("dev keys are only allowed on local networks");
+            }
+            break;
+    }
+    return errors;
+}
+
+/**
+ * Hardhat `accounts` value for a profile: private keys, an HD wallet config,
+ * or nothing for keystore and external signers (see getSigners)
+ */
+function toHardhatAccounts(profile, env = process.env) {
+    const source = resolveKeySource(profile, env);
+    // Dev keys never reach Hardhat on a non-local network, even if a script skips the checks
+    const allowed = key => profile.tier === "local" || !isDevAddress(computeAddress(withPrefix(key)));
+
+    if (source.type === "mnemonic") {
+        const usable = profile.tier === "local" || source.phrase !== DEV_MNEMONIC;
+        return usable ? { mnemonic: source.phrase, path: source.path, count: source.count } : [];
+    }
+    if (source.type === "env" || source.type === "dev") {
+        return source.keys.filter(key => PRIVATE_KEY_PATTERN.test(key) && allowed(key));
+    }
+    return [];
+}
+
+/**
+ * Whether Hardhat's own signers cover the profile's key source
+ */
+function usesHardhatAccounts(profile, env = process.env) {
+    return !["keystore", "external"].includes(resolveKeySource(profile, env).type);
+}
+
+const keystoreCache = new Map();
+
+async function decryptKeystore(source) {
+    if (!keystoreCache.has(source.file)) {
+        const json = fs.readFileSync(source.file, "utf8");
+        keystoreCache.set(source.file, Wallet.fromEncryptedJson(json, source.password).catch(error => {
+            keystoreCache.delete(source.file);
+            throw new Error(`❌ Cannot decrypt keystore ${source.file}: ${error.message}`);
+        }));
+    }
+    return keystoreCache.get(source.file);
+}
+
+/**
+ * ethers signers for a profile's key source, connected to `provider`
+ *
+ * @param {object} profile Network profile
+ * @param {object} [provider] Provider to connect the signers to
+ * @param {object} [env] Environment (defaults to process.env)
+ * @returns {Promise<object[]>}
+ */
+async function getSigners(profile, provider, env = process.env) {
+    const errors = checkKeySource(profile, env);
+    if (errors.length > 0) {
+        throw new Error(`❌ Network ${profile.name} has no usable signing key:\n${errors.map(error => `   - ${error}`).join("\n")}`);
+    }
+
+    const source = resolveKeySource(profile, env);
+    let signers;
+    switch (source.type) {
+        case "external":
+            signers = await getExternalSigners(source.url, provider);
+            break;
+        case "keystore":
+            signers = [(await decryptKeystore(source)).connect(provider || null)];
+            break;
+        case "mnemonic":
+            signers = deriveAccounts(source.phrase, source.path, source.count).map(wallet => wallet.connect(provider || null));
+            break;
+        default:
+            signers = source.keys.map(key => new Wallet(key, provider || null));
+    }
+
+    // Keys we only see now (decrypted keystores, external accounts) get the same check
+    if (profile.tier !== "local") {
+        for (const signer of signers) {
+            if (isDevAddress(await signer.getAddress())) {
+                throw new Error(`❌ Refusing the well-known dev account ${await signer.getAddress()} on ${profile.name}`);
+            }
+        }
+    }
+    return signers;
+}
+
+module.exports = {
+    KEY_SOURCES,
+    DEV_KEYS,
+    DEV_MNEMONIC,
+    DEFAULT_HD_PATH,
+    isDevAddress,
+    resolveKeySource,
+    checkKeySource,
+    toHardhatAccounts,
+    usesHardhatAccounts,
+    getSigners
+};
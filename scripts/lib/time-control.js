@@ -0,0 +1,251 @@
+const hre = require("hardhat");
+
+const { ethers } = hre;
+
+/**
+ * Time travel and block control for tests and scripts
+ *
+ * The Hardhat EVM answers the evm_* and hardhat_* methods. The substrate node
+ * behind the eth-rpc adapter implements none of them, so each capability is
+ * probed on first use and the working method is remembered per provider:
+ *
+ *   mine        hardhat_mine, evm_mine, or (substrate) self-transfers until
+ *               the block number advanced. Dev nodes seal a block per transaction.
+ *   time        evm_increaseTime / evm_setNextBlockTimestamp. No fallback:
+ *               block timestamps on the substrate node follow the wall clock.
+ *   snapshot    evm_snapshot / evm_revert. No fallback.
+ *
+ * A capability no method supports throws instead of silently doing nothing,
+ * so time-dependent tests fail with the reason rather than a wrong assertion.
+ */
+
+const UNSUPPORTED_CODES = [-32601, -32004];
+const UNSUPPORTED_MESSAGE = /method not found|not supported|unsupported|does not exist|not available|unknown method|not implemented/i;
+
+// Self-transfers sent at most per requested block before giving up
+const MAX_TRANSFERS_PER_BLOCK = 3;
+
+function isUnsupported(error) {
+    // Providers wrap the JSON-RPC error one or two levels deep
+    for (let current = error, depth = 0; current && depth < 4; current = current.error || current.cause, depth++) {
+        if (UNSUPPORTED_CODES.includes(current.code)) {
+            return true;
+        }
+        if (typeof current.message === "string" && UNSUPPORTED_MESSAGE.test(current.message)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.provider] Defaults to the Hardhat provider
+ * @param {import("ethers").Signer} [options.signer] Sends the self-transfers that mine blocks on the substrate node (defaults to the first signer)
+ * @param {string} [options.network] Network name used in error messages
+ */
+function createTimeControl(options = {}) {
+    const provider = options.provider || ethers.provider;
+    const network = options.network || hre.network.name;
+
+    // capability -> RPC method that worked ("transfer" for mining by
+    // self-transfers), or null when none is supported
+    const resolved = new Map();
+
+    function unsupported(label, tried) {
+        return new Error(
+            `❌ ${label} is not supported on network "${network}": the node does not implement ${tried.join(" or ")}. ` +
+            "The eth-rpc adapter of the substrate node has no time travel or snapshot RPCs. " +
+            "Run this on the Hardhat EVM, or shorten the on-chain period instead of advancing time"
+        );
+    }
+
+    /**
+     * Call the first RPC method of `candidates` the node supports, remembering it
+     *
+     * @param {string} capability Key the working method is remembered under
+     * @param {string} label Name used in errors
+     * @param {Array<[string, function(): Array]>} candidates [method, params builder]
+     */
+    async function call(capability, label, candidates) {
+        const methods = candidates.map(([method]) => method);
+        if (resolved.get(capability) === null) {
+            throw unsupported(label, methods);
+        }
+
+        const known = candidates.filter(([method]) => method === resolved.get(capability));
+        const ordered = known.length > 0 ? known : candidates;
+
+        for (const [method, params] of ordered) {
+            try {
+                const result = await provider.send(method, params());
+                resolved.set(capability, method);
+                return { method, result };
+            } catch (error) {
+                if (!isUnsupported(error)) {
+                    throw error;
+                }
+            }
+        }
+
+        resolved.set(capability, null);
+        throw unsupported(label, methods);
+    }
+
+    async function latestTimestamp() {
+        return (await provider.getBlock("latest")).timestamp;
+    }
+
+    async function latestBlock() {
+        return provider.getBlockNumber();
+    }
+
+    async function mineWithTransfers(blocks) {
+        const signer = options.signer || (await ethers.getSigners())[0];
+        const target = (await latestBlock()) + blocks;
+        for (let sent = 0; (await latestBlock()) < target; sent++) {
+            if (sent >= blocks * MAX_TRANSFERS_PER_BLOCK) {
+                throw new Error(`❌ Could not mine ${blocks} blocks on network "${network}" with self-transfers`);
+            }
+            await (await signer.sendTransaction({ to: await signer.getAddress(), value: 0 })).wait();
+        }
+    }
+
+    /**
+     * Mine blocks
+     *
+     * @param {number} [blocks] Number of blocks (defaults to 1)
+     * @param {object} [mineOptions]
+     * @param {number} [mineOptions.interval] Seconds between the mined blocks (Hardhat only)
+     */
+    async function mine(blocks = 1, { interval } = {}) {
+        if (!Number.isInteger(blocks) || blocks < 1) {
+            throw new Error(`❌ Blocks to mine must be a positive integer, got ${blocks}`);
+        }
+
+        if (resolved.get("mine") === "transfer" && interval === undefined) {
+            return mineWithTransfers(blocks);
+        }
+
+        const candidates = [["hardhat_mine", () => [ethers.toQuantity(blocks), ethers.toQuantity(interval ?? 1)]]];
+        if (interval === undefined) {
+            candidates.push(["evm_mine", () => []]);
+        }
+
+        let method;
+        try {
+            ({ method } = await call("mine", "Mining blocks", candidates));
+        } catch (error) {
+            if (interval !== undefined || resolved.get("mine") !== null) {
+                throw error;
+            }
+            // Dev nodes seal a block per transaction
+            resolved.set("mine", "transfer");
+            return mineWithTransfers(blocks);
+        }
+
+        if (method === "evm_mine") {
+            for (let i = 1; i < blocks; i++) {
+                await provider.send("evm_mine", []);
+            }
+        }
+    }
+
+    /**
+     * Move time forward and mine a block so the new time is visible to calls
+     *
+     * @returns {Promise<number>} Timestamp of the mined block
+     */
+    async function increaseTime(seconds) {
+        await call("increaseTime", "Increasing time", [["evm_increaseTime", () => [ethers.toQuantity(seconds)]]]);
+        await mine();
+        return latestTimestamp();
+    }
+
+    /**
+     * Timestamp of the next mined block or transaction
+     */
+    async function setNextBlockTimestamp(timestamp) {
+        await call("setNextBlockTimestamp", "Setting the next block timestamp", [
+            ["evm_setNextBlockTimestamp", () => [ethers.toQuantity(timestamp)]]
+        ]);
+    }
+
+    /**
+     * Advance to a timestamp and mine a block at it
+     */
+    async function increaseTo(timestamp) {
+        await setNextBlockTimestamp(timestamp);
+        await mine();
+    }
+
+    /**
+     * @returns {Promise<string>} Snapshot id to pass to revert()
+     */
+    async function snapshot() {
+        const { result } = await call("snapshot", "Taking a snapshot", [["evm_snapshot", () => []]]);
+        return result;
+    }
+
+    async function revert(snapshotId) {
+        const { result } = await call("revert", "Reverting to a snapshot", [["evm_revert", () => [snapshotId]]]);
+        if (result === false) {
+            throw new Error(`❌ Snapshot ${snapshotId} could not be reverted (unknown or already used)`);
+        }
+    }
+
+    /**
+     * Which capabilities the node supports. Mines one block; the time travel
+     * probe moves the clock by 0 seconds and the probe snapshot is reverted.
+     */
+    async function capabilities() {
+        const probe = async fn => {
+            try {
+                await fn();
+                return true;
+            } catch (error) {
+                if (error.message.includes("is not supported")) {
+                    return false;
+                }
+                throw error;
+            }
+        };
+        return {
+            mine: await probe(() => mine()),
+            minesWithTransfers: resolved.get("mine") === "transfer",
+            increaseTime: await probe(() => call("increaseTime", "Increasing time", [["evm_increaseTime", () => ["0x0"]]])),
+            snapshot: await probe(async () => revert(await snapshot()))
+        };
+    }
+
+    return {
+        network,
+        latestTimestamp,
+        latestBlock,
+        mine,
+        increaseTime,
+        increaseTo,
+        setNextBlockTimestamp,
+        snapshot,
+        revert,
+        capabilities
+    };
+}
+
+let defaultControl;
+
+/**
+ * Time control for the current Hardhat network
+ */
+function getTimeControl() {
+    if (!defaultControl || defaultControl.network !== hre.network.name) {
+        defaultControl = createTimeControl();
+    }
+    return defaultControl;
+}
+
+module.exports = {
+    isUnsupported,
+    createTimeControl,
+    getTimeControl
+};
@@ -0,0 +1,104 @@
+/**
+ * Deployment manifest for the Softlaw integration stack
+ * (SLAWToken, TreasuryCore, WrappedIPManager, LiquidityManager, MarketplaceCore)
+ *
+ * Argument placeholders resolved by the deployment engine:
+ *   "{deployer}"      - address of the deploying account
+ *   "{<Contract>}"    - address of a contract deployed by an earlier step
+ *   "{role:<NAME>}"   - keccak256 of the role name
+ *   "{ether:<N>}"     - N parsed as an 18-decimal token amount
+ */
+module.exports = {
+    name: "integration",
+    description: "Softlaw PVM integration stack with creator economy",
+    // Contract resolution profile (see scripts/lib/contract-resolver.js)
+    profile: "classic",
+
+    steps: [
+        // ===== Core contracts =====
+        {
+            id: "deploy-slaw-token",
+            deploy: "SLAWToken",
+            // Treasury core placeholder, replaced once TreasuryCore exists
+            args: ["{deployer}", "{deployer}"]
+        },
+        {
+            id: "deploy-treasury-core",
+            deploy: "TreasuryCore",
+            args: ["{deployer}", "{SLAWToken}", "{deployer}"]
+        },
+        {
+            id: "deploy-wrapped-ip-manager",
+            deploy: "WrappedIPManager",
+            args: ["{deployer}", "{SLAWToken}", "{TreasuryCore}"]
+        },
+        {
+            id: "deploy-liquidity-manager",
+            deploy: "LiquidityManager",
+            args: ["{deployer}", "{SLAWToken}", "{TreasuryCore}"]
+        },
+        {
+            id: "deploy-marketplace-core",
+            deploy: "MarketplaceCore",
+            args: ["{deployer}", "{SLAWToken}", "{TreasuryCore}"]
+        },
+
+        // ===== Initial funding =====
+        // treasuryTransfer needs TREASURY_ROLE, which the deployer holds
+        // until link-slaw-treasury hands it to TreasuryCore
+        {
+            id: "fund-deployer",
+            call: "SLAWToken.treasuryTransfer",
+            args: ["{deployer}", "{ether:1000000}"]
+        },
+        {
+            id: "fund-liquidity-rewards",
+            call: "SLAWToken.treasuryTransfer",
+            args: ["{LiquidityManager}", "{ether:5000000}"]
+        },
+        {
+            id: "link-slaw-treasury",
+            call: "SLAWToken.updateTreasuryCore",
+            args: ["{TreasuryCore}"]
+        },
+
+        // ===== RBAC and system integration =====
+        {
+            id: "grant-marketplace-role",
+            call: "TreasuryCore.grantRole",
+            args: ["{role:MARKETPLACE_CONTRACT}", "{MarketplaceCore}"]
+        },
+        {
+            id: "register-wrapped-ip-manager",
+            call: "TreasuryCore.updateSystemAddress",
+            args: ["wrappedIPManager", "{WrappedIPManager}"]
+        },
+        {
+            id: "register-liquidity-manager",
+            call: "TreasuryCore.updateSystemAddress",
+            args: ["liquidityManager", "{LiquidityManager}"]
+        },
+
+        // ===== Creator economy setup =====
+        {
+            id: "create-admin-profile",
+            call: "WrappedIPManager.createCreatorProfile",
+            args: ["System Admin"]
+        },
+        {
+            id: "verify-admin-creator",
+            call: "WrappedIPManager.verifyCreator",
+            args: ["{deployer}", true]
+        }
+    ],
+
+    // ABIs exported next to the addresses for front-ends and scripts
+    abis: [
+        "SLAWToken",
+        "TreasuryCore",
+        "WrappedIPManager",
+        "LiquidityManager",
+        "MarketplaceCore",
+        "PersonalizedWrappedIPToken"
+    ]
+};
@@ -0,0 +1,45 @@
+const { loadScenario, runScenario, writeReport } = require("./lib/scenario-engine");
+
+/**
+ * Run a scenario file against the deployed Softlaw contracts
+ *
+ * @param {object} [options]
+ * @param {string} [options.scenario] Scenario name in scripts/scenarios or path (defaults to SOFTLAW_SCENARIO or creator-economy)
+ * @param {string} [options.report] Report path (defaults to deployments/scenario-<name>-<network>.json)
+ */
+async function main(options = {}) {
+    const scenario = loadScenario(options.scenario || process.env.SOFTLAW_SCENARIO || "creator-economy");
+
+    console.log(`🎬 Softlaw Scenario: ${scenario.name}`);
+    if (scenario.description) {
+        console.log(`📝 ${scenario.description}`);
+    }
+    console.log("🌐 Network:", hre.network.name, "\n");
+
+    const report = await runScenario(scenario);
+    const reportPath = writeReport(report, options.report);
+
+    const passedSteps = report.steps.filter(step => step.status === "passed").length;
+    const passedExpectations = report.expectations.filter(outcome => outcome.passed).length;
+    console.log(`\n📊 Steps: ${passedSteps}/${report.steps.length} passed`);
+    console.log(`📊 Expectations: ${passedExpectations}/${report.expectations.length} passed`);
+    console.log("💾 Report saved to:", reportPath);
+
+    if (!report.success) {
+        throw new Error(`❌ Scenario ${scenario.name} failed`);
+    }
+    console.log(`\n🎉 Scenario ${scenario.name} passed`);
+    return report;
+}
+
+// Handle both direct execution and module export
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
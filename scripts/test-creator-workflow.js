@@ -1,6 +1,9 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const registry = require("./lib/deployment-registry");
+const resolver = require("./lib/contract-resolver");
+const { getDecoder, describeError } = require("./lib/receipt-decoder");
 
 async function main() {
     console.log("🎨 Testing Softlaw Creator Economy Workflow...\n");
@@ -13,38 +16,58 @@ async function main() {
     console.log("🌐 Network:", hre.network.name, "\n");
 
     try {
-        // ===== Load Contract Addresses =====
-        const addressPath = path.join(__dirname, "../deployments", `contract-addresses-${hre.network.name}.json`);
-        if (!fs.existsSync(addressPath)) {
-            throw new Error("❌ Contract addresses not found. Run deploy-integration.js first");
-        }
+        // ===== Resolve Contract Artifacts =====
+        // Fails before any transaction if an artifact is missing or ambiguous
+        await resolver.assertComponents([
+            "SLAWToken",
+            "TreasuryCore",
+            "WrappedIPManager",
+            "LiquidityManager",
+            "MarketplaceCore",
+            "TestCopyrightNFT",
+            "PersonalizedWrappedIPToken"
+        ]);
         
-        const addresses = JSON.parse(fs.readFileSync(addressPath, "utf8"));
+        // ===== Load Contract Addresses =====
+        const addresses = registry.getAddresses();
         console.log("📋 Loaded contract addresses\n");
         
         // ===== Get Contract Instances =====
-        const slawToken = await ethers.getContractAt("SLAWToken", addresses.SLAWToken);
-        const treasuryCore = await ethers.getContractAt("TreasuryCore", addresses.TreasuryCore);
-        const wrappedIPManager = await ethers.getContractAt("WrappedIPManager", addresses.WrappedIPManager);
-        const liquidityManager = await ethers.getContractAt("LiquidityManager", addresses.LiquidityManager);
-        const marketplaceCore = await ethers.getContractAt("MarketplaceCore", addresses.MarketplaceCore);
+        const slawToken = await resolver.getContractAt("SLAWToken", addresses.SLAWToken);
+        const treasuryCore = await resolver.getContractAt("TreasuryCore", addresses.TreasuryCore);
+        const wrappedIPManager = await resolver.getContractAt("WrappedIPManager", addresses.WrappedIPManager);
+        const liquidityManager = await resolver.getContractAt("LiquidityManager", addresses.LiquidityManager);
+        const marketplaceCore = await resolver.getContractAt("MarketplaceCore", addresses.MarketplaceCore);
         
         // Deploy test NFT if not exists
         let testNFT;
         if (addresses.TestCopyrightNFT) {
-            testNFT = await ethers.getContractAt("TestCopyrightNFT", addresses.TestCopyrightNFT);
+            testNFT = await resolver.getContractAt("TestCopyrightNFT", addresses.TestCopyrightNFT);
         } else {
             console.log("⚠️  TestCopyrightNFT not found. Deploying...");
-            const TestCopyrightNFT = await ethers.getContractFactory("TestCopyrightNFT");
+            const TestCopyrightNFT = await resolver.getContractFactory("TestCopyrightNFT");
             testNFT = await TestCopyrightNFT.deploy(deployer.address);
             await testNFT.waitForDeployment();
             
+            const deployReceipt = await testNFT.deploymentTransaction().wait();
+            addresses.TestCopyrightNFT = await testNFT.getAddress();
+            await registry.recordDeployment("TestCopyrightNFT", {
+                address: addresses.TestCopyrightNFT,
+                txHash: deployReceipt.hash,
+                blockNumber: deployReceipt.blockNumber,
+                deployer: deployer.address
+            });
+            
             // Configure as supported contract
             await wrappedIPManager.setSupportedNFTContract(await testNFT.getAddress(), true);
             await marketplaceCore.setSupportedNFTContract(await testNFT.getAddress(), true);
             console.log("✅ TestCopyrightNFT deployed and configured");
         }
 
+        // Decodes events from every Softlaw contract, including the wrapped
+        // tokens and pairs created along the way
+        const decoder = await getDecoder({ addresses: { TestCopyrightNFT: addresses.TestCopyrightNFT } });
+
         // ===== STEP 1: Initial SLAW Distribution =====
         console.log("💰 === STEP 1: SLAW Distribution ===");
         
@@ -111,14 +134,8 @@ async function main() {
             "https://metadata.example.com/ethereal-dreams"
         );
         const aliceReceipt = await aliceMintTx.wait();
-        const aliceNFTEvent = aliceReceipt.logs.find(log => {
-            try {
-                return testNFT.interface.parseLog(log).name === "CopyrightMinted";
-            } catch {
-                return false;
-            }
-        });
-        const aliceTokenId = testNFT.interface.parseLog(aliceNFTEvent).args.tokenId;
+        const aliceNFTEvent = decoder.findEvent(aliceReceipt, "CopyrightMinted", { contract: "TestCopyrightNFT" });
+        const aliceTokenId = aliceNFTEvent.args.tokenId;
         console.log(`🎵 Alice minted music NFT: "Ethereal Dreams" (Token ID: ${aliceTokenId})`);
         
         // Bob mints a digital art NFT
@@ -130,14 +147,8 @@ async function main() {
             "https://metadata.example.com/cyber-phoenix"
         );
         const bobReceipt = await bobMintTx.wait();
-        const bobNFTEvent = bobReceipt.logs.find(log => {
-            try {
-                return testNFT.interface.parseLog(log).name === "CopyrightMinted";
-            } catch {
-                return false;
-            }
-        });
-        const bobTokenId = testNFT.interface.parseLog(bobNFTEvent).args.tokenId;
+        const bobNFTEvent = decoder.findEvent(bobReceipt, "CopyrightMinted", { contract: "TestCopyrightNFT" });
+        const bobTokenId = bobNFTEvent.args.tokenId;
         console.log(`🎨 Bob minted art NFT: "Cyber Phoenix" (Token ID: ${bobTokenId})`);
         
         // Alice wraps her music NFT
@@ -152,14 +163,8 @@ async function main() {
             "Fractionalized ownership of the ambient masterpiece Ethereal Dreams"
         );
         const aliceWrapReceipt = await aliceWrapTx.wait();
-        const aliceWrapEvent = aliceWrapReceipt.logs.find(log => {
-            try {
-                return wrappedIPManager.interface.parseLog(log).name === "IPWrapped";
-            } catch {
-                return false;
-            }
-        });
-        const aliceWrappedTokenAddress = wrappedIPManager.interface.parseLog(aliceWrapEvent).args.tokenAddress;
+        const aliceWrapEvent = decoder.findEvent(aliceWrapReceipt, "IPWrapped", { contract: "WrappedIPManager" });
+        const aliceWrappedTokenAddress = aliceWrapEvent.args.tokenAddress;
         
         console.log(`✅ Alice wrapped NFT into personalized token`);
         console.log(`🪙 Token Name: "Alice Melody's Ethereal Dreams"`);
@@ -177,22 +182,16 @@ async function main() {
             "Fractionalized ownership of the digital artwork Cyber Phoenix"
         );
         const bobWrapReceipt = await bobWrapTx.wait();
-        const bobWrapEvent = bobWrapReceipt.logs.find(log => {
-            try {
-                return wrappedIPManager.interface.parseLog(log).name === "IPWrapped";
-            } catch {
-                return false;
-            }
-        });
-        const bobWrappedTokenAddress = wrappedIPManager.interface.parseLog(bobWrapEvent).args.tokenAddress;
+        const bobWrapEvent = decoder.findEvent(bobWrapReceipt, "IPWrapped", { contract: "WrappedIPManager" });
+        const bobWrappedTokenAddress = bobWrapEvent.args.tokenAddress;
         
         console.log(`✅ Bob wrapped NFT into personalized token`);
         console.log(`🪙 Token Name: "Bob Pixelworks's Cyber Phoenix"`);
         console.log(`🔗 Token Address: ${bobWrappedTokenAddress}`);
         
         // Get token details
-        const aliceWrappedToken = await ethers.getContractAt("PersonalizedWrappedIPToken", aliceWrappedTokenAddress);
-        const bobWrappedToken = await ethers.getContractAt("PersonalizedWrappedIPToken", bobWrappedTokenAddress);
+        const aliceWrappedToken = await resolver.getContractAt("PersonalizedWrappedIPToken", aliceWrappedTokenAddress);
+        const bobWrappedToken = await resolver.getContractAt("PersonalizedWrappedIPToken", bobWrappedTokenAddress);
         
         const aliceTokenName = await aliceWrappedToken.name();
         const aliceTokenSymbol = await aliceWrappedToken.symbol();
@@ -218,18 +217,12 @@ async function main() {
             aliceTokenAmount
         );
         const alicePoolReceipt = await alicePoolTx.wait();
-        const alicePoolEvent = alicePoolReceipt.logs.find(log => {
-            try {
-                return liquidityManager.interface.parseLog(log).name === "PoolCreated";
-            } catch {
-                return false;
-            }
-        });
-        const alicePairAddress = liquidityManager.interface.parseLog(alicePoolEvent).args.pairAddress;
+        const alicePoolEvent = decoder.findEvent(alicePoolReceipt, "PoolCreated", { contract: "LiquidityManager" });
+        const alicePoolId = alicePoolEvent.args.poolId;
         
         console.log(`✅ Alice created music liquidity pool`);
         console.log(`🌊 Pool Name: "Alice Melody's Ethereal Dreams / SLAW LP"`);
-        console.log(`🔗 Pair Address: ${alicePairAddress}`);
+        console.log(`🔗 Pool ID: ${alicePoolId}`);
         console.log(`💧 SLAW Added: ${ethers.formatEther(aliceSLAWAmount)}`);
         console.log(`🎵 Music Tokens Added: ${ethers.formatEther(aliceTokenAmount)}`);
         
@@ -246,18 +239,12 @@ async function main() {
             bobTokenAmount
         );
         const bobPoolReceipt = await bobPoolTx.wait();
-        const bobPoolEvent = bobPoolReceipt.logs.find(log => {
-            try {
-                return liquidityManager.interface.parseLog(log).name === "PoolCreated";
-            } catch {
-                return false;
-            }
-        });
-        const bobPairAddress = liquidityManager.interface.parseLog(bobPoolEvent).args.pairAddress;
+        const bobPoolEvent = decoder.findEvent(bobPoolReceipt, "PoolCreated", { contract: "LiquidityManager" });
+        const bobPoolId = bobPoolEvent.args.poolId;
         
         console.log(`✅ Bob created art liquidity pool`);
         console.log(`🌊 Pool Name: "Bob Pixelworks's Cyber Phoenix / SLAW LP"`);
-        console.log(`🔗 Pair Address: ${bobPairAddress}`);
+        console.log(`🔗 Pool ID: ${bobPoolId}`);
         console.log(`💧 SLAW Added: ${ethers.formatEther(bobSLAWAmount)}`);
         console.log(`🎨 Art Tokens Added: ${ethers.formatEther(bobTokenAmount)}\n`);
 
@@ -353,28 +340,25 @@ async function main() {
         // ===== STEP 8: Simulate Rewards Earning =====
         console.log("\n🎁 === STEP 8: Simulate Rewards System ===");
         
-        // Check pending rewards for users
-        const alicePairContract = await ethers.getContractAt("ValuedLiquidityPair", alicePairAddress);
-        const bobPairContract = await ethers.getContractAt("ValuedLiquidityPair", bobPairAddress);
-        
-        const aliceLPBalance = await alicePairContract.balanceOf(alice.address);
-        const charlieLPBalanceAlice = await alicePairContract.balanceOf(charlie.address);
-        const charlieBoLPBalanceBob = await bobPairContract.balanceOf(charlie.address);
+        // Liquidity positions are tracked by LiquidityManager per pool
+        const aliceLPBalance = (await liquidityManager.getUserPosition(alicePoolId, alice.address)).liquidityTokens;
+        const charlieLPBalanceAlice = (await liquidityManager.getUserPosition(alicePoolId, charlie.address)).liquidityTokens;
+        const charlieBoLPBalanceBob = (await liquidityManager.getUserPosition(bobPoolId, charlie.address)).liquidityTokens;
         
         console.log("🎫 LP Token Balances:");
         console.log(`Alice (in her own pool): ${ethers.formatEther(aliceLPBalance)}`);
         console.log(`Charlie (in Alice's pool): ${ethers.formatEther(charlieLPBalanceAlice)}`);
         console.log(`Charlie (in Bob's pool): ${ethers.formatEther(charlieBoLPBalanceBob)}`);
         
-        // Get pool metrics
-        const alicePoolMetrics = await alicePairContract.getPoolMetrics();
-        const bobPoolMetrics = await bobPairContract.getPoolMetrics();
+        // Get pool reserves
+        const alicePool = await liquidityManager.getPool(alicePoolId);
+        const bobPool = await liquidityManager.getPool(bobPoolId);
         
         console.log("\n📊 Pool Metrics:");
-        console.log(`Alice's Pool Value: ${ethers.formatEther(alicePoolMetrics[0])} SLAW`);
-        console.log(`Alice's Pool Age: ${alicePoolMetrics[5]} seconds`);
-        console.log(`Bob's Pool Value: ${ethers.formatEther(bobPoolMetrics[0])} SLAW`);
-        console.log(`Bob's Pool Age: ${bobPoolMetrics[5]} seconds`);
+        console.log(`Alice's Pool SLAW Reserve: ${ethers.formatEther(alicePool.reserveB)} SLAW`);
+        console.log(`Alice's Pool Total Liquidity: ${ethers.formatEther(alicePool.totalLiquidity)}`);
+        console.log(`Bob's Pool SLAW Reserve: ${ethers.formatEther(bobPool.reserveB)} SLAW`);
+        console.log(`Bob's Pool Total Liquidity: ${ethers.formatEther(bobPool.totalLiquidity)}`);
 
         // ===== STEP 9: Final System Status =====
         console.log("\n📊 === FINAL CREATOR ECONOMY STATUS ===");
@@ -417,7 +401,7 @@ async function main() {
                         symbol: aliceTokenSymbol
                     },
                     pool: {
-                        address: alicePairAddress,
+                        id: alicePoolId,
                         featured: true
                     }
                 },
@@ -430,7 +414,7 @@ async function main() {
                         symbol: bobTokenSymbol
                     },
                     pool: {
-                        address: bobPairAddress,
+                        id: bobPoolId,
                         featured: false
                     }
                 }
@@ -439,8 +423,8 @@ async function main() {
                 charlie: {
                     address: charlie.address,
                     lp_positions: [
-                        { pool: alicePairAddress, balance: ethers.formatEther(charlieLPBalanceAlice) },
-                        { pool: bobPairAddress, balance: ethers.formatEther(charlieBoLPBalanceBob) }
+                        { pool: alicePoolId, balance: ethers.formatEther(charlieLPBalanceAlice) },
+                        { pool: bobPoolId, balance: ethers.formatEther(charlieBoLPBalanceBob) }
                     ]
                 }
             },
@@ -455,7 +439,7 @@ async function main() {
             }
         };
         
-        const resultsPath = path.join(__dirname, "../deployments", `creator-economy-results-${hre.network.name}.json`);
+        const resultsPath = path.join(registry.DEPLOYMENTS_DIR, `creator-economy-results-${hre.network.name}.json`);
         fs.writeFileSync(resultsPath, JSON.stringify(creatorEconomyResults, null, 2));
         
         console.log("\n🎉 ========================================");
@@ -499,12 +483,14 @@ async function main() {
         };
 
     } catch (error) {
-        console.error("❌ Creator economy workflow failed:", error);
+        const reason = await describeError(error);
+        console.error("❌ Creator economy workflow failed:", reason);
         
         // Save error log
-        const errorPath = path.join(__dirname, "../deployments", `creator-economy-error-${Date.now()}.json`);
+        const errorPath = path.join(registry.DEPLOYMENTS_DIR, `creator-economy-error-${Date.now()}.json`);
         fs.writeFileSync(errorPath, JSON.stringify({
             error: error.message,
+            reason,
             stack: error.stack,
             network: hre.network.name,
             timestamp: new Date().toISOString()
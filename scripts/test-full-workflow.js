@@ -1,6 +1,9 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const registry = require("./lib/deployment-registry");
+const resolver = require("./lib/contract-resolver");
+const { getDecoder, describeError } = require("./lib/receipt-decoder");
 
 async function main() {
     console.log("🔄 Testing Full Softlaw PVM Workflow...\n");
@@ -12,37 +15,58 @@ async function main() {
     console.log("🌐 Network:", hre.network.name, "\n");
 
     try {
-        // ===== Load Contract Addresses =====
-        const addressPath = path.join(__dirname, "../deployments", `contract-addresses-${hre.network.name}.json`);
-        if (!fs.existsSync(addressPath)) {
-            throw new Error("❌ Contract addresses not found. Run deploy-integration.js first");
-        }
+        // ===== Resolve Contract Artifacts =====
+        // Fails before any transaction if an artifact is missing or ambiguous
+        await resolver.assertComponents([
+            "SLAWToken",
+            "TreasuryCore",
+            "WrappedIPManager",
+            "LiquidityManager",
+            "MarketplaceCore",
+            "TestCopyrightNFT",
+            "WrappedIPToken",
+            "SimpleLiquidityPair"
+        ]);
         
-        const addresses = JSON.parse(fs.readFileSync(addressPath, "utf8"));
+        // ===== Load Contract Addresses =====
+        const addresses = registry.getAddresses();
         console.log("📋 Loaded contract addresses\n");
         
         // ===== Get Contract Instances =====
-        const slawToken = await ethers.getContractAt("SLAWToken", addresses.SLAWToken);
-        const treasuryCore = await ethers.getContractAt("TreasuryCore", addresses.TreasuryCore);
-        const wrappedIPManager = await ethers.getContractAt("WrappedIPManager", addresses.WrappedIPManager);
-        const liquidityManager = await ethers.getContractAt("LiquidityManager", addresses.LiquidityManager);
-        const marketplaceCore = await ethers.getContractAt("MarketplaceCore", addresses.MarketplaceCore);
+        const slawToken = await resolver.getContractAt("SLAWToken", addresses.SLAWToken);
+        const treasuryCore = await resolver.getContractAt("TreasuryCore", addresses.TreasuryCore);
+        const wrappedIPManager = await resolver.getContractAt("WrappedIPManager", addresses.WrappedIPManager);
+        const liquidityManager = await resolver.getContractAt("LiquidityManager", addresses.LiquidityManager);
+        const marketplaceCore = await resolver.getContractAt("MarketplaceCore", addresses.MarketplaceCore);
         
         let testNFT;
         if (addresses.TestCopyrightNFT) {
-            testNFT = await ethers.getContractAt("TestCopyrightNFT", addresses.TestCopyrightNFT);
+            testNFT = await resolver.getContractAt("TestCopyrightNFT", addresses.TestCopyrightNFT);
         } else {
             console.log("⚠️  TestCopyrightNFT not found. Deploying...");
-            const TestCopyrightNFT = await ethers.getContractFactory("TestCopyrightNFT");
+            const TestCopyrightNFT = await resolver.getContractFactory("TestCopyrightNFT");
             testNFT = await TestCopyrightNFT.deploy(deployer.address);
             await testNFT.waitForDeployment();
             
+            const deployReceipt = await testNFT.deploymentTransaction().wait();
+            addresses.TestCopyrightNFT = await testNFT.getAddress();
+            await registry.recordDeployment("TestCopyrightNFT", {
+                address: addresses.TestCopyrightNFT,
+                txHash: deployReceipt.hash,
+                blockNumber: deployReceipt.blockNumber,
+                deployer: deployer.address
+            });
+            
             // Configure as supported contract
             await wrappedIPManager.setSupportedNFTContract(await testNFT.getAddress(), true);
             await marketplaceCore.setSupportedNFTContract(await testNFT.getAddress(), true);
             console.log("✅ TestCopyrightNFT deployed and configured");
         }
 
+        // Decodes events from every Softlaw contract, including the wrapped
+        // tokens and pairs created along the way
+        const decoder = await getDecoder({ addresses: { TestCopyrightNFT: addresses.TestCopyrightNFT } });
+
         // ===== STEP 1: Initial SLAW Distribution =====
         console.log("💰 === STEP 1: SLAW Distribution ===");
         
@@ -73,15 +97,9 @@ async function main() {
         const receipt = await mintTx.wait();
         
         // Get the token ID from the event
-        const mintEvent = receipt.logs.find(log => {
-            try {
-                return testNFT.interface.parseLog(log).name === "CopyrightMinted";
-            } catch {
-                return false;
-            }
-        });
+        const mintEvent = decoder.findEvent(receipt, "CopyrightMinted", { contract: "TestCopyrightNFT" });
         
-        const tokenId = testNFT.interface.parseLog(mintEvent).args.tokenId;
+        const tokenId = mintEvent.args.tokenId;
         console.log(`✅ Minted NFT with Token ID: ${tokenId}`);
         
         const copyrightInfo = await testNFT.getCopyrightInfo(tokenId);
@@ -111,22 +129,16 @@ async function main() {
         const wrapReceipt = await wrapTx.wait();
         
         // Get the wrapped token address from the event
-        const wrapEvent = wrapReceipt.logs.find(log => {
-            try {
-                return wrappedIPManager.interface.parseLog(log).name === "IPWrapped";
-            } catch {
-                return false;
-            }
-        });
+        const wrapEvent = decoder.findEvent(wrapReceipt, "IPWrapped", { contract: "WrappedIPManager" });
         
-        const ipId = wrappedIPManager.interface.parseLog(wrapEvent).args.ipId;
-        const wrappedTokenAddress = wrappedIPManager.interface.parseLog(wrapEvent).args.tokenAddress;
+        const ipId = wrapEvent.args.ipId;
+        const wrappedTokenAddress = wrapEvent.args.tokenAddress;
         
         console.log(`✅ Wrapped NFT to tokens`);
         console.log(`🔗 IP ID: ${ipId}`);
         console.log(`📄 Wrapped Token Address: ${wrappedTokenAddress}`);
         
-        const wrappedToken = await ethers.getContractAt("WrappedIPToken", wrappedTokenAddress);
+        const wrappedToken = await resolver.getContractAt("WrappedIPToken", wrappedTokenAddress);
         const user1TokenBalance = await wrappedToken.balanceOf(user1.address);
         console.log(`💎 User1 Wrapped Token Balance: ${ethers.formatEther(user1TokenBalance)}\n`);
 
@@ -149,21 +161,15 @@ async function main() {
         );
         const poolReceipt = await poolTx.wait();
         
-        const poolEvent = poolReceipt.logs.find(log => {
-            try {
-                return liquidityManager.interface.parseLog(log).name === "PoolCreated";
-            } catch {
-                return false;
-            }
-        });
+        const poolEvent = decoder.findEvent(poolReceipt, "PoolCreated", { contract: "LiquidityManager" });
         
-        const pairAddress = liquidityManager.interface.parseLog(poolEvent).args.pairAddress;
+        const pairAddress = poolEvent.args.pairAddress;
         console.log(`✅ Created liquidity pool`);
         console.log(`🔗 Pair Address: ${pairAddress}`);
         console.log(`💧 SLAW Added: ${ethers.formatEther(slawLiquidityAmount)}`);
         console.log(`💎 Tokens Added: ${ethers.formatEther(tokenLiquidityAmount)}`);
         
-        const lpToken = await ethers.getContractAt("SimpleLiquidityPair", pairAddress);
+        const lpToken = await resolver.getContractAt("SimpleLiquidityPair", pairAddress);
         const lpBalance = await lpToken.balanceOf(user1.address);
         console.log(`🎫 LP Tokens Received: ${ethers.formatEther(lpBalance)}\n`);
 
@@ -174,15 +180,9 @@ async function main() {
         const mintTx2 = await testNFT.connect(user1).mintTestNFT(user1.address, "art");
         const receipt2 = await mintTx2.wait();
         
-        const mintEvent2 = receipt2.logs.find(log => {
-            try {
-                return testNFT.interface.parseLog(log).name === "CopyrightMinted";
-            } catch {
-                return false;
-            }
-        });
+        const mintEvent2 = decoder.findEvent(receipt2, "CopyrightMinted", { contract: "TestCopyrightNFT" });
         
-        const tokenId2 = testNFT.interface.parseLog(mintEvent2).args.tokenId;
+        const tokenId2 = mintEvent2.args.tokenId;
         console.log(`🎨 Minted additional NFT for marketplace: Token ID ${tokenId2}`);
         
         // Approve marketplace to transfer NFT
@@ -202,15 +202,9 @@ async function main() {
         );
         const listReceipt = await listTx.wait();
         
-        const listEvent = listReceipt.logs.find(log => {
-            try {
-                return marketplaceCore.interface.parseLog(log).name === "ListingCreated";
-            } catch {
-                return false;
-            }
-        });
+        const listEvent = decoder.findEvent(listReceipt, "ListingCreated", { contract: "MarketplaceCore" });
         
-        const listingId = marketplaceCore.interface.parseLog(listEvent).args.listingId;
+        const listingId = listEvent.args.listingId;
         console.log(`✅ Created marketplace listing`);
         console.log(`🏷️  Listing ID: ${listingId}`);
         console.log(`💰 Price: ${ethers.formatEther(listingPrice)} SLAW\n`);
@@ -233,15 +227,9 @@ async function main() {
         );
         const offerReceipt = await offerTx.wait();
         
-        const offerEvent = offerReceipt.logs.find(log => {
-            try {
-                return marketplaceCore.interface.parseLog(log).name === "OfferCreated";
-            } catch {
-                return false;
-            }
-        });
+        const offerEvent = decoder.findEvent(offerReceipt, "OfferCreated", { contract: "MarketplaceCore" });
         
-        const offerId = marketplaceCore.interface.parseLog(offerEvent).args.offerId;
+        const offerId = offerEvent.args.offerId;
         console.log(`✅ Made offer on listing`);
         console.log(`🏷️  Offer ID: ${offerId}`);
         console.log(`💰 Offer Amount: ${ethers.formatEther(offerAmount)} SLAW\n`);
@@ -371,7 +359,7 @@ async function main() {
             }
         };
         
-        const workflowPath = path.join(__dirname, "../deployments", `workflow-results-${hre.network.name}.json`);
+        const workflowPath = path.join(registry.DEPLOYMENTS_DIR, `workflow-results-${hre.network.name}.json`);
         fs.writeFileSync(workflowPath, JSON.stringify(workflowResults, null, 2));
         
         console.log("\n🎉 ========================================");
@@ -395,12 +383,14 @@ async function main() {
         };
 
     } catch (error) {
-        console.error("❌ Workflow test failed:", error);
+        const reason = await describeError(error);
+        console.error("❌ Workflow test failed:", reason);
         
         // Save error log
-        const errorPath = path.join(__dirname, "../deployments", `workflow-error-${Date.now()}.json`);
+        const errorPath = path.join(registry.DEPLOYMENTS_DIR, `workflow-error-${Date.now()}.json`);
         fs.writeFileSync(errorPath, JSON.stringify({
             error: error.message,
+            reason,
             stack: error.stack,
             network: hre.network.name,
             timestamp: new Date().toISOString()
@@ -1,10 +1,29 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
 const path = require("path");
+const registry = require("./lib/deployment-registry");
+const health = require("./lib/health-checks");
+require("./lib/health-probes");
+const { createAlertManager } = require("./lib/alerts");
+const { renderMetrics, startMetricsServer } = require("./lib/metrics-exporter");
 
-async function main() {
-    const command = process.argv[2] || "health";
-    const args = process.argv.slice(3);
+/**
+ * @param {string} [command] health | verify | monitor (defaults to the first CLI argument)
+ * @param {string[]} [args] Command arguments, e.g. monitor duration in minutes
+ * @param {object} [options] Health report options
+ * @param {string} [options.json] Path of the JSON report (defaults to SOFTLAW_HEALTH_JSON)
+ * @param {string} [options.junit] Path of the JUnit XML report (defaults to SOFTLAW_HEALTH_JUNIT)
+ * @param {string} [options.failOn] Fail when a probe of this severity or higher fails (defaults to SOFTLAW_HEALTH_FAIL_ON)
+ * @param {string} [options.config] Monitor config module
+ * @param {number} [options.port] Monitor metrics port
+ * @param {number} [options.interval] Seconds between monitor checks
+ */
+async function main(command = process.argv[2] || "health", args = process.argv.slice(3), options = {}) {
+    
+    const reportOptions = {
+        json: options.json || process.env.SOFTLAW_HEALTH_JSON,
+        junit: options.junit || process.env.SOFTLAW_HEALTH_JUNIT
+    };
+    const failOn = options.failOn || process.env.SOFTLAW_HEALTH_FAIL_ON;
     
     console.log("🔍 Softlaw PVM Deployment Verification\n");
     
@@ -15,27 +34,30 @@ async function main() {
         console.log("💰 Balance:", ethers.formatEther(await signer.provider.getBalance(signer.address)), "ETH\n");
         
         // Load contract addresses
-        const addressPath = path.join(__dirname, "../deployments", `contract-addresses-${hre.network.name}.json`);
-        if (!fs.existsSync(addressPath)) {
-            throw new Error(`❌ Contract addresses not found for network: ${hre.network.name}`);
-        }
-        
-        const addresses = JSON.parse(fs.readFileSync(addressPath, "utf8"));
+        const addresses = registry.getAddresses();
         console.log("📋 Loaded contract addresses:", Object.keys(addresses).join(", "));
         
         switch (command) {
-            case "health":
-                await healthCheck(addresses, signer);
-                break;
+            case "health": {
+                const report = await healthCheck(addresses, signer, reportOptions);
+                if (failOn && health.hasFailures(report, failOn)) {
+                    throw new Error(`Health check has failing ${failOn} (or more severe) probes`);
+                }
+                return report;
+            }
             case "verify":
-                await verifyDeployment(addresses, signer);
+                await verifyDeployment(addresses, signer, reportOptions);
                 break;
             case "monitor":
                 const duration = parseInt(args[0]) || 10;
-                await monitorSystem(addresses, signer, duration);
+                await monitorSystem(addresses, signer, duration, {
+                    config: options.config,
+                    port: options.port,
+                    interval: options.interval
+                });
                 break;
             default:
-                console.log("❓ Available commands:");
+                console.log("❓ Available commands (or use the softlaw:* Hardhat tasks):");
                 console.log("  health  - Basic health check");
                 console.log("  verify  - Full verification");
                 console.log("  monitor [minutes] - Monitor system");
@@ -43,110 +65,61 @@ async function main() {
         
     } catch (error) {
         console.error("❌ Error:", error.message);
-        process.exit(1);
+        throw error;
     }
 }
 
-async function healthCheck(addresses, signer) {
+const STATUS_ICONS = { healthy: "🟢", degraded: "🟡", unhealthy: "🔴" };
+const PROBE_ICONS = { pass: "✅", fail: "❌", error: "💥", skip: "⏭️ " };
+
+/**
+ * Run the registered health probes (scripts/lib/health-probes.js)
+ *
+ * @param {Object<string, string>} addresses Component name to address
+ * @param {object} signer
+ * @param {object} [options]
+ * @param {string} [options.json] Write the JSON report to this path
+ * @param {string} [options.junit] Write the JUnit XML report to this path
+ * @param {boolean} [options.quiet] Only print the summary
+ * @returns {Promise<object>} Health report
+ */
+async function healthCheck(addresses, signer, options = {}) {
     console.log("🏥 === HEALTH CHECK ===\n");
     
-    let allHealthy = true;
-    const results = {};
+    const report = await health.runHealthChecks(addresses, { signer });
     
-    // Check each contract
-    for (const [name, address] of Object.entries(addresses)) {
-        try {
-            console.log(`🔍 Checking ${name}...`);
-            
-            const contract = await ethers.getContractAt(name, address);
-            
-            // Basic deployment check
-            const code = await signer.provider.getCode(address);
-            if (code === "0x") {
-                throw new Error("No contract code found");
-            }
-            
-            // Contract-specific checks
-            let status = "HEALTHY";
-            const checks = {};
-            
-            if (name === "SLAWToken") {
-                checks.totalSupply = await contract.totalSupply();
-                checks.name = await contract.name();
-                checks.symbol = await contract.symbol();
-                checks.decimals = await contract.decimals();
-                checks.treasuryCore = await contract.treasuryCore();
-            } else if (name === "TreasuryCore") {
-                checks.slawToken = await contract.slawToken();
-                checks.feeCollector = await contract.feeCollector();
-                const metrics = await contract.getSystemMetrics();
-                checks.feesCollected = metrics[0];
-                checks.registrations = metrics[1];
-                checks.licenses = metrics[2];
-                checks.treasuryBalance = metrics[3];
-            } else if (name === "WrappedIPManager") {
-                checks.slawToken = await contract.slawToken();
-                checks.treasuryCore = await contract.treasuryCore();
-                const metrics = await contract.getSystemMetrics();
-                checks.totalWrapped = metrics[0];
-                checks.totalTokens = metrics[1];
-            } else if (name === "LiquidityManager") {
-                checks.slawToken = await contract.slawToken();
-                checks.treasuryCore = await contract.treasuryCore();
-                const metrics = await contract.getSystemMetrics();
-                checks.totalPools = metrics[0];
-                checks.totalLiquidity = metrics[1];
-            } else if (name === "MarketplaceCore") {
-                checks.slawToken = await contract.slawToken();
-                checks.treasuryCore = await contract.treasuryCore();
-                const metrics = await contract.getSystemMetrics();
-                checks.totalListings = metrics[0];
-                checks.totalSales = metrics[1];
-                checks.totalVolume = metrics[2];
+    for (const [name, component] of Object.entries(report.components)) {
+        console.log(`${STATUS_ICONS[component.status]} ${name} (${component.address}): ${component.status.toUpperCase()}`);
+        
+        for (const probe of component.probes) {
+            if (options.quiet && probe.status === "pass") {
+                continue;
             }
-            
-            results[name] = { status, address, checks };
-            console.log(`✅ ${name}: ${status}`);
-            
-        } catch (error) {
-            console.log(`❌ ${name}: ERROR - ${error.message}`);
-            results[name] = { status: "ERROR", address, error: error.message };
-            allHealthy = false;
+            const value = probe.formatted !== null && probe.formatted !== undefined ? `: ${probe.formatted}` : "";
+            const detail = probe.message ? ` - ${probe.message}` : "";
+            const severity = probe.status === "fail" || probe.status === "error" ? ` [${probe.severity}]` : "";
+            console.log(`  ${PROBE_ICONS[probe.status]} ${probe.kind} ${probe.id}${value}${severity}${detail}`);
         }
     }
     
+    const { summary } = report;
     console.log("\n📊 === HEALTH SUMMARY ===");
-    console.log(`Overall Status: ${allHealthy ? "🟢 HEALTHY" : "🔴 UNHEALTHY"}`);
-    console.log("Contract Details:");
+    console.log(`Overall Status: ${STATUS_ICONS[report.status]} ${report.status.toUpperCase()}`);
+    console.log(`Probes: ${summary.pass} passed, ${summary.fail} failed, ${summary.error} errored, ${summary.skip} skipped`);
+    console.log(`Failures by severity: ${summary.critical} critical, ${summary.warning} warning, ${summary.info} info`);
     
-    for (const [name, result] of Object.entries(results)) {
-        console.log(`\n${name} (${result.address}):`);
-        console.log(`  Status: ${result.status}`);
-        
-        if (result.checks) {
-            for (const [key, value] of Object.entries(result.checks)) {
-                if (typeof value === "bigint") {
-                    console.log(`  ${key}: ${ethers.formatEther(value)} (if token amount)`);
-                } else {
-                    console.log(`  ${key}: ${value}`);
-                }
-            }
-        }
-        
-        if (result.error) {
-            console.log(`  Error: ${result.error}`);
-        }
-    }
+    const written = health.writeReports(report, options);
+    written.forEach(file => console.log(`📝 Report written to ${file}`));
     
-    return allHealthy;
+    return report;
 }
 
-async function verifyDeployment(addresses, signer) {
+async function verifyDeployment(addresses, signer, options = {}) {
     console.log("🔍 === FULL VERIFICATION ===\n");
     
     // First run health check
-    const isHealthy = await healthCheck(addresses, signer);
-    if (!isHealthy) {
+    const report = await healthCheck(addresses, signer, options);
+    if (!report.healthy) {
         console.log("❌ Health check failed, stopping verification");
         return;
     }
@@ -154,11 +127,11 @@ async function verifyDeployment(addresses, signer) {
     console.log("\n🔗 === INTEGRATION VERIFICATION ===\n");
     
     // Get contract instances
-    const slawToken = await ethers.getContractAt("SLAWToken", addresses.SLAWToken);
-    const treasuryCore = await ethers.getContractAt("TreasuryCore", addresses.TreasuryCore);
-    const wrappedIPManager = await ethers.getContractAt("WrappedIPManager", addresses.WrappedIPManager);
-    const liquidityManager = await ethers.getContractAt("LiquidityManager", addresses.LiquidityManager);
-    const marketplaceCore = await ethers.getContractAt("MarketplaceCore", addresses.MarketplaceCore);
+    const slawToken = await registry.getContract("SLAWToken");
+    const treasuryCore = await registry.getContract("TreasuryCore");
+    const wrappedIPManager = await registry.getContract("WrappedIPManager");
+    const liquidityManager = await registry.getContract("LiquidityManager");
+    const marketplaceCore = await registry.getContract("MarketplaceCore");
     
     try {
         // Verify SLAW Token integration
@@ -261,30 +234,82 @@ async function verifyDeployment(addresses, signer) {
     }
 }
 
-async function monitorSystem(addresses, signer, durationMinutes) {
+function loadMonitorConfig(configPath) {
+    const config = configPath ? require(path.resolve(configPath)) : require("./config/monitor");
+    return { ...config, metrics: { ...config.metrics } };
+}
+
+/**
+ * Poll the health check, serve Prometheus metrics and send alerts
+ *
+ * @param {Object<string, string>} addresses Component name to address
+ * @param {object} signer
+ * @param {number} durationMinutes How long to monitor for
+ * @param {object} [options]
+ * @param {string} [options.config] Monitor config module (defaults to scripts/config/monitor.js)
+ * @param {number} [options.port] Metrics port, overrides the config (0 disables the endpoint)
+ * @param {number} [options.interval] Seconds between checks, overrides the config
+ */
+async function monitorSystem(addresses, signer, durationMinutes, options = {}) {
     console.log(`📊 === MONITORING SYSTEM FOR ${durationMinutes} MINUTES ===\n`);
     
+    const config = loadMonitorConfig(options.config);
+    if (options.port !== undefined) {
+        config.metrics.port = options.port;
+    }
+    const intervalMs = (options.interval || config.intervalSeconds || 30) * 1000;
+    
+    const alertManager = createAlertManager({
+        rules: config.rules,
+        sinks: config.sinks,
+        repeatMinutes: config.repeatMinutes,
+        network: hre.network.name
+    });
+    
+    const state = { report: null, iterations: 0, errors: 0 };
+    let server = null;
+    if (config.metrics.port) {
+        server = await startMetricsServer(config.metrics, () =>
+            renderMetrics(state.report, {
+                iterations: state.iterations,
+                errors: state.errors,
+                alertsFiring: alertManager.getActive().length
+            })
+        );
+        const { address, port } = server.address();
+        console.log(`📈 Prometheus metrics on http://${address}:${port}/metrics`);
+    }
+    
     const endTime = Date.now() + (durationMinutes * 60 * 1000);
-    let iteration = 0;
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, Math.max(0, Math.min(ms, endTime - Date.now()))));
     
-    while (Date.now() < endTime) {
-        iteration++;
-        console.log(`\n🔄 Monitor Iteration ${iteration} - ${new Date().toLocaleTimeString()}`);
-        
-        try {
-            const isHealthy = await healthCheck(addresses, signer);
+    try {
+        while (Date.now() < endTime) {
+            state.iterations++;
+            console.log(`\n🔄 Monitor Iteration ${state.iterations} - ${new Date().toLocaleTimeString()}`);
             
-            if (!isHealthy) {
-                console.log("🚨 ALERT: System unhealthy detected!");
-                // Here you could add notification logic
+            try {
+                state.report = await healthCheck(addresses, signer, { quiet: true });
+                
+                const sent = await alertManager.evaluate(state.report);
+                const firing = alertManager.getActive();
+                sent.forEach(n => console.log(`${n.state === "firing" ? "🚨" : "✅"} ${n.state.toUpperCase()} [${n.severity}] ${n.summary}`));
+                if (firing.length > 0) {
+                    console.log(`🚨 ${firing.length} alert(s) firing`);
+                }
+                
+                console.log(`⏰ Waiting ${intervalMs / 1000} seconds before next check...`);
+                await sleep(intervalMs);
+                
+            } catch (error) {
+                state.errors++;
+                console.error("❌ Monitor error:", error.message);
+                await sleep(10000);
             }
-            
-            console.log("⏰ Waiting 30 seconds before next check...");
-            await new Promise(resolve => setTimeout(resolve, 30000));
-            
-        } catch (error) {
-            console.error("❌ Monitor error:", error.message);
-            await new Promise(resolve => setTimeout(resolve, 10000));
+        }
+    } finally {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
         }
     }
     
@@ -301,4 +326,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { main, healthCheck, verifyDeployment };
+module.exports = { main, healthCheck, verifyDeployment, monitorSystem };
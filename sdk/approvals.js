@@ -0,0 +1,57 @@
+const { Contract } = require("ethers");
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+const ERC721_ABI = [
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function approve(address to, uint256 tokenId)"
+];
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Approve `spender` for at least `amount` of an ERC20, sending a transaction
+ * only when the current allowance is lower
+ *
+ * @returns {Promise<import("ethers").TransactionReceipt|null>} Approval receipt, or null if none was needed
+ */
+async function ensureAllowance(runner, tokenAddress, owner, spender, amount) {
+    const token = new Contract(tokenAddress, ERC20_ABI, runner);
+    if ((await token.allowance(owner, spender)) >= amount) {
+        return null;
+    }
+    return (await token.approve(spender, amount)).wait();
+}
+
+/**
+ * Approve `operator` for one ERC721 token unless it is already approved for
+ * the token or for all of the owner's tokens
+ *
+ * @returns {Promise<import("ethers").TransactionReceipt|null>} Approval receipt, or null if none was needed
+ */
+async function ensureNftApproval(runner, nftAddress, tokenId, owner, operator) {
+    const nft = new Contract(nftAddress, ERC721_ABI, runner);
+    const holder = await nft.ownerOf(tokenId);
+    if (!sameAddress(holder, owner)) {
+        throw new Error(`❌ Token ${tokenId} of ${nftAddress} is owned by ${holder}, not ${owner}`);
+    }
+    if (sameAddress(await nft.getApproved(tokenId), operator) || (await nft.isApprovedForAll(owner, operator))) {
+        return null;
+    }
+    return (await nft.approve(operator, tokenId)).wait();
+}
+
+module.exports = {
+    ERC20_ABI,
+    ERC721_ABI,
+    ensureAllowance,
+    ensureNftApproval
+};
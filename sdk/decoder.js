@@ -0,0 +1,303 @@
+const { Interface, AbiCoder, dataSlice, isHexString } = require("ethers");
+
+/**
+ * Receipt and revert decoder
+ *
+ * Knows every Softlaw ABI at once. Logs are decoded with the ABI of the
+ * contract at the emitting address when that address is known, and by event
+ * topic across all ABIs otherwise. Contracts created at runtime are learned
+ * from the events announcing them (IPWrapped, PairCreated, ...), so logs from
+ * a PersonalizedWrappedIPToken or a Uniswap pair are attributed to them even
+ * in the same receipt that created them.
+ *
+ * Reverts are decoded from their return data: Error(string), Panic(uint256)
+ * and any custom error declared in one of the ABIs.
+ */
+
+// Events that announce a child contract: the address in `arg` runs `contract`
+const CHILD_CONTRACTS = [
+    { event: "IPWrapped", arg: "tokenAddress", contract: "PersonalizedWrappedIPToken" },
+    { event: "WrappedIPTokenCreated", arg: "tokenAddress", contract: "WrappedIPToken" },
+    { event: "PairCreated", arg: "pair", contract: "UniswapV2Pair" }
+];
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const PANIC_REASONS = {
+    0x00: "generic compiler panic",
+    0x01: "assertion failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division or modulo by zero",
+    0x21: "invalid enum value",
+    0x22: "invalid storage byte array encoding",
+    0x31: "pop on empty array",
+    0x32: "array index out of bounds",
+    0x41: "out of memory",
+    0x51: "call to uninitialized function"
+};
+
+function formatArg(value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return `[${Array.from(value, formatArg).join(", ")}]`;
+    }
+    return String(value);
+}
+
+function formatCall(name, fragment, args) {
+    const params = fragment.inputs.map((input, i) => {
+        const value = formatArg(args[i]);
+        return input.name ? `${input.name}=${value}` : value;
+    });
+    return `${name}(${params.join(", ")})`;
+}
+
+/**
+ * Find revert return data in an error thrown by ethers or a provider. The
+ * data is nested differently depending on the node, so look through the
+ * usual wrappers.
+ */
+function findRevertData(error, depth = 0) {
+    if (error === null || error === undefined || depth > 5) {
+        return null;
+    }
+    if (typeof error === "string") {
+        return isHexString(error) && error.length >= 10 ? error : null;
+    }
+    if (typeof error !== "object") {
+        return null;
+    }
+    for (const key of ["data", "error", "info", "cause"]) {
+        const data = findRevertData(error[key], depth + 1);
+        if (data) {
+            return data;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {object} options
+ * @param {Object<string, Array>} options.abis ABIs by contract name
+ * @param {Object<string, string>} [options.addresses] Known addresses by contract name
+ * @param {object[]} [options.children] Child contract announcements, defaults to CHILD_CONTRACTS
+ */
+function createDecoder({ abis, addresses = {}, children = CHILD_CONTRACTS }) {
+    const interfaces = new Map();
+    const eventsByTopic = new Map();
+    const errorsBySelector = new Map();
+    const addressBook = new Map();
+
+    for (const [name, abi] of Object.entries(abis)) {
+        const iface = abi instanceof Interface ? abi : new Interface(abi);
+        interfaces.set(name, iface);
+
+        iface.forEachEvent(fragment => {
+            const candidates = eventsByTopic.get(fragment.topicHash) || [];
+            candidates.push({ name, iface });
+            eventsByTopic.set(fragment.topicHash, candidates);
+        });
+
+        iface.forEachError(fragment => {
+            const entry = errorsBySelector.get(fragment.selector) || { fragment, iface, contracts: [] };
+            entry.contracts.push(name);
+            errorsBySelector.set(fragment.selector, entry);
+        });
+    }
+
+    /**
+     * Attribute an address to a contract name, e.g. a contract deployed later
+     */
+    function register(name, address) {
+        if (!interfaces.has(name)) {
+            throw new Error(`❌ No ABI known for ${name}`);
+        }
+        addressBook.set(address.toLowerCase(), name);
+    }
+
+    for (const [name, address] of Object.entries(addresses)) {
+        if (address && interfaces.has(name)) {
+            register(name, address);
+        }
+    }
+
+    function contractAt(address) {
+        return addressBook.get(address.toLowerCase()) || null;
+    }
+
+    function tryParse(iface, log) {
+        try {
+            return iface.parseLog(log);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Decode a single log
+     *
+     * @returns {object|null} { contract, address, name, signature, args, logIndex } or null if no ABI matches.
+     *   `contract` is null when the emitting address is unknown; `decodedWith` names the ABI that matched.
+     */
+    function decodeLog(log) {
+        if (!log.topics || log.topics.length === 0) {
+            return null;
+        }
+        const contract = contractAt(log.address);
+        const candidates = [
+            ...(contract ? [{ name: contract, iface: interfaces.get(contract) }] : []),
+            ...(eventsByTopic.get(log.topics[0]) || []).filter(candidate => candidate.name !== contract)
+        ];
+
+        for (const candidate of candidates) {
+            const parsed = tryParse(candidate.iface, log);
+            if (parsed) {
+                return {
+                    contract,
+                    decodedWith: candidate.name,
+                    address: log.address,
+                    name: parsed.name,
+                    signature: parsed.signature,
+                    args: parsed.args,
+                    logIndex: log.index ?? log.logIndex
+                };
+            }
+        }
+        return null;
+    }
+
+    function learnChildren(event) {
+        for (const child of children) {
+            if (event.name === child.event && interfaces.has(child.contract)) {
+                const address = event.args[child.arg];
+                if (address && !contractAt(address)) {
+                    register(child.contract, address);
+                }
+            }
+        }
+    }
+
+    /**
+     * Every recognised event in a receipt, in log order
+     */
+    function decodeReceipt(receipt) {
+        const logs = receipt.logs || [];
+
+        // Children are announced after their constructor already emitted
+        // events (e.g. the initial mint), so learn them before attributing
+        for (const log of logs) {
+            const event = decodeLog(log);
+            if (event) {
+                learnChildren(event);
+            }
+        }
+
+        return logs.map(decodeLog).filter(Boolean);
+    }
+
+    /**
+     * Recognised events with a given name, optionally only from one contract
+     */
+    function filterEvents(receipt, eventName, { contract } = {}) {
+        return decodeReceipt(receipt).filter(event =>
+            event.name === eventName && (!contract || event.contract === contract || event.decodedWith === contract)
+        );
+    }
+
+    /**
+     * The first event with a given name, or an error naming the transaction
+     */
+    function findEvent(receipt, eventName, options) {
+        const event = filterEvents(receipt, eventName, options)[0];
+        if (!event) {
+            throw new Error(`❌ ${eventName} event not found in transaction ${receipt.hash}`);
+        }
+        return event;
+    }
+
+    /**
+     * Decode revert data (or an error carrying it)
+     *
+     * @param {Error|string} errorOrData
+     * @returns {object|null} { name, signature, args, contracts, message } or null when there is no decodable data
+     */
+    function decodeError(errorOrData) {
+        const data = findRevertData(errorOrData);
+        if (!data) {
+            return null;
+        }
+        const selector = dataSlice(data, 0, 4);
+
+        if (selector === ERROR_STRING_SELECTOR) {
+            const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(data, 4));
+            return { name: "Error", signature: "Error(string)", args: [reason], contracts: [], message: reason };
+        }
+
+        if (selector === PANIC_SELECTOR) {
+            const [code] = AbiCoder.defaultAbiCoder().decode(["uint256"], dataSlice(data, 4));
+            const reason = PANIC_REASONS[Number(code)] || "unknown panic code";
+            return {
+                name: "Panic",
+                signature: "Panic(uint256)",
+                args: [code],
+                contracts: [],
+                message: `Panic(0x${code.toString(16).padStart(2, "0")}): ${reason}`
+            };
+        }
+
+        const entry = errorsBySelector.get(selector);
+        if (!entry) {
+            return { name: null, signature: null, args: [], contracts: [], message: `Unknown custom error ${selector}` };
+        }
+
+        const args = entry.iface.decodeErrorResult(entry.fragment, data);
+        const call = formatCall(entry.fragment.name, entry.fragment, args);
+        // Prefix the contract when only one declares the error, or when the
+        // failed call went to a known contract that declares it
+        const target = errorOrData && errorOrData.transaction && errorOrData.transaction.to;
+        const known = target ? contractAt(target) : null;
+        const owner = entry.contracts.includes(known) ? known : entry.contracts.length === 1 ? entry.contracts[0] : null;
+        return {
+            name: entry.fragment.name,
+            signature: entry.fragment.format("sighash"),
+            args,
+            contracts: entry.contracts,
+            message: owner ? `${owner}.${call}` : call
+        };
+    }
+
+    /**
+     * Readable one-line description of a failed call or transaction
+     */
+    function formatError(error) {
+        const decoded = decodeError(error);
+        if (decoded) {
+            return `reverted with ${decoded.message}`;
+        }
+        if (error && typeof error === "object") {
+            return error.shortMessage || error.reason || error.message || String(error);
+        }
+        return String(error);
+    }
+
+    return {
+        register,
+        contractAt,
+        decodeLog,
+        decodeReceipt,
+        filterEvents,
+        findEvent,
+        decodeError,
+        formatError
+    };
+}
+
+module.exports = {
+    CHILD_CONTRACTS,
+    PANIC_REASONS,
+    findRevertData,
+    createDecoder
+};
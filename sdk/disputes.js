@@ -0,0 +1,605 @@
+const { Contract, ZeroAddress, formatEther, getAddress, isAddress } = require("ethers");
+const { findEvent, parseEvents } = require("./receipts");
+const { createDecoder } = require("./decoder");
+
+/**
+ * OptimizedADRSystem case management
+ *
+ * Disputes move FILED -> ARBITRATION -> RESOLVED -> ENFORCED:
+ *
+ *   file       fileDispute                plaintiff, pays FILING_FEE to treasuryCore
+ *   escrow     depositEscrow              either party, any status but RESOLVED
+ *   arbitrate  startArbitration           anyone, FILED only, ARBITRATION_FEE + the arbitrator's
+ *                                         fee split between the parties, the arbitrator's fee paid out
+ *   evidence   submitEvidence             either party, MEDIATION or ARBITRATION, pays EVIDENCE_FEE
+ *   decide     submitArbitrationDecision  assigned arbitrator, ARBITRATION only
+ *   enforce    enforceAward               anyone, RESOLVED only, pays the award and refunds escrow
+ *
+ * No function moves a dispute into MEDIATION. Every check() lists the
+ * blockers the contract would revert on, worded for the person trying.
+ *
+ * Fees and escrow are native transfers made by _processPayment, which ignores
+ * the payer it is given and sends from the ADRSystem's own balance. The
+ * contract has no payable function and no receive function, so nobody can
+ * fund it, and payments to itself (escrow deposits, arbitration fee shares)
+ * revert with "Payment failed". check() reports these from the ADRSystem
+ * balance and the recipients' ABIs.
+ */
+
+const DISPUTE_TYPES = ["COPYRIGHT_INFRINGEMENT", "LICENSE_BREACH", "OWNERSHIP_DISPUTE", "ROYALTY_DISPUTE"];
+const DISPUTE_STATUSES = ["FILED", "MEDIATION", "ARBITRATION", "RESOLVED", "ENFORCED"];
+
+// Lifecycle actions: the contract function, the statuses it runs in and the status it leads to
+const TRANSITIONS = {
+    file: { method: "fileDispute", label: "file a dispute", to: "FILED" },
+    escrow: { method: "depositEscrow", label: "deposit escrow", from: ["FILED", "MEDIATION", "ARBITRATION", "ENFORCED"] },
+    arbitrate: { method: "startArbitration", label: "start arbitration", from: ["FILED"], to: "ARBITRATION" },
+    evidence: { method: "submitEvidence", label: "submit evidence", from: ["MEDIATION", "ARBITRATION"] },
+    decide: { method: "submitArbitrationDecision", label: "decide", from: ["ARBITRATION"], to: "RESOLVED" },
+    enforce: { method: "enforceAward", label: "enforce the award", from: ["RESOLVED"], to: "ENFORCED" },
+    register: { method: "registerArbitrator", label: "register as arbitrator" }
+};
+
+const CASE_ACTIONS = ["escrow", "arbitrate", "evidence", "decide", "enforce"];
+
+const CURRENCY = "SLAW";
+
+function amount(value) {
+    return `${formatEther(value)} ${CURRENCY}`;
+}
+
+function disputeTypeValue(value) {
+    if (typeof value === "number" || typeof value === "bigint" || /^\d+$/.test(String(value))) {
+        if (Number(value) < 0 || Number(value) >= DISPUTE_TYPES.length) {
+            throw new Error(`❌ Invalid dispute type ${value}. Use one of: ${DISPUTE_TYPES.join(", ")}`);
+        }
+        return Number(value);
+    }
+    const index = DISPUTE_TYPES.indexOf(String(value).toUpperCase().replace(/[\s-]/g, "_"));
+    if (index === -1) {
+        throw new Error(`❌ Invalid dispute type "${value}". Use one of: ${DISPUTE_TYPES.join(", ")}`);
+    }
+    return index;
+}
+
+function acceptsNative(abi) {
+    return abi.some(item => item.type === "receive" || (item.type === "fallback" && item.stateMutability === "payable"));
+}
+
+/**
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Party or arbitrator sending the transactions
+ * @param {Object<string, {address: string, abi: Array, blockNumber?: number}>} options.contracts Deployed components by name (needs ADRSystem)
+ * @param {Object<string, string>} [options.names] Extra labels by address (accounts, signers)
+ */
+function createDisputes({ signer, contracts, names = {} }) {
+    const entry = contracts.ADRSystem;
+    if (!entry || !entry.address || !entry.abi) {
+        throw new Error("❌ ADRSystem is not part of this Softlaw deployment");
+    }
+    const adr = new Contract(entry.address, entry.abi, signer);
+    const provider = signer.provider;
+    const decoder = createDecoder({ abis: { ADRSystem: entry.abi }, addresses: { ADRSystem: entry.address } });
+
+    const labels = new Map(Object.entries(names).map(([address, label]) => [address.toLowerCase(), label]));
+    for (const [component, item] of Object.entries(contracts)) {
+        if (item && item.address && !labels.has(item.address.toLowerCase())) {
+            labels.set(item.address.toLowerCase(), component);
+        }
+    }
+    const name = address => labels.get(String(address).toLowerCase()) || getAddress(address);
+    const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+    let fees;
+    async function getFees() {
+        if (!fees) {
+            const [filing, arbitration, evidence] = await Promise.all([adr.FILING_FEE(), adr.ARBITRATION_FEE(), adr.EVIDENCE_FEE()]);
+            fees = { filing, arbitration, evidence };
+        }
+        return fees;
+    }
+
+    async function exists(id) {
+        return BigInt(id) > 0n && BigInt(id) < (await adr.disputeCounter());
+    }
+
+    /**
+     * A dispute with its type and status names, or null if it does not exist
+     */
+    async function getDispute(id) {
+        if (!(await exists(id))) {
+            return null;
+        }
+        const dispute = await adr.getDispute(id);
+        return {
+            id: dispute.id,
+            disputeType: DISPUTE_TYPES[Number(dispute.disputeType)],
+            status: DISPUTE_STATUSES[Number(dispute.status)],
+            plaintiff: dispute.plaintiff,
+            defendant: dispute.defendant,
+            arbitrator: dispute.assignedArbitrator === ZeroAddress ? null : dispute.assignedArbitrator,
+            relatedIPId: dispute.relatedIPId,
+            relatedIPContract: dispute.relatedIPContract,
+            claimedDamages: dispute.claimedDamages,
+            filingDate: Number(dispute.filingDate),
+            resolutionDate: Number(dispute.resolutionDate) || null,
+            winner: dispute.winner === ZeroAddress ? null : dispute.winner,
+            awardAmount: dispute.awardAmount,
+            escrowAmount: dispute.escrowAmount,
+            evidenceCount: Number(await adr.getDisputeEvidenceCount(id))
+        };
+    }
+
+    /**
+     * Disputes an account is involved in: as a party (getUserDisputes) or as
+     * the assigned arbitrator (arbitrators are not indexed by the contract,
+     * so every dispute is read)
+     *
+     * @returns {Promise<Array<object>>} Disputes with a `role` field: plaintiff, defendant or arbitrator
+     */
+    async function docket(account) {
+        const address = account || (await signer.getAddress());
+        const ids = new Set((await adr.getUserDisputes(address)).map(id => Number(id)));
+        if (await adr.isQualifiedArbitrator(address)) {
+            const counter = Number(await adr.disputeCounter());
+            for (let id = 1; id < counter; id++) {
+                ids.add(id);
+            }
+        }
+        const disputes = [];
+        for (const id of [...ids].sort((a, b) => a - b)) {
+            const dispute = await getDispute(id);
+            const role = same(dispute.plaintiff, address) ? "plaintiff"
+                : same(dispute.defendant, address) ? "defendant"
+                : dispute.arbitrator && same(dispute.arbitrator, address) ? "arbitrator" : null;
+            if (role) {
+                disputes.push({ ...dispute, role });
+            }
+        }
+        return disputes;
+    }
+
+    async function getEvidence(id) {
+        const count = Number(await adr.getDisputeEvidenceCount(id));
+        const evidence = [];
+        for (let index = 0; index < count; index++) {
+            const item = await adr.getEvidence(id, index);
+            evidence.push({
+                id: item.id,
+                submittedBy: item.submittedBy,
+                documentHash: item.documentHash,
+                submissionDate: Number(item.submissionDate),
+                isAdmitted: item.isAdmitted
+            });
+        }
+        return evidence;
+    }
+
+    async function getArbitrator(address) {
+        if (!(await adr.isQualifiedArbitrator(address))) {
+            return null;
+        }
+        const info = await adr.getArbitratorInfo(address);
+        return {
+            address: getAddress(address),
+            name: info.name,
+            casesResolved: info.casesResolved,
+            reputationScore: info.reputationScore,
+            isActive: info.isActive,
+            feePerCase: info.feePerCase
+        };
+    }
+
+    /**
+     * Fees and escrow paid for a dispute, from the SecurePaymentProcessed
+     * events in the transactions that filed it, deposited escrow, started
+     * arbitration, submitted evidence and enforced the award
+     *
+     * @returns {Promise<{payments: Array<object>, fees: object, escrow: object}>}
+     */
+    async function getLedger(id) {
+        const dispute = await getDispute(id);
+        if (!dispute) {
+            throw new Error(`❌ Dispute #${id} does not exist`);
+        }
+        const fromBlock = entry.blockNumber || 0;
+        const query = event => adr.queryFilter(adr.filters[event](id), fromBlock);
+        const [filed, escrowed, statuses, evidence] = await Promise.all(
+            ["DisputeFiled", "EscrowDeposited", "DisputeStatusChanged", "EvidenceSubmitted"].map(query)
+        );
+
+        const steps = [
+            ...filed.map(log => ({ log, kinds: ["filing fee"] })),
+            ...escrowed.map(log => ({ log, kinds: ["escrow deposit"] })),
+            ...evidence.map(log => ({ log, kinds: ["evidence fee"] })),
+            ...statuses
+                .filter(log => ["ARBITRATION", "ENFORCED"].includes(DISPUTE_STATUSES[Number(log.args.newStatus)]))
+                .map(log => ({
+                    log,
+                    kinds: DISPUTE_STATUSES[Number(log.args.newStatus)] === "ARBITRATION"
+                        ? ["arbitration fee (plaintiff share)", "arbitration fee (defendant share)", "arbitrator fee"]
+                        : null
+                }))
+        ].sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+
+        const payments = [];
+        for (const { log, kinds } of steps) {
+            const receipt = await provider.getTransactionReceipt(log.transactionHash);
+            const paid = parseEvents(receipt, adr, entry.address).filter(event => event.name === "SecurePaymentProcessed");
+            paid.forEach((event, index) => {
+                let kind = kinds ? kinds[index] || "payment" : "escrow refund";
+                // enforceAward pays the award first when the escrow covers it
+                if (!kinds && index === 0 && dispute.winner && same(event.args.recipient, dispute.winner) && event.args.amount === dispute.awardAmount) {
+                    kind = "award";
+                }
+                payments.push({
+                    kind,
+                    recipient: event.args.recipient,
+                    amount: event.args.amount,
+                    blockNumber: log.blockNumber,
+                    transactionHash: log.transactionHash
+                });
+            });
+        }
+
+        const total = kind => payments.filter(payment => payment.kind.startsWith(kind)).reduce((sum, payment) => sum + payment.amount, 0n);
+        return {
+            payments,
+            fees: {
+                filing: total("filing fee"),
+                arbitration: total("arbitration fee"),
+                arbitrator: total("arbitrator fee"),
+                evidence: total("evidence fee")
+            },
+            escrow: {
+                deposited: escrowed.reduce((sum, log) => sum + log.args.amount, 0n),
+                awarded: total("award"),
+                refunded: total("escrow refund"),
+                held: dispute.escrowAmount
+            }
+        };
+    }
+
+    // Why each native payment the call makes would fail: the ADRSystem pays
+    // from its own balance, one payment after another
+    async function paymentBlockers(payments) {
+        const blockers = [];
+        let balance = await provider.getBalance(entry.address);
+        for (const payment of payments) {
+            if (payment.amount === 0n) {
+                continue;
+            }
+            const toSelf = same(payment.recipient, entry.address);
+            if (toSelf && !acceptsNative(entry.abi)) {
+                blockers.push(`The ${payment.kind} is paid to the ADRSystem itself, which has no receive function, so this reverts with "Payment failed"`);
+                break;
+            }
+            if (payment.amount > balance) {
+                blockers.push(`ADRSystem pays the ${payment.kind} (${amount(payment.amount)}) from its own balance, which holds ${amount(balance)}; the contract cannot be funded, so this reverts with "Payment failed"`);
+                break;
+            }
+            if (toSelf) {
+                continue;
+            }
+            const recipient = Object.values(contracts).find(item => item && item.abi && same(item.address, payment.recipient));
+            if (recipient && !acceptsNative(recipient.abi) && (await provider.getCode(payment.recipient)) !== "0x") {
+                blockers.push(`The ${payment.kind} goes to ${name(payment.recipient)}, which has no receive function, so this reverts with "Payment failed"`);
+                break;
+            }
+            balance -= payment.amount;
+        }
+        return blockers;
+    }
+
+    function partyBlocker(dispute, account) {
+        return same(account, dispute.plaintiff) || same(account, dispute.defendant)
+            ? null
+            : `${name(account)} is not a party to dispute #${dispute.id} (plaintiff ${name(dispute.plaintiff)}, defendant ${name(dispute.defendant)})`;
+    }
+
+    function statusBlocker(action, dispute) {
+        const { from, label } = TRANSITIONS[action];
+        if (from.includes(dispute.status)) {
+            return null;
+        }
+        if (action === "escrow") {
+            return `Escrow cannot be deposited while dispute #${dispute.id} is RESOLVED`;
+        }
+        if (action === "evidence" && dispute.status === "FILED") {
+            return `Evidence is accepted in MEDIATION or ARBITRATION; dispute #${dispute.id} is FILED and no function moves a dispute into MEDIATION, so arbitration has to start first`;
+        }
+        return `Cannot ${label} while dispute #${dispute.id} is ${dispute.status}: allowed in ${from.join(" or ")}`;
+    }
+
+    // Arguments of the contract call, and the native payments it makes
+    async function plan(action, params, dispute) {
+        const fee = await getFees();
+        switch (action) {
+            case "file": {
+                const { disputeType, defendant, relatedIPId = 0, relatedIPContract = ZeroAddress, description = "", claimedDamages } = params;
+                return {
+                    args: [disputeTypeValue(disputeType), defendant, relatedIPId, relatedIPContract, description, claimedDamages],
+                    payments: [{ kind: "filing fee", recipient: await adr.treasuryCore(), amount: fee.filing }]
+                };
+            }
+            case "escrow":
+                return {
+                    args: [dispute.id, params.amount],
+                    payments: [{ kind: "escrow deposit", recipient: entry.address, amount: BigInt(params.amount) }]
+                };
+            case "arbitrate": {
+                const arbitratorFee = (await adr.getArbitratorInfo(params.arbitrator)).feePerCase;
+                const share = (fee.arbitration + arbitratorFee) / 2n;
+                return {
+                    args: [dispute.id, params.arbitrator],
+                    payments: [
+                        { kind: "arbitration fee (plaintiff share)", recipient: entry.address, amount: share },
+                        { kind: "arbitration fee (defendant share)", recipient: entry.address, amount: share },
+                        { kind: "arbitrator fee", recipient: params.arbitrator, amount: arbitratorFee }
+                    ]
+                };
+            }
+            case "evidence":
+                return {
+                    args: [dispute.id, params.documentHash],
+                    payments: [{ kind: "evidence fee", recipient: await adr.treasuryCore(), amount: fee.evidence }]
+                };
+            case "decide":
+                return { args: [dispute.id, params.inFavorOfPlaintiff ?? true, params.awardAmount ?? 0n, params.reasoning || ""], payments: [] };
+            case "enforce": {
+                const payments = [];
+                let escrow = dispute.escrowAmount;
+                if (dispute.awardAmount > 0n && escrow >= dispute.awardAmount) {
+                    payments.push({ kind: "award", recipient: dispute.winner, amount: dispute.awardAmount });
+                    escrow -= dispute.awardAmount;
+                }
+                payments.push(
+                    { kind: "escrow refund", recipient: dispute.plaintiff, amount: escrow / 2n },
+                    { kind: "escrow refund", recipient: dispute.defendant, amount: escrow - escrow / 2n }
+                );
+                return { args: [dispute.id], payments };
+            }
+            case "register":
+                return { args: [params.name, params.feePerCase], payments: [] };
+            default:
+                throw new Error(`❌ Unknown dispute action "${action}". Use one of: ${Object.keys(TRANSITIONS).join(", ")}`);
+        }
+    }
+
+    /**
+     * Whether an action is allowed, and why not
+     *
+     * Blockers come from the contract's own requires, then from the native
+     * payments the call would make. When there are none the call is run with
+     * eth_call, and a revert is reported as a blocker too.
+     *
+     * @param {string} action file, escrow, arbitrate, evidence, decide, enforce or register
+     * @param {object} [params] Action arguments, and `id` for dispute actions
+     * @returns {Promise<{action: string, allowed: boolean, blockers: string[], warnings: string[], payments: Array<object>, to: string|null}>}
+     */
+    async function check(action, params = {}) {
+        const transition = TRANSITIONS[action];
+        if (!transition) {
+            throw new Error(`❌ Unknown dispute action "${action}". Use one of: ${Object.keys(TRANSITIONS).join(", ")}`);
+        }
+        const account = params.account || (await signer.getAddress());
+        const blockers = [];
+        const warnings = [];
+        const result = (payments = []) => ({ action, allowed: blockers.length === 0, blockers, warnings, payments, to: transition.to || null });
+
+        let dispute = null;
+        if (CASE_ACTIONS.includes(action)) {
+            dispute = await getDispute(params.id);
+            if (!dispute) {
+                blockers.push(`Dispute #${params.id} does not exist`);
+                return result();
+            }
+            const status = statusBlocker(action, dispute);
+            if (status) {
+                blockers.push(status);
+            }
+        }
+
+        switch (action) {
+            case "file":
+                disputeTypeValue(params.disputeType);
+                if (await adr.paused()) {
+                    blockers.push("The ADRSystem is paused: no disputes can be filed until a dispute admin unpauses it");
+                }
+                if (!params.defendant || !isAddress(params.defendant) || params.defendant === ZeroAddress) {
+                    blockers.push("A defendant address is required");
+                } else if (same(params.defendant, account)) {
+                    blockers.push("The plaintiff and the defendant must be different accounts");
+                }
+                if (!params.claimedDamages || BigInt(params.claimedDamages) <= 0n) {
+                    blockers.push("Claimed damages must be greater than zero");
+                }
+                break;
+            case "escrow":
+            case "evidence": {
+                const party = partyBlocker(dispute, account);
+                if (party) {
+                    blockers.push(party);
+                }
+                if (action === "escrow" && dispute.status === "ENFORCED") {
+                    warnings.push(`Dispute #${dispute.id} is already enforced: escrow deposited now is never paid out`);
+                }
+                if (action === "evidence" && !params.documentHash) {
+                    blockers.push("A document hash is required");
+                }
+                break;
+            }
+            case "arbitrate":
+                if (!params.arbitrator || !isAddress(params.arbitrator)) {
+                    blockers.push("An arbitrator address is required");
+                } else if (!(await adr.hasRole(await adr.ARBITRATOR_ROLE(), params.arbitrator))) {
+                    blockers.push(`${name(params.arbitrator)} is not a qualified arbitrator (registerArbitrator grants ARBITRATOR_ROLE)`);
+                } else if (same(params.arbitrator, dispute.plaintiff) || same(params.arbitrator, dispute.defendant)) {
+                    warnings.push(`${name(params.arbitrator)} is a party to dispute #${dispute.id}; the contract does not prevent it`);
+                }
+                break;
+            case "decide":
+                if (!dispute.arbitrator || !same(account, dispute.arbitrator)) {
+                    blockers.push(dispute.arbitrator
+                        ? `Only the assigned arbitrator ${name(dispute.arbitrator)} can decide dispute #${dispute.id}`
+                        : `Dispute #${dispute.id} has no assigned arbitrator yet`);
+                }
+                if (params.awardAmount !== undefined && BigInt(params.awardAmount) > dispute.escrowAmount) {
+                    warnings.push(`The award (${amount(params.awardAmount)}) exceeds the escrow (${amount(dispute.escrowAmount)}): enforcement will skip it and only refund the escrow`);
+                }
+                break;
+            case "enforce":
+                if (dispute.status === "RESOLVED" && !dispute.winner) {
+                    blockers.push(`Dispute #${dispute.id} has no winner set`);
+                }
+                break;
+            case "register":
+                if (!params.name) {
+                    blockers.push("An arbitrator name is required");
+                }
+                if (!params.feePerCase || BigInt(params.feePerCase) <= 0n) {
+                    blockers.push("The fee per case must be greater than zero");
+                }
+                if (await adr.isQualifiedArbitrator(account)) {
+                    blockers.push(`${name(account)} is already registered as an arbitrator`);
+                }
+                break;
+        }
+
+        if (blockers.length > 0) {
+            return result();
+        }
+        const { args, payments } = await plan(action, params, dispute);
+        blockers.push(...(await paymentBlockers(payments)));
+        if (blockers.length === 0) {
+            try {
+                await provider.call({ from: account, to: entry.address, data: adr.interface.encodeFunctionData(transition.method, args) });
+            } catch (error) {
+                const decoded = decoder.decodeError(error);
+                blockers.push(`The contract would revert: ${decoded ? decoded.message : error.shortMessage || error.message}`);
+            }
+        }
+        return result(payments);
+    }
+
+    // Send an action after checking it, unless options.force
+    async function send(action, params, options = {}) {
+        const checked = await check(action, params);
+        if (!checked.allowed && !options.force) {
+            const subject = params.id !== undefined ? ` on dispute #${params.id}` : "";
+            throw new Error(`❌ Cannot ${TRANSITIONS[action].label}${subject}: ${checked.blockers.join("; ")}`);
+        }
+        const dispute = CASE_ACTIONS.includes(action) ? await getDispute(params.id) : null;
+        const { args } = await plan(action, params, dispute);
+        const receipt = await (await adr[TRANSITIONS[action].method](...args)).wait();
+        return { receipt, warnings: checked.warnings };
+    }
+
+    /**
+     * File a dispute as the signer
+     *
+     * @param {object} params
+     * @param {string|number} params.disputeType One of DISPUTE_TYPES or its index
+     * @param {string} params.defendant
+     * @param {bigint} params.claimedDamages
+     * @param {object} [options] { force: send even if check() finds blockers }
+     * @returns {Promise<{id: bigint, plaintiff: string, defendant: string, disputeType: string, receipt: object}>}
+     */
+    async function file(params, options) {
+        const { receipt } = await send("file", params, options);
+        const event = findEvent(receipt, adr, entry.address, "DisputeFiled");
+        return {
+            id: event.args.disputeId,
+            plaintiff: event.args.plaintiff,
+            defendant: event.args.defendant,
+            disputeType: DISPUTE_TYPES[Number(event.args.disputeType)],
+            receipt
+        };
+    }
+
+    async function depositEscrow(id, value, options) {
+        const { receipt } = await send("escrow", { id, amount: value }, options);
+        const event = findEvent(receipt, adr, entry.address, "EscrowDeposited");
+        return { id: event.args.disputeId, amount: event.args.amount, receipt };
+    }
+
+    async function startArbitration(id, arbitrator, options) {
+        const { receipt } = await send("arbitrate", { id, arbitrator }, options);
+        findEvent(receipt, adr, entry.address, "DisputeStatusChanged");
+        return { id: BigInt(id), arbitrator: getAddress(arbitrator), status: "ARBITRATION", receipt };
+    }
+
+    /**
+     * @returns {Promise<{id: bigint, evidenceId: bigint, receipt: object}>}
+     */
+    async function submitEvidence(id, documentHash, options) {
+        const { receipt } = await send("evidence", { id, documentHash }, options);
+        const event = findEvent(receipt, adr, entry.address, "EvidenceSubmitted");
+        return { id: event.args.disputeId, evidenceId: event.args.evidenceId, receipt };
+    }
+
+    /**
+     * Submit the assigned arbitrator's decision
+     *
+     * @param {object} params { inFavorOfPlaintiff, awardAmount, reasoning }
+     * @returns {Promise<{id: bigint, winner: string, awardAmount: bigint, warnings: string[], receipt: object}>}
+     */
+    async function decide(id, { inFavorOfPlaintiff, awardAmount = 0n, reasoning = "" }, options) {
+        const { receipt, warnings } = await send("decide", { id, inFavorOfPlaintiff, awardAmount, reasoning }, options);
+        const event = findEvent(receipt, adr, entry.address, "DisputeResolved");
+        return { id: event.args.disputeId, winner: event.args.winner, awardAmount: event.args.awardAmount, warnings, receipt };
+    }
+
+    async function enforce(id, options) {
+        const { receipt } = await send("enforce", { id }, options);
+        findEvent(receipt, adr, entry.address, "DisputeStatusChanged");
+        const payments = parseEvents(receipt, adr, entry.address)
+            .filter(event => event.name === "SecurePaymentProcessed")
+            .map(event => ({ recipient: event.args.recipient, amount: event.args.amount }));
+        return { id: BigInt(id), status: "ENFORCED", payments, receipt };
+    }
+
+    async function registerArbitrator(arbitratorName, feePerCase, options) {
+        const { receipt } = await send("register", { name: arbitratorName, feePerCase }, options);
+        const event = findEvent(receipt, adr, entry.address, "ArbitratorRegistered");
+        return { arbitrator: event.args.arbitrator, name: event.args.name, receipt };
+    }
+
+    /**
+     * Every case action checked for one dispute, in lifecycle order
+     */
+    async function nextSteps(id, params = {}) {
+        const steps = [];
+        for (const action of CASE_ACTIONS) {
+            steps.push(await check(action, { ...params, id }));
+        }
+        return steps;
+    }
+
+    return {
+        adr,
+        name,
+        getFees,
+        getDispute,
+        getEvidence,
+        getArbitrator,
+        getLedger,
+        docket,
+        check,
+        nextSteps,
+        file,
+        depositEscrow,
+        startArbitration,
+        submitEvidence,
+        decide,
+        enforce,
+        registerArbitrator
+    };
+}
+
+module.exports = {
+    DISPUTE_TYPES,
+    DISPUTE_STATUSES,
+    TRANSITIONS,
+    createDisputes
+};
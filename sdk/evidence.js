@@ -0,0 +1,424 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Evidence bundles for ADRSystem disputes
+ *
+ * submitEvidence stores one "IPFS hash" string per submission. The files of
+ * a submission (PDFs, images, audio, ...) are packaged into a bundle: a JSON
+ * manifest listing each file's name, media type, size, sha256 digest, CID and
+ * where the storage backend keeps it. The manifest's CID is what goes
+ * on-chain, so one hash pins every file of the submission.
+ *
+ * CIDs are CIDv1, raw codec, sha2-256, base32 ("bafkrei..."): the CID IPFS
+ * gives a single-block file added with cid-version=1 and raw-leaves. Larger
+ * files are chunked by IPFS under a different CID, which the manifest keeps
+ * as the file's locator next to its raw CID.
+ *
+ * Storage backends:
+ *   local  content-addressed directory, a stand-in for IPFS in development
+ *   ipfs   IPFS-compatible HTTP API (Kubo RPC /api/v0/add and /api/v0/cat)
+ * or any object with put(bytes, name) -> locator and get(locator) -> bytes|null.
+ */
+
+const BUNDLE_TYPE = "softlaw-evidence-bundle";
+const BUNDLE_VERSION = 1;
+
+// CIDv1 prefix: version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+const MEDIA_TYPES = {
+    ".pdf": "application/pdf",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+    ".ogg": "audio/ogg",
+    ".flac": "audio/flac",
+    ".m4a": "audio/mp4",
+    ".mp4": "video/mp4",
+    ".txt": "text/plain",
+    ".md": "text/markdown",
+    ".json": "application/json"
+};
+
+// ===== CONTENT HASHING =====
+
+function base32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function fromBase32(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            return null;
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function sha256(bytes) {
+    return crypto.createHash("sha256").update(bytes).digest();
+}
+
+/**
+ * CIDv1 (raw, sha2-256, base32) of some bytes
+ */
+function cidOf(bytes) {
+    return `b${base32(Buffer.concat([CID_PREFIX, sha256(bytes)]))}`;
+}
+
+/**
+ * The sha256 digest a CIDv1 raw sha2-256 CID commits to, as 0x-hex, or null
+ * for any other kind of hash
+ */
+function parseCid(cid) {
+    if (typeof cid !== "string" || !cid.startsWith("b")) {
+        return null;
+    }
+    const bytes = fromBase32(cid.slice(1));
+    if (!bytes || bytes.length !== CID_PREFIX.length + 32 || !bytes.subarray(0, CID_PREFIX.length).equals(CID_PREFIX)) {
+        return null;
+    }
+    return `0x${bytes.subarray(CID_PREFIX.length).toString("hex")}`;
+}
+
+function mediaTypeOf(name) {
+    return MEDIA_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream";
+}
+
+// ===== STORAGE BACKENDS =====
+
+function localBackend({ dir }) {
+    if (!dir) {
+        throw new Error("❌ Local evidence storage requires a dir");
+    }
+    const root = path.resolve(dir);
+    const fileOf = locator => {
+        if (!/^[a-z0-9]+$/.test(locator)) {
+            throw new Error(`❌ Invalid evidence locator "${locator}"`);
+        }
+        return path.join(root, locator);
+    };
+    return {
+        name: `local:${root}`,
+        put: async bytes => {
+            const cid = cidOf(bytes);
+            const file = fileOf(cid);
+            if (!fs.existsSync(file)) {
+                fs.mkdirSync(root, { recursive: true });
+                // Written under a temporary name first, so a crash never leaves a partial object
+                fs.writeFileSync(`${file}.tmp`, bytes);
+                fs.renameSync(`${file}.tmp`, file);
+            }
+            return cid;
+        },
+        get: async locator => {
+            const file = fileOf(locator);
+            return fs.existsSync(file) ? fs.readFileSync(file) : null;
+        }
+    };
+}
+
+function ipfsBackend({ api, headers = {}, timeoutMs = 60000 }) {
+    if (!api) {
+        throw new Error("❌ IPFS evidence storage requires an api URL");
+    }
+    const base = api.replace(/\/+$/, "");
+    const rpc = (method, query, body) => fetch(`${base}/api/v0/${method}?${new URLSearchParams(query)}`, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    return {
+        name: `ipfs:${new URL(base).host}`,
+        put: async (bytes, name = "evidence") => {
+            const form = new FormData();
+            form.append("file", new Blob([bytes]), name);
+            const response = await rpc("add", { "cid-version": "1", "raw-leaves": "true", hash: "sha2-256", pin: "true" }, form);
+            if (!response.ok) {
+                throw new Error(`❌ IPFS add failed: ${response.status} ${await response.text()}`);
+            }
+            // One JSON line per added entry; the file is the last one
+            const lines = (await response.text()).trim().split("\n");
+            return JSON.parse(lines[lines.length - 1]).Hash;
+        },
+        get: async locator => {
+            const response = await rpc("cat", { arg: locator });
+            if (response.ok) {
+                return Buffer.from(await response.arrayBuffer());
+            }
+            const message = await response.text();
+            if (response.status === 404 || /not found|no link named/i.test(message)) {
+                return null;
+            }
+            throw new Error(`❌ IPFS cat ${locator} failed: ${response.status} ${message}`);
+        }
+    };
+}
+
+const STORAGE_TYPES = {
+    local: localBackend,
+    ipfs: ipfsBackend
+};
+
+/**
+ * Build a storage backend from its config
+ *
+ * Accepts { type: "local", dir }, { type: "ipfs", api, headers, timeoutMs },
+ * or any object with put and get functions for custom backends.
+ */
+function createStorage(config) {
+    if (typeof config.put === "function" && typeof config.get === "function") {
+        return { name: config.name || "custom", put: config.put, get: config.get };
+    }
+    const factory = STORAGE_TYPES[config.type];
+    if (!factory) {
+        throw new Error(`❌ Unknown evidence storage type "${config.type}". Available: ${Object.keys(STORAGE_TYPES).join(", ")}`);
+    }
+    return factory(config);
+}
+
+// ===== BUNDLES =====
+
+function readInput(input) {
+    if (typeof input === "string") {
+        const file = path.resolve(input);
+        if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            throw new Error(`❌ Evidence file not found: ${input}`);
+        }
+        return { name: path.basename(file), data: fs.readFileSync(file) };
+    }
+    if (!input || !input.name || !input.data) {
+        throw new Error("❌ Evidence files are paths or { name, data } objects");
+    }
+    return { name: input.name, data: Buffer.from(input.data), mediaType: input.mediaType };
+}
+
+/**
+ * Store files and their manifest
+ *
+ * @param {Array<string|{name: string, data: Uint8Array, mediaType?: string}>} inputs File paths or contents
+ * @param {object} storage From createStorage
+ * @param {object} [options]
+ * @param {bigint|number} [options.disputeId] Dispute the bundle is submitted to, recorded in the manifest
+ * @param {string} [options.description]
+ * @returns {Promise<{cid: string, manifest: object, bytes: Buffer}>} cid is the hash to submit on-chain
+ */
+async function storeBundle(inputs, storage, options = {}) {
+    const files = inputs.map(readInput);
+    if (files.length === 0) {
+        throw new Error("❌ An evidence bundle needs at least one file");
+    }
+    const names = new Set();
+    for (const file of files) {
+        if (names.has(file.name)) {
+            throw new Error(`❌ Two evidence files are named ${file.name}`);
+        }
+        names.add(file.name);
+    }
+
+    const entries = [];
+    for (const file of files) {
+        entries.push({
+            name: file.name,
+            mediaType: file.mediaType || mediaTypeOf(file.name),
+            size: file.data.length,
+            sha256: `0x${sha256(file.data).toString("hex")}`,
+            cid: cidOf(file.data),
+            locator: await storage.put(file.data, file.name)
+        });
+    }
+    const manifest = {
+        type: BUNDLE_TYPE,
+        version: BUNDLE_VERSION,
+        ...(options.disputeId !== undefined ? { disputeId: String(options.disputeId) } : {}),
+        description: options.description || "",
+        createdAt: new Date().toISOString(),
+        files: entries
+    };
+
+    const bytes = Buffer.from(JSON.stringify(manifest, null, 2) + "\n");
+    const cid = cidOf(bytes);
+    const locator = await storage.put(bytes, "manifest.json");
+    if (locator !== cid) {
+        throw new Error(`❌ ${storage.name} stored the bundle manifest as ${locator} instead of ${cid}: the backend must address single-block content by its CIDv1 raw sha2-256 CID`);
+    }
+    return { cid, manifest, bytes };
+}
+
+/**
+ * Check a submitted hash against the stored bundle
+ *
+ * status is verified, tampered (the manifest or a file no longer matches its
+ * digest, or a local copy differs), missing (not in storage) or unverifiable
+ * (the hash is not a CIDv1 raw sha2-256 CID)
+ *
+ * @param {string} documentHash Hash recorded by submitEvidence
+ * @param {object} storage From createStorage
+ * @param {object} [options]
+ * @param {bigint|number} [options.disputeId] Dispute the record belongs to, checked against the manifest
+ * @param {Array<string|{name: string, data: Uint8Array}>} [options.files] Local copies to compare, matched by name
+ * @returns {Promise<{status: string, issues: string[], manifest: object|null, files: Array<object>}>}
+ */
+async function verifyBundle(documentHash, storage, options = {}) {
+    const issues = [];
+    const result = status => ({ status, issues, manifest, files });
+    let manifest = null;
+    let files = [];
+
+    if (!parseCid(documentHash)) {
+        issues.push(`"${documentHash}" is not a CIDv1 raw sha2-256 CID, so it cannot be checked`);
+        return result("unverifiable");
+    }
+    const bytes = await storage.get(documentHash);
+    if (!bytes) {
+        issues.push(`Bundle manifest ${documentHash} is not in ${storage.name}`);
+        return result("missing");
+    }
+    if (cidOf(bytes) !== documentHash) {
+        issues.push(`Bundle manifest ${documentHash} was altered in ${storage.name}: its content hashes to ${cidOf(bytes)}`);
+        return result("tampered");
+    }
+    try {
+        manifest = JSON.parse(bytes.toString("utf8"));
+    } catch {
+        manifest = null;
+    }
+    if (!manifest || manifest.type !== BUNDLE_TYPE || !Array.isArray(manifest.files)) {
+        issues.push(`${documentHash} is not an evidence bundle manifest`);
+        return result("unverifiable");
+    }
+    let tampered = false;
+    if (options.disputeId !== undefined && manifest.disputeId !== undefined && manifest.disputeId !== String(options.disputeId)) {
+        tampered = true;
+        issues.push(`The bundle was made for dispute #${manifest.disputeId}, not #${options.disputeId}`);
+    }
+
+    const copies = new Map((options.files || []).map(readInput).map(file => [file.name, file.data]));
+    let missing = false;
+    for (const entry of manifest.files) {
+        const file = { name: entry.name, sha256: entry.sha256, status: "verified" };
+        const stored = await storage.get(entry.locator);
+        if (!stored) {
+            file.status = "missing";
+            missing = true;
+            issues.push(`${entry.name} (${entry.locator}) is not in ${storage.name}`);
+        } else if (`0x${sha256(stored).toString("hex")}` !== entry.sha256) {
+            file.status = "tampered";
+            issues.push(`${entry.name} was altered in ${storage.name}: its sha256 is 0x${sha256(stored).toString("hex")}, the bundle recorded ${entry.sha256}`);
+        }
+        if (copies.has(entry.name)) {
+            const copy = copies.get(entry.name);
+            copies.delete(entry.name);
+            if (`0x${sha256(copy).toString("hex")}` !== entry.sha256) {
+                file.status = "tampered";
+                issues.push(`The local copy of ${entry.name} differs from the submitted file`);
+            }
+        }
+        files.push(file);
+    }
+    for (const name of copies.keys()) {
+        tampered = true;
+        issues.push(`${name} is not part of the bundle`);
+    }
+
+    if (tampered || files.some(file => file.status === "tampered")) {
+        return result("tampered");
+    }
+    return result(missing ? "missing" : "verified");
+}
+
+/**
+ * Evidence for ADRSystem disputes: bundle, store, submit and verify
+ *
+ * @param {object} options
+ * @param {object} options.disputes From createDisputes (sdk/disputes.js)
+ * @param {object} options.storage From createStorage
+ */
+function createEvidence({ disputes, storage }) {
+    /**
+     * Bundle and store files, then submit the bundle CID with submitEvidence.
+     * The submission is checked before anything is stored.
+     *
+     * @param {object} [options] { description, force: submit even if check() finds blockers }
+     * @returns {Promise<{id: bigint, evidenceId: bigint, cid: string, manifest: object, receipt: object}>}
+     */
+    async function submit(disputeId, files, options = {}) {
+        const checked = await disputes.check("evidence", { id: disputeId, documentHash: "<bundle CID>" });
+        if (!checked.allowed && !options.force) {
+            throw new Error(`❌ Cannot submit evidence on dispute #${disputeId}: ${checked.blockers.join("; ")}`);
+        }
+        const { cid, manifest } = await storeBundle(files, storage, { disputeId, description: options.description });
+        const submitted = await disputes.submitEvidence(disputeId, cid, { force: options.force });
+        return { ...submitted, cid, manifest };
+    }
+
+    /**
+     * Verify one evidence record, or every record of a dispute
+     *
+     * @param {object} [options] { evidenceId, files: local copies to compare }
+     */
+    async function verify(disputeId, options = {}) {
+        const records = options.evidenceId !== undefined
+            ? [(await disputes.getEvidence(disputeId))[Number(options.evidenceId)]]
+            : await disputes.getEvidence(disputeId);
+        if (records.some(record => !record)) {
+            throw new Error(`❌ Dispute #${disputeId} has no evidence #${options.evidenceId}`);
+        }
+        const results = [];
+        for (const record of records) {
+            const checked = await verifyBundle(record.documentHash, storage, { disputeId, files: options.files });
+            results.push({ disputeId: BigInt(disputeId), evidenceId: record.id, submittedBy: record.submittedBy, documentHash: record.documentHash, ...checked });
+        }
+        return results;
+    }
+
+    return {
+        storage,
+        store: (files, options) => storeBundle(files, storage, options),
+        submit,
+        verify
+    };
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    cidOf,
+    parseCid,
+    createStorage,
+    storeBundle,
+    verifyBundle,
+    createEvidence
+};
@@ -0,0 +1,422 @@
+const { Contract, Interface, formatUnits, getAddress, isAddress } = require("ethers");
+const { findEvent, parseEvents } = require("./receipts");
+
+/**
+ * SoftLawGovernance proposals, built off-chain
+ *
+ * Proposal calldata is encoded from the target contract's ABI instead of the
+ * GovernorHelpers view functions. executeProposal() runs the stored calldata
+ * on one target per proposal type:
+ *
+ *   Treasury    createTreasuryProposal    calls DAOTreasury (spend, printBrrrr, batchSpend, ...)
+ *   Membership  createMembershipProposal  calls the governor itself (addMember, changeVotingQuorum, ...)
+ *
+ * Registry proposals are not executed by the contract yet, so actions on
+ * CopyrightsRegistry or CopyrightLicensing can be encoded and previewed but
+ * not proposed. A proposal stores a single calldata: a draft with several
+ * actions becomes one proposal per action ("Name (1/3)", ...), each voted on
+ * and executed separately.
+ */
+
+const VOTE_TYPES = ["Nay", "Aye", "Abstain"];
+const PROPOSAL_TYPES = ["Treasury", "Membership", "Registry"];
+
+// Component a proposal type executes on, and the governor function creating it
+const ROUTES = {
+    DAOTreasury: { proposalType: "Treasury", create: "createTreasuryProposal" },
+    DAOGovernor: { proposalType: "Membership", create: "createMembershipProposal" }
+};
+
+const TREASURY_TOKEN = "SLaw";
+
+function amount(value) {
+    return `${formatUnits(value, 18)} ${TREASURY_TOKEN}`;
+}
+
+const REGISTRY_DESCRIPTIONS = {
+    validateCopyright: a => `Validate copyright #${a.tokenId}`,
+    setFeeRecipient: (a, name) => `Send registry fees to ${name(a.newRecipient)}`,
+    updateRegistryFee: a => `Set the registry fee to ${formatUnits(a.newFee, 18)} (native)`
+};
+
+// What each known action does, by component and method, from its named arguments
+const DESCRIPTIONS = {
+    DAOTreasury: {
+        spend: (a, name) => `Pay ${amount(a.amount)} from the treasury to ${name(a.beneficiary)}`,
+        batchSpend: (a, name) => `Pay ${a.recipients.map((recipient, i) => `${amount(a.amounts[i])} to ${name(recipient)}`).join(", ")} from the treasury`,
+        printBrrrr: a => `Mint ${amount(a.amount)} into the treasury`,
+        updateSpenderLimit: a => `Set the treasury spending limit to ${amount(a.newLimit)}`,
+        emergencyWithdraw: (a, name) => `Withdraw the whole treasury balance to ${name(a.recipient)}`,
+        transferOwnership: (a, name) => `Hand treasury ownership to ${name(a.newOwner)}`,
+        renounceOwnership: () => "Renounce treasury ownership: nobody can spend or mint afterwards"
+    },
+    DAOGovernor: {
+        addMember: (a, name) => `Add ${name(a.newMember)} as a DAO member`,
+        removeMember: (a, name) => `Remove ${name(a.member)} from the DAO`,
+        changeVotingQuorum: a => `Set the voting quorum to ${a.newQuorum} vote(s)`,
+        changeLockingPeriod: a => `Set the locking period to ${a.newPeriod} seconds`,
+        emergencyWithdrawFunds: a => `Mint ${amount(a.amount)} into the treasury (emergency funding)`
+    },
+    CopyrightsRegistry: REGISTRY_DESCRIPTIONS,
+    // CopyrightLicensing extends CopyrightsRegistry
+    CopyrightLicensing: {
+        ...REGISTRY_DESCRIPTIONS,
+        revokeLicense: a => `Revoke license #${a.licenseId}`,
+        cancelLicense: a => `Cancel license #${a.licenseId}`
+    }
+};
+
+// Solidity parameter names without the leading underscore (_amount -> amount)
+function argName(input, index) {
+    return input.name ? input.name.replace(/^_+/, "") : `arg${index}`;
+}
+
+function namedArgs(fragment, values) {
+    return Object.fromEntries(fragment.inputs.map((input, i) => [argName(input, i), values[i]]));
+}
+
+function formatValue(value, name) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (typeof value === "string" && isAddress(value)) {
+        return name(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${Array.from(value, item => formatValue(item, name)).join(", ")}]`;
+    }
+    return typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * @param {object} options
+ * @param {Object<string, {address: string, abi: Array}>} options.contracts Deployed components by name
+ * @param {Object<string, string>} [options.names] Extra labels by address (accounts, signers)
+ */
+function createProposalBuilder({ contracts, names = {} }) {
+    const labels = new Map(Object.entries(names).map(([address, label]) => [address.toLowerCase(), label]));
+    for (const [component, entry] of Object.entries(contracts)) {
+        if (entry && entry.address && !labels.has(entry.address.toLowerCase())) {
+            labels.set(entry.address.toLowerCase(), component);
+        }
+    }
+    const name = address => labels.get(String(address).toLowerCase()) || getAddress(address);
+
+    const interfaces = {};
+    function iface(component) {
+        if (!interfaces[component]) {
+            const entry = contracts[component];
+            if (!entry || !entry.abi) {
+                throw new Error(`❌ ${component} is not part of this Softlaw deployment`);
+            }
+            interfaces[component] = new Interface(entry.abi);
+        }
+        return interfaces[component];
+    }
+
+    function describe(component, fragment, args) {
+        const template = DESCRIPTIONS[component] && DESCRIPTIONS[component][fragment.name];
+        if (template) {
+            return template(namedArgs(fragment, args), name);
+        }
+        const params = fragment.inputs.map((input, i) => `${argName(input, i)}=${formatValue(args[i], name)}`);
+        return `Call ${component}.${fragment.name}(${params.join(", ")})`;
+    }
+
+    function toAction(component, fragment, args, callData) {
+        const route = ROUTES[component] || null;
+        return {
+            contract: component,
+            method: fragment.name,
+            signature: fragment.format("sighash"),
+            args: namedArgs(fragment, args),
+            callData,
+            proposalType: route ? route.proposalType : null,
+            executable: Boolean(route),
+            description: describe(component, fragment, args)
+        };
+    }
+
+    /**
+     * Encode one action from its target ABI
+     *
+     * @param {object} action
+     * @param {string} action.contract Component name (DAOTreasury, DAOGovernor, CopyrightLicensing, ...)
+     * @param {string} action.method Function name or signature, e.g. "spend" or "spend(uint256,address)"
+     * @param {Array|object} [action.args] Positional values, or values by parameter name (with or without the leading underscore)
+     */
+    function encodeAction({ contract: component, method, args = [] }) {
+        const target = iface(component);
+        const fragment = target.getFunction(method);
+        if (!fragment) {
+            throw new Error(`❌ ${component} has no function ${method}`);
+        }
+        let values = args;
+        if (!Array.isArray(args)) {
+            values = fragment.inputs.map((input, i) => {
+                const value = args[argName(input, i)] ?? args[input.name];
+                if (value === undefined) {
+                    throw new Error(`❌ ${component}.${fragment.name}: missing argument ${argName(input, i)}`);
+                }
+                return value;
+            });
+        }
+        if (values.length !== fragment.inputs.length) {
+            throw new Error(`❌ ${fragment.format("sighash")} takes ${fragment.inputs.length} argument(s), got ${values.length}`);
+        }
+        const callData = target.encodeFunctionData(fragment, values);
+        return toAction(component, fragment, target.decodeFunctionData(fragment, callData), callData);
+    }
+
+    /**
+     * Decode the calldata of an existing proposal
+     *
+     * @param {string} callData
+     * @param {string|number} proposalType Treasury, Membership or its index
+     * @returns {object|null} Action as returned by encodeAction, null if the calldata matches no function of the target
+     */
+    function decodeAction(callData, proposalType) {
+        const type = typeof proposalType === "string" ? proposalType : PROPOSAL_TYPES[Number(proposalType)];
+        const component = Object.keys(ROUTES).find(key => ROUTES[key].proposalType === type);
+        if (!component || !callData || callData === "0x") {
+            return null;
+        }
+        const target = iface(component);
+        const fragment = target.getFunction(callData.slice(0, 10));
+        if (!fragment) {
+            return null;
+        }
+        try {
+            return toAction(component, fragment, target.decodeFunctionData(fragment, callData), callData);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Build a proposal draft: the encoded actions and the proposals that carry them
+     *
+     * @param {object} draft
+     * @param {string} draft.name
+     * @param {string} [draft.description]
+     * @param {object[]} draft.actions Actions as accepted by encodeAction
+     * @returns {object} { name, description, actions, proposals: [{ name, description, proposalType, create, callData, action }] }
+     */
+    function build({ name: title, description = "", actions }) {
+        if (!title) {
+            throw new Error("❌ A proposal needs a name");
+        }
+        if (!Array.isArray(actions) || actions.length === 0) {
+            throw new Error(`❌ Proposal "${title}" has no actions`);
+        }
+        const encoded = actions.map(encodeAction);
+        const blocked = encoded.filter(action => !action.executable);
+        if (blocked.length > 0) {
+            throw new Error(
+                `❌ SoftLawGovernance cannot execute ${blocked.map(action => `${action.contract}.${action.method}`).join(", ")}: ` +
+                `proposals only call ${Object.keys(ROUTES).join(" (Treasury) or ")} (Membership)`
+            );
+        }
+        const proposals = encoded.map((action, i) => {
+            const part = encoded.length > 1 ? ` (${i + 1}/${encoded.length})` : "";
+            return {
+                name: `${title}${part}`,
+                description: encoded.length > 1 ? `${description}${description ? "\n\n" : ""}Part ${i + 1} of ${encoded.length}: ${action.description}` : description,
+                proposalType: action.proposalType,
+                create: ROUTES[action.contract].create,
+                callData: action.callData,
+                action
+            };
+        });
+        return { name: title, description, actions: encoded, proposals };
+    }
+
+    /**
+     * Human-readable summary of a draft or of encoded actions
+     */
+    function preview(draftOrActions) {
+        const actions = Array.isArray(draftOrActions) ? draftOrActions : draftOrActions.actions;
+        const lines = Array.isArray(draftOrActions) ? [] : [`📜 ${draftOrActions.name}`];
+        if (!Array.isArray(draftOrActions) && draftOrActions.description) {
+            lines.push(`   ${draftOrActions.description}`);
+        }
+        actions.forEach((action, i) => {
+            const route = action.executable ? `${action.proposalType} proposal` : "not executable by governance";
+            lines.push(`   ${i + 1}. ${action.description}`);
+            lines.push(`      ${action.contract}.${action.signature} [${route}] ${action.callData}`);
+        });
+        if (actions.length > 1) {
+            lines.push(`   ⚠️  Creates ${actions.length} proposals, voted on and executed one by one`);
+        }
+        return lines.join("\n");
+    }
+
+    return { encodeAction, decodeAction, build, preview, name };
+}
+
+function voteValue(vote) {
+    if (typeof vote === "number" || typeof vote === "bigint") {
+        if (Number(vote) < 0 || Number(vote) >= VOTE_TYPES.length) {
+            throw new Error(`❌ Invalid vote ${vote}. Use one of: ${VOTE_TYPES.join(", ")}`);
+        }
+        return Number(vote);
+    }
+    const index = VOTE_TYPES.findIndex(type => type.toLowerCase() === String(vote).toLowerCase());
+    if (index === -1) {
+        throw new Error(`❌ Invalid vote "${vote}". Use one of: ${VOTE_TYPES.join(", ")}`);
+    }
+    return index;
+}
+
+/**
+ * Create, list, vote on and execute SoftLawGovernance proposals
+ *
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Member sending the transactions
+ * @param {Object<string, {address: string, abi: Array, blockNumber?: number}>} options.contracts Deployed components by name (needs DAOGovernor)
+ * @param {Object<string, string>} [options.names] Extra labels by address for previews
+ */
+function createGovernance({ signer, contracts, names = {} }) {
+    const builder = createProposalBuilder({ contracts, names });
+    const entry = contracts.DAOGovernor;
+    if (!entry || !entry.address || !entry.abi) {
+        throw new Error("❌ DAOGovernor is not part of this Softlaw deployment");
+    }
+    const governor = new Contract(entry.address, entry.abi, signer);
+    const provider = signer.provider;
+
+    /**
+     * Send a draft (see createProposalBuilder().build): one transaction per proposal
+     *
+     * @returns {Promise<Array<{id: bigint, name: string, action: object, receipt: object}>>}
+     */
+    async function propose(draft) {
+        const built = draft.proposals ? draft : builder.build(draft);
+        const created = [];
+        for (const proposal of built.proposals) {
+            const receipt = await (await governor[proposal.create](proposal.name, proposal.description, proposal.callData)).wait();
+            const event = findEvent(receipt, governor, entry.address, "ProposalCreated");
+            created.push({ id: event.args.id, name: proposal.name, action: proposal.action, receipt });
+        }
+        return created;
+    }
+
+    async function vote(id, voteType) {
+        const receipt = await (await governor.vote(id, voteValue(voteType))).wait();
+        const event = findEvent(receipt, governor, entry.address, "VoteCast");
+        return { id: event.args.id, voter: event.args.voter, vote: VOTE_TYPES[Number(event.args.vote)], receipt };
+    }
+
+    /**
+     * Execute a proposal that passed and whose locking period is over
+     *
+     * @returns {Promise<{id: bigint, returnData: string|null, receipt: object}>}
+     */
+    async function execute(id) {
+        const receipt = await (await governor.executeProposal(id)).wait();
+        findEvent(receipt, governor, entry.address, "ProposalExecuted");
+        // Only treasury calls report their return data
+        const treasuryCall = parseEvents(receipt, governor, entry.address).find(event => event.name === "TreasuryProposalExecuted");
+        return { id: BigInt(id), returnData: treasuryCall ? treasuryCall.args.returnData : null, receipt };
+    }
+
+    /**
+     * Calldata of a proposal, read back from the transaction that created it.
+     * Null when it was created through another contract (a multisig, ...).
+     */
+    async function getCallData(id) {
+        const fromBlock = entry.blockNumber || 0;
+        const [log] = await governor.queryFilter(governor.filters.ProposalCreated(id), fromBlock);
+        if (!log) {
+            return null;
+        }
+        const tx = await provider.getTransaction(log.transactionHash);
+        if (!tx || !tx.to || tx.to.toLowerCase() !== entry.address.toLowerCase()) {
+            return null;
+        }
+        const parsed = governor.interface.parseTransaction({ data: tx.data });
+        return parsed && parsed.name.startsWith("create") ? parsed.args[2] : null;
+    }
+
+    /**
+     * Everything known about a proposal: core data, votes, status and decoded action
+     *
+     * status is executed, ready (passed, locking period over), locked (passed,
+     * locking period running) or open (quorum or majority not reached)
+     */
+    async function getProposal(id, settings) {
+        const { votingQuorum, lockingPeriod, now } = settings || (await getSettings());
+        const core = await governor.getProposalCore(id);
+        const votes = await governor.getProposalVotes(id);
+        const proposalType = PROPOSAL_TYPES[Number(core.proposalType)];
+        const total = votes.ayeVotes + votes.nayVotes + votes.abstainVotes;
+        const passed = total >= votingQuorum && votes.ayeVotes > votes.nayVotes;
+        const unlocksAt = Number(core.createdAt) + Number(lockingPeriod);
+
+        let status = "open";
+        if (core.executed) {
+            status = "executed";
+        } else if (passed) {
+            status = now >= unlocksAt ? "ready" : "locked";
+        }
+
+        const callData = await getCallData(id);
+        return {
+            id: BigInt(id),
+            name: core.name,
+            description: core.description,
+            proponent: core.proponent,
+            createdAt: Number(core.createdAt),
+            unlocksAt,
+            proposalType,
+            executed: core.executed,
+            votes: { aye: votes.ayeVotes, nay: votes.nayVotes, abstain: votes.abstainVotes, total },
+            quorum: votingQuorum,
+            passed,
+            status,
+            callData,
+            action: builder.decodeAction(callData, proposalType)
+        };
+    }
+
+    async function getSettings() {
+        const [votingQuorum, lockingPeriod, block] = await Promise.all([
+            governor.votingQuorum(),
+            governor.lockingPeriod(),
+            provider.getBlock("latest")
+        ]);
+        return { votingQuorum, lockingPeriod, now: block.timestamp };
+    }
+
+    async function listProposals() {
+        const settings = await getSettings();
+        const count = Number(await governor.getTotalProposals());
+        const proposals = [];
+        for (let id = 0; id < count; id++) {
+            proposals.push(await getProposal(id, settings));
+        }
+        return proposals;
+    }
+
+    return {
+        governor,
+        builder,
+        build: builder.build,
+        preview: builder.preview,
+        propose,
+        vote,
+        execute,
+        getCallData,
+        getProposal,
+        getSettings,
+        listProposals
+    };
+}
+
+module.exports = {
+    VOTE_TYPES,
+    PROPOSAL_TYPES,
+    ROUTES,
+    createProposalBuilder,
+    createGovernance
+};
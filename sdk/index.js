@@ -0,0 +1,474 @@
+const fs = require("fs");
+const { Contract } = require("ethers");
+const { parseEvents, findEvent } = require("./receipts");
+const { createDecoder } = require("./decoder");
+const { ensureAllowance, ensureNftApproval } = require("./approvals");
+const { VOTE_TYPES, PROPOSAL_TYPES, createProposalBuilder, createGovernance } = require("./governance");
+const { DISPUTE_TYPES, DISPUTE_STATUSES, createDisputes } = require("./disputes");
+const { cidOf, createStorage, createEvidence } = require("./evidence");
+
+/**
+ * Softlaw SDK
+ *
+ * High-level calls against a Softlaw deployment: approvals are sent when
+ * needed and the ids, addresses and amounts the contracts emit are returned
+ * decoded.
+ *
+ * Works with any ethers v6 signer, inside or outside Hardhat.
+ */
+
+const LICENSE_TYPES = ["COMMERCIAL", "NON_COMMERCIAL", "EDUCATIONAL", "UNLIMITED"];
+const ECONOMIC_RIGHTS = ["reproduction", "distribution", "rental", "broadcasting", "performance", "translation", "adaptation"];
+
+function enumValue(values, value, label) {
+    if (typeof value === "number" || typeof value === "bigint") {
+        if (Number(value) < 0 || Number(value) >= values.length) {
+            throw new Error(`❌ Invalid ${label} ${value}. Use one of: ${values.join(", ")}`);
+        }
+        return Number(value);
+    }
+    const index = values.indexOf(value);
+    if (index === -1) {
+        throw new Error(`❌ Invalid ${label} "${value}". Use one of: ${values.join(", ")}`);
+    }
+    return index;
+}
+
+/**
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Account sending the transactions
+ * @param {Object<string, {address: string, abi: Array}>} options.contracts Deployed components by name
+ * @param {Object<string, Array>} [options.abis] ABIs of contracts created at runtime (PersonalizedWrappedIPToken)
+ */
+function createSoftlaw({ signer, contracts, abis = {} }) {
+    if (!signer) {
+        throw new Error("❌ Softlaw SDK needs a signer");
+    }
+
+    const handles = {};
+
+    /**
+     * Typed contract handle for a deployed component
+     */
+    function contract(name) {
+        if (!handles[name]) {
+            const entry = contracts[name];
+            if (!entry || !entry.address || !entry.abi) {
+                throw new Error(`❌ ${name} is not part of this Softlaw deployment`);
+            }
+            handles[name] = new Contract(entry.address, entry.abi, signer);
+        }
+        return handles[name];
+    }
+
+    function addressOf(name) {
+        contract(name);
+        return contracts[name].address;
+    }
+
+    // CopyrightLicensing extends CopyrightsRegistry; licenses can only be
+    // offered on copyrights registered in the licensing contract itself
+    function copyrightRegistryName() {
+        return contracts.CopyrightLicensing ? "CopyrightLicensing" : "CopyrightsRegistry";
+    }
+
+    async function send(name, method, args, overrides) {
+        const target = contract(name);
+        const tx = await target[method](...args, ...(overrides ? [overrides] : []));
+        const receipt = await tx.wait();
+        return { target, receipt };
+    }
+
+    const account = () => signer.getAddress();
+
+    let decoder;
+    let governance;
+    let disputes;
+
+    /**
+     * Decoder for every ABI in the deployment (see decoder.js)
+     */
+    function getDecoder() {
+        if (!decoder) {
+            const all = { ...abis };
+            const addresses = {};
+            for (const [name, entry] of Object.entries(contracts)) {
+                if (entry.abi) {
+                    all[name] = entry.abi;
+                    addresses[name] = entry.address;
+                }
+            }
+            decoder = createDecoder({ abis: all, addresses });
+        }
+        return decoder;
+    }
+
+    function getDisputes() {
+        disputes = disputes || createDisputes({ signer, contracts });
+        return disputes;
+    }
+
+    /**
+     * Register a copyright over an NFT the signer owns. The NFT is approved
+     * and escrowed by the registry and the registry fee is paid in native tokens.
+     *
+     * @returns {Promise<{copyrightId: bigint, owner: string, author: string, receipt: object}>}
+     */
+    async function registerCopyright({ nftContract, tokenId, name, description = "", image = "", author, economicRightsOwner }) {
+        const registryName = copyrightRegistryName();
+        const registryAddress = addressOf(registryName);
+        const owner = await account();
+
+        await ensureNftApproval(signer, nftContract, tokenId, owner, registryAddress);
+        const fee = await contract(registryName).REGISTRY_FEE();
+
+        const { target, receipt } = await send(
+            registryName,
+            "protectCopyright",
+            [author || owner, economicRightsOwner || owner, name, description, image, nftContract, tokenId],
+            { value: fee }
+        );
+        const event = findEvent(receipt, target, registryAddress, "CopyrightProtected");
+        return {
+            copyrightId: event.args.tokenId,
+            owner: event.args.owner,
+            author: event.args.author,
+            receipt
+        };
+    }
+
+    /**
+     * Wrap an NFT into personalized ERC20 tokens
+     *
+     * @returns {Promise<{ipId: string, tokenAddress: string, creator: string, totalSupply: bigint, token: Contract|null, receipt: object}>}
+     */
+    async function wrapIP({ nftContract, tokenId, totalSupply, pricePerToken, title }) {
+        const managerAddress = addressOf("WrappedIPManager");
+        await ensureNftApproval(signer, nftContract, tokenId, await account(), managerAddress);
+
+        const { target, receipt } = await send("WrappedIPManager", "wrapIP", [nftContract, tokenId, totalSupply, pricePerToken, title]);
+        const event = findEvent(receipt, target, managerAddress, "IPWrapped");
+        const tokenAbi = abis.PersonalizedWrappedIPToken;
+        return {
+            ipId: event.args.ipId,
+            tokenAddress: event.args.tokenAddress,
+            creator: event.args.creator,
+            totalSupply: event.args.totalSupply,
+            token: tokenAbi ? new Contract(event.args.tokenAddress, tokenAbi, signer) : null,
+            receipt
+        };
+    }
+
+    /**
+     * Create a liquidity pool between a token and SLAW (requires LIQUIDITY_ADMIN)
+     *
+     * @returns {Promise<{poolId: string, tokenA: string, tokenB: string, receipt: object}>}
+     */
+    async function createPool({ token, pairToken }) {
+        const managerAddress = addressOf("LiquidityManager");
+        const { target, receipt } = await send("LiquidityManager", "createPool", [token, pairToken || addressOf("SLAWToken")]);
+        const event = findEvent(receipt, target, managerAddress, "PoolCreated");
+        return {
+            poolId: event.args.poolId,
+            tokenA: event.args.tokenA,
+            tokenB: event.args.tokenB,
+            receipt
+        };
+    }
+
+    /**
+     * Add liquidity to a pool, approving both tokens for the LiquidityManager
+     *
+     * @returns {Promise<{poolId: string, amountA: bigint, amountB: bigint, liquidity: bigint, receipt: object}>}
+     */
+    async function addLiquidity({ poolId, amountA, amountB }) {
+        const manager = contract("LiquidityManager");
+        const managerAddress = addressOf("LiquidityManager");
+        const owner = await account();
+
+        const pool = await manager.getPool(poolId);
+        if (!pool.isActive) {
+            throw new Error(`❌ Liquidity pool ${poolId} is not active`);
+        }
+        await ensureAllowance(signer, pool.tokenA, owner, managerAddress, amountA);
+        await ensureAllowance(signer, pool.tokenB, owner, managerAddress, amountB);
+
+        const before = await manager.getUserPosition(poolId, owner);
+        const { target, receipt } = await send("LiquidityManager", "addLiquidity", [poolId, amountA, amountB]);
+        const event = findEvent(receipt, target, managerAddress, "LiquidityAdded");
+        const after = await manager.getUserPosition(poolId, owner);
+        return {
+            poolId: event.args.poolId,
+            amountA: event.args.amountA,
+            amountB: event.args.amountB,
+            liquidity: after.liquidityTokens - before.liquidityTokens,
+            receipt
+        };
+    }
+
+    /**
+     * Swap through a LiquidityManager pool, approving the input token
+     *
+     * @param {object} params
+     * @param {string} params.tokenIn Address of the token sold (tokenA or tokenB of the pool)
+     * @param {bigint} [params.minAmountOut] Reverts if less would be received (defaults to 0)
+     * @returns {Promise<{poolId: string, amountIn: bigint, amountOut: bigint, receipt: object}>}
+     */
+    async function swap({ poolId, tokenIn, amountIn, minAmountOut = 0n }) {
+        const managerAddress = addressOf("LiquidityManager");
+        await ensureAllowance(signer, tokenIn, await account(), managerAddress, amountIn);
+
+        const { target, receipt } = await send("LiquidityManager", "swapTokens", [poolId, tokenIn, amountIn, minAmountOut]);
+        const event = findEvent(receipt, target, managerAddress, "TokensSwapped");
+        return {
+            poolId: event.args.poolId,
+            amountIn: event.args.amountIn,
+            amountOut: event.args.amountOut,
+            receipt
+        };
+    }
+
+    /**
+     * List an NFT on the marketplace, approving it for MarketplaceCore
+     *
+     * @param {object} params
+     * @param {number|bigint} params.duration Listing duration in seconds
+     * @returns {Promise<{listingId: bigint, seller: string, price: bigint, receipt: object}>}
+     */
+    async function listNFT({ nftContract, tokenId, price, duration, allowOffers = true }) {
+        const marketplaceAddress = addressOf("MarketplaceCore");
+        await ensureNftApproval(signer, nftContract, tokenId, await account(), marketplaceAddress);
+
+        const { target, receipt } = await send("MarketplaceCore", "createNFTListing", [nftContract, tokenId, price, duration, allowOffers]);
+        const event = findEvent(receipt, target, marketplaceAddress, "ListingCreated");
+        return {
+            listingId: event.args.listingId,
+            seller: event.args.seller,
+            price: event.args.price,
+            receipt
+        };
+    }
+
+    /**
+     * Make a SLAW offer on a listing. The TreasuryCore collects the payment
+     * when the offer is accepted, so it is approved for the offered amount.
+     *
+     * @returns {Promise<{offerId: bigint, listingId: bigint, amount: bigint, receipt: object}>}
+     */
+    async function makeOffer({ listingId, amount, duration }) {
+        const marketplaceAddress = addressOf("MarketplaceCore");
+        await ensureAllowance(signer, addressOf("SLAWToken"), await account(), addressOf("TreasuryCore"), amount);
+
+        const { target, receipt } = await send("MarketplaceCore", "makeOffer", [listingId, amount, duration]);
+        const event = findEvent(receipt, target, marketplaceAddress, "OfferCreated");
+        return {
+            offerId: event.args.offerId,
+            listingId: event.args.listingId,
+            amount: event.args.amount,
+            receipt
+        };
+    }
+
+    /**
+     * Accept an offer on one of the signer's listings
+     *
+     * @returns {Promise<{offerId: bigint, listingId: bigint, offerer: string, amount: bigint, receipt: object}>}
+     */
+    async function acceptOffer({ offerId }) {
+        const marketplaceAddress = addressOf("MarketplaceCore");
+        const { target, receipt } = await send("MarketplaceCore", "acceptOffer", [offerId]);
+        const event = findEvent(receipt, target, marketplaceAddress, "OfferAccepted");
+        return {
+            offerId: event.args.offerId,
+            listingId: event.args.listingId,
+            offerer: event.args.offerer,
+            amount: event.args.amount,
+            receipt
+        };
+    }
+
+    /**
+     * Buy a listing at its price, approving the TreasuryCore for the payment
+     *
+     * @returns {Promise<{listingId: bigint, buyer: string, price: bigint, marketplaceFee: bigint, receipt: object}>}
+     */
+    async function buyItem({ listingId }) {
+        const marketplaceAddress = addressOf("MarketplaceCore");
+        const listing = await contract("MarketplaceCore").getListing(listingId);
+        await ensureAllowance(signer, addressOf("SLAWToken"), await account(), addressOf("TreasuryCore"), listing.price);
+
+        const { target, receipt } = await send("MarketplaceCore", "buyItem", [listingId]);
+        const event = findEvent(receipt, target, marketplaceAddress, "ItemSold");
+        return {
+            listingId: event.args.listingId,
+            buyer: event.args.buyer,
+            price: event.args.price,
+            marketplaceFee: event.args.marketplaceFee,
+            receipt
+        };
+    }
+
+    /**
+     * File a dispute with the ADR system
+     *
+     * @param {object} params
+     * @param {string|number} params.disputeType One of DISPUTE_TYPES or its index
+     * @returns {Promise<{disputeId: bigint, plaintiff: string, defendant: string, receipt: object}>}
+     */
+    async function fileDispute({ disputeType, defendant, relatedIPId = 0, relatedIPContract, description, claimedDamages }) {
+        const adrAddress = addressOf("ADRSystem");
+        const { target, receipt } = await send("ADRSystem", "fileDispute", [
+            enumValue(DISPUTE_TYPES, disputeType, "dispute type"),
+            defendant,
+            relatedIPId,
+            relatedIPContract || addressOf(copyrightRegistryName()),
+            description,
+            claimedDamages
+        ]);
+        const event = findEvent(receipt, target, adrAddress, "DisputeFiled");
+        return {
+            disputeId: event.args.disputeId,
+            plaintiff: event.args.plaintiff,
+            defendant: event.args.defendant,
+            receipt
+        };
+    }
+
+    /**
+     * Offer a license on a copyright registered in CopyrightLicensing. The
+     * platform license fee is paid in native tokens.
+     *
+     * @param {object} params
+     * @param {string|number} params.licenseType One of LICENSE_TYPES or its index
+     * @param {string[]|object} [params.rights] Economic rights granted, e.g. ["reproduction", "distribution"]
+     * @param {number|bigint} [params.duration] License duration in seconds, 0 for unlimited
+     * @returns {Promise<{licenseId: bigint, copyrightId: bigint, licensee: string, fee: bigint, receipt: object}>}
+     */
+    async function offerLicense({ copyrightId, licensee, licenseType, fee, duration = 0, terms, rights = [], exclusive = false, territory = "Worldwide" }) {
+        const licensingAddress = addressOf("CopyrightLicensing");
+        const granted = Array.isArray(rights) ? Object.fromEntries(rights.map(right => [right, true])) : rights;
+        for (const right of Object.keys(granted)) {
+            if (!ECONOMIC_RIGHTS.includes(right)) {
+                throw new Error(`❌ Unknown economic right "${right}". Use: ${ECONOMIC_RIGHTS.join(", ")}`);
+            }
+        }
+        const grantedRights = {
+            ...Object.fromEntries(ECONOMIC_RIGHTS.map(right => [right, Boolean(granted[right])])),
+            owner: licensee
+        };
+        const licenseFee = await contract("CopyrightLicensing").LICENSE_FEE();
+
+        const { target, receipt } = await send(
+            "CopyrightLicensing",
+            "offerLicense",
+            [copyrightId, licensee, enumValue(LICENSE_TYPES, licenseType, "license type"), fee, duration, terms, grantedRights, exclusive, territory],
+            { value: licenseFee }
+        );
+        const event = findEvent(receipt, target, licensingAddress, "LicenseOffered");
+        return {
+            licenseId: event.args.licenseId,
+            copyrightId: event.args.ipId,
+            licensee: event.args.licensee,
+            fee: event.args.fee,
+            receipt
+        };
+    }
+
+    /**
+     * Accept a license offered to the signer, paying its fee in native tokens
+     *
+     * @returns {Promise<{licenseId: bigint, copyrightId: bigint, licensor: string, receipt: object}>}
+     */
+    async function acceptLicense({ licenseId }) {
+        const licensingAddress = addressOf("CopyrightLicensing");
+        const license = await contract("CopyrightLicensing").getLicense(licenseId);
+
+        const { target, receipt } = await send("CopyrightLicensing", "acceptLicense", [licenseId], { value: license.fee });
+        const event = findEvent(receipt, target, licensingAddress, "LicenseAccepted");
+        return {
+            licenseId: event.args.licenseId,
+            copyrightId: event.args.ipId,
+            licensor: event.args.licensor,
+            receipt
+        };
+    }
+
+    return {
+        signer,
+        contract,
+        addressOf,
+        /**
+         * Decoded events a component emitted in a receipt
+         */
+        events: (receipt, name) => parseEvents(receipt, contract(name), addressOf(name)),
+        decoder: getDecoder,
+        /**
+         * Every recognised event in a receipt, from any Softlaw contract
+         */
+        decodeReceipt: receipt => getDecoder().decodeReceipt(receipt),
+        /**
+         * Custom error, revert reason or panic carried by a failed call
+         */
+        decodeError: error => getDecoder().decodeError(error),
+        /**
+         * SoftLawGovernance proposals: build, propose, vote, execute (see governance.js)
+         */
+        governance: () => {
+            governance = governance || createGovernance({ signer, contracts });
+            return governance;
+        },
+        /**
+         * ADRSystem case management: dockets, fees, escrow and guarded transitions (see disputes.js)
+         */
+        disputes: getDisputes,
+        /**
+         * Evidence bundles for disputes, kept in a storage backend (see evidence.js)
+         */
+        evidence: storage => createEvidence({ disputes: getDisputes(), storage: createStorage(storage) }),
+        registerCopyright,
+        wrapIP,
+        createPool,
+        addLiquidity,
+        swap,
+        listNFT,
+        makeOffer,
+        acceptOffer,
+        buyItem,
+        fileDispute,
+        offerLicense,
+        acceptLicense
+    };
+}
+
+/**
+ * SDK for a deployment registry (deployments/registry-<network>.json)
+ *
+ * @param {object|string} registry Registry object or path to the registry file
+ * @param {import("ethers").Signer} signer
+ */
+function fromRegistry(registry, signer) {
+    const data = typeof registry === "string" ? JSON.parse(fs.readFileSync(registry, "utf8")) : registry;
+    return createSoftlaw({ signer, contracts: data.contracts, abis: data.abis });
+}
+
+module.exports = {
+    DISPUTE_TYPES,
+    DISPUTE_STATUSES,
+    LICENSE_TYPES,
+    ECONOMIC_RIGHTS,
+    VOTE_TYPES,
+    PROPOSAL_TYPES,
+    createSoftlaw,
+    fromRegistry,
+    createDecoder,
+    createProposalBuilder,
+    createGovernance,
+    createDisputes,
+    createEvidence,
+    createStorage,
+    cidOf,
+    parseEvents,
+    findEvent,
+    ensureAllowance,
+    ensureNftApproval
+};
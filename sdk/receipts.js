@@ -0,0 +1,46 @@
+/**
+ * Receipt helpers
+ *
+ * Replace the `receipt.logs.find(log => { try { parseLog(log) } catch {} })`
+ * pattern: logs are matched by emitting address first, so events with the same
+ * signature from other contracts in the transaction are never picked up.
+ */
+
+/**
+ * All events in a receipt emitted by a contract, decoded with its interface
+ *
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @param {import("ethers").BaseContract} contract
+ * @param {string} contractAddress Address of the contract (resolved once by the caller)
+ * @returns {import("ethers").LogDescription[]}
+ */
+function parseEvents(receipt, contract, contractAddress) {
+    const address = contractAddress.toLowerCase();
+    const events = [];
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== address) {
+            continue;
+        }
+        const parsed = contract.interface.parseLog(log);
+        if (parsed) {
+            events.push(parsed);
+        }
+    }
+    return events;
+}
+
+/**
+ * The first event with a given name, or an error naming the transaction
+ */
+function findEvent(receipt, contract, contractAddress, eventName) {
+    const event = parseEvents(receipt, contract, contractAddress).find(parsed => parsed.name === eventName);
+    if (!event) {
+        throw new Error(`❌ ${eventName} event not found in transaction ${receipt.hash}`);
+    }
+    return event;
+}
+
+module.exports = {
+    parseEvents,
+    findEvent
+};
@@ -0,0 +1,403 @@
+const { task, types, extendEnvironment } = require("hardhat/config");
+const { TASK_COMPILE, TASK_RUN, TASK_TEST } = require("hardhat/builtin-tasks/task-names");
+const { assertNetworkReady, getNetworkProfile } = require("../scripts/lib/network-profiles");
+const signerProvider = require("../scripts/lib/signer-provider");
+
+// Scripts require("hardhat") at load time, so they are only loaded inside
+// task actions, after the Hardhat runtime has been initialised.
+
+// Tasks that talk to the network first check its profile (scripts/config/networks.js).
+// With --dry-run the command runs again against a fork or ephemeral node
+// instead (scripts/lib/dry-run.js); inside that run only a fork serves the
+// target's chain id.
+function onConfiguredNetwork(action) {
+    return async ({ dryRun, ...args }, hre, runSuper) => {
+        if (dryRun) {
+            const { runDryRun } = require("../scripts/lib/dry-run");
+            return runDryRun(hre);
+        }
+        const simulated = process.env.SOFTLAW_DRY_RUN === hre.network.name;
+        await assertNetworkReady(hre, { checkChainId: !simulated || process.env.SOFTLAW_DRY_RUN_MODE === "fork" });
+        return action(args, hre, runSuper);
+    };
+}
+
+// Keystore and external signers are not Hardhat accounts: hand them out
+// through ethers.getSigners(), which contract factories use as well
+extendEnvironment((hre) => {
+    const profile = getNetworkProfile(hre.network.name);
+    if (!profile || signerProvider.usesHardhatAccounts(profile)) {
+        return;
+    }
+    let signers;
+    hre.ethers.getSigners = async () => {
+        signers = signers || signerProvider.getSigners(profile, hre.ethers.provider);
+        return signers;
+    };
+});
+
+// Every process of a dry run (including the script process `hardhat run`
+// forks) journals the transactions it sends for the dry-run report
+extendEnvironment((hre) => {
+    if (process.env.SOFTLAW_DRY_RUN_JOURNAL && process.env.SOFTLAW_DRY_RUN === hre.network.name) {
+        const { journalRequests } = require("../scripts/lib/dry-run");
+        journalRequests(hre.network.provider, process.env.SOFTLAW_DRY_RUN_JOURNAL);
+    }
+});
+
+task(TASK_RUN)
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork((args, hre, runSuper) => runSuper(args)));
+
+task(TASK_TEST)
+    .setAction(onConfiguredNetwork((args, hre, runSuper) => runSuper(args)));
+
+task("softlaw:deploy", "Deploy the Softlaw integration stack (resumes interrupted deployments)")
+    .addFlag("fresh", "Discard recorded progress and deploy from scratch")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async ({ fresh }) => {
+        const { main } = require("../scripts/deploy-integration");
+        return main({ fresh });
+    }));
+
+task("softlaw:health", "Run the health probes against the deployed Softlaw contracts")
+    .addOptionalParam("json", "Write the JSON health report to this path", undefined, types.string)
+    .addOptionalParam("junit", "Write the JUnit XML health report to this path", undefined, types.string)
+    .addOptionalParam("failOn", "Fail if a probe of this severity or higher fails (critical, warning or info)", undefined, types.string)
+    .setAction(onConfiguredNetwork(async ({ json, junit, failOn }) => {
+        const { main } = require("../scripts/verify-pvm-deployment");
+        return main("health", [], { json, junit, failOn });
+    }));
+
+task("softlaw:verify", "Run the health check and verify cross-contract integration")
+    .addOptionalParam("json", "Write the JSON health report to this path", undefined, types.string)
+    .addOptionalParam("junit", "Write the JUnit XML health report to this path", undefined, types.string)
+    .setAction(onConfiguredNetwork(async ({ json, junit }) => {
+        const { main } = require("../scripts/verify-pvm-deployment");
+        return main("verify", [], { json, junit });
+    }));
+
+task("softlaw:monitor", "Poll the health check, serve Prometheus metrics and send alerts")
+    .addOptionalParam("minutes", "How long to monitor for", 10, types.int)
+    .addOptionalParam("port", "Port of the Prometheus metrics endpoint (0 disables it)", undefined, types.int)
+    .addOptionalParam("interval", "Seconds between health checks", undefined, types.int)
+    // Not --config: Hardhat reserves it for its own config file
+    .addOptionalParam("monitorConfig", "Monitor config module (defaults to scripts/config/monitor.js)", undefined, types.string)
+    .setAction(onConfiguredNetwork(async ({ minutes, port, interval, monitorConfig }) => {
+        const { main } = require("../scripts/verify-pvm-deployment");
+        return main("monitor", [String(minutes)], { port, interval, config: monitorConfig });
+    }));
+
+task("softlaw:index", "Index events of the deployed Softlaw contracts into a local SQLite database")
+    .addOptionalParam("db", "Database file (defaults to deployments/indexer-<network>.sqlite)", undefined, types.string)
+    .addOptionalParam("from", "Start block for a new database", undefined, types.int)
+    .addOptionalParam("batchSize", "Blocks per getLogs request", undefined, types.int)
+    .addOptionalParam("confirmations", "Stay this many blocks behind the head", undefined, types.int)
+    .addOptionalParam("poll", "Seconds between polls when following", 5, types.int)
+    .addFlag("follow", "Keep following new blocks")
+    .setAction(onConfiguredNetwork(async ({ db, from, batchSize, confirmations, poll, follow }) => {
+        const { main } = require("../scripts/index-events");
+        return main({ db, from, batchSize, confirmations, pollSeconds: poll, follow });
+    }));
+
+task("softlaw:events", "Query events from the local index")
+    .addOptionalParam("db", "Database file (defaults to deployments/indexer-<network>.sqlite)", undefined, types.string)
+    .addOptionalParam("event", "Event name, e.g. IPWrapped", undefined, types.string)
+    .addOptionalParam("contract", "Component name, e.g. WrappedIPManager", undefined, types.string)
+    .addOptionalParam("tx", "Transaction hash", undefined, types.string)
+    .addOptionalParam("limit", "Maximum number of events", 20, types.int)
+    .setAction(async ({ db, event, contract, tx, limit }) => {
+        const { getDefaultDbPath } = require("../scripts/lib/event-indexer");
+        const { openStore } = require("../scripts/lib/indexer-store");
+
+        const store = openStore(db || getDefaultDbPath());
+        try {
+            const events = store.queryEvents({ event, contract, txHash: tx, limit, order: "desc" });
+            for (const e of events) {
+                console.log(`#${e.blockNumber} ${e.contract}.${e.event} ${JSON.stringify(e.args)} (${e.txHash})`);
+            }
+            console.log(`\n${events.length} event(s), indexed up to block ${store.getCursor()}`);
+            return events;
+        } finally {
+            store.close();
+        }
+    });
+
+task("softlaw:seed", "Deploy TestCopyrightNFT, mint test NFTs and register it with the deployed stack")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async () => {
+        const { main } = require("../scripts/deploy-test-nft");
+        return main();
+    }));
+
+task("softlaw:scenario", "Run a scenario file against the deployed Softlaw contracts and report the outcome")
+    .addOptionalParam("file", "Scenario name in scripts/scenarios or path to a YAML/JSON file", "creator-economy", types.string)
+    .addOptionalParam("report", "Write the JSON report to this path", undefined, types.string)
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async ({ file, report }) => {
+        const { main } = require("../scripts/run-scenario");
+        return main({ scenario: file, report });
+    }));
+
+// Gate every build on the budgets in scripts/config/contract-budgets.js.
+// SOFTLAW_SIZE_GATE=off skips the check.
+task(TASK_COMPILE)
+    .setAction(async (args, hre, runSuper) => {
+        const result = await runSuper(args);
+        if (process.env.SOFTLAW_SIZE_GATE !== "off") {
+            const { runSizeGate, getCompiledMetrics } = require("../scripts/lib/contract-size");
+            runSizeGate({ metrics: getCompiledMetrics(), quiet: args.quiet });
+        }
+        return result;
+    });
+
+task("softlaw:size", "Report PolkaVM blob, EVM bytecode and memory sizes against the contract budgets")
+    .addOptionalParam("budgets", "Budget module (defaults to scripts/config/contract-budgets.js)", undefined, types.string)
+    .addOptionalParam("contract", "Only show the history of this contract", undefined, types.string)
+    .addFlag("history", "Show size changes across the recorded commits")
+    .addFlag("record", "Record the sizes of the current network's build as the snapshot of this commit")
+    .addFlag("all", "Also list contracts that are not gated (OpenZeppelin, test mocks)")
+    .setAction(async ({ budgets, contract, history, record, all }) => {
+        const { runSizeGate, loadBudgets, loadHistory, formatHistory, getCompiledMetrics } = require("../scripts/lib/contract-size");
+
+        if (history) {
+            const { historyPath } = loadBudgets(budgets);
+            const output = formatHistory(loadHistory(historyPath), { contract });
+            console.log(output || `No sizes recorded in ${historyPath} yet, run npx hardhat softlaw:size --record first`);
+            return;
+        }
+        // Only the metrics this network's compile produced, so stale artifacts
+        // of the other backend are not recorded against this commit
+        return runSizeGate({ budgets, all, record, metrics: record ? getCompiledMetrics() : undefined });
+    });
+
+task("softlaw:wrap-ip", "Wrap a copyright NFT into personalized ERC20 tokens")
+    .addParam("tokenId", "Token ID of the NFT to wrap", undefined, types.string)
+    .addParam("title", "IP title used in the token name", undefined, types.string)
+    .addOptionalParam("nft", "NFT contract address (defaults to the registered TestCopyrightNFT)", undefined, types.string)
+    .addOptionalParam("supply", "Total token supply (whole tokens)", "1000", types.string)
+    .addOptionalParam("price", "Price per token in SLAW", "10", types.string)
+    .addOptionalParam("account", "Index of the signer that owns the NFT", 0, types.int)
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async (taskArgs, hre) => {
+        const registry = require("../scripts/lib/deployment-registry");
+        const { fromRegistry } = require("../sdk");
+        const { ethers } = hre;
+
+        const signers = await ethers.getSigners();
+        const owner = signers[taskArgs.account];
+        if (!owner) {
+            throw new Error(`No signer at index ${taskArgs.account} on network ${hre.network.name}`);
+        }
+
+        const nftAddress = taskArgs.nft || registry.getDeployment("TestCopyrightNFT").address;
+        const softlaw = fromRegistry(registry.loadRegistry(), owner);
+
+        console.log(`🎁 Wrapping NFT ${nftAddress} #${taskArgs.tokenId} as ${owner.address}`);
+
+        const { ipId, tokenAddress, receipt } = await softlaw.wrapIP({
+            nftContract: nftAddress,
+            tokenId: taskArgs.tokenId,
+            totalSupply: ethers.parseEther(taskArgs.supply),
+            pricePerToken: ethers.parseEther(taskArgs.price),
+            title: taskArgs.title
+        });
+
+        console.log(`✅ Wrapped IP ${ipId}`);
+        console.log(`🪙 Token Address: ${tokenAddress}`);
+        return { ipId, tokenAddress, txHash: receipt.hash };
+    }));
+
+task("softlaw:propose", "Create SoftLawGovernance proposals from actions encoded off-chain")
+    .addOptionalParam("name", "Proposal name", undefined, types.string)
+    .addOptionalParam("description", "Proposal description", undefined, types.string)
+    .addOptionalParam("file", "JSON or YAML draft with name, description and actions", undefined, types.string)
+    .addOptionalParam("account", "Index of the member signer", 0, types.int)
+    .addFlag("preview", "Only print what the proposal would do")
+    .addFlag("simulate", "Simulate executing the actions before creating the proposals")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .addOptionalVariadicPositionalParam("actions", "Actions such as \"DAOTreasury.spend(5000, signer1)\"", [])
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/governance");
+        return main("create", options);
+    }));
+
+task("softlaw:proposals", "List SoftLawGovernance proposals with their votes, status and decoded action")
+    .addOptionalParam("id", "Only this proposal", undefined, types.int)
+    .addOptionalParam("json", "Also write the proposals to this JSON file", undefined, types.string)
+    .setAction(onConfiguredNetwork(async ({ id, json }) => {
+        const { main } = require("../scripts/governance");
+        return main("list", { id, json });
+    }));
+
+task("softlaw:simulate", "Simulate executing a SoftLawGovernance proposal, a draft or calldata on a local fork")
+    .addOptionalParam("id", "Proposal id", undefined, types.int)
+    .addOptionalParam("file", "JSON or YAML draft with name and actions", undefined, types.string)
+    .addOptionalParam("name", "Draft name", undefined, types.string)
+    .addOptionalParam("calldata", "Raw proposal calldata", undefined, types.string)
+    .addOptionalParam("proposalType", "Treasury or Membership, for --calldata", "Treasury", types.string)
+    .addOptionalParam("account", "Index of the member signer that would execute", 0, types.int)
+    .addOptionalParam("json", "Also write the simulation to this JSON file", undefined, types.string)
+    .addOptionalVariadicPositionalParam("actions", "Actions such as \"DAOTreasury.spend(5000, signer1)\"", [])
+    .setAction(onConfiguredNetwork(async ({ calldata, ...options }) => {
+        const { main } = require("../scripts/governance");
+        return main("simulate", { ...options, callData: calldata });
+    }));
+
+task("softlaw:vote", "Vote on a SoftLawGovernance proposal")
+    .addParam("id", "Proposal id", undefined, types.int)
+    .addParam("vote", "aye, nay or abstain", undefined, types.string)
+    .addOptionalParam("account", "Index of the member signer", 0, types.int)
+    .addFlag("skipSimulation", "Vote without simulating the proposal first")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async ({ id, vote, account, skipSimulation }) => {
+        const { main } = require("../scripts/governance");
+        return main("vote", { id, vote, account, skipSimulation });
+    }));
+
+task("softlaw:execute", "Execute a SoftLawGovernance proposal that passed")
+    .addParam("id", "Proposal id", undefined, types.int)
+    .addOptionalParam("account", "Index of the member signer", 0, types.int)
+    .addFlag("skipSimulation", "Execute without simulating the proposal first, even if it would revert")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async ({ id, account, skipSimulation }) => {
+        const { main } = require("../scripts/governance");
+        return main("execute", { id, account, skipSimulation });
+    }));
+
+task("softlaw:governance-report", "Report governance turnout, quorum history, member participation and failed executions")
+    .addOptionalParam("out", "Output directory (defaults to deployments/governance-report-<network>)", undefined, types.string)
+    .addOptionalParam("format", "Comma-separated formats: json, csv, html", "json,csv,html", types.string)
+    .addOptionalParam("from", "First block to read (defaults to the governor's deployment block)", undefined, types.int)
+    .addFlag("skipFailures", "Do not scan blocks for failed executions")
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/governance-report");
+        return main(options);
+    }));
+
+task("softlaw:dispute-file", "File an ADR dispute against a defendant, paying the filing fee")
+    .addParam("type", "COPYRIGHT_INFRINGEMENT, LICENSE_BREACH, OWNERSHIP_DISPUTE or ROYALTY_DISPUTE", undefined, types.string)
+    .addParam("defendant", "Defendant address or signerN", undefined, types.string)
+    .addParam("damages", "Claimed damages in SLAW", undefined, types.string)
+    .addOptionalParam("description", "Description of the claim", "", types.string)
+    .addOptionalParam("ipId", "Related IP id", 0, types.int)
+    .addOptionalParam("ipContract", "Related IP contract address or component name", undefined, types.string)
+    .addOptionalParam("account", "Index of the plaintiff signer", 0, types.int)
+    .addFlag("force", "Send even if the guard finds blockers")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("file", options);
+    }));
+
+task("softlaw:docket", "List the ADR disputes of a party or arbitrator")
+    .addOptionalParam("of", "Account to list, address or signerN (defaults to the signer)", undefined, types.string)
+    .addOptionalParam("account", "Index of the signer", 0, types.int)
+    .addOptionalParam("json", "Also write the docket to this JSON file", undefined, types.string)
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("docket", options);
+    }));
+
+task("softlaw:dispute", "Show an ADR dispute with its evidence, fees, escrow and the steps open to the signer")
+    .addParam("id", "Dispute id", undefined, types.int)
+    .addOptionalParam("account", "Index of the signer the steps are checked for", 0, types.int)
+    .addOptionalParam("json", "Also write the dispute to this JSON file", undefined, types.string)
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("show", options);
+    }));
+
+task("softlaw:dispute-escrow", "Deposit escrow on an ADR dispute as a party")
+    .addParam("id", "Dispute id", undefined, types.int)
+    .addParam("amount", "Amount in SLAW", undefined, types.string)
+    .addOptionalParam("account", "Index of the party signer", 0, types.int)
+    .addFlag("force", "Send even if the guard finds blockers")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("escrow", options);
+    }));
+
+task("softlaw:dispute-arbitrate", "Move a filed ADR dispute into arbitration with a qualified arbitrator")
+    .addParam("id", "Dispute id", undefined, types.int)
+    .addParam("arbitrator", "Arbitrator address or signerN", undefined, types.string)
+    .addOptionalParam("account", "Index of the signer", 0, types.int)
+    .addFlag("force", "Send even if the guard finds blockers")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("arbitrate", options);
+    }));
+
+task("softlaw:dispute-evidence", "Bundle evidence files, or take a document hash, and submit it on an ADR dispute as a party")
+    .addParam("id", "Dispute id", undefined, types.int)
+    .addOptionalParam("hash", "Document hash (IPFS CID) to submit instead of files", undefined, types.string)
+    .addOptionalParam("description", "Description of the bundle", "", types.string)
+    .addOptionalParam("backend", "Evidence storage: local or ipfs (defaults to scripts/config/evidence.js)", undefined, types.string)
+    .addOptionalParam("account", "Index of the party signer", 0, types.int)
+    .addFlag("force", "Send even if the guard finds blockers")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .addOptionalVariadicPositionalParam("files", "Evidence files to bundle (PDFs, images, audio, ...)", [])
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("evidence", options);
+    }));
+
+task("softlaw:dispute-decide", "Submit the assigned arbitrator's decision on an ADR dispute")
+    .addParam("id", "Dispute id", undefined, types.int)
+    .addParam("winner", "plaintiff or defendant", undefined, types.string)
+    .addOptionalParam("award", "Award in SLAW, paid from escrow on enforcement", undefined, types.string)
+    .addOptionalParam("reasoning", "Reasoning of the decision", "", types.string)
+    .addOptionalParam("account", "Index of the arbitrator signer", 0, types.int)
+    .addFlag("force", "Send even if the guard finds blockers")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("decide", options);
+    }));
+
+task("softlaw:dispute-enforce", "Enforce the award of a resolved ADR dispute and refund the remaining escrow")
+    .addParam("id", "Dispute id", undefined, types.int)
+    .addOptionalParam("account", "Index of the signer", 0, types.int)
+    .addFlag("force", "Send even if the guard finds blockers")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("enforce", options);
+    }));
+
+task("softlaw:arbitrator-register", "Register the signer as an ADR arbitrator")
+    .addParam("name", "Arbitrator name", undefined, types.string)
+    .addParam("fee", "Fee per case in SLAW", undefined, types.string)
+    .addOptionalParam("account", "Index of the arbitrator signer", 0, types.int)
+    .addFlag("force", "Send even if the guard finds blockers")
+    .addFlag("dryRun", "Simulate on a fork or ephemeral node and report the transactions, without broadcasting")
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/adr");
+        return main("register", options);
+    }));
+
+task("softlaw:evidence-bundle", "Bundle evidence files into the evidence storage and print the CID to submit")
+    .addOptionalParam("id", "Dispute the bundle is meant for, recorded in its manifest", undefined, types.int)
+    .addOptionalParam("description", "Description of the bundle", "", types.string)
+    .addOptionalParam("backend", "Evidence storage: local or ipfs (defaults to scripts/config/evidence.js)", undefined, types.string)
+    .addOptionalParam("json", "Also write the manifest to this JSON file", undefined, types.string)
+    .addVariadicPositionalParam("files", "Evidence files (PDFs, images, audio, ...)")
+    .setAction(async (options) => {
+        const { main } = require("../scripts/evidence");
+        return main("bundle", options);
+    });
+
+task("softlaw:evidence-verify", "Verify the evidence submitted on an ADR dispute against the stored bundles, flagging tampering")
+    .addParam("id", "Dispute id", undefined, types.int)
+    .addOptionalParam("evidence", "Only this evidence id", undefined, types.int)
+    .addOptionalParam("backend", "Evidence storage: local or ipfs (defaults to scripts/config/evidence.js)", undefined, types.string)
+    .addOptionalParam("account", "Index of the signer", 0, types.int)
+    .addOptionalParam("json", "Also write the results to this JSON file", undefined, types.string)
+    .addFlag("strict", "Fail unless every record verifies")
+    .addOptionalVariadicPositionalParam("files", "Local copies of the evidence files to compare", [])
+    .setAction(onConfiguredNetwork(async (options) => {
+        const { main } = require("../scripts/evidence");
+        return main("verify", options);
+    }));
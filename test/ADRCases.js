@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { governanceFixture } = require("./shared/fixtures");
+const resolver = require("../scripts/lib/contract-resolver");
+const { predictCreateAddress } = require("../scripts/lib/address-prediction");
+const { createDisputes } = require("../sdk/disputes");
+const { cidOf, createStorage, storeBundle, verifyBundle } = require("../sdk/evidence");
+
+async function component(contract) {
+  return { address: await contract.getAddress(), abi: JSON.parse(contract.interface.formatJson()) };
+}
+
+describe("ADR case management", function () {
+  let world;
+  let contracts;
+
+  beforeEach(async function () {
+    world = await loadFixture(governanceFixture);
+    contracts = {
+      ADRSystem: await component(world.adrSystem),
+      TreasuryCore: await component(world.treasuryCore),
+    };
+  });
+
+  it("explains why a transition is not allowed", async function () {
+    const { creator, investor, arbitrator } = world;
+    const disputes = createDisputes({ signer: creator, contracts });
+    const claim = { disputeType: "LICENSE_BREACH", defendant: investor.address, claimedDamages: ethers.parseEther("2500") };
+
+    const filing = await disputes.check("file", claim);
+    expect(filing.allowed).to.equal(false);
+    expect(filing.blockers[0]).to.contain("from its own balance");
+
+    const self = await disputes.check("file", { ...claim, defendant: creator.address });
+    expect(self.blockers).to.deep.equal(["The plaintiff and the defendant must be different accounts"]);
+
+    expect((await disputes.check("evidence", { id: 1, documentHash: "bafy" })).blockers).to.deep.equal([
+      "Dispute #1 does not exist",
+    ]);
+    const registered = await disputes.check("register", { name: "Ada", feePerCase: 1n, account: arbitrator.address });
+    expect(registered.blockers[0]).to.contain("already registered");
+
+    await expect(disputes.file({ ...claim, disputeType: "PLAGIARISM" })).to.be.rejectedWith('Invalid dispute type "PLAGIARISM"');
+  });
+
+  it("files a dispute, lists it on both dockets and tracks the filing fee", async function () {
+    const { deployer, creator, investor, arbitrator, outsider } = world;
+    // A treasury that accepts native tokens, and an ADRSystem holding the fees it pays out.
+    // ADRSystem has no receive(): fund its address before deploying it there
+    const predicted = await predictCreateAddress(deployer.address, { offset: 1 });
+    await (await deployer.sendTransaction({ to: predicted, value: ethers.parseEther("1000") })).wait();
+    const ADRSystem = await resolver.getContractFactory("ADRSystem");
+    const adrSystem = await ADRSystem.deploy(deployer.address, outsider.address);
+    await adrSystem.waitForDeployment();
+    expect(await adrSystem.getAddress()).to.equal(predicted);
+    contracts.ADRSystem = await component(adrSystem);
+
+    const disputes = createDisputes({ signer: creator, contracts });
+    await createDisputes({ signer: arbitrator, contracts }).registerArbitrator("Ada Arbiter", ethers.parseEther("100"));
+    const filed = await disputes.file({
+      disputeType: "COPYRIGHT_INFRINGEMENT",
+      defendant: investor.address,
+      claimedDamages: ethers.parseEther("2500"),
+      description: "Unlicensed reuse",
+    });
+    expect(filed.id).to.equal(1n);
+
+    const [asDefendant] = await disputes.docket(investor.address);
+    expect(asDefendant).to.include({ role: "defendant", status: "FILED", disputeType: "COPYRIGHT_INFRINGEMENT" });
+    expect((await disputes.docket()).map(dispute => dispute.role)).to.deep.equal(["plaintiff"]);
+
+    const ledger = await disputes.getLedger(filed.id);
+    expect(ledger.fees.filing).to.equal(ethers.parseEther("50"));
+    expect(ledger.payments[0].recipient).to.equal(outsider.address);
+
+    const [escrow, arbitrate, evidence] = await disputes.nextSteps(filed.id, {
+      arbitrator: arbitrator.address,
+      documentHash: "bafy",
+      amount: ethers.parseEther("1"),
+    });
+    expect(escrow.blockers[0]).to.contain("paid to the ADRSystem itself");
+    expect(arbitrate.blockers[0]).to.contain("paid to the ADRSystem itself");
+    expect(evidence.blockers[0]).to.contain("no function moves a dispute into MEDIATION");
+  });
+
+  it("bundles evidence under its CID and flags tampering in storage", async function () {
+    const objects = new Map();
+    const storage = createStorage({
+      name: "memory",
+      put: async bytes => {
+        objects.set(cidOf(bytes), Buffer.from(bytes));
+        return cidOf(bytes);
+      },
+      get: async locator => objects.get(locator) || null,
+    });
+    const brief = { name: "brief.pdf", data: Buffer.from("%PDF-1.4 license terms") };
+    const call = { name: "call.mp3", data: Buffer.from("ID3 recorded call") };
+
+    expect(cidOf(Buffer.alloc(0))).to.equal("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku");
+    const { cid, manifest } = await storeBundle([brief, call], storage, { disputeId: 1n });
+    expect(manifest.files.map(file => file.mediaType)).to.deep.equal(["application/pdf", "audio/mpeg"]);
+    expect((await verifyBundle(cid, storage, { disputeId: 1n, files: [brief] })).status).to.equal("verified");
+    expect((await verifyBundle(cid, storage, { disputeId: 2n })).issues[0]).to.contain("made for dispute #1");
+
+    const altered = { name: "brief.pdf", data: Buffer.from("%PDF-1.4 other terms") };
+    expect((await verifyBundle(cid, storage, { files: [altered] })).status).to.equal("tampered");
+    objects.set(manifest.files[1].locator, Buffer.from("ID3 edited call"));
+    const result = await verifyBundle(cid, storage);
+    expect(result.status).to.equal("tampered");
+    expect(result.files.map(file => file.status)).to.deep.equal(["verified", "tampered"]);
+    expect((await verifyBundle("QmLegacyHash", storage)).status).to.equal("unverifiable");
+  });
+});
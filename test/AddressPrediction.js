@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ipFixture } = require("./shared/fixtures");
+const resolver = require("../scripts/lib/contract-resolver");
+const { findEvent } = require("../sdk/receipts");
+const {
+  getSemantics,
+  getCreationCode,
+  pairSalt,
+  predictPairAddress,
+  predictWrappedIPTokenAddress,
+  predictFactoryTokenAddress,
+} = require("../scripts/lib/address-prediction");
+
+const TEST_ADDRESSES = [
+  "0x2000000000000000000000000000000000000000",
+  "0x1000000000000000000000000000000000000000",
+];
+
+describe(`AddressPrediction (${getSemantics()})`, function () {
+  it("predicts UniswapV2Factory pair addresses", async function () {
+    const [wallet] = await ethers.getSigners();
+
+    // pallet-revive only instantiates code that already exists on chain
+    const UniswapV2Pair = await resolver.getContractFactory("UniswapV2Pair");
+    await (await UniswapV2Pair.deploy()).waitForDeployment();
+
+    const UniswapV2Factory = await resolver.getContractFactory("UniswapV2Factory");
+    const factory = await UniswapV2Factory.deploy(wallet.address);
+    await factory.waitForDeployment();
+    const factoryAddress = await factory.getAddress();
+
+    const predicted = await predictPairAddress(factoryAddress, ...TEST_ADDRESSES);
+    // Token order does not matter
+    expect(await predictPairAddress(factoryAddress, TEST_ADDRESSES[1], TEST_ADDRESSES[0])).to.equal(predicted);
+
+    const receipt = await (await factory.createPair(...TEST_ADDRESSES)).wait();
+    const { token0, token1, pair } = findEvent(receipt, factory, factoryAddress, "PairCreated").args;
+
+    expect(pair).to.equal(predicted);
+    expect([token0, token1]).to.deep.equal([pairSalt(...TEST_ADDRESSES).token0, pairSalt(...TEST_ADDRESSES).token1]);
+    expect(await factory.getPair(...TEST_ADDRESSES)).to.equal(predicted);
+  });
+
+  it("predicts PersonalizedWrappedIPToken addresses from WrappedIPManager", async function () {
+    const { creator, wrappedIPManager, testNFT, nfts } = await loadFixture(ipFixture);
+    const managerAddress = await wrappedIPManager.getAddress();
+    const nftAddress = await testNFT.getAddress();
+
+    const predicted = [
+      await predictWrappedIPTokenAddress(managerAddress),
+      await predictWrappedIPTokenAddress(managerAddress, { offset: 1 }),
+    ];
+
+    const actual = [];
+    for (const nft of nfts.filter((seed) => seed.owner === creator)) {
+      await (await testNFT.connect(creator).approve(managerAddress, nft.tokenId)).wait();
+      const receipt = await (
+        await wrappedIPManager
+          .connect(creator)
+          .wrapIP(nftAddress, nft.tokenId, ethers.parseEther("1000"), ethers.parseEther("1"), nft.title)
+      ).wait();
+      actual.push(findEvent(receipt, wrappedIPManager, managerAddress, "IPWrapped").args.tokenAddress);
+    }
+
+    expect(actual).to.deep.equal(predicted);
+  });
+
+  it("predicts WrappedIPToken addresses from WrappedIPFactory", async function () {
+    const [owner, creator] = await ethers.getSigners();
+
+    const WrappedIPFactory = await resolver.getContractFactory("WrappedIPFactory");
+    const factory = await WrappedIPFactory.deploy(owner.address, owner.address);
+    await factory.waitForDeployment();
+    const factoryAddress = await factory.getAddress();
+
+    const predicted = await predictFactoryTokenAddress(factoryAddress);
+
+    const receipt = await (
+      await factory.createWrappedIPToken(1, TEST_ADDRESSES[0], ethers.parseEther("1000"), creator.address, "Song", "SONG", "", {
+        value: await factory.creationFee(),
+      })
+    ).wait();
+    const { tokenAddress } = findEvent(receipt, factory, factoryAddress, "WrappedIPTokenCreated").args;
+
+    expect(tokenAddress).to.equal(predicted);
+  });
+
+  it("refuses to predict with bytecode compiled for the other backend", async function () {
+    const other = getSemantics() === "pvm" ? "evm" : "pvm";
+    await expect(getCreationCode("UniswapV2Pair", other)).to.be.rejectedWith(
+      `UniswapV2Pair is compiled as ${getSemantics().toUpperCase()} bytecode, cannot predict ${other.toUpperCase()} addresses`
+    );
+  });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const http = require("http");
+const { createAlertManager } = require("../scripts/lib/alerts");
+const { extractMetrics, renderMetrics, startMetricsServer } = require("../scripts/lib/metrics-exporter");
+
+const MINUTE = 60 * 1000;
+
+// A health report with one metric probe, shaped like runHealthChecks() output
+function report(treasuryBalance, { status = "healthy" } = {}) {
+  return {
+    network: "hardhat",
+    status,
+    generatedAt: "2026-01-01T00:00:00.000Z",
+    durationMs: 250,
+    blockNumber: 42,
+    summary: { total: 2, pass: 2, fail: 0, error: 0, skip: 0 },
+    components: {
+      SLAWToken: {
+        address: "0x1000000000000000000000000000000000000001",
+        status,
+        probes: [
+          { id: "code", kind: "code", severity: "critical", status: "pass", value: 100 },
+          {
+            id: "treasuryBalance",
+            kind: "metric",
+            severity: "info",
+            unit: "SLAW",
+            status: "pass",
+            value: (BigInt(treasuryBalance) * 10n ** 18n).toString(),
+          },
+        ],
+      },
+    },
+  };
+}
+
+function get(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path: urlPath }, res => {
+        let body = "";
+        res.on("data", chunk => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body }));
+      })
+      .on("error", reject);
+  });
+}
+
+describe("Monitor alerts", function () {
+  const realNow = Date.now;
+  let now;
+  let received;
+
+  beforeEach(function () {
+    now = Date.parse("2026-01-01T00:00:00.000Z");
+    Date.now = () => now;
+    received = [];
+  });
+
+  afterEach(function () {
+    Date.now = realNow;
+  });
+
+  function manager(rules, options = {}) {
+    return createAlertManager({ rules, sinks: [{ name: "test", send: async n => received.push(n) }], ...options });
+  }
+
+  it("fires threshold rules in whole units", async function () {
+    const alerts = manager([
+      { id: "treasury-low", type: "threshold", metric: "SLAWToken.treasuryBalance", below: 1000, severity: "critical" },
+      { id: "treasury-high", type: "threshold", metric: "SLAWToken.treasuryBalance", above: 5000 },
+    ]);
+
+    expect(await alerts.evaluate(report(2000))).to.deep.equal([]);
+
+    const [low] = await alerts.evaluate(report(999));
+    expect(low).to.include({ state: "firing", rule: "treasury-low", key: "treasury-low", severity: "critical", repeat: false });
+    expect(low.summary).to.equal("SLAWToken.treasuryBalance is 999, below 1000");
+    expect(low.details).to.deep.equal({ metric: "SLAWToken.treasuryBalance", value: 999, below: 1000 });
+
+    now += MINUTE;
+    const sent = await alerts.evaluate(report(6000));
+    expect(sent.map(n => [n.rule, n.state])).to.deep.equal([
+      ["treasury-high", "firing"],
+      ["treasury-low", "resolved"],
+    ]);
+    expect(sent[0].severity).to.equal("warning");
+  });
+
+  it("deduplicates a firing alert until repeatMinutes have passed", async function () {
+    const alerts = manager([{ id: "treasury-low", type: "threshold", metric: "SLAWToken.treasuryBalance", below: 1000 }], {
+      repeatMinutes: 30,
+    });
+    const firstSeenAt = new Date(now).toISOString();
+
+    expect(await alerts.evaluate(report(10))).to.have.length(1);
+    now += 10 * MINUTE;
+    expect(await alerts.evaluate(report(10))).to.deep.equal([]);
+    now += 19 * MINUTE;
+    expect(await alerts.evaluate(report(10))).to.deep.equal([]);
+    expect(alerts.getActive()).to.have.length(1);
+
+    now += MINUTE;
+    const [repeat] = await alerts.evaluate(report(10));
+    expect(repeat).to.include({ state: "firing", repeat: true, firstSeenAt });
+
+    // The next repeat is counted from the last notification
+    now += 29 * MINUTE;
+    expect(await alerts.evaluate(report(10))).to.deep.equal([]);
+    expect(received).to.have.length(2);
+  });
+
+  it("sends a resolved notification once the condition clears", async function () {
+    const alerts = manager([{ id: "system", type: "status", status: "degraded", severity: "critical" }]);
+    const firstSeenAt = new Date(now).toISOString();
+
+    await alerts.evaluate(report(10, { status: "unhealthy" }));
+    now += 5 * MINUTE;
+    const [resolved] = await alerts.evaluate(report(10));
+
+    expect(resolved).to.include({ state: "resolved", rule: "system", severity: "critical", firstSeenAt, network: "hardhat" });
+    expect(resolved.timestamp).to.equal(new Date(now).toISOString());
+    expect(alerts.getActive()).to.deep.equal([]);
+    expect(await alerts.evaluate(report(10))).to.deep.equal([]);
+    expect(received.map(n => n.state)).to.deep.equal(["firing", "resolved"]);
+  });
+
+  it("only delivers alerts at or above a sink's minSeverity", async function () {
+    const critical = [];
+    const alerts = createAlertManager({
+      rules: [{ id: "treasury-low", type: "threshold", metric: "SLAWToken.treasuryBalance", below: 1000, severity: "warning" }],
+      sinks: [{ name: "pager", minSeverity: "critical", send: async n => critical.push(n) }],
+    });
+
+    expect(await alerts.evaluate(report(10))).to.have.length(1);
+    expect(critical).to.deep.equal([]);
+  });
+
+  it("rejects invalid rules", function () {
+    expect(() => createAlertManager({ rules: [{ id: "x", type: "threshold", metric: "A.b" }] })).to.throw(
+      "Alert rule x: threshold rules need a metric and below and/or above"
+    );
+    expect(() => createAlertManager({ rules: [{ id: "x", type: "guess" }] })).to.throw('Alert rule x: unknown type "guess"');
+    expect(() => createAlertManager({ sinks: [{ type: "pager" }] })).to.throw('Unknown alert sink type "pager"');
+  });
+});
+
+describe("Metrics exporter", function () {
+  it("extracts passing metric probes scaled by unit", function () {
+    expect(extractMetrics(report(1500))).to.deep.equal({ "SLAWToken.treasuryBalance": 1500 });
+  });
+
+  it("serves the latest report on localhost in the Prometheus text format", async function () {
+    let current = null;
+    const server = await startMetricsServer({ port: 0 }, () => renderMetrics(current, { iterations: 3, alertsFiring: 1 }));
+
+    try {
+      const { address, port } = server.address();
+      expect(address).to.equal("127.0.0.1");
+
+      const empty = await get(port, "/metrics");
+      expect(empty.body).to.contain("\nsoftlaw_monitor_iterations_total 3\n");
+      expect(empty.body).to.not.contain("softlaw_health_status");
+
+      current = report(1500, { status: "degraded" });
+      const metrics = await get(port, "/metrics");
+      expect(metrics.status).to.equal(200);
+      expect(metrics.type).to.equal("text/plain; version=0.0.4; charset=utf-8");
+
+      const lines = metrics.body.trim().split("\n");
+      for (const line of lines.filter(line => !line.startsWith("#"))) {
+        expect(line, line).to.match(/^[a-z_]+(\{[a-z_]+="[^"]*"(,[a-z_]+="[^"]*")*\})? -?[\d.]+$/);
+      }
+      expect(lines).to.include("# TYPE softlaw_monitor_iterations_total counter");
+      expect(lines).to.include('softlaw_monitor_iterations_total{network="hardhat"} 3');
+      expect(lines).to.include('softlaw_alerts_firing{network="hardhat"} 1');
+      expect(lines).to.include('softlaw_health_status{network="hardhat"} 1');
+      expect(lines).to.include('softlaw_health_block_number{network="hardhat"} 42');
+      expect(lines).to.include(
+        'softlaw_component_health_status{network="hardhat",component="SLAWToken",address="0x1000000000000000000000000000000000000001"} 1'
+      );
+      expect(lines).to.include('softlaw_probe_status{network="hardhat",component="SLAWToken",probe="code",kind="code",severity="critical"} 1');
+      expect(lines).to.include('softlaw_metric{network="hardhat",component="SLAWToken",metric="treasuryBalance",unit="SLAW"} 1500');
+
+      expect((await get(port, "/health")).status).to.equal(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
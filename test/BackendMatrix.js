@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { diffRecordings } = require("../scripts/lib/backend-matrix");
+
+function tx(method, gasUsed, events = [], status = "success") {
+  return { kind: "tx", contract: "SLAWToken#1", method, status, gasUsed, events };
+}
+
+function call(method, result) {
+  return { kind: "call", contract: "SLAWToken#1", method, result };
+}
+
+function revert(method, reason) {
+  return { kind: "revert", via: "transaction", contract: "SLAWToken#1", method, reason };
+}
+
+function recording(tests) {
+  return {
+    network: "hardhat",
+    tests: Object.fromEntries(
+      Object.entries(tests).map(([title, operations]) => [
+        title,
+        {
+          title,
+          state: "passed",
+          error: null,
+          gasUsed: operations.reduce((sum, op) => sum + BigInt(op.gasUsed || 0), 0n).toString(),
+          operations,
+        },
+      ])
+    ),
+  };
+}
+
+const TRANSFER = { contract: "SLAWToken#1", event: "Transfer", args: ["signer0", "signer1", "100"] };
+
+describe("Backend matrix", function () {
+  it("reports tx, call and revert divergences but not gas differences", function () {
+    const evm = recording({
+      same: [tx("transfer(address,uint256)", "51000", [TRANSFER]), call("balanceOf(address)", ["100"])],
+      tx: [tx("transfer(address,uint256)", "51000", [TRANSFER])],
+      call: [call("balanceOf(address)", ["100"])],
+      revert: [revert("transfer(address,uint256)", "ERC20InsufficientBalance(signer0, 0, 100)")],
+      evmOnly: [],
+    });
+    const pvm = recording({
+      same: [tx("transfer(address,uint256)", "3570000", [TRANSFER]), call("balanceOf(address)", ["100"])],
+      tx: [tx("transfer(address,uint256)", "51000", [], "reverted")],
+      call: [call("balanceOf(address)", ["0"])],
+      revert: [revert("transfer(address,uint256)", "reverted without reason")],
+    });
+
+    const { divergences, gas } = diffRecordings(evm, pvm);
+
+    expect(divergences.map(d => [d.test, d.type, d.detail])).to.deep.equal([
+      ["tx", "operation", "#0 SLAWToken#1.transfer(address,uint256)"],
+      ["call", "operation", "#0 SLAWToken#1.balanceOf(address)"],
+      ["revert", "operation", "#0 SLAWToken#1.transfer(address,uint256)"],
+      ["evmOnly", "missing", "only ran on evm"],
+    ]);
+
+    const [txDiff, callDiff, revertDiff] = divergences;
+    expect(txDiff.evm).to.include({ status: "success" });
+    expect(txDiff.pvm).to.include({ status: "reverted" });
+    expect(callDiff.evm.result).to.deep.equal(["100"]);
+    expect(callDiff.pvm.result).to.deep.equal(["0"]);
+    expect(revertDiff.pvm.reason).to.equal("reverted without reason");
+
+    // Gas is reported per test, never as a divergence
+    expect(gas.find(entry => entry.test === "same")).to.deep.equal({ test: "same", evm: "51000", pvm: "3570000", ratio: 70 });
+    expect(gas.map(entry => entry.test)).to.deep.equal(["same", "tx", "call", "revert"]);
+  });
+
+  it("reports extra operations and a different outcome", function () {
+    const evm = recording({ mint: [tx("mint(address,uint256)", "70000")] });
+    const pvm = recording({ mint: [tx("mint(address,uint256)", "70000"), call("totalSupply()", ["1"])] });
+    pvm.tests.mint.state = "failed";
+    pvm.tests.mint.error = "expected 1 to equal 2";
+
+    const { divergences } = diffRecordings(evm, pvm);
+
+    expect(divergences.map(d => [d.type, d.detail])).to.deep.equal([
+      ["outcome", "passed on evm, failed on pvm"],
+      ["operation", "#1 SLAWToken#1.totalSupply()"],
+      ["operation-count", "1 operations on evm, 2 on pvm"],
+    ]);
+    expect(divergences[0].pvm).to.equal("expected 1 to equal 2");
+    expect(divergences[1].evm).to.equal(null);
+  });
+});
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const resolver = require("../scripts/lib/contract-resolver");
+
+describe("Contract resolver", function () {
+  const savedProfile = process.env.SOFTLAW_PROFILE;
+
+  afterEach(function () {
+    if (savedProfile === undefined) {
+      delete process.env.SOFTLAW_PROFILE;
+    } else {
+      process.env.SOFTLAW_PROFILE = savedProfile;
+    }
+  });
+
+  it("resolves the same component per profile", async function () {
+    delete process.env.SOFTLAW_PROFILE;
+    expect(await resolver.resolveArtifact("TreasuryCore")).to.equal("contracts/treasury/TreasuryCore.sol:TreasuryCore");
+    expect(await resolver.resolveArtifact("TreasuryCore", "integrations")).to.equal(
+      "contracts/integrations/TreasuryCore.sol:OptimizedTreasuryCore"
+    );
+
+    process.env.SOFTLAW_PROFILE = "integrations";
+    expect(await resolver.resolveArtifact("SLAWToken")).to.equal("contracts/integrations/SLAWToken.sol:SLAWToken");
+    // An explicit profile wins over the environment
+    expect(await resolver.resolveArtifact("SLAWToken", "classic")).to.equal("contracts/treasury/SLAWToken.sol:SLAWToken");
+  });
+
+  it("accepts fully qualified names and rejects unknown profiles", async function () {
+    const fqn = "contracts/IP-liquidity/LiquidityManager.sol:OptimizedLiquidityManager";
+    expect(await resolver.resolveArtifact(fqn)).to.equal(fqn);
+    await expect(resolver.resolveArtifact("contracts/Missing.sol:Missing")).to.be.rejectedWith(
+      "Artifact not found: contracts/Missing.sol:Missing"
+    );
+    expect(() => resolver.getProfile("optimized")).to.throw('Unknown deployment profile "optimized". Available profiles: classic, integrations');
+  });
+
+  it("reports every unresolved component with a diagnosis", async function () {
+    const error = await resolver
+      .assertComponents(["SLAWToken", "IERC20", "OptimizedTreasuryCore", "ValuedLiquidityPair"], "classic")
+      .then(() => null, error => error);
+
+    expect(error, "assertComponents should reject").to.be.an("error");
+    const [ambiguous, undeclared, missing, ...rest] = error.message.split("\n\n");
+    expect(rest).to.be.empty;
+
+    expect(ambiguous).to.contain('Cannot resolve "IERC20" in deployment profile "classic"');
+    expect(ambiguous).to.match(/"IERC20" is ambiguous, it matches \d+ artifacts/);
+    expect(ambiguous).to.contain("- @openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20");
+
+    expect(undeclared).to.contain(
+      "An artifact exists (contracts/integrations/TreasuryCore.sol:OptimizedTreasuryCore) but the profile does not declare it"
+    );
+
+    expect(missing).to.contain('Cannot resolve "ValuedLiquidityPair"');
+    expect(missing).to.contain("No compiled artifact has this name");
+    expect(missing).to.contain("Known components: ADRSystem, CopyrightLicensing");
+  });
+
+  it("returns the resolved map when every component resolves", async function () {
+    expect(await resolver.assertComponents(["LiquidityManager", "MarketplaceCore"], "integrations")).to.deep.equal({
+      LiquidityManager: "contracts/IP-liquidity/LiquidityManager.sol:OptimizedLiquidityManager",
+      MarketplaceCore: "contracts/integrations/MarketplaceCore.sol:OptimizedMarketplaceCore",
+    });
+  });
+});
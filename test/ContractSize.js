@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parsePvmBlob,
+  measureContracts,
+  checkBudgets,
+  loadHistory,
+  formatHistory,
+  runSizeGate,
+} = require("../scripts/lib/contract-size");
+
+// "PVM\0", version 0 and the u64 blob length, then the memory config section
+// (ro data 16, rw data 64, stack 100), a 4-byte code section and end of file
+const PVM_BLOB = "50564d00" + "00" + "0000000000000000" + "0103104064" + "0604deadbeef" + "00";
+
+function writeArtifact(dir, sourceName, contractName, bytecode, deployedBytecode = bytecode) {
+  const file = path.join(dir, sourceName, `${contractName}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // hardhat-polkadot writes the bytecode without the 0x prefix
+  fs.writeFileSync(file, JSON.stringify({ contractName, sourceName, abi: [], bytecode, deployedBytecode }));
+}
+
+describe("Contract size gate", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-sizes-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("measures PolkaVM blobs and EVM bytecode from the artifacts", function () {
+    expect(parsePvmBlob(`0x${PVM_BLOB}`)).to.deep.equal({
+      blobBytes: PVM_BLOB.length / 2,
+      codeBytes: 4,
+      roDataBytes: 16,
+      rwDataBytes: 64,
+      stackBytes: 100,
+      memoryBytes: 180,
+    });
+
+    writeArtifact(dir, "contracts/Big.sol", "Big", "60".repeat(300), "60".repeat(200));
+    writeArtifact(path.join(dir, "pvm"), "contracts/Big.sol", "Big", PVM_BLOB);
+    writeArtifact(dir, "contracts/test/Mock.sol", "Mock", "60".repeat(10));
+
+    const [big, mock] = measureContracts([dir]);
+    expect(big.fqn).to.equal("contracts/Big.sol:Big");
+    expect(big.evm).to.include({ evmBytes: 200, initcodeBytes: 300 });
+    expect(big.pvm).to.include({ blobBytes: PVM_BLOB.length / 2, memoryBytes: 180 });
+    expect(mock.evm.evmBytes).to.equal(10);
+  });
+
+  it("gates only the included contracts, with per-contract overrides", function () {
+    writeArtifact(dir, "contracts/Big.sol", "Big", "60".repeat(300), "60".repeat(200));
+    writeArtifact(dir, "contracts/Small.sol", "Small", "60".repeat(50));
+    writeArtifact(dir, "contracts/test/Mock.sol", "Mock", "60".repeat(500));
+    const contracts = measureContracts([dir]);
+
+    const budgets = {
+      defaults: { evmBytes: 100 },
+      contracts: { Small: { evmBytes: 40 } },
+      include: ["contracts/"],
+      exclude: ["contracts/test/"],
+    };
+    expect(checkBudgets(contracts, budgets)).to.deep.equal([
+      { contract: "Big", fqn: "contracts/Big.sol:Big", metric: "evmBytes", size: 200, budget: 100 },
+      { contract: "Small", fqn: "contracts/Small.sol:Small", metric: "evmBytes", size: 50, budget: 40 },
+    ]);
+
+    budgets.contracts.Big = { evmBytes: null };
+    expect(checkBudgets(contracts, budgets).map(violation => violation.contract)).to.deep.equal(["Small"]);
+  });
+
+  it("fails the build when a compiled contract is over budget and records its size", function () {
+    const historyPath = path.join(dir, "contract-sizes.json");
+    const budgetsFile = path.join(dir, "budgets.js");
+    const writeBudgets = evmBytes =>
+      fs.writeFileSync(budgetsFile, `module.exports = ${JSON.stringify({ defaults: { evmBytes }, historyPath })};`);
+
+    writeBudgets(64);
+    expect(() => runSizeGate({ budgets: budgetsFile, metrics: ["evmBytes"], quiet: true })).to.throw(
+      "contract budget(s) exceeded"
+    );
+    // Recording is opt-in, the gate alone writes nothing
+    expect(fs.existsSync(historyPath)).to.equal(false);
+
+    delete require.cache[budgetsFile];
+    writeBudgets(24576);
+    const { violations } = runSizeGate({ budgets: budgetsFile, metrics: ["evmBytes"], record: true, quiet: true });
+    expect(violations).to.deep.equal([]);
+
+    const [snapshot] = loadHistory(historyPath).snapshots;
+    const slawToken = snapshot.contracts["contracts/treasury/SLAWToken.sol:SLAWToken"];
+    expect(slawToken.evmBytes).to.be.a("number");
+    expect(formatHistory(loadHistory(historyPath), { contract: "SLAWToken" })).to.contain(snapshot.commit);
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const registry = require("../scripts/lib/deployment-registry");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ipFixture, governanceFixture } = require("./shared/fixtures");
+const { getDecoder, describeError } = require("../scripts/lib/receipt-decoder");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+describe("Receipt decoder", function () {
+  it("attributes the events of a contract created in the same receipt", async function () {
+    const { creator, testNFT, wrappedIPManager, nfts } = await loadFixture(ipFixture);
+    const [mine] = nfts.filter(seed => seed.owner === creator);
+    const managerAddress = await wrappedIPManager.getAddress();
+
+    await (await testNFT.connect(creator).approve(managerAddress, mine.tokenId)).wait();
+    const receipt = await (
+      await wrappedIPManager
+        .connect(creator)
+        .wrapIP(await testNFT.getAddress(), mine.tokenId, ethers.parseEther("1000"), ethers.parseEther("1"), mine.title)
+    ).wait();
+
+    const decoder = await getDecoder({ addresses: { WrappedIPManager: managerAddress } });
+    const events = decoder.decodeReceipt(receipt);
+    const wrapped = decoder.findEvent(receipt, "IPWrapped", { contract: "WrappedIPManager" });
+    expect(wrapped.args.creator).to.equal(creator.address);
+
+    // The token's initial mint is logged before IPWrapped announces it
+    const [mint] = events.filter(event => event.name === "Transfer" && event.address === wrapped.args.tokenAddress);
+    expect(mint.contract).to.equal("PersonalizedWrappedIPToken");
+    expect(mint.args.from).to.equal(ethers.ZeroAddress);
+    expect(decoder.contractAt(wrapped.args.tokenAddress)).to.equal("PersonalizedWrappedIPToken");
+    expect(() => decoder.findEvent(receipt, "PoolCreated")).to.throw(`PoolCreated event not found in transaction ${receipt.hash}`);
+  });
+
+  it("decodes custom errors, reason strings and panics", async function () {
+    const { deployer, daoTreasury } = await loadFixture(governanceFixture);
+    const decoder = await getDecoder();
+
+    // UniswapV2Pair declares the same error: the target of the failed call
+    // settles it once the decoder knows the address. Errors raised by ethers
+    // itself (any RPC node) carry that target, Hardhat's in-process ones do not.
+    const wallet = await new ethers.BrowserProvider(network.provider).getSigner(deployer.address);
+    const error = await daoTreasury.connect(wallet).printBrrrr(0).catch(e => e);
+    expect(await describeError(error)).to.equal("reverted with AmountMustBeGreaterThanZero()");
+    const addresses = { DAOTreasury: await daoTreasury.getAddress() };
+    expect(await describeError(error, { addresses })).to.equal("reverted with DAOTreasury.AmountMustBeGreaterThanZero()");
+    expect(decoder.decodeError(error.data).message).to.equal("AmountMustBeGreaterThanZero()");
+
+    const reason = ethers.concat(["0x08c379a0", coder.encode(["string"], ["Invalid user"])]);
+    expect(decoder.decodeError(reason)).to.include({ name: "Error", message: "Invalid user" });
+    const panic = ethers.concat(["0x4e487b71", coder.encode(["uint256"], [0x11])]);
+    expect(decoder.decodeError(panic).message).to.equal("Panic(0x11): arithmetic overflow or underflow");
+    expect(decoder.decodeError("0xdeadbeef").message).to.equal("Unknown custom error 0xdeadbeef");
+    expect(decoder.formatError(new Error("nonce too low"))).to.equal("nonce too low");
+  });
+
+  it("reads registry addresses on every call", async function () {
+    const network = "decoder-test";
+    const registryPath = registry.getRegistryPath(network);
+    const address = ethers.Wallet.createRandom().address;
+
+    try {
+      expect((await getDecoder({ network })).contractAt(address)).to.equal(null);
+      await registry.recordDeployment("DAOTreasury", { artifact: "contracts/treasury/DAOTreasury.sol:DAOTreasury", address }, network);
+      expect((await getDecoder({ network })).contractAt(address)).to.equal("DAOTreasury");
+    } finally {
+      fs.rmSync(registryPath, { force: true });
+    }
+  });
+});
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const registry = require("../scripts/lib/deployment-registry");
+const { runManifest, loadState } = require("../scripts/lib/deployment-engine");
+
+const SLAW_TOKEN = "contracts/treasury/SLAWToken.sol:SLAWToken";
+
+// SLAWToken and TreasuryCore linked first: the deployer loses TREASURY_ROLE
+// before fund-treasury-core runs, so that step reverts until the role is granted back
+const LINK_BEFORE_FUNDING = {
+  name: "engine-test",
+  profile: "classic",
+  steps: [
+    { id: "deploy-slaw-token", deploy: "SLAWToken", args: ["{deployer}", "{deployer}"] },
+    { id: "deploy-treasury-core", deploy: "TreasuryCore", args: ["{deployer}", "{SLAWToken}", "{deployer}"] },
+    { id: "link-slaw-treasury", call: "SLAWToken.updateTreasuryCore", args: ["{TreasuryCore}"] },
+    { id: "fund-treasury-core", call: "SLAWToken.treasuryTransfer", args: ["{TreasuryCore}", "{ether:1000}"] },
+  ],
+};
+
+describe("Deployment engine", function () {
+  let deployer;
+  let stateDir;
+  let statePath;
+  let savedRegistry;
+  let logs;
+
+  const log = message => logs.push(message);
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-engine-"));
+    statePath = path.join(stateDir, "state.json");
+    logs = [];
+
+    // Completed deploys are recorded in deployments/registry-<network>.json
+    const registryPath = registry.getRegistryPath();
+    savedRegistry = fs.existsSync(registryPath) ? fs.readFileSync(registryPath) : null;
+  });
+
+  afterEach(function () {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+    const registryPath = registry.getRegistryPath();
+    if (savedRegistry) {
+      fs.writeFileSync(registryPath, savedRegistry);
+    } else {
+      fs.rmSync(registryPath, { force: true });
+    }
+  });
+
+  it("resumes after a failed step without redeploying", async function () {
+    await expect(runManifest(LINK_BEFORE_FUNDING, { statePath, log })).to.be.rejectedWith(/Step fund-treasury-core failed/);
+
+    const failed = loadState(statePath);
+    expect(failed.steps["link-slaw-treasury"].status).to.equal("done");
+    expect(failed.steps["fund-treasury-core"].status).to.equal("failed");
+    expect(failed.steps["fund-treasury-core"].error).to.match(/AccessControlUnauthorizedAccount/);
+
+    const slawToken = await ethers.getContractAt(SLAW_TOKEN, failed.steps["deploy-slaw-token"].address);
+    await (await slawToken.grantRole(await slawToken.TREASURY_ROLE(), deployer.address)).wait();
+
+    logs = [];
+    const resumed = await runManifest(LINK_BEFORE_FUNDING, { statePath, log });
+    expect(logs[0]).to.contain("Resuming engine-test deployment (3/4 steps done)");
+    expect(logs.filter(line => line.includes("(already done)"))).to.have.length(3);
+    expect(resumed.addresses.SLAWToken).to.equal(failed.steps["deploy-slaw-token"].address);
+    expect(resumed.addresses.TreasuryCore).to.equal(failed.steps["deploy-treasury-core"].address);
+    expect(resumed.state.steps["fund-treasury-core"].status).to.equal("done");
+    expect(resumed.state.completedAt).to.be.a("string");
+    expect(await slawToken.balanceOf(resumed.addresses.TreasuryCore)).to.equal(ethers.parseEther("1000"));
+  });
+
+  it("checks the manifest against the resolved ABIs before sending anything", async function () {
+    const manifest = {
+      name: "engine-test",
+      profile: "classic",
+      steps: [
+        { id: "deploy-slaw-token", deploy: "SLAWToken", args: ["{deployer}"] },
+        { id: "fund-deployer", call: "SLAWToken.treasuryTransfer", args: ["{deployer}"] },
+      ],
+    };
+
+    const error = await runManifest(manifest, { statePath, log }).then(() => null, error => error);
+    expect(error, "runManifest should reject").to.be.an("error");
+    expect(error.message).to.contain(`Step deploy-slaw-token: ${SLAW_TOKEN} constructor takes 2 argument(s), manifest passes 1`);
+    expect(error.message).to.contain("Step fund-deployer: treasuryTransfer takes 2 argument(s), manifest passes 1");
+    expect(fs.existsSync(statePath)).to.equal(false);
+  });
+
+  it("does not resume a deployment under another profile", async function () {
+    const manifest = {
+      name: "engine-test",
+      profile: "classic",
+      steps: [{ id: "deploy-slaw-token", deploy: "SLAWToken", args: ["{deployer}", "{deployer}"] }],
+    };
+    await runManifest(manifest, { statePath, log });
+    expect(loadState(statePath).profile).to.equal("classic");
+
+    await expect(runManifest(manifest, { statePath, log, profile: "integrations" })).to.be.rejectedWith(
+      'Existing engine-test deployment on hardhat uses profile "classic"'
+    );
+  });
+
+  it("runs the integration manifest end to end", async function () {
+    const { state, contracts, addresses } = await runManifest("integration", { statePath, fresh: true, log });
+
+    expect(Object.values(state.steps).every(step => step.status === "done")).to.equal(true);
+    const { SLAWToken, WrappedIPManager } = contracts;
+    expect(await SLAWToken.treasuryCore()).to.equal(addresses.TreasuryCore);
+    expect(await SLAWToken.balanceOf(addresses.LiquidityManager)).to.equal(ethers.parseEther("5000000"));
+    expect(await SLAWToken.hasRole(await SLAWToken.TREASURY_ROLE(), deployer.address)).to.equal(false);
+    expect((await WrappedIPManager.creatorProfiles(deployer.address)).isVerified).to.equal(true);
+  });
+});
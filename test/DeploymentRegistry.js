@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const registry = require("../scripts/lib/deployment-registry");
+const { writeJsonAtomic } = require("../scripts/lib/json-file");
+
+// Registries are per network: each test gets network names of its own
+const NETWORK = "registry-test";
+const OTHER_NETWORK = "registry-test-other";
+const SLAW_TOKEN = "contracts/treasury/SLAWToken.sol:SLAWToken";
+const ADDRESSES = [
+  "0x1000000000000000000000000000000000000001",
+  "0x2000000000000000000000000000000000000002",
+  "0x3000000000000000000000000000000000000003",
+];
+
+function legacyPath(network) {
+  return path.join(path.dirname(registry.getRegistryPath(network)), `contract-addresses-${network}.json`);
+}
+
+function cleanUp() {
+  for (const network of [NETWORK, OTHER_NETWORK]) {
+    fs.rmSync(registry.getRegistryPath(network), { force: true });
+    fs.rmSync(legacyPath(network), { force: true });
+  }
+}
+
+describe("Deployment registry", function () {
+  beforeEach(cleanUp);
+  afterEach(cleanUp);
+
+  it("keeps the previous deployments of a name as versioned history", async function () {
+    const first = await registry.recordDeployment("SLAWToken", { artifact: SLAW_TOKEN, address: ADDRESSES[0], txHash: "0x01" }, NETWORK);
+    expect(first).to.include({ version: 1, address: ADDRESSES[0], artifact: SLAW_TOKEN });
+    expect(first.abi).to.be.an("array").that.is.not.empty;
+
+    // Recording the same address again is not a redeploy
+    expect(await registry.recordDeployment("SLAWToken", { artifact: SLAW_TOKEN, address: ADDRESSES[0] }, NETWORK)).to.deep.equal(first);
+
+    const second = await registry.recordDeployment("SLAWToken", { artifact: SLAW_TOKEN, address: ADDRESSES[1], txHash: "0x02" }, NETWORK);
+    expect(second.version).to.equal(2);
+    expect(registry.getDeployment("SLAWToken", NETWORK).address).to.equal(ADDRESSES[1]);
+
+    const history = registry.getHistory("SLAWToken", NETWORK);
+    expect(history.map(entry => [entry.version, entry.address])).to.deep.equal([
+      [1, ADDRESSES[0]],
+      [2, ADDRESSES[1]],
+    ]);
+    // Only the current entry carries the ABI
+    expect(history[0]).to.not.have.property("abi");
+    expect(history[0].replacedAt).to.be.a("string");
+  });
+
+  it("separates networks", async function () {
+    await registry.recordDeployment("SLAWToken", { artifact: SLAW_TOKEN, address: ADDRESSES[0] }, NETWORK);
+    await registry.recordDeployment("SLAWToken", { artifact: SLAW_TOKEN, address: ADDRESSES[1] }, OTHER_NETWORK);
+
+    expect(registry.getAddresses(NETWORK)).to.deep.equal({ SLAWToken: ADDRESSES[0] });
+    expect(registry.getAddresses(OTHER_NETWORK)).to.deep.equal({ SLAWToken: ADDRESSES[1] });
+    expect(JSON.parse(fs.readFileSync(registry.getRegistryPath(OTHER_NETWORK), "utf8")).network).to.equal(OTHER_NETWORK);
+    expect(() => registry.getDeployment("TreasuryCore", NETWORK)).to.throw(
+      `TreasuryCore not found in deployment registry for network: ${NETWORK}`
+    );
+  });
+
+  it("imports the contract-addresses file written by older scripts", async function () {
+    writeJsonAtomic(legacyPath(NETWORK), { SLAWToken: ADDRESSES[0], TreasuryCore: ADDRESSES[2] });
+
+    expect(registry.getAddresses(NETWORK)).to.deep.equal({ SLAWToken: ADDRESSES[0], TreasuryCore: ADDRESSES[2] });
+    expect(registry.getDeployment("TreasuryCore", NETWORK)).to.include({
+      version: 1,
+      importedFrom: `contract-addresses-${NETWORK}.json`,
+    });
+
+    // The first recorded deployment writes the registry, imported entries included
+    const redeployed = await registry.recordDeployment("SLAWToken", { artifact: SLAW_TOKEN, address: ADDRESSES[1] }, NETWORK);
+    expect(redeployed.version).to.equal(2);
+    expect(fs.existsSync(registry.getRegistryPath(NETWORK))).to.equal(true);
+    expect(registry.getHistory("SLAWToken", NETWORK)[0]).to.include({ address: ADDRESSES[0], version: 1 });
+    expect(registry.getDeployment("TreasuryCore", NETWORK).address).to.equal(ADDRESSES[2]);
+  });
+
+  it("writes through a temporary file renamed over the previous one", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-json-"));
+    const file = path.join(dir, "nested", "data.json");
+    const renameSync = fs.renameSync;
+    const renames = [];
+
+    try {
+      writeJsonAtomic(file, { version: 1 });
+      fs.renameSync = (from, to) => {
+        // The previous content is intact until the rename
+        renames.push({ from, to, before: fs.readFileSync(to, "utf8") });
+        return renameSync(from, to);
+      };
+      writeJsonAtomic(file, { version: 2, amount: 10n ** 18n });
+      fs.renameSync = renameSync;
+
+      expect(renames).to.have.length(1);
+      expect(renames[0].from).to.equal(`${file}.${process.pid}.tmp`);
+      expect(renames[0].to).to.equal(file);
+      expect(JSON.parse(renames[0].before)).to.deep.equal({ version: 1 });
+      expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal({ version: 2, amount: "1000000000000000000" });
+      expect(fs.readdirSync(path.dirname(file))).to.deep.equal(["data.json"]);
+    } finally {
+      fs.renameSync = renameSync;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
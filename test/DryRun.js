@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { toHardhatNetworks } = require("../scripts/lib/network-profiles");
+const { journalRequests, readJournal } = require("../scripts/lib/dry-run");
+
+const ROOT = path.join(__dirname, "..");
+const TARGET = "dryRunTarget";
+// First default Hardhat account, funded on the in-process network
+const HARDHAT_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const SENDS = ["eth_sendTransaction", "eth_sendRawTransaction"];
+const COMMAND_TIMEOUT = 240000;
+
+/**
+ * JSON-RPC server on a free port that records every method it is asked for
+ */
+async function rpcServer(handle) {
+  const methods = [];
+  const answer = async ({ id, method, params }) => {
+    methods.push(method);
+    try {
+      return { jsonrpc: "2.0", id, result: await handle(method, params || []) };
+    } catch (error) {
+      return { jsonrpc: "2.0", id, error: { code: -32000, message: error.message, data: error.data } };
+    }
+  };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", async () => {
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload) ? await Promise.all(payload.map(answer)) : await answer(payload);
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    methods,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Run the Hardhat CLI with this test run's config, stopping it after COMMAND_TIMEOUT
+ */
+function runHardhat(args, env) {
+  const child = spawn(process.execPath, [process.argv[1], "--config", config.paths.configFile, ...args], {
+    cwd: ROOT,
+    env,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", chunk => (output += chunk));
+  child.stderr.on("data", chunk => (output += chunk));
+  const timer = setTimeout(() => child.kill("SIGKILL"), COMMAND_TIMEOUT);
+  return new Promise((resolve, reject) => {
+    child.once("error", reject);
+    child.once("exit", code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+describe("Dry run", function () {
+  it("points only the simulated network at the dry-run node", function () {
+    const profiles = {
+      [TARGET]: { name: TARGET, url: "https://rpc.example", chainId: 420420421, keys: { dev: [HARDHAT_KEY] }, hardhat: {} },
+      other: { name: "other", url: "https://other.example", chainId: 1, keys: { dev: [HARDHAT_KEY] }, hardhat: {} },
+    };
+    const env = { SOFTLAW_DRY_RUN: TARGET, SOFTLAW_DRY_RUN_URL: "http://127.0.0.1:8546" };
+
+    const networks = toHardhatNetworks(profiles, env);
+    expect(networks[TARGET].url).to.equal("http://127.0.0.1:8546");
+    expect(networks[TARGET]).to.not.have.property("chainId");
+    expect(networks.other).to.include({ url: "https://other.example", chainId: 1 });
+  });
+
+  it("journals the transactions sent through a provider with their gas estimate", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-journal-"));
+    const file = path.join(dir, "journal.jsonl");
+    const [signer] = await ethers.getSigners();
+    const tx = { from: signer.address, to: ethers.ZeroAddress, data: "0x", value: "0x1" };
+    const provider = {
+      request: async ({ method }) => (method === "eth_estimateGas" ? "0x5208" : `0x${"ab".repeat(32)}`),
+    };
+
+    try {
+      journalRequests(provider, file);
+      await provider.request({ method: "eth_estimateGas", params: [tx] });
+      await provider.request({ method: "eth_call", params: [tx] });
+      await provider.request({ method: "eth_sendTransaction", params: [tx] });
+
+      expect(readJournal(file)).to.deep.equal([
+        {
+          hash: `0x${"ab".repeat(32)}`,
+          tx: { from: signer.address, to: ethers.ZeroAddress, data: "0x", value: "1", gasLimit: null, gasPrice: null },
+          estimate: "21000",
+          error: null,
+        },
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("deploys through scripts/deploy.js without sending anything to the target RPC", async function () {
+    // Stands in for the target network: anything reaching it is a leak
+    const target = await rpcServer(async method => {
+      throw new Error(`${method} reached the target network`);
+    });
+    // Dry-run node (SOFTLAW_DRY_RUN_URL) backed by this test's network
+    const node = await rpcServer((method, params) => network.provider.request({ method, params }));
+
+    const dir = fs.mkdtempSync(path.join(config.paths.cache, "dry-run-test-"));
+    const profiles = path.join(dir, "networks.js");
+    fs.writeFileSync(
+      profiles,
+      `module.exports = ${JSON.stringify({
+        networks: {
+          [TARGET]: {
+            tier: "local",
+            url: target.url,
+            chainId: 420420421,
+            currency: "ETH",
+            keys: { dev: [HARDHAT_KEY] },
+            confirmations: 1,
+            hardhat: { polkavm: Boolean(network.config.polkavm), timeout: 60000 },
+          },
+        },
+      })};`
+    );
+    // Scripts must live in the project to require("hardhat")
+    const script = path.join(dir, "deploy-pair.js");
+    fs.writeFileSync(
+      script,
+      `require(${JSON.stringify(path.join(ROOT, "scripts", "deploy.js"))})
+  .deployPair()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+`
+    );
+    const reportFile = path.join(ROOT, "deployments", `dry-run-${TARGET}.json`);
+
+    const env = { ...process.env, SOFTLAW_NETWORKS: profiles, SOFTLAW_DRY_RUN_URL: node.url, SOFTLAW_DRY_RUN_MODE: "ephemeral" };
+    delete env.HARDHAT_NETWORK;
+    delete env.SOFTLAW_DRY_RUN;
+    try {
+      const { code, output } = await runHardhat(["run", script, "--network", TARGET, "--dry-run"], env);
+      expect(code, output).to.equal(0);
+
+      expect(target.methods).to.deep.equal([]);
+      expect(node.methods.filter(method => SENDS.includes(method))).to.deep.equal(["eth_sendRawTransaction"]);
+
+      const report = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+      expect(report.totals).to.include({ transactions: 1, failed: 0 });
+      expect(report.transactions[0]).to.include({ from: "signer0", contract: "UniswapV2Pair", method: "deploy" });
+    } finally {
+      await target.close();
+      await node.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.rmSync(reportFile, { force: true });
+    }
+  });
+});
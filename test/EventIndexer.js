@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createIndexer } = require("../scripts/lib/event-indexer");
+const { openStore } = require("../scripts/lib/indexer-store");
+
+const SLAW_TOKEN = "contracts/treasury/SLAWToken.sol:SLAWToken";
+const WRAPPED_IP_MANAGER = "contracts/IP-liquidity/WrappedIPManager.sol:WrappedIPManager";
+
+describe("EventIndexer", function () {
+  let owner;
+  let creator;
+  let slawToken;
+  let wrappedIPManager;
+  let sources;
+  let startBlock;
+  let dbDir;
+
+  const silent = () => {};
+
+  beforeEach(async function () {
+    [owner, creator] = await ethers.getSigners();
+    startBlock = await ethers.provider.getBlockNumber();
+
+    const SLAWToken = await ethers.getContractFactory(SLAW_TOKEN);
+    slawToken = await SLAWToken.deploy(owner.address, owner.address);
+    await slawToken.waitForDeployment();
+
+    const WrappedIPManager = await ethers.getContractFactory(WRAPPED_IP_MANAGER);
+    wrappedIPManager = await WrappedIPManager.deploy(
+      owner.address,
+      await slawToken.getAddress(),
+      owner.address
+    );
+    await wrappedIPManager.waitForDeployment();
+
+    sources = [
+      {
+        name: "SLAWToken",
+        address: await slawToken.getAddress(),
+        abi: (await artifacts.readArtifact(SLAW_TOKEN)).abi,
+        startBlock,
+      },
+      {
+        name: "WrappedIPManager",
+        address: await wrappedIPManager.getAddress(),
+        abi: (await artifacts.readArtifact(WRAPPED_IP_MANAGER)).abi,
+        startBlock,
+      },
+    ];
+
+    dbDir = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-indexer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dbDir, { recursive: true, force: true });
+  });
+
+  it("decodes events from every source into the store", async function () {
+    await (await wrappedIPManager.connect(creator).createCreatorProfile("Alice Melody")).wait();
+    await (await wrappedIPManager.verifyCreator(creator.address, true)).wait();
+
+    const indexer = createIndexer({ sources, store: openStore(":memory:"), log: silent });
+    try {
+      const result = await indexer.sync();
+
+      expect(result.reorgs).to.be.empty;
+
+      const minted = indexer.queryEvents({ contract: "SLAWToken", event: "TokensMinted" });
+      expect(minted).to.have.lengthOf(1);
+      expect(minted[0].args.reason).to.equal("INITIAL_SUPPLY");
+      expect(minted[0].args.amount).to.equal(ethers.parseEther("10000000000").toString());
+
+      const profiles = indexer.queryEvents({ event: "CreatorProfileCreated" });
+      expect(profiles).to.have.lengthOf(1);
+      expect(profiles[0].args.creator).to.equal(creator.address);
+      expect(profiles[0].args.displayName).to.equal("Alice Melody");
+      expect(profiles[0].contract).to.equal("WrappedIPManager");
+      expect(profiles[0].timestamp).to.be.a("number");
+
+      const verified = indexer.queryEvents({ args: { creator: creator.address }, event: "CreatorVerified" });
+      expect(verified).to.have.lengthOf(1);
+      expect(verified[0].args.verified).to.equal(true);
+    } finally {
+      indexer.close();
+    }
+  });
+
+  it("resumes from the stored cursor", async function () {
+    const dbPath = path.join(dbDir, "indexer.sqlite");
+
+    let indexer = createIndexer({ sources, dbPath, log: silent });
+    let cursor;
+    let initial;
+    try {
+      await indexer.sync();
+      cursor = indexer.store.getCursor();
+      initial = indexer.queryEvents().length;
+    } finally {
+      indexer.close();
+    }
+
+    await (await wrappedIPManager.connect(creator).createCreatorProfile("Bob Pixelworks")).wait();
+
+    indexer = createIndexer({ sources, dbPath, log: silent });
+    try {
+      const result = await indexer.sync();
+
+      expect(result.fromBlock).to.equal(cursor + 1);
+      expect(result.events).to.equal(1);
+      expect(indexer.queryEvents()).to.have.lengthOf(initial + 1);
+    } finally {
+      indexer.close();
+    }
+  });
+
+  it("backfills a source added after the cursor passed its start block", async function () {
+    const dbPath = path.join(dbDir, "indexer.sqlite");
+    await (await wrappedIPManager.connect(creator).createCreatorProfile("Alice Melody")).wait();
+
+    let indexer = createIndexer({ sources: [sources[0]], dbPath, log: silent });
+    let cursor;
+    try {
+      await indexer.sync();
+      cursor = indexer.store.getCursor();
+      expect(indexer.queryEvents({ contract: "WrappedIPManager" })).to.be.empty;
+    } finally {
+      indexer.close();
+    }
+
+    const [, , secondCreator] = await ethers.getSigners();
+    await (await wrappedIPManager.connect(secondCreator).createCreatorProfile("Bob Pixelworks")).wait();
+
+    indexer = createIndexer({ sources, dbPath, log: silent });
+    try {
+      const result = await indexer.sync();
+
+      expect(result.backfills).to.have.lengthOf(1);
+      expect(result.backfills[0]).to.include({ name: "WrappedIPManager", fromBlock: startBlock, toBlock: cursor });
+      expect(result.fromBlock).to.equal(cursor + 1);
+      const backfilled = indexer.queryEvents({ contract: "WrappedIPManager" }).filter(e => e.blockNumber <= cursor);
+      expect(result.backfills[0].events).to.equal(backfilled.length);
+      const profiles = indexer.queryEvents({ event: "CreatorProfileCreated" });
+      expect(profiles.map(e => e.args.displayName)).to.deep.equal(["Alice Melody", "Bob Pixelworks"]);
+      expect(indexer.store.getSources().map(source => source.name)).to.have.members(["SLAWToken", "WrappedIPManager"]);
+    } finally {
+      indexer.close();
+    }
+  });
+
+  it("rolls back and re-indexes blocks whose hash changed", async function () {
+    await (await wrappedIPManager.connect(creator).createCreatorProfile("Alice Melody")).wait();
+
+    const store = openStore(":memory:");
+    const indexer = createIndexer({ sources, store, log: silent });
+    try {
+      await indexer.sync();
+      const before = indexer.queryEvents();
+
+      // Simulate a reorg by making the stored hashes of the newest blocks disagree with the chain
+      const profile = indexer.queryEvents({ event: "CreatorProfileCreated" })[0];
+      store.db.prepare("UPDATE blocks SET hash = ? WHERE number >= ?").run(ethers.ZeroHash, profile.blockNumber);
+
+      const result = await indexer.sync();
+
+      expect(result.reorgs).to.have.lengthOf(1);
+      expect(result.reorgs[0].ancestor).to.be.lessThan(profile.blockNumber);
+      expect(result.reorgs[0].removedEvents).to.be.greaterThan(0);
+
+      const after = indexer.queryEvents();
+      expect(after.map(e => [e.blockHash, e.logIndex, e.event])).to.deep.equal(
+        before.map(e => [e.blockHash, e.logIndex, e.event])
+      );
+    } finally {
+      indexer.close();
+    }
+  });
+
+  it("refuses a database created on another chain", async function () {
+    const store = openStore(":memory:");
+    store.setMeta("chainId", "1");
+
+    const indexer = createIndexer({ sources, store, log: silent });
+    try {
+      await expect(indexer.sync()).to.be.rejectedWith(/belongs to chain 1/);
+    } finally {
+      indexer.close();
+    }
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { governanceFixture } = require("./shared/fixtures");
+const { createGovernance } = require("../sdk/governance");
+const { createTimeControl } = require("../scripts/lib/time-control");
+const { simulateProposal } = require("../scripts/lib/proposal-simulator");
+const { collectGovernanceData, analyseGovernance } = require("../scripts/lib/governance-analytics");
+
+async function component(contract) {
+  return { address: await contract.getAddress(), abi: JSON.parse(contract.interface.formatJson()) };
+}
+
+describe("Governance proposals", function () {
+  let world;
+  let contracts;
+
+  beforeEach(async function () {
+    world = await loadFixture(governanceFixture);
+    contracts = {
+      DAOGovernor: await component(world.daoGovernor),
+      DAOTreasury: await component(world.daoTreasury),
+      CopyrightsRegistry: await component(world.copyrightsRegistry),
+      DaoMembership: await component(world.daoMembership),
+    };
+  });
+
+  it("encodes the same calldata as the GovernorHelpers views", async function () {
+    const { daoGovernor, creator } = world;
+    const { builder } = createGovernance({ signer: creator, contracts });
+    const amount = ethers.parseEther("500");
+
+    const spend = builder.encodeAction({
+      contract: "DAOTreasury",
+      method: "spend",
+      args: { amount, beneficiary: creator.address },
+    });
+    expect(spend.callData).to.equal(await daoGovernor.callDataSpend(amount, creator.address));
+    expect(spend.proposalType).to.equal("Treasury");
+
+    const quorum = builder.encodeAction({ contract: "DAOGovernor", method: "changeVotingQuorum", args: [3] });
+    expect(quorum.callData).to.equal(await daoGovernor.createChangeQuorumCallData(3));
+    expect(quorum.proposalType).to.equal("Membership");
+
+    expect(() =>
+      builder.build({
+        name: "Validate",
+        actions: [{ contract: "CopyrightsRegistry", method: "validateCopyright", args: [1] }],
+      })
+    ).to.throw("cannot execute CopyrightsRegistry.validateCopyright");
+  });
+
+  it("creates one proposal per action, votes and executes once unlocked", async function () {
+    const { daoGovernor, daoTreasury, deployer, creator, arbitrator } = world;
+    await (await daoTreasury.transferOwnership(await daoGovernor.getAddress())).wait();
+
+    const governance = createGovernance({ signer: creator, contracts });
+    // DAOTreasury's spenderLimit (10000) is in base units
+    const amount = 500n;
+    const created = await governance.propose({
+      name: "Design grant",
+      description: "Pay the design team and raise the quorum",
+      actions: [
+        { contract: "DAOTreasury", method: "spend", args: [amount, arbitrator.address] },
+        { contract: "DAOGovernor", method: "changeVotingQuorum", args: [2] },
+      ],
+    });
+    expect(created.map(proposal => proposal.name)).to.deep.equal(["Design grant (1/2)", "Design grant (2/2)"]);
+
+    const [grant] = created;
+    await governance.vote(grant.id, "aye");
+    await createGovernance({ signer: deployer, contracts }).vote(grant.id, "abstain");
+
+    const proposal = await governance.getProposal(grant.id);
+    expect(proposal.votes.aye).to.equal(1n);
+    expect(proposal.votes.abstain).to.equal(1n);
+    expect(proposal.action.method).to.equal("spend");
+    expect(proposal.action.args.beneficiary).to.equal(arbitrator.address);
+
+    const time = createTimeControl();
+    if (!(await time.capabilities()).increaseTime) {
+      expect(proposal.status).to.equal("locked");
+      return;
+    }
+    await time.increaseTime(Number(await daoGovernor.lockingPeriod()));
+    expect((await governance.getProposal(grant.id)).status).to.equal("ready");
+
+    const before = await daoTreasury.balanceOf(arbitrator.address);
+    await governance.execute(grant.id);
+    expect(await daoTreasury.balanceOf(arbitrator.address)).to.equal(before + amount);
+    expect((await governance.getProposal(grant.id)).status).to.equal("executed");
+  });
+
+  it("simulates execution before the vote, decoding reverts the governor reports silently", async function () {
+    const { daoGovernor, daoTreasury, creator, arbitrator } = world;
+    await (await daoTreasury.transferOwnership(await daoGovernor.getAddress())).wait();
+
+    const governance = createGovernance({ signer: creator, contracts });
+    const [grant, oversized] = await governance.propose({
+      name: "Grants",
+      actions: [
+        { contract: "DAOTreasury", method: "spend", args: [500n, arbitrator.address] },
+        // Over the 10000 base-unit spenderLimit
+        { contract: "DAOTreasury", method: "spend", args: [15000n, arbitrator.address] },
+      ],
+    });
+    const context = { signer: creator, contracts, governance };
+    const before = await daoTreasury.balanceOf(arbitrator.address);
+
+    const report = await simulateProposal(context, { id: grant.id });
+    expect(report.blockers[0]).to.contain("not passed");
+    const [result] = report.results;
+    expect(result.success).to.equal(true);
+    const received = result.changes.find(
+      change => change.contract === "DAOTreasury" && change.fn === "balanceOf" && change.args[0] === arbitrator.address
+    );
+    expect(received.after - received.before).to.equal(500n);
+    expect(await daoTreasury.balanceOf(arbitrator.address)).to.equal(before);
+
+    const failed = (await simulateProposal(context, { id: oversized.id })).results[0];
+    expect(failed.success).to.equal(false);
+    expect(failed.reason).to.contain("AmountExceedsSpendingLimit");
+    expect(failed.onChainReason).to.equal("Treasury execution failed: Transaction reverted silently");
+  });
+
+  it("reports turnout against the quorum and member participation", async function () {
+    const { deployer, creator, arbitrator, daoMember } = world;
+    const governance = createGovernance({ signer: creator, contracts });
+    const [first, second] = await governance.propose({
+      name: "Settings",
+      actions: [
+        { contract: "DAOGovernor", method: "changeVotingQuorum", args: [2] },
+        { contract: "DAOGovernor", method: "changeLockingPeriod", args: [60] },
+      ],
+    });
+    await governance.vote(first.id, "aye");
+    await createGovernance({ signer: deployer, contracts }).vote(first.id, "abstain");
+    await createGovernance({ signer: arbitrator, contracts }).vote(second.id, "nay");
+
+    const report = analyseGovernance(await collectGovernanceData({ contracts, governance }));
+    expect(report.members.count).to.equal(4);
+    expect(report.settings.historyComplete).to.equal(true);
+
+    const [quorum, locking] = report.proposals;
+    expect(quorum.total).to.equal(2);
+    expect(quorum.turnout).to.equal(0.5);
+    expect(quorum.quorumAtCreation).to.equal(1n);
+    expect(quorum.quorumMet).to.equal(true);
+    expect(locking.nay).to.equal(1);
+
+    const activity = address => report.members.activity.find(member => member.address === address);
+    expect(activity(creator.address).participation).to.equal(0.5);
+    expect(activity(creator.address).proposed).to.equal(2);
+    expect(activity(daoMember.address).voted).to.equal(0);
+    expect(report.summary.failedExecutions).to.include({ scanned: true, count: 0 });
+  });
+});
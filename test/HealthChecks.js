@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const registry = require("../scripts/lib/deployment-registry");
+const health = require("../scripts/lib/health-checks");
+const { runManifest } = require("../scripts/lib/deployment-engine");
+require("../scripts/lib/health-probes");
+
+const SLAW_TOKEN = "contracts/treasury/SLAWToken.sol:SLAWToken";
+
+describe("Health checks", function () {
+  let deployer;
+  let savedRegistry;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    // Components are attached through deployments/registry-<network>.json
+    const registryPath = registry.getRegistryPath();
+    savedRegistry = fs.existsSync(registryPath) ? fs.readFileSync(registryPath) : null;
+  });
+
+  afterEach(function () {
+    const registryPath = registry.getRegistryPath();
+    if (savedRegistry) {
+      fs.writeFileSync(registryPath, savedRegistry);
+    } else {
+      fs.rmSync(registryPath, { force: true });
+    }
+  });
+
+  async function deployProbedToken(name, probes) {
+    const token = await ethers.deployContract(SLAW_TOKEN, [deployer.address, deployer.address]);
+    const address = await token.getAddress();
+    await registry.recordDeployment(name, { artifact: SLAW_TOKEN, address, deployer: deployer.address });
+    health.registerComponent(name, probes);
+    return address;
+  }
+
+  it("rolls probe results up by severity", async function () {
+    const warning = await deployProbedToken("HealthTestWarning", [
+      health.metric("totalSupply", "totalSupply", { unit: "SLAW" }),
+      health.role("DEFAULT_ADMIN_ROLE", "deployer"),
+      health.invariant("paused", "token is paused", token => token.paused(), { severity: "warning" }),
+      health.metric("missing", "notAFunction"),
+      health.invariant("throws", "reads a reverting getter", () => Promise.reject(new Error("boom")), { severity: "info" }),
+    ]);
+    const critical = await deployProbedToken("HealthTestCritical", [
+      health.reference("treasuryCore", "HealthTestWarning"),
+    ]);
+    const empty = ethers.Wallet.createRandom().address;
+
+    const report = await health.runHealthChecks({
+      HealthTestWarning: warning,
+      HealthTestCritical: critical,
+      HealthTestEmpty: empty,
+    });
+
+    const warningProbes = Object.fromEntries(report.components.HealthTestWarning.probes.map(p => [p.id, p]));
+    expect(warningProbes.code.status).to.equal("pass");
+    expect(warningProbes.totalSupply.status).to.equal("pass");
+    expect(warningProbes.totalSupply.formatted).to.match(/^[\d.]+ SLAW$/);
+    expect(warningProbes["DEFAULT_ADMIN_ROLE:deployer"].status).to.equal("pass");
+    expect(warningProbes.paused).to.include({ status: "fail", severity: "warning" });
+    expect(warningProbes.missing).to.include({ status: "skip", message: "ABI has no notAFunction" });
+    expect(warningProbes.throws).to.include({ status: "error", message: "boom" });
+    // A failed warning probe degrades the component, an info error does not count
+    expect(report.components.HealthTestWarning.status).to.equal("degraded");
+
+    const [reference] = report.components.HealthTestCritical.probes.slice(1);
+    expect(reference).to.include({ status: "fail", value: deployer.address, expected: warning });
+    expect(report.components.HealthTestCritical.status).to.equal("unhealthy");
+
+    expect(report.components.HealthTestEmpty.probes).to.have.length(1);
+    expect(report.components.HealthTestEmpty.probes[0]).to.include({ id: "code", status: "fail", message: `No contract code found at ${empty}` });
+
+    expect(report.status).to.equal("unhealthy");
+    expect(report.healthy).to.equal(false);
+    expect(report.summary).to.include({ total: 9, pass: 4, fail: 3, error: 1, skip: 1, critical: 2, warning: 1, info: 1 });
+
+    const degraded = await health.runHealthChecks({ HealthTestWarning: warning }, { only: ["HealthTestWarning"] });
+    expect(degraded.status).to.equal("degraded");
+    expect(degraded.healthy).to.equal(true);
+  });
+
+  it("fails on probes at or above a severity", function () {
+    const report = {
+      components: {
+        A: { probes: [{ status: "pass", severity: "critical" }, { status: "fail", severity: "warning" }] },
+        B: { probes: [{ status: "skip", severity: "critical" }, { status: "error", severity: "info" }] },
+      },
+    };
+
+    expect(health.hasFailures(report)).to.equal(false);
+    expect(health.hasFailures(report, "critical")).to.equal(false);
+    expect(health.hasFailures(report, "warning")).to.equal(true);
+    expect(health.hasFailures(report, "info")).to.equal(true);
+    expect(() => health.hasFailures(report, "major")).to.throw('Unknown severity "major". Use one of: critical, warning, info');
+  });
+
+  it("renders JUnit XML with escaped names and messages", function () {
+    const report = {
+      network: "local<dev>",
+      generatedAt: "2026-01-01T00:00:00.000Z",
+      durationMs: 1500,
+      summary: { total: 4, pass: 1, fail: 1, error: 1, skip: 1 },
+      components: {
+        "R&D": {
+          address: '0xAbC"<>',
+          status: "unhealthy",
+          probes: [
+            { id: "code", kind: "code", status: "pass", formatted: "12 bytes", durationMs: 0 },
+            { id: "a<b", kind: "invariant", severity: "critical", status: "fail", description: "x & y", message: `got "1" < '2'` },
+            { id: "e", kind: "metric", severity: "info", status: "error", description: "m", message: "reverted: <oops>" },
+            { id: "s", kind: "metric", severity: "info", status: "skip", description: "m", message: "ABI has no f&g" },
+          ],
+        },
+      },
+    };
+
+    const xml = health.toJUnit(report);
+    expect(xml).to.contain('<testsuites name="softlaw-health-local&lt;dev&gt;" tests="4" failures="1" errors="1" skipped="1" time="1.5"');
+    expect(xml).to.contain('<testsuite name="R&amp;D" tests="4" failures="1" errors="1" skipped="1">');
+    expect(xml).to.contain('<property name="address" value="0xAbC&quot;&lt;&gt;"/>');
+    expect(xml).to.contain('name="a&lt;b"');
+    expect(xml).to.contain('<failure type="critical" message="got &quot;1&quot; &lt; &apos;2&apos;">x &amp; y</failure>');
+    expect(xml).to.contain('<error type="info" message="reverted: &lt;oops&gt;">m</error>');
+    expect(xml).to.contain('<skipped message="ABI has no f&amp;g"/>');
+    expect(xml).to.contain("<system-out>12 bytes</system-out>");
+  });
+
+  it("writes the JSON and JUnit reports", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-health-"));
+    const report = { network: "hardhat", summary: { total: 0, pass: 0, fail: 0, error: 0, skip: 0 }, components: {}, blockNumber: 5n };
+
+    try {
+      const written = health.writeReports(report, { json: path.join(dir, "health.json"), junit: path.join(dir, "junit", "health.xml") });
+      expect(written).to.deep.equal([path.join(dir, "health.json"), path.join(dir, "junit", "health.xml")]);
+      expect(JSON.parse(fs.readFileSync(written[0], "utf8")).blockNumber).to.equal("5");
+      expect(fs.readFileSync(written[1], "utf8")).to.contain('<testsuites name="softlaw-health-hardhat" tests="0"');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects probes with an unknown kind, severity or unit", function () {
+    expect(() => health.registerComponent("Bad", [{ id: "x", kind: "guess", severity: "critical" }])).to.throw('Bad: unknown probe kind "guess" for x');
+    expect(() => health.registerComponent("Bad", [health.metric("x", "f", { severity: "major" })])).to.throw('Bad: unknown severity "major" for x');
+    expect(() => health.registerComponent("Bad", [health.metric("x", "f", { unit: "wei" })])).to.throw('Bad: unknown unit "wei" for x');
+  });
+
+  it("reports a freshly deployed integration stack as healthy", async function () {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-health-"));
+    try {
+      const { addresses } = await runManifest("integration", { statePath: path.join(stateDir, "state.json"), fresh: true, log: () => {} });
+      const report = await health.runHealthChecks(addresses);
+
+      const failures = Object.entries(report.components).flatMap(([name, component]) =>
+        component.probes.filter(p => p.status === "fail" || p.status === "error").map(p => `${name} ${p.id}: ${p.message}`)
+      );
+      expect(failures).to.deep.equal([]);
+      expect(report.status).to.equal("healthy");
+      expect(Object.keys(report.components)).to.have.members(["SLAWToken", "TreasuryCore", "WrappedIPManager", "LiquidityManager", "MarketplaceCore"]);
+    } finally {
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+  });
+});
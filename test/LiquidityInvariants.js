@@ -0,0 +1,18 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { liquidityFixture } = require("./shared/fixtures");
+const { assertLiquidityInvariants } = require("./shared/liquidity-harness");
+
+describe("LiquidityManager invariants", function () {
+  // Every generated sequence sends dozens of transactions
+  this.timeout(30 * 60 * 1000);
+
+  const setup = () => loadFixture(liquidityFixture);
+
+  it("keeps the pool invariants under random createPool/addLiquidity/removeLiquidity/swap sequences", async function () {
+    await assertLiquidityInvariants(setup, { collectFees: false });
+  });
+
+  it("never pays more in collectFees than the pool accrued in trading fees", async function () {
+    await assertLiquidityInvariants(setup, { collectFees: true });
+  });
+});
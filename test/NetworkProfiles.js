@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  validateNetworkProfile,
+  toHardhatNetworks,
+  toEtherscanConfig,
+  assertNetworkReady,
+} = require("../scripts/lib/network-profiles");
+
+const DEV_KEY = "0x5fb92d6e98884f76de468fa3f6278f8807c48bebc13595d45af5bdc4da702133";
+const OWN_KEY = `0x${"11".repeat(32)}`;
+
+const EXPLORER = {
+  name: "Blockscout",
+  url: "https://explorer.example",
+  apiUrl: "https://explorer.example/api",
+  apiKey: "blockscout",
+};
+
+function profile(overrides = {}) {
+  return {
+    name: "testHub",
+    tier: "testnet",
+    url: "https://rpc.example",
+    chainId: 420420999,
+    keys: { env: ["TEST_HUB_KEY"] },
+    explorer: EXPLORER,
+    confirmations: 2,
+    hardhat: {},
+    ...overrides,
+  };
+}
+
+// Just enough of the Hardhat runtime for assertNetworkReady
+function fakeHre(name, request) {
+  return { network: { name, provider: { request } } };
+}
+
+describe("Network profiles", function () {
+  const env = { TEST_HUB_KEY: OWN_KEY.slice(2) };
+
+  it("accepts a complete profile", function () {
+    expect(validateNetworkProfile(profile(), env)).to.deep.equal({ errors: [], warnings: [] });
+  });
+
+  it("requires an explorer, url and chain id outside local networks", function () {
+    const production = profile({ tier: "production", explorer: null, confirmations: 1 });
+    expect(validateNetworkProfile(production, env)).to.deep.equal({
+      errors: ["no block explorer"],
+      warnings: ["only 1 confirmation on a production network"],
+    });
+
+    const { errors } = validateNetworkProfile(profile({ url: undefined, chainId: undefined }), {});
+    expect(errors).to.deep.equal(["no RPC url", "chain id not set", "no signing key, set TEST_HUB_KEY"]);
+
+    expect(validateNetworkProfile(profile({ explorer: { ...EXPLORER, apiUrl: undefined } }), env).warnings).to.deep.equal([
+      "explorer has no apiUrl, contracts cannot be verified",
+    ]);
+    expect(validateNetworkProfile(profile({ keys: { dev: [DEV_KEY] } }), {}).errors).to.deep.equal([
+      "dev keys are only allowed on local networks",
+    ]);
+    expect(validateNetworkProfile(profile(), { TEST_HUB_KEY: "0x1234" }).errors).to.deep.equal([
+      "TEST_HUB_KEY is not a 32-byte hex private key",
+    ]);
+  });
+
+  it("builds the Hardhat networks and hardhat-verify chains", function () {
+    const profiles = {
+      testHub: profile({ hardhat: { polkavm: true, timeout: 1000 } }),
+      unfinished: profile({ name: "unfinished", url: undefined, chainId: undefined, explorer: null, hardhat: {} }),
+    };
+
+    expect(toHardhatNetworks(profiles, { TEST_HUB_KEY: OWN_KEY.slice(2) })).to.deep.equal({
+      testHub: { polkavm: true, timeout: 1000, url: "https://rpc.example", chainId: 420420999, accounts: [OWN_KEY] },
+      // Still declared, so selecting it reaches assertNetworkReady's error message
+      unfinished: { url: "http://unconfigured.invalid", accounts: [OWN_KEY] },
+    });
+    expect(toHardhatNetworks(profiles, { TEST_HUB_KEY: "not a key" }).testHub.accounts).to.deep.equal([]);
+
+    expect(toEtherscanConfig(profiles)).to.deep.equal({
+      apiKey: { testHub: "blockscout" },
+      customChains: [
+        {
+          network: "testHub",
+          chainId: 420420999,
+          urls: { apiURL: "https://explorer.example/api", browserURL: "https://explorer.example" },
+        },
+      ],
+    });
+  });
+
+  describe("assertNetworkReady", function () {
+    const savedNetworks = process.env.SOFTLAW_NETWORKS;
+    let dir;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "softlaw-networks-"));
+      const file = path.join(dir, "networks.js");
+      fs.writeFileSync(
+        file,
+        `module.exports = ${JSON.stringify({
+          networks: {
+            testLocal: { tier: "local", url: "http://127.0.0.1:8545", chainId: 420420420, keys: { dev: [DEV_KEY] }, confirmations: 1 },
+            testBroken: { tier: "testnet", url: "https://rpc.example", keys: {}, confirmations: 1 },
+          },
+        })};`
+      );
+      process.env.SOFTLAW_NETWORKS = file;
+    });
+
+    after(function () {
+      if (savedNetworks === undefined) {
+        delete process.env.SOFTLAW_NETWORKS;
+      } else {
+        process.env.SOFTLAW_NETWORKS = savedNetworks;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("checks the chain id served by the RPC", async function () {
+      const local = await assertNetworkReady(fakeHre("testLocal", async () => "0x190f1b44"));
+      expect(local).to.include({ name: "testLocal", chainId: 420420420 });
+
+      await expect(assertNetworkReady(fakeHre("testLocal", async () => "0x1"))).to.be.rejectedWith(
+        "Network testLocal: RPC http://127.0.0.1:8545 serves chain 1, the profile declares 420420420"
+      );
+      await expect(
+        assertNetworkReady(fakeHre("testLocal", () => Promise.reject(new Error("ECONNREFUSED"))))
+      ).to.be.rejectedWith("Network testLocal: RPC http://127.0.0.1:8545 is unreachable (ECONNREFUSED)");
+    });
+
+    it("reports every configuration problem before contacting the RPC", async function () {
+      const request = () => Promise.reject(new Error("the RPC should not be called"));
+
+      expect(await assertNetworkReady(fakeHre("hardhat", request))).to.equal(null);
+      await expect(assertNetworkReady(fakeHre("testBroken", request))).to.be.rejectedWith(
+        "Network testBroken is not fully configured:\n   - chain id not set\n   - no signing key, set a key source\n   - no block explorer"
+      );
+      await expect(assertNetworkReady(fakeHre("mainnet", request))).to.be.rejectedWith(
+        "Network mainnet has no profile in scripts/config/networks.js (declared: testLocal, testBroken)"
+      );
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { tokenFixture } = require("./shared/fixtures");
+const {
+  expandTo18Decimals,
+  getApprovalDigest,
+  getDomainSeparator,
+  signPermit,
+  permit,
+  permitOrApprove,
+  supportsPermit,
+} = require("./shared/utilities");
+
+describe("EIP-2612 permit helpers", function () {
+  async function permitFixture() {
+    const base = await tokenFixture();
+    const token = await ethers.deployContract("TestPermitToken", [expandTo18Decimals(10000)]);
+    await token.waitForDeployment();
+    return { ...base, token };
+  }
+
+  it("signs a permit the token accepts, then spends it with transferFrom", async function () {
+    const { deployer, investor, outsider, token } = await loadFixture(permitFixture);
+    const tokenAddress = await token.getAddress();
+    const value = expandTo18Decimals(250);
+
+    expect(await token.DOMAIN_SEPARATOR()).to.equal(await getDomainSeparator("Test Permit Token", tokenAddress));
+
+    const signed = await signPermit(token, deployer, investor.address, value);
+    expect(signed.nonce).to.equal(0n);
+    expect(signed.digest).to.equal(
+      await getApprovalDigest(token, { owner: deployer.address, spender: investor.address, value }, signed.nonce, signed.deadline)
+    );
+    expect(ethers.recoverAddress(signed.digest, signed.signature)).to.equal(deployer.address);
+
+    // The spender relays the permit, the owner sends no transaction
+    await (
+      await token.connect(investor).permit(signed.owner, signed.spender, signed.value, signed.deadline, signed.v, signed.r, signed.s)
+    ).wait();
+    expect(await token.allowance(deployer.address, investor.address)).to.equal(value);
+    expect(await token.nonces(deployer.address)).to.equal(1n);
+
+    await (await token.connect(investor).transferFrom(deployer.address, outsider.address, value)).wait();
+    expect(await token.balanceOf(outsider.address)).to.equal(value);
+    expect(await token.allowance(deployer.address, investor.address)).to.equal(0n);
+
+    // A signature cannot be replayed once its nonce is used
+    await expect(
+      token.connect(investor).permit(signed.owner, signed.spender, signed.value, signed.deadline, signed.v, signed.r, signed.s)
+    ).to.be.reverted;
+  });
+
+  it("submits permits from a relayer and falls back to approve without permit", async function () {
+    const { deployer, investor, outsider, slawToken, token } = await loadFixture(permitFixture);
+    const value = expandTo18Decimals(10);
+
+    await permit(token, deployer, investor.address, value, { relayer: outsider });
+    expect(await token.allowance(deployer.address, investor.address)).to.equal(value);
+
+    expect(await supportsPermit(token)).to.equal(true);
+    expect(await supportsPermit(slawToken)).to.equal(false);
+    expect(await permitOrApprove(token, deployer, outsider.address, value)).to.equal("permit");
+    expect(await permitOrApprove(slawToken, deployer, outsider.address, value)).to.equal("approve");
+    expect(await slawToken.allowance(deployer.address, outsider.address)).to.equal(value);
+  });
+});
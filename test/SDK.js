@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ipFixture } = require("./shared/fixtures");
+const { createSoftlaw, ensureAllowance, ensureNftApproval } = require("../sdk");
+
+async function component(contract) {
+  return { address: await contract.getAddress(), abi: JSON.parse(contract.interface.formatJson()) };
+}
+
+describe("Softlaw SDK approvals", function () {
+  let world;
+  let contracts;
+
+  beforeEach(async function () {
+    world = await loadFixture(ipFixture);
+    contracts = {
+      SLAWToken: await component(world.slawToken),
+      WrappedIPManager: await component(world.wrappedIPManager),
+      LiquidityManager: await component(world.liquidityManager),
+    };
+  });
+
+  it("approves only when the allowance or NFT approval is missing", async function () {
+    const { creator, investor, slawToken, testNFT, liquidityManager, nfts } = world;
+    const token = await slawToken.getAddress();
+    const spender = await liquidityManager.getAddress();
+    const amount = ethers.parseEther("100");
+
+    expect(await ensureAllowance(creator, token, creator.address, spender, amount)).to.not.equal(null);
+    expect(await slawToken.allowance(creator.address, spender)).to.equal(amount);
+    expect(await ensureAllowance(creator, token, creator.address, spender, amount)).to.equal(null);
+    expect(await ensureAllowance(creator, token, creator.address, spender, amount + 1n)).to.not.equal(null);
+
+    const nft = await testNFT.getAddress();
+    const [mine] = nfts.filter(seed => seed.owner === creator);
+    expect(await ensureNftApproval(creator, nft, mine.tokenId, creator.address, spender)).to.not.equal(null);
+    expect(await ensureNftApproval(creator, nft, mine.tokenId, creator.address, spender)).to.equal(null);
+    await expect(ensureNftApproval(investor, nft, mine.tokenId, investor.address, spender)).to.be.rejectedWith(
+      `is owned by ${creator.address}, not ${investor.address}`
+    );
+  });
+
+  it("wraps an NFT and adds liquidity without approving anything by hand", async function () {
+    const { deployer, creator, slawToken, testNFT, wrappedIPManager, liquidityManager, nfts } = world;
+    const [mine] = nfts.filter(seed => seed.owner === creator);
+    const managerAddress = await liquidityManager.getAddress();
+    const softlaw = createSoftlaw({ signer: creator, contracts });
+
+    const wrapped = await softlaw.wrapIP({
+      nftContract: await testNFT.getAddress(),
+      tokenId: mine.tokenId,
+      totalSupply: ethers.parseEther("1000"),
+      pricePerToken: ethers.parseEther("1"),
+      title: mine.title,
+    });
+    expect(wrapped.creator).to.equal(creator.address);
+    expect(await testNFT.ownerOf(mine.tokenId)).to.equal(await wrappedIPManager.getAddress());
+
+    const { poolId } = await createSoftlaw({ signer: deployer, contracts }).createPool({ token: wrapped.tokenAddress });
+    const ipToken = await ethers.getContractAt("PersonalizedWrappedIPToken", wrapped.tokenAddress);
+    expect(await ipToken.allowance(creator.address, managerAddress)).to.equal(0n);
+
+    const added = await softlaw.addLiquidity({ poolId, amountA: ethers.parseEther("100"), amountB: ethers.parseEther("200") });
+    expect(added.amountA).to.equal(ethers.parseEther("100"));
+    expect(added.amountB).to.equal(ethers.parseEther("200"));
+    expect(added.liquidity > 0n).to.equal(true);
+    // Each approval covers exactly the amount added
+    expect(await ipToken.allowance(creator.address, managerAddress)).to.equal(0n);
+    expect(await slawToken.allowance(creator.address, managerAddress)).to.equal(0n);
+  });
+});
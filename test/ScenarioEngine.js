@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { marketplaceFixture } = require("./shared/fixtures");
+const registry = require("../scripts/lib/deployment-registry");
+const { writeJsonAtomic } = require("../scripts/lib/json-file");
+const { loadScenario, validateScenario, runScenario } = require("../scripts/lib/scenario-engine");
+
+// Scenarios run against a deployment registry: the fixture is written to
+// one for a network name of its own
+const NETWORK = "scenario-test";
+
+async function component(contract) {
+  return { address: await contract.getAddress(), abi: JSON.parse(contract.interface.formatJson()) };
+}
+
+describe("Scenario engine", function () {
+  beforeEach(async function () {
+    const world = await loadFixture(marketplaceFixture);
+    writeJsonAtomic(registry.getRegistryPath(NETWORK), {
+      network: NETWORK,
+      contracts: {
+        SLAWToken: await component(world.slawToken),
+        TreasuryCore: await component(world.treasuryCore),
+        WrappedIPManager: await component(world.wrappedIPManager),
+        LiquidityManager: await component(world.liquidityManager),
+        MarketplaceCore: await component(world.marketplaceCore),
+        TestCopyrightNFT: await component(world.testNFT),
+      },
+      abis: { PersonalizedWrappedIPToken: (await artifacts.readArtifact("PersonalizedWrappedIPToken")).abi },
+      history: {},
+    });
+  });
+
+  after(function () {
+    fs.rmSync(registry.getRegistryPath(NETWORK), { force: true });
+  });
+
+  it("runs the steps and checks the expected end state", async function () {
+    const report = await runScenario(
+      {
+        name: "wrap-and-sell",
+        actors: { alice: { slaw: 1000 }, bob: { slaw: 1000 } },
+        steps: [
+          { action: "mint", actor: "alice", title: "Song", as: "song" },
+          { action: "wrap", actor: "alice", nft: "song", supply: 1000, price: 1, as: "songToken" },
+          { action: "createPool", token: "songToken", as: "pool" },
+          { action: "addLiquidity", actor: "alice", pool: "pool", amountA: 100, amountB: 200 },
+          { action: "transfer", actor: "alice", token: "songToken", to: "bob", amount: 50 },
+          { action: "mint", actor: "bob", title: "Artwork", as: "art" },
+          { action: "list", actor: "bob", nft: "art", price: 10, as: "artListing" },
+          { action: "buy", actor: "bob", listing: "artListing", expectRevert: "Cannot buy own listing" },
+          { action: "buy", actor: "alice", listing: "artListing" },
+        ],
+        expect: [
+          { balance: { actor: "alice", token: "songToken", equals: 850 } },
+          { balance: { actor: "bob", token: "songToken", equals: 50 } },
+          { owner: { nft: "art", actor: "alice" } },
+        ],
+      },
+      { network: NETWORK, quiet: true }
+    );
+
+    expect(report.steps.map(step => step.status)).to.deep.equal(Array(9).fill("passed"));
+    expect(report.steps[7].error).to.contain("Cannot buy own listing");
+    expect(report.expectations.map(outcome => outcome.passed)).to.deep.equal([true, true, true]);
+    expect(report.success).to.equal(true);
+  });
+
+  it("stops at the first failed step and skips the expectations", async function () {
+    const report = await runScenario(
+      {
+        name: "overspend",
+        actors: { alice: { slaw: 10 } },
+        steps: [
+          { action: "transfer", actor: "alice", to: "deployer", amount: 1000000000 },
+          { action: "mint", actor: "alice", title: "Never minted" },
+        ],
+        expect: [{ balance: { actor: "alice", token: "SLAW", atLeast: 0 } }],
+      },
+      { network: NETWORK, quiet: true }
+    );
+
+    expect(report.steps.map(step => step.status)).to.deep.equal(["failed", "skipped"]);
+    expect(report.steps[0].error).to.contain("ERC20InsufficientBalance");
+    expect(report.expectations).to.deep.equal([]);
+    expect(report.success).to.equal(false);
+  });
+
+  it("validates scenarios before sending anything", function () {
+    expect(() => validateScenario(loadScenario("creator-economy"))).to.not.throw();
+    expect(() =>
+      validateScenario({ name: "typo", steps: [{ action: "wrap", actor: "alice", nft: "song", supply: 1, price: 1 }] })
+    ).to.throw('Step 1 (wrap): unknown actor "alice"');
+    expect(() =>
+      validateScenario({
+        name: "order",
+        actors: { alice: {} },
+        steps: [{ action: "wrap", actor: "alice", nft: "song", supply: 1, price: 1 }],
+      })
+    ).to.throw('"nft" refers to "song", but no earlier step saved a nft under that name');
+  });
+});
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { loadNetworkProfiles } = require("../scripts/lib/network-profiles");
+const { DEV_KEYS, DEV_MNEMONIC, checkKeySource, toHardhatAccounts, getSigners } = require("../scripts/lib/signer-provider");
+const { startLocalSigner } = require("../scripts/lib/external-signer");
+
+describe("SignerProvider", function () {
+  const { localNode, passetHub } = loadNetworkProfiles();
+
+  it("refuses the well-known dev key and mnemonic on non-local networks", async function () {
+    expect(checkKeySource(passetHub, { AH_PRIV_KEY: DEV_KEYS[0] })).to.deep.equal([
+      "AH_PRIV_KEY is a well-known dev key",
+    ]);
+    expect(checkKeySource(passetHub, { SOFTLAW_MNEMONIC: DEV_MNEMONIC })).to.deep.equal([
+      "SOFTLAW_MNEMONIC is the well-known Hardhat test mnemonic",
+    ]);
+    expect(checkKeySource(localNode, {})).to.deep.equal([]);
+  });
+
+  it("keeps dev keys out of the Hardhat accounts of non-local networks", function () {
+    // Account #1 of the Hardhat test mnemonic, not listed in DEV_KEYS itself
+    const mnemonicKey = ethers.HDNodeWallet.fromPhrase(DEV_MNEMONIC, undefined, "m/44'/60'/0'/0/1").privateKey;
+    const ownKey = ethers.Wallet.createRandom().privateKey;
+
+    expect(toHardhatAccounts(passetHub, { AH_PRIV_KEY: DEV_KEYS[0], LOCAL_PRIV_KEY: ownKey })).to.deep.equal([ownKey]);
+    expect(toHardhatAccounts(passetHub, { AH_PRIV_KEY: mnemonicKey.slice(2) })).to.deep.equal([]);
+    expect(toHardhatAccounts(passetHub, { SOFTLAW_MNEMONIC: DEV_MNEMONIC })).to.deep.equal([]);
+    expect(toHardhatAccounts(localNode, { LOCAL_PRIV_KEY: mnemonicKey })).to.deep.equal([mnemonicKey]);
+  });
+
+  it("decrypts keystores and derives mnemonic accounts", async function () {
+    const account = ethers.Wallet.createRandom();
+    const keystore = path.join(os.tmpdir(), `softlaw-keystore-${account.address}.json`);
+    // Cheap scrypt parameters, the format is the same
+    const json = await ethers.encryptKeystoreJson(account, "secret", { scrypt: { N: 1 << 10 } });
+    fs.writeFileSync(keystore, json);
+
+    try {
+      const [signer] = await getSigners(passetHub, null, {
+        SOFTLAW_KEYSTORE: keystore,
+        SOFTLAW_KEYSTORE_PASSWORD: "secret",
+      });
+      expect(signer.address).to.equal(account.address);
+    } finally {
+      fs.unlinkSync(keystore);
+    }
+
+    const phrase = ethers.Wallet.createRandom().mnemonic.phrase;
+    const signers = await getSigners(passetHub, null, { SOFTLAW_MNEMONIC: phrase });
+    expect(signers).to.have.length(5);
+    expect(signers[1].address).to.equal(ethers.HDNodeWallet.fromPhrase(phrase, undefined, "m/44'/60'/0'/0/1").address);
+  });
+
+  it("sends transactions through an external signer", async function () {
+    const [funder] = await ethers.getSigners();
+    const account = ethers.Wallet.createRandom();
+    const standIn = await startLocalSigner({ privateKeys: [account.privateKey, DEV_KEYS[0]] });
+
+    try {
+      const [signer] = await getSigners(localNode, ethers.provider, { SOFTLAW_SIGNER_URL: standIn.url });
+      expect(signer.address).to.equal(account.address);
+
+      await (await funder.sendTransaction({ to: account.address, value: ethers.parseEther("10") })).wait();
+      const receipt = await (await signer.sendTransaction({ to: funder.address, value: ethers.parseEther("1") })).wait();
+      expect(receipt.from).to.equal(account.address);
+      expect(standIn.requests).to.include("eth_signTransaction");
+
+      await expect(getSigners(passetHub, ethers.provider, { SOFTLAW_SIGNER_URL: standIn.url })).to.be.rejectedWith(
+        `Refusing the well-known dev account ${new ethers.Wallet(DEV_KEYS[0]).address} on passetHub`
+      );
+    } finally {
+      await standIn.close();
+    }
+  });
+});
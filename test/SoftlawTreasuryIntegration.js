@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { softlawTreasuryFixture } = require("./shared/fixtures");
 
 describe("🏛️ Softlaw Treasury & IP Liquidity Integration", function () {
     let treasury, wrappedIPFactory, liquidityFactory, copyrightsRegistry;
@@ -12,47 +14,18 @@ describe("🏛️ Softlaw Treasury & IP Liquidity Integration", function () {
     const LICENSE_BASE_FEE = ethers.parseEther("50"); // 50 SLAW
 
     beforeEach(async function () {
-        [owner, user1, user2, feeCollector] = await ethers.getSigners();
-
-        console.log("\n🚀 Setting up Softlaw Ecosystem...");
-
-        // Deploy mock NFT contract for testing
-        const MockNFT = await ethers.getContractFactory("contracts/test/MockCopyrightNFT.sol:MockCopyrightNFT");
-        mockNFT = await MockNFT.deploy();
-        await mockNFT.waitForDeployment();
-
-        // Deploy Uniswap V2 Factory
-        const UniswapV2Factory = await ethers.getContractFactory("UniswapV2Factory");
-        liquidityFactory = await UniswapV2Factory.deploy(owner.address);
-        await liquidityFactory.waitForDeployment();
-
-        // Deploy Softlaw Treasury
-        const SoftlawTreasury = await ethers.getContractFactory("SoftlawTreasury");
-        treasury = await SoftlawTreasury.deploy(
-            owner.address,
-            await liquidityFactory.getAddress(),
-            feeCollector.address
-        );
-        await treasury.waitForDeployment();
-
-        // Deploy Wrapped IP Factory
-        const WrappedIPFactory = await ethers.getContractFactory("WrappedIPFactory");
-        wrappedIPFactory = await WrappedIPFactory.deploy(
-            await treasury.getAddress(),
-            owner.address
-        );
-        await wrappedIPFactory.waitForDeployment();
-
-        // Deploy Copyright Registry (simplified for testing)
-        const MockRegistry = await ethers.getContractFactory("contracts/test/MockCopyrightRegistry.sol:MockCopyrightRegistry");
-        copyrightsRegistry = await MockRegistry.deploy(await treasury.getAddress());
-        await copyrightsRegistry.waitForDeployment();
-
-        // Setup permissions
-        const REGISTRY_ROLE = await treasury.REGISTRY_CONTRACT();
-        await treasury.grantRole(REGISTRY_ROLE, await copyrightsRegistry.getAddress());
-
-        console.log("✅ Ecosystem setup complete!");
+        // Deployed once, then restored from a snapshot before every test
+        ({
+            deployer: owner,
+            creator: user1,
+            investor: user2,
+            outsider: feeCollector,
+            mockNFT,
+            liquidityFactory,
+            treasury,
+            wrappedIPFactory,
+            copyrightsRegistry
+        } = await loadFixture(softlawTreasuryFixture));
     });
 
     describe("💰 SLAW Token & Treasury", function () {
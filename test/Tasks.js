@@ -0,0 +1,59 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+// The softlaw:* tasks only parse their params and hand them to the script
+// functions, so those are replaced by recorders here
+function recordCalls(modulePath) {
+  const script = require(modulePath);
+  const original = script.main;
+  const calls = [];
+  script.main = async (...args) => {
+    calls.push(args);
+    return "recorded";
+  };
+  return { calls, restore: () => (script.main = original) };
+}
+
+describe("Softlaw tasks", function () {
+  const restores = [];
+
+  function record(modulePath) {
+    const recorder = recordCalls(modulePath);
+    restores.push(recorder.restore);
+    return recorder.calls;
+  }
+
+  afterEach(function () {
+    restores.splice(0).forEach(restore => restore());
+  });
+
+  it("registers the lifecycle tasks with typed params", function () {
+    for (const name of ["softlaw:deploy", "softlaw:health", "softlaw:verify", "softlaw:monitor", "softlaw:seed", "softlaw:wrap-ip"]) {
+      expect(hre.tasks, name).to.have.property(name);
+    }
+
+    const monitor = hre.tasks["softlaw:monitor"].paramDefinitions;
+    expect(monitor.minutes.type.name).to.equal("int");
+    expect(monitor.minutes.defaultValue).to.equal(10);
+    // --config is Hardhat's own
+    expect(monitor).to.not.have.property("config");
+
+    const wrapIP = hre.tasks["softlaw:wrap-ip"].paramDefinitions;
+    expect(wrapIP.tokenId.isOptional).to.equal(false);
+    expect(wrapIP.account.type.name).to.equal("int");
+    expect(wrapIP).to.have.property("dryRun");
+  });
+
+  it("passes the command and options to the script functions", async function () {
+    const deploy = record("../scripts/deploy-integration");
+    const health = record("../scripts/verify-pvm-deployment");
+
+    expect(await hre.run("softlaw:deploy", { fresh: true })).to.equal("recorded");
+    expect(deploy[0][0]).to.include({ fresh: true });
+
+    await hre.run("softlaw:health", { json: "health.json", failOn: "warning" });
+    await hre.run("softlaw:monitor", { minutes: 3, monitorConfig: "monitor.js" });
+    expect(health[0]).to.deep.equal(["health", [], { json: "health.json", junit: undefined, failOn: "warning" }]);
+    expect(health[1]).to.deep.equal(["monitor", ["3"], { port: undefined, interval: undefined, config: "monitor.js" }]);
+  });
+});
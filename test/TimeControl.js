@@ -0,0 +1,47 @@
+const { expect } = require("chai");
+const { createTimeControl } = require("../scripts/lib/time-control");
+
+describe("TimeControl", function () {
+  let time;
+  let capabilities;
+
+  before(async function () {
+    time = createTimeControl();
+    capabilities = await time.capabilities();
+  });
+
+  it("mines the requested number of blocks", async function () {
+    const before = await time.latestBlock();
+    await time.mine(3);
+    expect(await time.latestBlock()).to.be.at.least(before + 3);
+  });
+
+  it("moves time forward, or says why it cannot", async function () {
+    if (!capabilities.increaseTime) {
+      await expect(time.increaseTime(3600)).to.be.rejectedWith(`Increasing time is not supported on network "${hre.network.name}"`);
+      return;
+    }
+
+    const before = await time.latestTimestamp();
+    expect(await time.increaseTime(3600)).to.be.at.least(before + 3600);
+
+    await time.increaseTo(before + 7200);
+    expect(await time.latestTimestamp()).to.equal(before + 7200);
+  });
+
+  it("restores state from a snapshot, or says why it cannot", async function () {
+    const [owner, other] = await ethers.getSigners();
+
+    if (!capabilities.snapshot) {
+      await expect(time.snapshot()).to.be.rejectedWith(`Taking a snapshot is not supported on network "${hre.network.name}"`);
+      return;
+    }
+
+    const balance = await ethers.provider.getBalance(other.address);
+    const id = await time.snapshot();
+    await (await owner.sendTransaction({ to: other.address, value: ethers.parseEther("1") })).wait();
+    await time.revert(id);
+
+    expect(await ethers.provider.getBalance(other.address)).to.equal(balance);
+  });
+});
@@ -1,5 +1,6 @@
 const {chai, expect } = require("chai");
-const { expandTo18Decimals, getWallets } = require('./shared/utilities');
+const { expandTo18Decimals } = require('./shared/utilities');
+const { getDeployFactory } = require('./shared/backend');
 const hre = require("hardhat");
 const { 
   BigInt,
@@ -39,12 +40,7 @@ let factory;
     // NOTE: It's not necessary to deploy the pair contract
     // while pallet-revive now require the code exists on chain
     // before it is deployed inside a contract.
-    let UniswapV2Pair;
-    if (hre.network.name == 'polkavm' || hre.network.name == 'ah') {
-      UniswapV2Pair = await ethers.getContractFactory("UniswapV2Pair", getWallets(1)[0]);
-    } else {
-      UniswapV2Pair = await ethers.getContractFactory("UniswapV2Pair");
-    }
+    const UniswapV2Pair = await getDeployFactory("UniswapV2Pair");
     // const UniswapV2Pair = await ethers.getContractFactory("UniswapV2Pair");
     let pair = await UniswapV2Pair.deploy();
     await pair.waitForDeployment();
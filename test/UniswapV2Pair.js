@@ -1,7 +1,8 @@
 const chai = require('chai');
 const { expect } = chai;
 const { ZeroAddress, utils, keccak256, solidityPacked, getCreate2Address } = require('ethers');
-const { expandTo18Decimals, getWallets, encodePrice, mineBlock } = require('./shared/utilities');
+const { expandTo18Decimals, encodePrice, mineBlock } = require('./shared/utilities');
+const { getDeployFactory } = require('./shared/backend');
 
 
 const TOTAL_SUPPLY = expandTo18Decimals(10000)
@@ -24,12 +25,7 @@ describe('UniswapV2Pair', function() {
 
     [wallet, other] = await ethers.getSigners();
 
-    let UniswapV2Pair;
-    if (hre.network.name == 'polkavm' || hre.network.name == 'ah') {
-      UniswapV2Pair = await ethers.getContractFactory("UniswapV2Pair", getWallets(1)[0]);
-    } else {
-      UniswapV2Pair = await ethers.getContractFactory("UniswapV2Pair");
-    }
+    const UniswapV2Pair = await getDeployFactory("UniswapV2Pair");
 
     const ERC20 = await ethers.getContractFactory("ERC20");
     token0 = await ERC20.deploy(TOTAL_SUPPLY);
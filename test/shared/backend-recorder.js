@@ -0,0 +1,280 @@
+const path = require("path");
+const { writeJsonAtomic } = require("../../scripts/lib/json-file");
+
+/**
+ * Per-test recorder for the dual-backend matrix (scripts/backend-matrix.js)
+ *
+ * Loaded as mocha root hooks by hardhat.config.js when SOFTLAW_RECORD is set.
+ * It wraps the Hardhat provider and records, for every test, in order:
+ *
+ *   tx      method, status, gasUsed and the decoded events of each mined transaction
+ *   call    method and decoded return value of each eth_call
+ *   revert  method and decoded revert reason of a failed call, gas estimate or send
+ *
+ * Addresses differ between the EVM and PolkaVM backends, so they are replaced
+ * by labels in order of first appearance: signer0, ERC20#1, UniswapV2Pair#1,
+ * address#1. 32-byte values (hashes of addresses, pool ids) get the same
+ * treatment (bytes32#1), so two recordings compare equal when the contracts
+ * behave the same.
+ */
+
+const RECORDED_SENDS = ["eth_sendTransaction", "eth_sendRawTransaction"];
+
+let recorder = null;
+
+async function createRecorder(hre) {
+  const { ethers } = hre;
+  const { createDecoder } = require("../../sdk/decoder");
+
+  const provider = hre.network.provider;
+  const originalRequest = provider.request.bind(provider);
+  const originalSend = typeof provider.send === "function" ? provider.send.bind(provider) : null;
+
+  const functions = new Map();
+  const creations = [];
+  const abis = {};
+
+  for (const fqn of await hre.artifacts.getAllFullyQualifiedNames()) {
+    const { contractName, abi, bytecode } = await hre.artifacts.readArtifact(fqn);
+    const name = abis[contractName] ? fqn : contractName;
+    abis[name] = abi;
+    if (bytecode && bytecode !== "0x") {
+      creations.push({ name: contractName, bytecode: bytecode.toLowerCase() });
+    }
+    const iface = new ethers.Interface(abi);
+    iface.forEachFunction((fragment) => {
+      if (!functions.has(fragment.selector)) {
+        functions.set(fragment.selector, { iface, fragment });
+      }
+    });
+  }
+  // Longest creation code first, so a contract is not mistaken for a shorter one it starts with
+  creations.sort((a, b) => b.bytecode.length - a.bytecode.length);
+
+  const decoder = createDecoder({ abis });
+  const labels = new Map();
+  const counters = new Map();
+  const tests = {};
+  let pending = null;
+
+  function nextLabel(prefix) {
+    const count = (counters.get(prefix) || 0) + 1;
+    counters.set(prefix, count);
+    return `${prefix}#${count}`;
+  }
+
+  function label(address) {
+    const key = address.toLowerCase();
+    if (!labels.has(key)) {
+      labels.set(key, nextLabel(decoder.contractAt(address) || "address"));
+    }
+    return labels.get(key);
+  }
+
+  function labelDeployment(address, data) {
+    const code = (data || "").toLowerCase();
+    const match = creations.find((creation) => code.startsWith(creation.bytecode));
+    const key = address.toLowerCase();
+    if (match && !labels.has(key)) {
+      labels.set(key, nextLabel(match.name));
+      try {
+        decoder.register(match.name, address);
+      } catch {
+        // Ambiguous contract name, events are still decoded by topic
+      }
+    }
+    return label(address);
+  }
+
+  function normalize(value) {
+    if (typeof value === "bigint") {
+      return value.toString();
+    }
+    if (typeof value === "string" && ethers.isHexString(value)) {
+      if (ethers.isHexString(value, 20)) {
+        return label(value);
+      }
+      if (ethers.isHexString(value, 32)) {
+        const key = value.toLowerCase();
+        if (!labels.has(key)) {
+          labels.set(key, nextLabel("bytes32"));
+        }
+        return labels.get(key);
+      }
+      return value.toLowerCase();
+    }
+    if (Array.isArray(value)) {
+      return Array.from(value, normalize);
+    }
+    return value;
+  }
+
+  function describeCall(tx) {
+    if (!tx.to) {
+      return { contract: null, method: "deploy", entry: null };
+    }
+    const entry = tx.data && tx.data.length >= 10 ? functions.get(tx.data.slice(0, 10).toLowerCase()) : null;
+    return {
+      contract: label(tx.to),
+      method: entry ? entry.fragment.format("sighash") : tx.data && tx.data !== "0x" ? tx.data.slice(0, 10) : "transfer",
+      entry,
+    };
+  }
+
+  function revertReason(error) {
+    const decoded = decoder.decodeError(error);
+    return decoded ? decoded.message : "reverted without reason";
+  }
+
+  function capture(method, params, result, error) {
+    if (!pending) {
+      return;
+    }
+    if (RECORDED_SENDS.includes(method)) {
+      const tx =
+        method === "eth_sendRawTransaction"
+          ? ethers.Transaction.from(params[0])
+          : { to: params[0].to, data: params[0].data || params[0].input };
+      pending.push({ type: "send", tx: { to: tx.to || null, data: tx.data }, hash: result, error });
+    } else if (method === "eth_call") {
+      pending.push({ type: "call", tx: params[0], result, error });
+    } else if (method === "eth_estimateGas" && error) {
+      pending.push({ type: "estimate", tx: params[0], error });
+    }
+  }
+
+  async function recordRequest(method, params, forward) {
+    try {
+      const result = await forward();
+      capture(method, params, result, null);
+      return result;
+    } catch (error) {
+      capture(method, params, null, error);
+      throw error;
+    }
+  }
+
+  provider.request = (args) => recordRequest(args.method, args.params || [], () => originalRequest(args));
+  if (originalSend) {
+    provider.send = (method, params = []) => recordRequest(method, params, () => originalSend(method, params));
+  }
+
+  async function getReceipt(hash) {
+    // Remote nodes may not have sealed the block yet
+    for (let attempt = 0; attempt < 30; attempt++) {
+      const receipt = await originalRequest({ method: "eth_getTransactionReceipt", params: [hash] });
+      if (receipt) {
+        return receipt;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+    return null;
+  }
+
+  async function toOperation(raw) {
+    const { contract, method, entry } = describeCall(raw.tx);
+
+    if (raw.error) {
+      const via = raw.type === "send" ? "transaction" : raw.type === "call" ? "call" : "estimateGas";
+      return { kind: "revert", via, contract, method, reason: revertReason(raw.error) };
+    }
+
+    if (raw.type === "call") {
+      let result;
+      try {
+        result = entry ? normalize(Array.from(entry.iface.decodeFunctionResult(entry.fragment, raw.result))) : normalize(raw.result);
+      } catch {
+        result = normalize(raw.result);
+      }
+      return { kind: "call", contract, method, result };
+    }
+
+    const receipt = await getReceipt(raw.hash);
+    if (!receipt) {
+      return { kind: "tx", contract, method, status: "pending", gasUsed: null, events: [] };
+    }
+    const deployed = receipt.contractAddress ? labelDeployment(receipt.contractAddress, raw.tx.data) : null;
+    const events = decoder.decodeReceipt({ ...receipt, hash: receipt.transactionHash }).map((event) => ({
+      contract: label(event.address),
+      event: event.name,
+      args: normalize(Array.from(event.args)),
+    }));
+    return {
+      kind: "tx",
+      contract: deployed || contract,
+      method,
+      status: BigInt(receipt.status) === 1n ? "success" : "reverted",
+      gasUsed: BigInt(receipt.gasUsed).toString(),
+      events,
+    };
+  }
+
+  return {
+    async start() {
+      const accounts = await originalRequest({ method: "eth_accounts", params: [] });
+      accounts.forEach((account, i) => {
+        if (!labels.has(account.toLowerCase())) {
+          labels.set(account.toLowerCase(), `signer${i}`);
+        }
+      });
+    },
+
+    beginTest() {
+      pending = [];
+    },
+
+    async endTest(test) {
+      const raws = pending || [];
+      pending = null;
+
+      const operations = [];
+      for (const raw of raws) {
+        operations.push(await toOperation(raw));
+      }
+
+      const file = test.file ? path.relative(hre.config.paths.root, test.file) : "unknown";
+      tests[`${file} › ${test.fullTitle()}`] = {
+        file,
+        title: test.fullTitle(),
+        state: test.state || "pending",
+        error: test.err ? String(test.err.message).split("\n")[0] : null,
+        gasUsed: operations
+          .filter((operation) => operation.gasUsed)
+          .reduce((sum, operation) => sum + BigInt(operation.gasUsed), 0n)
+          .toString(),
+        operations,
+      };
+    },
+
+    write(outputPath) {
+      writeJsonAtomic(outputPath, {
+        network: hre.network.name,
+        backend: hre.network.config.polkavm ? "pvm" : "evm",
+        recordedAt: new Date().toISOString(),
+        tests,
+      });
+    },
+  };
+}
+
+// Hardhat is only required inside the hooks: this file is loaded by
+// hardhat.config.js, before the runtime exists
+const mochaHooks = {
+  async beforeAll() {
+    if (!recorder) {
+      recorder = await createRecorder(require("hardhat"));
+      await recorder.start();
+    }
+  },
+  beforeEach() {
+    recorder.beginTest();
+  },
+  async afterEach() {
+    await recorder.endTest(this.currentTest);
+  },
+  afterAll() {
+    recorder.write(path.resolve(process.env.SOFTLAW_RECORD));
+  },
+};
+
+module.exports = { mochaHooks };
@@ -0,0 +1,26 @@
+const hre = require("hardhat");
+const { getWallets } = require("./utilities");
+
+/**
+ * Whether the tests run against a PolkaVM node reached over RPC (localNode,
+ * passetHub) rather than an in-process Hardhat network
+ */
+function isRemotePolkaVM(network = hre.network) {
+  return Boolean(network.config.polkavm && network.config.url);
+}
+
+/**
+ * Contract factory for a test contract. Remote PolkaVM nodes deploy with a
+ * plain wallet from the network's configured accounts.
+ */
+function getDeployFactory(name) {
+  if (isRemotePolkaVM()) {
+    return hre.ethers.getContractFactory(name, getWallets(1)[0]);
+  }
+  return hre.ethers.getContractFactory(name);
+}
+
+module.exports = {
+  isRemotePolkaVM,
+  getDeployFactory,
+};
@@ -1,40 +1,249 @@
-// const { Contract, Wallet } = require('ethers')
-// const { Web3Provider } = require('ethers/providers')
-// const { deployContract } = require('ethereum-waffle')
+const { ethers } = require("hardhat");
+const resolver = require("../../scripts/lib/contract-resolver");
+const { findEvent } = require("../../sdk/receipts");
 
-// const { expandTo18Decimals } = require('./utilities')
+/**
+ * Layered fixtures for the Softlaw ecosystem
+ *
+ *   tokenFixture -> treasuryFixture -> ipFixture -> marketplaceFixture -> governanceFixture
+ *                                                \-> liquidityFixture
+ *
+ * Each layer deploys on top of the previous one and returns everything the
+ * previous layers returned. Load them with hardhat-network-helpers so the
+ * world is deployed once per suite and restored from a snapshot afterwards:
+ *
+ *   const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+ *   const { creator, wrappedIPManager, nfts } = await loadFixture(ipFixture);
+ *
+ * Contracts are resolved through the classic deployment profile (see
+ * scripts/lib/contract-resolver.js), the same artifacts deploy-integration.js uses.
+ */
 
-// const ERC20 = require('../../build/ERC20.json')
-// const UniswapV2Factory = require('../../build/UniswapV2Factory.json')
-// const UniswapV2Pair = require('../../build/UniswapV2Pair.json')
+// Named actors, in signer order
+const ACTORS = ["deployer", "creator", "investor", "arbitrator", "daoMember", "outsider"];
 
-// const overrides = {
-//   gasLimit: 9999999
-// }
+const ACTOR_SLAW = ethers.parseEther("100000");
+const LIQUIDITY_REWARDS = ethers.parseEther("5000000");
+const ARBITRATOR_FEE = ethers.parseEther("100");
 
-// async function factoryFixture(_, [wallet]) {
-//   const factory = await deployContract(wallet, UniswapV2Factory, [wallet.address], overrides)
-//   return { factory }
-// }
+// Supply of each wrapped IP token in liquidityFixture, and the share every
+// other actor receives from the creator
+const IP_TOKEN_SUPPLY = ethers.parseEther("1000000");
+const ACTOR_IP_TOKENS = ethers.parseEther("100000");
 
-// async function pairFixture(provider, [wallet]) {
-//   const { factory } = await factoryFixture(provider, [wallet])
+// Copyright NFTs minted in ipFixture, owned by the named actor
+const SEEDED_NFTS = [
+  { owner: "creator", title: "Ethereal Dreams", description: "Ambient track", category: "music" },
+  { owner: "creator", title: "Cyber Phoenix", description: "Digital artwork", category: "art" },
+  { owner: "investor", title: "Midnight Symphony", description: "Orchestral piece", category: "music" },
+];
 
-//   const tokenA = await deployContract(wallet, ERC20, [expandTo18Decimals(10000)], overrides)
-//   const tokenB = await deployContract(wallet, ERC20, [expandTo18Decimals(10000)], overrides)
+async function deploy(component, args, signer) {
+  const factory = await resolver.getContractFactory(component, signer);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
 
-//   await factory.createPair(tokenA.address, tokenB.address, overrides)
-//   const pairAddress = await factory.getPair(tokenA.address, tokenB.address)
-//   const pair = new Contract(pairAddress, JSON.stringify(UniswapV2Pair.abi), provider).connect(wallet)
+async function getActors() {
+  const signers = await ethers.getSigners();
+  if (signers.length < ACTORS.length) {
+    throw new Error(
+      `❌ Fixtures need ${ACTORS.length} accounts (${ACTORS.join(", ")}), network ${hre.network.name} has ${signers.length}`
+    );
+  }
+  return Object.fromEntries(ACTORS.map((name, i) => [name, signers[i]]));
+}
 
-//   const token0Address = (await pair.token0()).address
-//   const token0 = tokenA.address === token0Address ? tokenA : tokenB
-//   const token1 = tokenA.address === token0Address ? tokenB : tokenA
+/**
+ * Named actors and a SLAWToken, with ACTOR_SLAW sent to every actor
+ */
+async function tokenFixture() {
+  const actors = await getActors();
+  const { deployer } = actors;
 
-//   return { factory, token0, token1, pair }
-// }
+  // The deployer holds the initial supply until TreasuryCore exists
+  const slawToken = await deploy("SLAWToken", [deployer.address, deployer.address]);
 
-// module.exports = {
-//   factoryFixture,
-//   pairFixture
-// }
+  for (const name of ACTORS.slice(1)) {
+    await (await slawToken.transfer(actors[name].address, ACTOR_SLAW)).wait();
+  }
+
+  return { ...actors, actors, slawToken };
+}
+
+/**
+ * TreasuryCore, linked to the SLAWToken
+ */
+async function treasuryFixture() {
+  const base = await tokenFixture();
+  const { deployer, slawToken } = base;
+
+  const treasuryCore = await deploy("TreasuryCore", [
+    deployer.address,
+    await slawToken.getAddress(),
+    deployer.address,
+  ]);
+  await (await slawToken.updateTreasuryCore(await treasuryCore.getAddress())).wait();
+
+  return { ...base, treasuryCore };
+}
+
+/**
+ * WrappedIPManager, LiquidityManager and a TestCopyrightNFT with the
+ * SEEDED_NFTS minted. The creator has a verified creator profile.
+ */
+async function ipFixture() {
+  const base = await treasuryFixture();
+  const { deployer, creator, slawToken, treasuryCore } = base;
+  const slawAddress = await slawToken.getAddress();
+  const treasuryAddress = await treasuryCore.getAddress();
+
+  const wrappedIPManager = await deploy("WrappedIPManager", [deployer.address, slawAddress, treasuryAddress]);
+  const liquidityManager = await deploy("LiquidityManager", [deployer.address, slawAddress, treasuryAddress]);
+
+  await (await treasuryCore.updateSystemAddress("wrappedIPManager", await wrappedIPManager.getAddress())).wait();
+  await (await treasuryCore.updateSystemAddress("liquidityManager", await liquidityManager.getAddress())).wait();
+  await (await slawToken.transfer(await liquidityManager.getAddress(), LIQUIDITY_REWARDS)).wait();
+
+  const testNFT = await deploy("TestCopyrightNFT", [deployer.address]);
+  const nftAddress = await testNFT.getAddress();
+  await (await wrappedIPManager.setSupportedNFTContract(nftAddress, true)).wait();
+
+  await (await wrappedIPManager.connect(creator).createCreatorProfile("Alice Melody")).wait();
+  await (await wrappedIPManager.verifyCreator(creator.address, true)).wait();
+
+  const nfts = [];
+  for (const seed of SEEDED_NFTS) {
+    const owner = base[seed.owner];
+    const receipt = await (
+      await testNFT
+        .connect(owner)
+        .mintCopyright(owner.address, seed.title, seed.description, seed.category, `ipfs://softlaw/${seed.title}`)
+    ).wait();
+    const { tokenId } = findEvent(receipt, testNFT, nftAddress, "CopyrightMinted").args;
+    nfts.push({ ...seed, owner, tokenId });
+  }
+
+  return { ...base, wrappedIPManager, liquidityManager, testNFT, nfts };
+}
+
+/**
+ * The creator's seeded NFTs wrapped into PersonalizedWrappedIPTokens
+ * (`ipTokens`), with ACTOR_IP_TOKENS of each sent to every actor but the deployer
+ */
+async function liquidityFixture() {
+  const base = await ipFixture();
+  const { creator, wrappedIPManager, testNFT, nfts } = base;
+  const managerAddress = await wrappedIPManager.getAddress();
+  const nftAddress = await testNFT.getAddress();
+
+  const ipTokens = [];
+  for (const nft of nfts.filter((seed) => seed.owner === creator)) {
+    await (await testNFT.connect(creator).approve(managerAddress, nft.tokenId)).wait();
+    const receipt = await (
+      await wrappedIPManager
+        .connect(creator)
+        .wrapIP(nftAddress, nft.tokenId, IP_TOKEN_SUPPLY, ethers.parseEther("1"), nft.title)
+    ).wait();
+    const { tokenAddress } = findEvent(receipt, wrappedIPManager, managerAddress, "IPWrapped").args;
+    ipTokens.push(await resolver.getContractAt("PersonalizedWrappedIPToken", tokenAddress));
+  }
+
+  for (const token of ipTokens) {
+    for (const name of ACTORS.slice(2)) {
+      await (await token.connect(creator).transfer(base[name].address, ACTOR_IP_TOKENS)).wait();
+    }
+  }
+
+  return { ...base, ipTokens };
+}
+
+/**
+ * MarketplaceCore, allowed to move payments through TreasuryCore
+ */
+async function marketplaceFixture() {
+  const base = await ipFixture();
+  const { deployer, slawToken, treasuryCore, testNFT } = base;
+
+  const marketplaceCore = await deploy("MarketplaceCore", [
+    deployer.address,
+    await slawToken.getAddress(),
+    await treasuryCore.getAddress(),
+  ]);
+  await (await treasuryCore.grantRole(await treasuryCore.MARKETPLACE_CONTRACT(), await marketplaceCore.getAddress())).wait();
+  await (await marketplaceCore.setSupportedNFTContract(await testNFT.getAddress(), true)).wait();
+
+  return { ...base, marketplaceCore };
+}
+
+/**
+ * ADRSystem with the arbitrator registered, and the DAO: CopyrightsRegistry,
+ * DaoMembership (creator, daoMember as lawyer, arbitrator), DAOTreasury and DAOGovernor
+ */
+async function governanceFixture() {
+  const base = await marketplaceFixture();
+  const { deployer, creator, arbitrator, daoMember, treasuryCore } = base;
+
+  const adrSystem = await deploy("ADRSystem", [deployer.address, await treasuryCore.getAddress()]);
+  await (await adrSystem.connect(arbitrator).registerArbitrator("Ada Arbiter", ARBITRATOR_FEE)).wait();
+
+  const copyrightsRegistry = await deploy("CopyrightsRegistry", [deployer.address]);
+  const daoMembership = await deploy("DaoMembership", [
+    deployer.address,
+    daoMember.address,
+    creator.address,
+    arbitrator.address,
+  ]);
+  const daoTreasury = await deploy("DAOTreasury", [deployer.address]);
+  const daoGovernor = await deploy("DAOGovernor", [
+    await copyrightsRegistry.getAddress(),
+    await daoMembership.getAddress(),
+    await daoTreasury.getAddress(),
+  ]);
+
+  return { ...base, adrSystem, copyrightsRegistry, daoMembership, daoTreasury, daoGovernor };
+}
+
+/**
+ * Standalone SoftlawTreasury stack (SLAW + IP wrapping + Uniswap pools in one
+ * contract) with a MockCopyrightNFT, WrappedIPFactory and MockCopyrightRegistry.
+ * The outsider collects fees. Not funded: the treasury holds the whole supply.
+ */
+async function softlawTreasuryFixture() {
+  const actors = await getActors();
+  const { deployer, outsider } = actors;
+
+  const mockNFT = await deploy("contracts/test/MockCopyrightNFT.sol:MockCopyrightNFT", []);
+  const liquidityFactory = await deploy("UniswapV2Factory", [deployer.address]);
+  const treasury = await deploy("SoftlawTreasury", [
+    deployer.address,
+    await liquidityFactory.getAddress(),
+    outsider.address,
+  ]);
+  const wrappedIPFactory = await deploy("WrappedIPFactory", [await treasury.getAddress(), deployer.address]);
+  const copyrightsRegistry = await deploy("contracts/test/MockCopyrightRegistry.sol:MockCopyrightRegistry", [
+    await treasury.getAddress(),
+  ]);
+
+  await (await treasury.grantRole(await treasury.REGISTRY_CONTRACT(), await copyrightsRegistry.getAddress())).wait();
+
+  return { ...actors, actors, mockNFT, liquidityFactory, treasury, wrappedIPFactory, copyrightsRegistry };
+}
+
+module.exports = {
+  ACTORS,
+  ACTOR_SLAW,
+  LIQUIDITY_REWARDS,
+  ARBITRATOR_FEE,
+  IP_TOKEN_SUPPLY,
+  ACTOR_IP_TOKENS,
+  SEEDED_NFTS,
+  tokenFixture,
+  treasuryFixture,
+  ipFixture,
+  liquidityFixture,
+  marketplaceFixture,
+  governanceFixture,
+  softlawTreasuryFixture,
+};
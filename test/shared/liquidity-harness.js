@@ -0,0 +1,355 @@
+const fc = require("fast-check");
+const { ethers } = require("hardhat");
+const { describeError } = require("../../scripts/lib/receipt-decoder");
+
+/**
+ * Property-based harness for LiquidityManager
+ *
+ * fast-check generates random sequences of createPool, addLiquidity,
+ * removeLiquidity, swapTokens and collectFees across the actors of
+ * liquidityFixture. Calls may revert (empty pools, dust amounts, missing
+ * positions); the invariants are checked after every command either way:
+ *
+ *   constant product   reserveA * reserveB per liquidity share never decreases
+ *   positions          getUserPosition sums equal the pool's totalLiquidity
+ *   fees               collectFees never pays more than the SLAW trading fees the pool accrued
+ *   conservation       no SLAW is created: supply and the sum of holder balances are constant,
+ *                      and the manager holds at least its reserves
+ *
+ * A failing sequence is shrunk to a minimal reproducer. Replay it with the
+ * reported seed and path: PROPERTY_SEED=<seed> PROPERTY_PATH=<path> npx hardhat test
+ */
+
+const BPS = 10000n;
+
+// Mirrors LiquidityManager.TRADING_FEE (basis points), which stays in the pool
+const TRADING_FEE = 30n;
+
+// Amounts from dust to whole tokens, so rounding paths are exercised too
+const amountArb = fc.oneof(
+  fc.bigInt({ min: 1n, max: 10n ** 6n }),
+  fc.bigInt({ min: 1n, max: 5000n }).map((n) => ethers.parseEther(n.toString()))
+);
+
+function invariantError(message) {
+  return new Error(`❌ Invariant violated: ${message}`);
+}
+
+/**
+ * Send a transaction, returning the revert reason instead of throwing
+ */
+async function attempt(send) {
+  try {
+    await (await send()).wait();
+    return null;
+  } catch (error) {
+    return describeError(error);
+  }
+}
+
+async function readPool(real, poolId) {
+  const pool = await real.liquidityManager.getPool(poolId);
+  return { reserveA: pool.reserveA, reserveB: pool.reserveB, totalLiquidity: pool.totalLiquidity };
+}
+
+/**
+ * Check every invariant against the chain and advance the model's baseline
+ */
+async function checkInvariants(model, real) {
+  const managerAddress = await real.liquidityManager.getAddress();
+
+  for (const [index, poolId] of model.pools.entries()) {
+    if (!poolId) {
+      continue;
+    }
+    const pool = await readPool(real, poolId);
+    const previous = model.previous.get(poolId);
+
+    // sqrt(k) / L never decreases: swaps leave their fee in the pool and
+    // liquidity changes round in the pool's favour
+    if (previous && previous.totalLiquidity > 0n && pool.totalLiquidity > 0n) {
+      const before = previous.reserveA * previous.reserveB * pool.totalLiquidity * pool.totalLiquidity;
+      const after = pool.reserveA * pool.reserveB * previous.totalLiquidity * previous.totalLiquidity;
+      if (after < before) {
+        throw invariantError(
+          `constant product per share of pool ${index} decreased ` +
+            `(${previous.reserveA} * ${previous.reserveB} / ${previous.totalLiquidity}^2 -> ` +
+            `${pool.reserveA} * ${pool.reserveB} / ${pool.totalLiquidity}^2)`
+        );
+      }
+    }
+    model.previous.set(poolId, pool);
+
+    let positions = 0n;
+    for (const actor of real.actors) {
+      positions += (await real.liquidityManager.getUserPosition(poolId, actor.address)).liquidityTokens;
+    }
+    if (positions !== pool.totalLiquidity) {
+      throw invariantError(`positions of pool ${index} sum to ${positions}, totalLiquidity is ${pool.totalLiquidity}`);
+    }
+
+    const accrued = model.accruedFees.get(poolId) || 0n;
+    const collected = model.collectedFees.get(poolId) || 0n;
+    if (collected > accrued) {
+      throw invariantError(`collectFees paid ${collected} SLAW from pool ${index}, only ${accrued} in fees accrued`);
+    }
+
+    const tokenBalance = await real.ipTokens[index].balanceOf(managerAddress);
+    if (tokenBalance < pool.reserveA) {
+      throw invariantError(`manager holds ${tokenBalance} of IP token ${index}, pool ${index} reserves ${pool.reserveA}`);
+    }
+  }
+
+  const supply = await real.slawToken.totalSupply();
+  if (supply !== model.slawSupply) {
+    throw invariantError(`SLAW supply changed from ${model.slawSupply} to ${supply}`);
+  }
+
+  let held = 0n;
+  for (const holder of real.slawHolders) {
+    held += await real.slawToken.balanceOf(holder);
+  }
+  if (held !== model.slawHeld) {
+    throw invariantError(`SLAW held by the actors, manager and treasury changed from ${model.slawHeld} to ${held}`);
+  }
+
+  let reservesB = 0n;
+  for (const poolId of model.pools.filter(Boolean)) {
+    reservesB += model.previous.get(poolId).reserveB;
+  }
+  const slawBalance = await real.slawToken.balanceOf(managerAddress);
+  if (slawBalance < reservesB) {
+    throw invariantError(`manager holds ${slawBalance} SLAW, pools reserve ${reservesB}`);
+  }
+}
+
+class CreatePoolCommand {
+  constructor(token) {
+    this.token = token;
+  }
+
+  check(model) {
+    return !model.pools[this.token];
+  }
+
+  async run(model, real) {
+    const token = await real.ipTokens[this.token].getAddress();
+    const slaw = await real.slawToken.getAddress();
+    const reverted = await attempt(() => real.liquidityManager.connect(real.deployer).createPool(token, slaw));
+    if (reverted) {
+      throw invariantError(`createPool for IP token ${this.token} reverted: ${reverted}`);
+    }
+    model.pools[this.token] = await real.liquidityManager.getPoolId(token, slaw);
+    await checkInvariants(model, real);
+  }
+
+  toString() {
+    return `createPool(token${this.token})`;
+  }
+}
+
+class AddLiquidityCommand {
+  constructor(actor, pool, amountA, amountB) {
+    Object.assign(this, { actor, pool, amountA, amountB });
+  }
+
+  check(model) {
+    return Boolean(model.pools[this.pool]);
+  }
+
+  async run(model, real) {
+    const signer = real.actors[this.actor];
+    const managerAddress = await real.liquidityManager.getAddress();
+    await (await real.ipTokens[this.pool].connect(signer).approve(managerAddress, this.amountA)).wait();
+    await (await real.slawToken.connect(signer).approve(managerAddress, this.amountB)).wait();
+    await attempt(() => real.liquidityManager.connect(signer).addLiquidity(model.pools[this.pool], this.amountA, this.amountB));
+    await checkInvariants(model, real);
+  }
+
+  toString() {
+    return `addLiquidity(actor${this.actor}, pool${this.pool}, ${this.amountA}, ${this.amountB})`;
+  }
+}
+
+class RemoveLiquidityCommand {
+  constructor(actor, pool, shareBps) {
+    Object.assign(this, { actor, pool, shareBps });
+  }
+
+  check(model) {
+    return Boolean(model.pools[this.pool]);
+  }
+
+  async run(model, real) {
+    const signer = real.actors[this.actor];
+    const poolId = model.pools[this.pool];
+    const { liquidityTokens } = await real.liquidityManager.getUserPosition(poolId, signer.address);
+    const liquidity = (liquidityTokens * BigInt(this.shareBps)) / BPS;
+    await attempt(() => real.liquidityManager.connect(signer).removeLiquidity(poolId, liquidity));
+    await checkInvariants(model, real);
+  }
+
+  toString() {
+    return `removeLiquidity(actor${this.actor}, pool${this.pool}, ${this.shareBps}bps)`;
+  }
+}
+
+class SwapCommand {
+  constructor(actor, pool, sellSlaw, amountIn) {
+    Object.assign(this, { actor, pool, sellSlaw, amountIn });
+  }
+
+  check(model) {
+    return Boolean(model.pools[this.pool]);
+  }
+
+  async run(model, real) {
+    const signer = real.actors[this.actor];
+    const poolId = model.pools[this.pool];
+    const tokenIn = this.sellSlaw ? real.slawToken : real.ipTokens[this.pool];
+    const tokenOut = this.sellSlaw ? real.ipTokens[this.pool] : real.slawToken;
+    const managerAddress = await real.liquidityManager.getAddress();
+    const tokenInAddress = await tokenIn.getAddress();
+
+    let quote;
+    try {
+      quote = await real.liquidityManager.getAmountOut(poolId, tokenInAddress, this.amountIn);
+    } catch {
+      quote = null; // Empty pool
+    }
+
+    await (await tokenIn.connect(signer).approve(managerAddress, this.amountIn)).wait();
+    const before = await tokenOut.balanceOf(signer.address);
+    const reverted = await attempt(() =>
+      real.liquidityManager.connect(signer).swapTokens(poolId, tokenInAddress, this.amountIn, quote ?? 0n)
+    );
+
+    if (!reverted) {
+      const received = (await tokenOut.balanceOf(signer.address)) - before;
+      if (received !== quote) {
+        throw invariantError(`swap paid ${received}, getAmountOut quoted ${quote}`);
+      }
+      if (this.sellSlaw) {
+        model.accruedFees.set(poolId, (model.accruedFees.get(poolId) || 0n) + (this.amountIn * TRADING_FEE) / BPS);
+      }
+    }
+    await checkInvariants(model, real);
+  }
+
+  toString() {
+    return `swap(actor${this.actor}, pool${this.pool}, ${this.sellSlaw ? "SLAW->IP" : "IP->SLAW"}, ${this.amountIn})`;
+  }
+}
+
+class CollectFeesCommand {
+  constructor(actor, pool) {
+    Object.assign(this, { actor, pool });
+  }
+
+  check(model) {
+    return Boolean(model.pools[this.pool]);
+  }
+
+  async run(model, real) {
+    const signer = real.actors[this.actor];
+    const poolId = model.pools[this.pool];
+    const before = await real.slawToken.balanceOf(signer.address);
+    const reverted = await attempt(() => real.liquidityManager.connect(signer).collectFees(poolId));
+    if (!reverted) {
+      const paid = (await real.slawToken.balanceOf(signer.address)) - before;
+      model.collectedFees.set(poolId, (model.collectedFees.get(poolId) || 0n) + paid);
+    }
+    await checkInvariants(model, real);
+  }
+
+  toString() {
+    return `collectFees(actor${this.actor}, pool${this.pool})`;
+  }
+}
+
+/**
+ * Command arbitraries for `fc.commands`
+ *
+ * @param {object} options
+ * @param {number} options.actors Number of actors
+ * @param {number} options.pools Number of IP tokens that can get a pool
+ * @param {boolean} [options.collectFees] Include collectFees (defaults to true)
+ */
+function liquidityCommands({ actors, pools, collectFees = true }) {
+  const actorArb = fc.nat({ max: actors - 1 });
+  const poolArb = fc.nat({ max: pools - 1 });
+  const commands = [
+    poolArb.map((token) => new CreatePoolCommand(token)),
+    fc.tuple(actorArb, poolArb, amountArb, amountArb).map((args) => new AddLiquidityCommand(...args)),
+    fc.tuple(actorArb, poolArb, fc.integer({ min: 1, max: 10000 })).map((args) => new RemoveLiquidityCommand(...args)),
+    fc.tuple(actorArb, poolArb, fc.boolean(), amountArb).map((args) => new SwapCommand(...args)),
+  ];
+  if (collectFees) {
+    commands.push(fc.tuple(actorArb, poolArb).map((args) => new CollectFeesCommand(...args)));
+  }
+  return commands;
+}
+
+/**
+ * Run the liquidity property: `setup` returns liquidityFixture (through
+ * loadFixture, so every run starts from the same state)
+ *
+ * @param {function(): Promise<object>} setup
+ * @param {object} [options]
+ * @param {boolean} [options.collectFees] Include collectFees in the generated sequences
+ * @param {number} [options.numRuns] Sequences to try (defaults to PROPERTY_RUNS or 20)
+ * @param {number} [options.maxCommands] Longest sequence (defaults to 25)
+ */
+async function assertLiquidityInvariants(setup, options = {}) {
+  const seed = process.env.PROPERTY_SEED !== undefined ? Number(process.env.PROPERTY_SEED) : undefined;
+
+  await fc.assert(
+    fc.asyncProperty(
+      fc.commands(liquidityCommands({ actors: 5, pools: 2, collectFees: options.collectFees }), {
+        maxCommands: options.maxCommands || 25,
+      }),
+      async (commands) => {
+        const fixture = await setup();
+        const actors = [fixture.creator, fixture.investor, fixture.arbitrator, fixture.daoMember, fixture.outsider];
+        const real = {
+          deployer: fixture.deployer,
+          actors,
+          slawToken: fixture.slawToken,
+          liquidityManager: fixture.liquidityManager,
+          ipTokens: fixture.ipTokens,
+          slawHolders: [
+            fixture.deployer.address,
+            ...actors.map((actor) => actor.address),
+            await fixture.liquidityManager.getAddress(),
+            await fixture.treasuryCore.getAddress(),
+          ],
+        };
+
+        const model = {
+          pools: [],
+          previous: new Map(),
+          accruedFees: new Map(),
+          collectedFees: new Map(),
+          slawSupply: await fixture.slawToken.totalSupply(),
+          slawHeld: 0n,
+        };
+        for (const holder of real.slawHolders) {
+          model.slawHeld += await fixture.slawToken.balanceOf(holder);
+        }
+
+        await fc.asyncModelRun(() => ({ model, real }), commands);
+      }
+    ),
+    {
+      numRuns: options.numRuns || Number(process.env.PROPERTY_RUNS || 20),
+      seed,
+      path: process.env.PROPERTY_PATH,
+    }
+  );
+}
+
+module.exports = {
+  liquidityCommands,
+  checkInvariants,
+  assertLiquidityInvariants,
+};
@@ -1,33 +1,56 @@
 const { Contract } = require('ethers');
 const { Web3Provider } = require('ethers/providers');
-const { 
+const {
   BigInt,
   getBigInt,
   getAddress,
   keccak256,
   AbiCoder,
   toUtf8Bytes,
-  solidityPacked
+  solidityPacked,
+  Signature,
+  TypedDataEncoder,
+  getCreate2Address: create2Address
 } = require('ethers')
+const { createTimeControl } = require('../../scripts/lib/time-control')
 
 const PERMIT_TYPEHASH = keccak256(
   toUtf8Bytes('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)')
 )
 
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+// Permits expire an hour after signing unless a deadline is given
+const DEFAULT_PERMIT_TTL = 3600
+
 function expandTo18Decimals(n) {
   return getBigInt(n) * getBigInt('1000000000000000000')
 }
 
-async function getDomainSeparator(name, tokenAddress) {
+async function getChainId() {
+  return (await ethers.provider.getNetwork()).chainId
+}
+
+async function getDomainSeparator(name, tokenAddress, version = '1', chainId) {
     const abiCoder = new AbiCoder();
-    let chainId = (await ethers.provider.getNetwork()).chainId;
+    if (chainId === undefined) {
+      chainId = await getChainId();
+    }
   return keccak256(
     abiCoder.encode(
       ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
       [
         keccak256(toUtf8Bytes('EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)')),
         keccak256(toUtf8Bytes(name)),
-        keccak256(toUtf8Bytes('1')),
+        keccak256(toUtf8Bytes(version)),
         chainId,
         tokenAddress
       ]
@@ -35,62 +58,170 @@ async function getDomainSeparator(name, tokenAddress) {
   )
 }
 
-// function getCreate2Address(factoryAddress, [tokenA, tokenB], bytecode) {
-//   const [token0, token1] = tokenA < tokenB ? [tokenA, tokenB] : [tokenB, tokenA]
-//   const create2Inputs = [
-//     '0xff',
-//     factoryAddress,
-//     keccak256(solidityPacked(['address', 'address'], [token0, token1])),
-//     keccak256(bytecode)
-//   ]
-//   // const sanitizedInputs = `0x${create2Inputs.map(i => i.slice(2)).join('')}`
-//   // return getAddress(`0x${keccak256(sanitizedInputs).slice(-40)}`)
-
-//   const sanitizedInputs = create2Inputs.map(x => x?.slice(2) || '');
-  
-//   const hash = keccak256(
-//     `0x${sanitizedInputs.join('')}`
-//   );
-
-//   return `0x${hash.slice(2, 42)}`;
-
-
-// }
-
-// async function getApprovalDigest(token, approve, nonce, deadline) {
-//   const name = await token.name()
-//   const DOMAIN_SEPARATOR = getDomainSeparator(name, token.address)
-//   return keccak256(
-//     solidityPack(
-//       ['bytes1', 'bytes1', 'bytes32', 'bytes32'],
-//       [
-//         '0x19',
-//         '0x01',
-//         DOMAIN_SEPARATOR,
-//         keccak256(
-//           defaultAbiCoder.encode(
-//             ['bytes32', 'address', 'address', 'uint256', 'uint256', 'uint256'],
-//             [PERMIT_TYPEHASH, approve.owner, approve.spender, approve.value, nonce, deadline]
-//           )
-//         )
-//       ]
-//     )
-//   )
-// }
+function getCreate2Address(factoryAddress, [tokenA, tokenB], bytecode) {
+  const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA]
+  const salt = keccak256(solidityPacked(['address', 'address'], [token0, token1]))
+  return create2Address(factoryAddress, salt, keccak256(bytecode))
+}
 
-async function mineBlock(provider, timestamp) {
-  await new Promise(async (resolve, reject) => {
-    provider._web3Provider.sendAsync(
-      { jsonrpc: '2.0', method: 'evm_mine', params: [timestamp] },
-      (error, result) => {
-        if (error) {
-          reject(error)
-        } else {
-          resolve(result)
-        }
+/**
+ * Whether a token exposes EIP-2612 permit (permit + nonces in its ABI and a
+ * nonces() call that succeeds on chain)
+ */
+async function supportsPermit(token) {
+  if (!token.interface.getFunction('permit') || !token.interface.getFunction('nonces')) {
+    return false
+  }
+  try {
+    await token.nonces(await token.getAddress())
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * EIP-712 domain of a token: read through EIP-5267 eip712Domain() when the
+ * token implements it, otherwise built from name(), version "1" and the chain id
+ */
+async function getPermitDomain(token, version = '1') {
+  if (token.interface.getFunction('eip712Domain')) {
+    const domain = await token.eip712Domain()
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract
+    }
+  }
+  return {
+    name: await token.name(),
+    version,
+    chainId: await getChainId(),
+    verifyingContract: await token.getAddress()
+  }
+}
+
+/**
+ * Domain separator the token itself uses, falling back to the computed one
+ */
+async function getTokenDomainSeparator(token, version) {
+  if (token.interface.getFunction('DOMAIN_SEPARATOR')) {
+    return token.DOMAIN_SEPARATOR()
+  }
+  const domain = await getPermitDomain(token, version)
+  return getDomainSeparator(domain.name, domain.verifyingContract, domain.version, domain.chainId)
+}
+
+async function getApprovalDigest(token, approve, nonce, deadline) {
+  const abiCoder = new AbiCoder();
+  const DOMAIN_SEPARATOR = await getTokenDomainSeparator(token)
+  return keccak256(
+    solidityPacked(
+      ['bytes1', 'bytes1', 'bytes32', 'bytes32'],
+      [
+        '0x19',
+        '0x01',
+        DOMAIN_SEPARATOR,
+        keccak256(
+          abiCoder.encode(
+            ['bytes32', 'address', 'address', 'uint256', 'uint256', 'uint256'],
+            [PERMIT_TYPEHASH, approve.owner, approve.spender, approve.value, nonce, deadline]
+          )
+        )
+      ]
+    )
+  )
+}
+
+// Sign with the configured private key when the network has one, so permits
+// do not depend on the node supporting eth_signTypedData_v4
+function typedDataSigner(signer) {
+  const accounts = hre.network.config.accounts
+  if (Array.isArray(accounts)) {
+    for (const key of accounts) {
+      if (typeof key !== 'string' || !key) {
+        continue
+      }
+      const wallet = new ethers.Wallet(key)
+      if (wallet.address === getAddress(signer.address)) {
+        return wallet
       }
+    }
+  }
+  return signer
+}
+
+/**
+ * Sign an EIP-2612 permit for `value` of `token` from `owner` to `spender`
+ *
+ * @param {object} [options] { nonce, deadline, version }
+ * @returns {Promise<object>} { owner, spender, value, nonce, deadline, v, r, s, signature, digest }
+ */
+async function signPermit(token, owner, spender, value, options = {}) {
+  const nonce = options.nonce ?? await token.nonces(owner.address)
+  const deadline = options.deadline ?? getBigInt((await ethers.provider.getBlock('latest')).timestamp + DEFAULT_PERMIT_TTL)
+  const domain = await getPermitDomain(token, options.version)
+
+  // A mismatch means the token sees another chain id or name than we sign for,
+  // and permit() would revert with an invalid signature
+  const expected = await getTokenDomainSeparator(token, options.version)
+  if (TypedDataEncoder.hashDomain(domain) !== expected) {
+    throw new Error(
+      `❌ EIP-712 domain mismatch for ${domain.verifyingContract}: ` +
+      `signing for chain ${domain.chainId}, name "${domain.name}", version "${domain.version}"`
     )
-  })
+  }
+
+  const message = { owner: owner.address, spender, value, nonce, deadline }
+  const signature = Signature.from(await typedDataSigner(owner).signTypedData(domain, PERMIT_TYPES, message))
+
+  return {
+    ...message,
+    v: signature.v,
+    r: signature.r,
+    s: signature.s,
+    signature: signature.serialized,
+    digest: TypedDataEncoder.hash(domain, PERMIT_TYPES, message)
+  }
+}
+
+/**
+ * Sign and submit a permit. The transaction is sent by `options.relayer`
+ * (defaults to the owner), so the owner needs no native balance.
+ */
+async function permit(token, owner, spender, value, options = {}) {
+  const signed = await signPermit(token, owner, spender, value, options)
+  const relayer = options.relayer || owner
+  const tx = await token
+    .connect(relayer)
+    .permit(signed.owner, signed.spender, signed.value, signed.deadline, signed.v, signed.r, signed.s)
+  await tx.wait()
+  return signed
+}
+
+/**
+ * Permit when the token supports it, approve otherwise
+ *
+ * @returns {Promise<"permit"|"approve">} Which path was taken
+ */
+async function permitOrApprove(token, owner, spender, value, options = {}) {
+  if (await supportsPermit(token)) {
+    await permit(token, owner, spender, value, options)
+    return 'permit'
+  }
+  await (await token.connect(owner).approve(spender, value)).wait()
+  return 'approve'
+}
+
+// Mine a block, at `timestamp` when given. Fails loudly on nodes without
+// block control (see scripts/lib/time-control.js)
+async function mineBlock(provider, timestamp) {
+  const time = createTimeControl(provider && provider.getBlock ? { provider } : {})
+  if (timestamp !== undefined) {
+    await time.setNextBlockTimestamp(Number(timestamp))
+  }
+  await time.mine()
 }
 
 function encodePrice(reserve0, reserve1) {
@@ -109,9 +240,18 @@ function getWallets(n) {
   return allWallets.slice(0, n);
 }
 module.exports = {
+  PERMIT_TYPEHASH,
+  PERMIT_TYPES,
   expandTo18Decimals,
   getWallets,
-  // getApprovalDigest,
+  getDomainSeparator,
+  getCreate2Address,
+  getPermitDomain,
+  getApprovalDigest,
+  supportsPermit,
+  signPermit,
+  permit,
+  permitOrApprove,
   mineBlock,
   encodePrice
 }